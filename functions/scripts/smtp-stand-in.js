@@ -0,0 +1,67 @@
+import { fileURLToPath } from 'node:url'
+import { SMTPServer } from 'smtp-server'
+import { simpleParser } from 'mailparser'
+
+/**
+ * Local SMTP server that accepts every email and keeps it in memory
+ * Under the emulator the functions send email here instead of to a real
+ * server. Run it with `npm run mail:stand-in` to see emails in the terminal,
+ * or start it from a test to check what was sent.
+ */
+
+/**
+ * Port the functions send to under the emulator (see STAND_IN_SMTP_URL)
+ */
+export const STAND_IN_PORT = 2525
+
+/**
+ * Starts the stand-in server
+ * @param {Object} options - Server options
+ * @param {number} options.port - Port to listen on
+ * @param {Function} options.onMessage - Called with each parsed email
+ * @returns {Promise<Object>} { messages, clear, close }
+ */
+export const startSmtpStandIn = ({ port = STAND_IN_PORT, onMessage = () => {} } = {}) => {
+  const messages = []
+
+  const server = new SMTPServer({
+    authOptional: true,
+    // Plain connections only, so no certificate is needed locally
+    disabledCommands: ['STARTTLS'],
+    logger: false,
+    onData(stream, session, callback) {
+      simpleParser(stream)
+        .then(mail => {
+          const message = {
+            from: mail.from?.text || '',
+            to: mail.to?.text || '',
+            subject: mail.subject || '',
+            text: mail.text || '',
+            html: mail.html || ''
+          }
+          messages.push(message)
+          onMessage(message)
+          callback()
+        })
+        .catch(callback)
+    }
+  })
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject)
+    server.listen(port, '127.0.0.1', () => resolve({
+      messages,
+      clear: () => messages.splice(0),
+      close: () => new Promise(done => server.close(done))
+    }))
+  })
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  await startSmtpStandIn({
+    onMessage: ({ to, subject, text }) => {
+      console.log(`\n----- To: ${to}\n----- Subject: ${subject}\n\n${text}`)
+    }
+  })
+  console.log(`SMTP stand-in listening on 127.0.0.1:${STAND_IN_PORT}`)
+}
@@ -0,0 +1,129 @@
+import { normalizeGroup, getGameStart } from '../../src/utils/groups'
+import { toCalendarEvent, buildCalendar } from '../../src/utils/ics'
+import { toDateKey } from '../../src/utils/schedule'
+import { getGameCapacity, toResponseViews } from '../../src/utils/waitlist'
+
+/**
+ * How far back the feed keeps games the user went to
+ */
+const HISTORY_DAYS = 30
+
+/**
+ * Feed tokens are Firestore auto-IDs
+ */
+const TOKEN_PATTERN = /^[A-Za-z0-9]{20}$/
+
+/**
+ * Converts a stored game document into the fields toCalendarEvent reads
+ * @param {Object} game - Game document data (with id)
+ * @param {Object} groupInfo - Normalized group info
+ * @returns {Object} Game in the app's view shape
+ */
+const toFeedGame = (game, groupInfo) => ({
+  id: game.id,
+  startsAt: getGameStart(game, groupInfo),
+  dateKey: game.rescheduled_date || game.date,
+  time: game.rescheduled_time || game.time || null,
+  scheduledDateKey: game.date,
+  venue: game.venue || null,
+  adhoc: !!game.adhoc,
+  host: game.host_id ? { name: game.host_name, address: game.host_address } : null,
+  cancelled: !!game.cancelled,
+  cancelReason: game.cancel_reason || null,
+  sequence: game.sequence || 0
+})
+
+/**
+ * Loads every response to the given games, grouped by game
+ * @param {Object} db - Admin Firestore instance
+ * @param {string[]} gameIds - Game document IDs
+ * @returns {Promise<Object>} Response documents by game ID
+ */
+const loadResponsesByGame = async (db, gameIds) => {
+  const responsesByGame = {}
+
+  // 'in' queries accept at most 10 values
+  for (let i = 0; i < gameIds.length; i += 10) {
+    const snap = await db.collection('game_responses')
+      .where('game_id', 'in', gameIds.slice(i, i + 10))
+      .get()
+    snap.docs.map(doc => doc.data()).forEach(r => {
+      (responsesByGame[r.game_id] ??= []).push(r)
+    })
+  }
+
+  return responsesByGame
+}
+
+/**
+ * Checks whether a user who said they're going only has a waitlist spot
+ * @param {Object} game - Game document data
+ * @param {Object[]} responses - The game's response documents
+ * @param {Object} groupInfo - Normalized group info
+ * @param {string} userId - User ID
+ * @returns {boolean} True if the user is waitlisted
+ */
+const isWaitlisted = (game, responses, groupInfo, userId) => {
+  const capacity = getGameCapacity(game, groupInfo.maxTables)
+  return toResponseViews(responses, capacity, game.host_id).some(view => view.userId === userId && view.waitlisted)
+}
+
+/**
+ * Builds a user's calendar of every game they have a seat at, across all the
+ * groups they still belong to
+ * @param {Object} db - Admin Firestore instance
+ * @param {string} token - Calendar feed ID from the subscription URL
+ * @param {Object} options - Feed options
+ * @param {string} options.appUrl - Base URL of the app, for links back to each group
+ * @param {Date} options.now - Current time
+ * @returns {Promise<string|null>} iCalendar text, or null if the token is unknown
+ */
+export const buildCalendarFeed = async (db, token, { appUrl, now = new Date() }) => {
+  if (!TOKEN_PATTERN.test(token || '')) return null
+
+  const feedSnap = await db.doc(`calendar_feeds/${token}`).get()
+  if (!feedSnap.exists) return null
+  const userId = feedSnap.get('user_id')
+
+  const since = new Date(now)
+  since.setDate(since.getDate() - HISTORY_DAYS)
+  const sinceKey = toDateKey(since)
+
+  // Game IDs start "<groupId>_<date>", so old games are skipped without reading them
+  const responsesSnap = await db.collection('game_responses')
+    .where('user_id', '==', userId)
+    .where('status', '==', 'going')
+    .get()
+  const gameIds = responsesSnap.docs
+    .map(doc => doc.get('game_id'))
+    .filter(gameId => (gameId.split('_')[1] || '') >= sinceKey)
+
+  if (gameIds.length === 0) return buildCalendar([], { name: 'Mahjong games', now })
+
+  const groupIds = [...new Set(gameIds.map(gameId => gameId.split('_')[0]))]
+  const [gameSnaps, groupSnaps, membershipSnaps, responsesByGame] = await Promise.all([
+    db.getAll(...gameIds.map(gameId => db.doc(`games/${gameId}`))),
+    db.getAll(...groupIds.map(groupId => db.doc(`groups/${groupId}`))),
+    db.getAll(...groupIds.map(groupId => db.doc(`group_members/${userId}_${groupId}`))),
+    loadResponsesByGame(db, gameIds)
+  ])
+
+  const groups = new Map()
+  groupSnaps.forEach((snap, index) => {
+    if (snap.exists && membershipSnaps[index].exists) {
+      groups.set(snap.id, normalizeGroup({ id: snap.id, ...snap.data() }))
+    }
+  })
+
+  const events = gameSnaps
+    .filter(snap => snap.exists && groups.has(snap.get('group_id')))
+    .map(snap => ({ game: { id: snap.id, ...snap.data() }, groupInfo: groups.get(snap.get('group_id')) }))
+    .filter(({ game, groupInfo }) => !isWaitlisted(game, responsesByGame[game.id] || [], groupInfo, userId))
+    .map(({ game, groupInfo }) => toCalendarEvent(
+      toFeedGame(game, groupInfo),
+      groupInfo,
+      appUrl ? `${appUrl}/group/${groupInfo.id}` : null
+    ))
+
+  return buildCalendar(events, { name: 'Mahjong games', now })
+}
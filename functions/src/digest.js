@@ -0,0 +1,79 @@
+import { normalizeGroup } from '../../src/utils/groups'
+import { buildGroupDigest, getDigestRange, getDigestSummary, isDigestDue } from '../../src/utils/digest'
+import { PUSH_TYPES } from './gameEvents'
+import { buildDigestEmail } from './emailTemplates'
+import { sendNotification } from './notify'
+
+/**
+ * Weekly digest sent to members who opted in, one per group
+ * The content comes from src/utils/digest.js, which the in-app preview uses too.
+ */
+
+/**
+ * Loads the stored games and responses a group's digest is built from
+ * @param {Object} db - Admin Firestore instance
+ * @param {Object} groupInfo - Normalized group info
+ * @param {Object} range - { from, to } date keys
+ * @returns {Promise<Object>} { games, responses }
+ */
+const loadDigestData = async (db, groupInfo, { from, to }) => {
+  const gamesSnap = await db.collection('games')
+    .where('group_id', '==', groupInfo.id)
+    .where('date', '>=', from)
+    .where('date', '<=', to)
+    .get()
+  const games = gamesSnap.docs.map(doc => ({ id: doc.id, ...doc.data() }))
+
+  // 'in' queries accept at most 10 values
+  const responses = []
+  for (let i = 0; i < games.length; i += 10) {
+    const snap = await db.collection('game_responses')
+      .where('group_id', '==', groupInfo.id)
+      .where('game_id', 'in', games.slice(i, i + 10).map(game => game.id))
+      .get()
+    responses.push(...snap.docs.map(doc => doc.data()))
+  }
+
+  return { games, responses }
+}
+
+/**
+ * Sends the digest of every active group where it's due to the members who
+ * turned it on
+ * Groups with nothing coming up and nothing played last week are skipped.
+ * @param {Object} services - Admin Firestore, Messaging and mailer
+ * @param {Object} options - Run options
+ * @param {string} options.appUrl - Base URL of the app
+ * @param {Date} options.now - Current time
+ * @param {boolean} options.allGroups - Send every group's digest, whatever its local time
+ * @returns {Promise<number>} Groups a digest was sent for
+ */
+export const sendWeeklyDigests = async (services, { appUrl, now = new Date(), allGroups = false }) => {
+  const { db } = services
+  const groupsSnap = await db.collection('groups').get()
+  let sent = 0
+
+  for (const groupDoc of groupsSnap.docs) {
+    const groupInfo = normalizeGroup({ id: groupDoc.id, ...groupDoc.data() })
+    if (groupInfo.archived || (!allGroups && !isDigestDue(groupInfo, now))) continue
+
+    const { games, responses } = await loadDigestData(db, groupInfo, getDigestRange(groupInfo, now))
+    const digest = buildGroupDigest({ groupInfo, games, responses, now })
+    if (!digest.nextGame && digest.lastWeek.length === 0) continue
+
+    const membersSnap = await db.collection('group_members').where('group_id', '==', groupInfo.id).get()
+    const link = `${appUrl}/group/${groupInfo.id}/digest`
+
+    await sendNotification(services, membersSnap.docs.map(doc => doc.get('user_id')), {
+      type: PUSH_TYPES.WEEKLY_DIGEST,
+      title: `${groupInfo.name} this week`,
+      body: getDigestSummary(digest),
+      data: { groupId: groupInfo.id },
+      link,
+      email: buildDigestEmail(digest, { link, settingsUrl: `${appUrl}/settings/notifications` })
+    }, { now })
+    sent += 1
+  }
+
+  return sent
+}
@@ -0,0 +1,147 @@
+import { getGameStart } from '../../src/utils/groups'
+import { formatGameWhen } from '../../src/utils/formatters'
+import { getDigestSections } from '../../src/utils/digest'
+import { PUSH_TYPES } from './gameEvents'
+
+/**
+ * HTML and plain-text emails for members who don't get push notifications
+ * Kept free of Firebase so the templates can be unit tested.
+ */
+
+/**
+ * Escapes text for use in HTML
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+export const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;')
+
+/**
+ * Renders the shared email layout
+ * @param {Object} content - Email content
+ * @param {string} content.heading - Large heading
+ * @param {string[]} content.paragraphs - Body text
+ * @param {Array[]} content.details - [label, value] rows; rows without a value are left out
+ * @param {Object[]} content.sections - { title, lines } blocks shown after the details
+ * @param {Object} content.action - { label, url } for the main button
+ * @param {string} content.footer - Why the member got this email
+ * @returns {Object} { html, text }
+ */
+export const renderLayout = ({ heading, paragraphs = [], details = [], sections = [], action = null, footer = '' }) => {
+  const rows = details.filter(([, value]) => value)
+
+  const html = `<!DOCTYPE html>
+<html>
+<body style="margin:0;padding:24px;background:#fdf2f8;font-family:Arial,Helvetica,sans-serif;color:#1f2937;">
+  <div style="max-width:480px;margin:0 auto;background:#ffffff;border-radius:16px;padding:32px;">
+    <div style="font-size:36px;text-align:center;">🀄</div>
+    <h1 style="font-size:22px;text-align:center;margin:12px 0 20px;">${escapeHtml(heading)}</h1>
+    ${paragraphs.map(p => `<p style="font-size:16px;line-height:1.5;margin:0 0 16px;">${escapeHtml(p)}</p>`).join('\n    ')}
+    ${rows.length > 0 ? `<table style="width:100%;font-size:15px;margin:0 0 20px;border-collapse:collapse;">
+      ${rows.map(([label, value]) => `<tr><td style="padding:6px 12px 6px 0;color:#6b7280;vertical-align:top;">${escapeHtml(label)}</td><td style="padding:6px 0;font-weight:bold;">${escapeHtml(value)}</td></tr>`).join('\n      ')}
+    </table>` : ''}
+    ${sections.map(section => `<h2 style="font-size:16px;color:#db2777;margin:20px 0 8px;">${escapeHtml(section.title)}</h2>
+    ${section.lines.map(line => `<p style="font-size:15px;line-height:1.5;margin:0 0 4px;">${escapeHtml(line)}</p>`).join('\n    ')}`).join('\n    ')}
+    ${action ? `<p style="text-align:center;margin:24px 0;"><a href="${escapeHtml(action.url)}" style="display:inline-block;background:#ec4899;color:#ffffff;text-decoration:none;font-weight:bold;font-size:16px;padding:14px 28px;border-radius:8px;">${escapeHtml(action.label)}</a></p>` : ''}
+    ${footer ? `<p style="font-size:12px;color:#9ca3af;margin:24px 0 0;">${escapeHtml(footer)}</p>` : ''}
+  </div>
+</body>
+</html>
+`
+
+  const text = [
+    heading,
+    '',
+    ...paragraphs.flatMap(p => [p, '']),
+    ...(rows.length > 0 ? [...rows.map(([label, value]) => `${label}: ${value}`), ''] : []),
+    ...sections.flatMap(section => [section.title.toUpperCase(), ...section.lines, '']),
+    ...(action ? [`${action.label}: ${action.url}`, ''] : []),
+    ...(footer ? ['--', footer] : [])
+  ].join('\n').trimEnd() + '\n'
+
+  return { html, text }
+}
+
+/**
+ * @param {string} groupName - Group the email is about
+ * @param {string} settingsUrl - Notification settings page
+ * @returns {string} Footer explaining the email and how to stop it
+ */
+const getFooter = (groupName, settingsUrl) => (
+  `You're getting this because you're in ${groupName} and push notifications aren't turned on. `
+  + `Choose what you get at ${settingsUrl}`
+)
+
+/**
+ * Builds the email for a game notification
+ * Only reminders and cancellations are worth an email; other types return null.
+ * @param {string} type - Push type
+ * @param {Object} details - Email details
+ * @param {Object} details.game - Game document data
+ * @param {Object} details.groupInfo - Normalized group info
+ * @param {string} details.link - Group page
+ * @param {string} details.settingsUrl - Notification settings page
+ * @returns {Object|null} { subject, html, text }
+ */
+export const buildEmailMessage = (type, { game, groupInfo, link, settingsUrl }) => {
+  const when = formatGameWhen(getGameStart(game, groupInfo), groupInfo.timeZone)
+  const where = game.venue || game.host_address || groupInfo.location
+  const footer = getFooter(groupInfo.name, settingsUrl)
+
+  switch (type) {
+    case PUSH_TYPES.RSVP_REMINDER:
+      return {
+        subject: `${groupInfo.name}: are you in for ${when}?`,
+        ...renderLayout({
+          heading: 'Are you playing?',
+          paragraphs: [`There's a ${groupInfo.name} game coming up and you haven't said whether you're coming.`],
+          details: [
+            ['When', when],
+            ['Where', where],
+            ['Host', game.host_name || 'Still needs a host']
+          ],
+          action: { label: 'RSVP Now', url: link },
+          footer
+        })
+      }
+    case PUSH_TYPES.GAME_CANCELLED:
+      return {
+        subject: `${groupInfo.name}: game on ${when} cancelled`,
+        ...renderLayout({
+          heading: 'Game cancelled',
+          paragraphs: [`The ${groupInfo.name} game you were going to has been called off.`],
+          details: [
+            ['When', when],
+            ['Reason', game.cancel_reason]
+          ],
+          action: { label: 'See Other Games', url: link },
+          footer
+        })
+      }
+    default:
+      return null
+  }
+}
+
+/**
+ * Builds the weekly digest email for a group
+ * @param {Object} digest - Digest from buildGroupDigest
+ * @param {Object} details - Email details
+ * @param {string} details.link - Group page
+ * @param {string} details.settingsUrl - Notification settings page
+ * @returns {Object} { subject, html, text }
+ */
+export const buildDigestEmail = (digest, { link, settingsUrl }) => ({
+  subject: `${digest.groupName}: your week in mahjong`,
+  ...renderLayout({
+    heading: `${digest.groupName} this week`,
+    sections: getDigestSections(digest),
+    action: { label: 'Open the Group', url: link },
+    footer: `You're getting this because you turned on the weekly digest for ${digest.groupName}. `
+      + `Turn it off at ${settingsUrl}`
+  })
+})
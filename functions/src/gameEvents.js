@@ -0,0 +1,167 @@
+import { TABLE_SIZE } from '../../src/utils/seating'
+import { getGameCapacity, toResponseViews } from '../../src/utils/waitlist'
+import { getGameStart } from '../../src/utils/groups'
+import { formatGameWhen, getPlayerCounts } from '../../src/utils/formatters'
+
+/**
+ * Decides which game changes are worth a push notification, and what it says
+ * Kept free of Firebase so the rules can be unit tested.
+ */
+
+/**
+ * Push notification types
+ */
+export const PUSH_TYPES = {
+  GAME_SCHEDULED: 'game_scheduled',
+  HOST_CLAIMED: 'host_claimed',
+  TABLE_READY: 'table_ready',
+  ONE_SHORT: 'one_short',
+  GAME_CANCELLED: 'game_cancelled',
+  RSVP_REMINDER: 'rsvp_reminder',
+  NEED_ONE_MORE: 'need_one_more',
+  WEEKLY_DIGEST: 'weekly_digest'
+}
+
+/**
+ * Which notification preference (see NOTIFICATION_EVENTS) covers each push type
+ */
+export const PUSH_PREFERENCES = {
+  [PUSH_TYPES.GAME_SCHEDULED]: 'new_game',
+  [PUSH_TYPES.HOST_CLAIMED]: 'host',
+  [PUSH_TYPES.TABLE_READY]: 'player_needed',
+  [PUSH_TYPES.ONE_SHORT]: 'player_needed',
+  [PUSH_TYPES.GAME_CANCELLED]: 'cancellations',
+  [PUSH_TYPES.RSVP_REMINDER]: 'reminders',
+  [PUSH_TYPES.NEED_ONE_MORE]: 'player_needed',
+  [PUSH_TYPES.WEEKLY_DIGEST]: 'digest'
+}
+
+/**
+ * Links to a game on its group page, which scrolls to and highlights it
+ * @param {string} appUrl - Base URL of the app
+ * @param {string} groupId - Group document ID
+ * @param {string} gameId - Game document ID
+ * @returns {string} Link
+ */
+export const getGameLink = (appUrl, groupId, gameId) => (
+  `${appUrl}/group/${groupId}?game=${encodeURIComponent(gameId)}`
+)
+
+/**
+ * Finds the push-worthy changes between two versions of a game document
+ * @param {Object|null} before - Game data before the write
+ * @param {Object|null} after - Game data after the write
+ * @returns {string[]} Push types, in the order they should be sent
+ */
+export const getGameEvents = (before, after) => {
+  if (!after) return []
+
+  const events = []
+  if (!before?.cancelled && after.cancelled) {
+    events.push(PUSH_TYPES.GAME_CANCELLED)
+  } else if (!before && after.adhoc) {
+    // A proposer who also hosts is announced once, as a new game
+    events.push(PUSH_TYPES.GAME_SCHEDULED)
+  } else if (!before?.host_id && after.host_id && !after.cancelled) {
+    events.push(PUSH_TYPES.HOST_CLAIMED)
+  }
+  return events
+}
+
+/**
+ * @param {number} going - Players marked going
+ * @param {number|null} capacity - Seat limit
+ * @returns {number} Players with a seat
+ */
+const getSeated = (going, capacity) => (capacity ? Math.min(going, capacity) : going)
+
+/**
+ * Checks whether an RSVP change filled a table or left one a player short
+ * Only seated players count, so changes on the waitlist are ignored.
+ * @param {string|null} beforeStatus - Response status before the write
+ * @param {string|null} afterStatus - Response status after the write
+ * @param {number} goingAfter - Players going after the write
+ * @param {number|null} capacity - Seat limit
+ * @returns {Object|null} { type, seated } or null if nothing to announce
+ */
+export const getRosterEvent = (beforeStatus, afterStatus, goingAfter, capacity) => {
+  const goingBefore = goingAfter - (afterStatus === 'going' ? 1 : 0) + (beforeStatus === 'going' ? 1 : 0)
+  const seatedBefore = getSeated(goingBefore, capacity)
+  const seated = getSeated(goingAfter, capacity)
+
+  if (seated > seatedBefore && seated % TABLE_SIZE === 0) {
+    return { type: PUSH_TYPES.TABLE_READY, seated }
+  }
+  if (seated < seatedBefore && seated % TABLE_SIZE === TABLE_SIZE - 1) {
+    return { type: PUSH_TYPES.ONE_SHORT, seated }
+  }
+  return null
+}
+
+/**
+ * Works out who gets the reminders sent before a game
+ * Members who haven't answered are asked to RSVP. If the table isn't full,
+ * those who said maybe are told how many more are needed.
+ * @param {string[]} memberIds - Group member user IDs
+ * @param {Object[]} responses - Response documents for the game
+ * @param {Object} game - Game document data
+ * @param {number} maxTables - Group's table count
+ * @returns {Object} { unanswered, maybes, needed }
+ */
+export const getReminderRecipients = (memberIds, responses, game, maxTables) => {
+  const capacity = getGameCapacity(game, maxTables)
+  const { going, alert } = getPlayerCounts(toResponseViews(responses, capacity, game.host_id), capacity)
+  const answered = new Set(responses.map(r => r.user_id))
+
+  return {
+    unanswered: memberIds.filter(userId => !answered.has(userId) && userId !== game.host_id),
+    maybes: responses.filter(r => r.status === 'maybe').map(r => r.user_id),
+    needed: alert.type === 'success' ? 0 : TABLE_SIZE - (going % TABLE_SIZE)
+  }
+}
+
+/**
+ * Builds the title and body for a push notification
+ * @param {string} type - Push type
+ * @param {Object} details - Message details
+ * @param {Object} details.game - Game document data
+ * @param {Object} details.groupInfo - Normalized group info
+ * @param {string} details.actorName - Member whose change triggered the push
+ * @param {number} details.seated - Seated players, for roster changes
+ * @param {number} details.needed - Players still needed, for reminders
+ * @returns {Object} { title, body }
+ */
+export const buildPushMessage = (type, { game, groupInfo, actorName = 'Someone', seated = 0, needed = 1 }) => {
+  const when = formatGameWhen(getGameStart(game, groupInfo), groupInfo.timeZone)
+  const title = groupInfo.name
+
+  switch (type) {
+    case PUSH_TYPES.GAME_SCHEDULED:
+      return {
+        title,
+        body: `${game.proposed_by_name || actorName} proposed an extra game on ${when}${game.host_id ? ' and is hosting' : ''}. Are you in?`
+      }
+    case PUSH_TYPES.HOST_CLAIMED:
+      return { title, body: `${game.host_name || actorName} is hosting on ${when}. Are you in?` }
+    case PUSH_TYPES.TABLE_READY: {
+      const tables = seated / TABLE_SIZE
+      return { title, body: `${tables === 1 ? 'Table' : `${tables} tables`} ready for ${when}!` }
+    }
+    case PUSH_TYPES.ONE_SHORT:
+      return { title, body: `${actorName} dropped out of the game on ${when}. You're one player short.` }
+    case PUSH_TYPES.GAME_CANCELLED:
+      return {
+        title,
+        body: `The game on ${when} is cancelled${game.cancel_reason ? `: ${game.cancel_reason}` : ''}`
+      }
+    case PUSH_TYPES.RSVP_REMINDER:
+      return { title, body: `Are you in for the game on ${when}? Tap to RSVP.` }
+    case PUSH_TYPES.NEED_ONE_MORE:
+      return {
+        title,
+        body: `Need ${needed} more for the game on ${when}! You said maybe. Can you make it?`
+      }
+    default:
+      return { title, body: `Game update for ${when}` }
+  }
+}
@@ -0,0 +1,133 @@
+import { normalizeGroup, getGameStart } from '../../src/utils/groups'
+import { getSeatedPlayerIds, getGameCapacity, toResponseViews } from '../../src/utils/waitlist'
+import {
+  PUSH_TYPES,
+  getGameEvents,
+  getRosterEvent,
+  getGameLink,
+  buildPushMessage
+} from './gameEvents'
+import { buildEmailMessage } from './emailTemplates'
+import { sendNotification } from './notify'
+
+/**
+ * Push notifications for changes to games and RSVPs
+ */
+
+/**
+ * Loads a game's group and responses, skipping games that already started
+ * @param {Object} db - Admin Firestore instance
+ * @param {string} gameId - Game document ID
+ * @param {Object} game - Game document data
+ * @param {Date} now - Current time
+ * @returns {Promise<Object|null>} { groupInfo, responses }, or null to send nothing
+ */
+const loadGameContext = async (db, gameId, game, now) => {
+  const groupSnap = await db.doc(`groups/${game.group_id}`).get()
+  if (!groupSnap.exists) return null
+
+  const groupInfo = normalizeGroup({ id: groupSnap.id, ...groupSnap.data() })
+  const startsAt = getGameStart(game, groupInfo)
+  if (!startsAt || startsAt < now) return null
+
+  const responsesSnap = await db.collection('game_responses')
+    .where('group_id', '==', game.group_id)
+    .where('game_id', '==', gameId)
+    .get()
+
+  return { groupInfo, responses: responsesSnap.docs.map(doc => doc.data()) }
+}
+
+/**
+ * @param {Object[]} responses - Response documents
+ * @param {string} status - Status to match
+ * @returns {string[]} User IDs with that status
+ */
+const usersWithStatus = (responses, status) => responses
+  .filter(r => r.status === status)
+  .map(r => r.user_id)
+
+/**
+ * Notifies members when a game is proposed, gets a host or is cancelled
+ * @param {Object} services - Admin Firestore and Messaging instances
+ * @param {string} gameId - Game document ID
+ * @param {Object|null} before - Game data before the write
+ * @param {Object|null} after - Game data after the write
+ * @param {Object} options - { appUrl, now }
+ */
+export const notifyGameChange = async (services, gameId, before, after, { appUrl, now = new Date() }) => {
+  const events = getGameEvents(before, after)
+  if (events.length === 0) return
+
+  const context = await loadGameContext(services.db, gameId, after, now)
+  if (!context) return
+  const { groupInfo, responses } = context
+
+  for (const type of events) {
+    let recipients = []
+
+    if (type === PUSH_TYPES.HOST_CLAIMED || type === PUSH_TYPES.GAME_SCHEDULED) {
+      // Everyone in the group who hasn't already said no, except whoever made the change
+      const membersSnap = await services.db.collection('group_members')
+        .where('group_id', '==', after.group_id)
+        .get()
+      const notGoing = new Set(usersWithStatus(responses, 'not-going'))
+      const actorId = type === PUSH_TYPES.GAME_SCHEDULED ? after.proposed_by : after.host_id
+      recipients = membersSnap.docs
+        .map(doc => doc.get('user_id'))
+        .filter(userId => userId !== actorId && !notGoing.has(userId))
+    } else if (type === PUSH_TYPES.GAME_CANCELLED) {
+      recipients = usersWithStatus(responses, 'going').filter(userId => userId !== after.cancelled_by)
+    }
+
+    const link = getGameLink(appUrl, after.group_id, gameId)
+    await sendNotification(services, recipients, {
+      type,
+      ...buildPushMessage(type, { game: after, groupInfo }),
+      data: { groupId: after.group_id, gameId },
+      link,
+      email: buildEmailMessage(type, { game: after, groupInfo, link, settingsUrl: `${appUrl}/settings/notifications` })
+    }, { now })
+  }
+}
+
+/**
+ * Notifies the seated players when an RSVP fills a table or leaves one a
+ * player short
+ * @param {Object} services - Admin Firestore and Messaging instances
+ * @param {Object|null} before - Response data before the write
+ * @param {Object|null} after - Response data after the write
+ * @param {Object} options - { appUrl, now }
+ */
+export const notifyRosterChange = async (services, before, after, { appUrl, now = new Date() }) => {
+  const beforeStatus = before?.status || null
+  const afterStatus = after?.status || null
+  if (beforeStatus === afterStatus || (beforeStatus !== 'going' && afterStatus !== 'going')) return
+
+  const response = after || before
+  const gameSnap = await services.db.doc(`games/${response.game_id}`).get()
+  if (!gameSnap.exists || gameSnap.get('cancelled')) return
+
+  const game = gameSnap.data()
+  const context = await loadGameContext(services.db, gameSnap.id, game, now)
+  if (!context) return
+  const { groupInfo, responses } = context
+
+  const capacity = getGameCapacity(game, groupInfo.maxTables)
+  const event = getRosterEvent(beforeStatus, afterStatus, usersWithStatus(responses, 'going').length, capacity)
+  if (!event) return
+
+  const recipients = getSeatedPlayerIds(toResponseViews(responses, capacity, game.host_id)).filter(userId => userId !== response.user_id)
+
+  await sendNotification(services, recipients, {
+    type: event.type,
+    ...buildPushMessage(event.type, {
+      game,
+      groupInfo,
+      actorName: response.user_name,
+      seated: event.seated
+    }),
+    data: { groupId: game.group_id, gameId: gameSnap.id },
+    link: getGameLink(appUrl, game.group_id, gameSnap.id)
+  }, { now })
+}
@@ -0,0 +1,97 @@
+import { FieldValue } from 'firebase-admin/firestore'
+import { normalizePreferences, isEventEnabled, shouldNotify } from '../../src/utils/notificationPreferences'
+import { PUSH_TYPES, PUSH_PREFERENCES } from './gameEvents'
+import { getUserTokens, sendPush } from './push'
+import { sendEmails } from './email'
+
+/**
+ * Delivers notifications over whichever channel each member can get:
+ * push on every device they've turned it on for, otherwise email
+ */
+
+/**
+ * Push types the app already records in-app when the change is made
+ */
+const RECORDED_IN_APP = new Set([PUSH_TYPES.GAME_CANCELLED])
+
+/**
+ * Loads the notification preferences of a set of users
+ * @param {Object} db - Admin Firestore instance
+ * @param {string[]} userIds - User IDs
+ * @returns {Promise<Map>} Preferences by user ID
+ */
+const loadPreferences = async (db, userIds) => {
+  if (userIds.length === 0) return new Map()
+
+  const snaps = await db.getAll(...userIds.map(userId => db.doc(`users/${userId}/settings/notifications`)))
+  return new Map(userIds.map((userId, index) => [
+    userId,
+    normalizePreferences(snaps[index].exists ? snaps[index].data() : null)
+  ]))
+}
+
+/**
+ * Records in-app notices for members whose push was held for quiet hours, so
+ * they see it next time they open the group
+ * @param {Object} db - Admin Firestore instance
+ * @param {string[]} userIds - Members in quiet hours
+ * @param {Object} message - Push message (see sendPush)
+ */
+const recordNotices = async (db, userIds, message) => {
+  const groupId = message.data?.groupId
+  if (userIds.length === 0 || !groupId || RECORDED_IN_APP.has(message.type)) return
+
+  const batch = db.batch()
+  userIds.forEach(userId => {
+    batch.set(db.collection('notifications').doc(), {
+      user_id: userId,
+      group_id: groupId,
+      game_id: message.data.gameId || null,
+      type: message.type,
+      message: message.body,
+      created_by: null,
+      created_at: FieldValue.serverTimestamp(),
+      read: false
+    })
+  })
+  await batch.commit()
+}
+
+/**
+ * Notifies a set of users, honoring their preferences
+ * Members who switched the event off for the group get nothing. Members with
+ * push get it on each device, or an in-app notice instead during their quiet
+ * hours; the rest are emailed when the message has an email version and they
+ * haven't opted out.
+ * @param {Object} services - Admin Firestore, Messaging and mailer
+ * @param {string[]} userIds - Recipient user IDs
+ * @param {Object} message - Push message (see sendPush), plus an optional
+ * email ({ subject, html, text }) for members without push
+ * @param {Object} options - { now }, for checking quiet hours
+ * @returns {Promise<Object>} Counts of pushes sent and failed, emails sent and
+ * pushes held for quiet hours
+ */
+export const sendNotification = async (services, userIds, message, { now = new Date() } = {}) => {
+  const { db } = services
+  const candidates = [...new Set(userIds)]
+  const preferences = await loadPreferences(db, candidates)
+
+  const notification = { groupId: message.data?.groupId, eventKey: PUSH_PREFERENCES[message.type] }
+  const wanted = candidates.filter(userId => (
+    !notification.eventKey || isEventEnabled(preferences.get(userId), notification.groupId, notification.eventKey)
+  ))
+
+  const devices = await getUserTokens(db, wanted)
+  const withPush = new Set(devices.map(device => device.userId))
+  const awake = new Set([...withPush].filter(userId => shouldNotify(preferences.get(userId), notification, now)))
+  const held = [...withPush].filter(userId => !awake.has(userId))
+
+  await recordNotices(db, held, message)
+  const pushResult = await sendPush(services, devices.filter(device => awake.has(device.userId)), message)
+
+  const emailed = message.email
+    ? await sendEmails(services, wanted.filter(userId => !withPush.has(userId) && preferences.get(userId).emailFallback), message.email)
+    : 0
+
+  return { ...pushResult, emailed, held: held.length }
+}
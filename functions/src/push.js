@@ -0,0 +1,112 @@
+import { logger } from 'firebase-functions'
+import { FieldValue } from 'firebase-admin/firestore'
+
+/**
+ * FCM sending for game events
+ */
+
+/**
+ * FCM error codes meaning a token will never work again
+ */
+const DEAD_TOKEN_CODES = [
+  'messaging/registration-token-not-registered',
+  'messaging/invalid-registration-token'
+]
+
+/**
+ * Collects the notification tokens of a set of users, one per device
+ * Profiles created before devices were tracked may still hold a single
+ * notification_token field, which is included too.
+ * @param {Object} db - Admin Firestore instance
+ * @param {string[]} userIds - Recipient user IDs
+ * @returns {Promise<Object[]>} { userId, token, ref } entries, where ref is the
+ * token's own document (or null for a profile field)
+ */
+export const getUserTokens = async (db, userIds) => {
+  if (userIds.length === 0) return []
+
+  const [profiles, ...deviceSnaps] = await Promise.all([
+    db.getAll(...userIds.map(userId => db.doc(`users/${userId}`))),
+    ...userIds.map(userId => db.collection(`users/${userId}/notification_tokens`).get())
+  ])
+
+  const recipients = deviceSnaps.flatMap((snap, index) => snap.docs.map(doc => ({
+    userId: userIds[index],
+    token: doc.get('token') || doc.id,
+    ref: doc.ref
+  })))
+
+  const known = new Set(recipients.map(r => r.token))
+  profiles
+    .filter(snap => snap.exists && snap.get('notification_token') && !known.has(snap.get('notification_token')))
+    .forEach(snap => recipients.push({ userId: snap.id, token: snap.get('notification_token'), ref: null }))
+
+  return recipients
+}
+
+/**
+ * Removes tokens FCM has reported as no longer registered
+ * @param {Object} db - Admin Firestore instance
+ * @param {Object[]} recipients - Entries from getUserTokens
+ */
+const pruneTokens = async (db, recipients) => {
+  if (recipients.length === 0) return
+
+  const batch = db.batch()
+  recipients.forEach(({ userId, ref }) => {
+    if (ref) {
+      batch.delete(ref)
+    } else {
+      batch.update(db.doc(`users/${userId}`), { notification_token: FieldValue.delete() })
+    }
+  })
+  await batch.commit()
+  logger.info('Pruned dead notification tokens', { count: recipients.length })
+}
+
+/**
+ * Sends a push notification to each device
+ * Under the Functions emulator messages are written to push_log instead of
+ * sent, since FCM has no emulator.
+ * @param {Object} services - Admin Firestore and Messaging instances
+ * @param {Object[]} recipients - Devices from getUserTokens
+ * @param {Object} message - Message to send
+ * @param {string} message.type - Push type (see PUSH_TYPES)
+ * @param {string} message.title - Notification title
+ * @param {string} message.body - Notification text
+ * @param {Object} message.data - Extra string fields (e.g., game and group IDs)
+ * @param {string} message.link - Page to open when the notification is tapped
+ * @returns {Promise<Object>} Counts of messages sent and failed
+ */
+export const sendPush = async ({ db, messaging }, recipients, { type, title, body, data = {}, link = null }) => {
+  if (recipients.length === 0) return { sent: 0, failed: 0 }
+
+  const messages = recipients.map(({ token }) => ({
+    token,
+    notification: { title, body },
+    data: { type, ...data },
+    ...(link && { webpush: { fcmOptions: { link } } })
+  }))
+
+  if (process.env.FUNCTIONS_EMULATOR === 'true') {
+    // Recorded instead, so emulator tests can check what would have gone out
+    const recipientIds = [...new Set(recipients.map(r => r.userId))]
+    await db.collection('push_log').add({ type, title, body, data, user_ids: recipientIds, created_at: new Date() })
+    logger.info('Push not sent under the emulator', { type, title, body, recipients: recipientIds })
+    return { sent: 0, failed: 0 }
+  }
+
+  const response = await messaging.sendEach(messages)
+  const dead = []
+  response.responses.forEach((result, index) => {
+    if (result.success) return
+    if (DEAD_TOKEN_CODES.includes(result.error?.code)) {
+      dead.push(recipients[index])
+    } else {
+      logger.warn('Push failed', { userId: recipients[index].userId, code: result.error?.code })
+    }
+  })
+  await pruneTokens(db, dead)
+
+  return { sent: response.successCount, failed: response.failureCount }
+}
@@ -0,0 +1,139 @@
+import { Timestamp } from 'firebase-admin/firestore'
+import { normalizeGroup, getGameStart } from '../../src/utils/groups'
+import { expandRecurrence } from '../../src/utils/recurrence'
+import { getGameId, parseDateKey, toDateKey } from '../../src/utils/schedule'
+import { toDateKeyInZone } from '../../src/utils/timezones'
+import { PUSH_TYPES, getReminderRecipients, getGameLink, buildPushMessage } from './gameEvents'
+import { buildEmailMessage } from './emailTemplates'
+import { sendNotification } from './notify'
+
+/**
+ * Reminders sent a set number of hours before each game
+ * Run on a schedule; each game records the start time it was reminded for,
+ * so later runs skip it unless the game is moved.
+ */
+
+/**
+ * Lists a group's games that may start within a window: stored games by their
+ * start time, plus regular occurrences with no stored start (including ones
+ * nobody has responded to yet, which have no document)
+ * Games moved in or out of the window are found by their new start, whatever
+ * date they were scheduled for.
+ * @param {Object} db - Admin Firestore instance
+ * @param {Object} groupInfo - Normalized group info
+ * @param {Date} now - Start of the window
+ * @param {Date} cutoff - End of the window
+ * @returns {Promise<Object[]>} Game data with id
+ */
+const getGamesInRange = async (db, groupInfo, now, cutoff) => {
+  const snapshot = await db.collection('games')
+    .where('group_id', '==', groupInfo.id)
+    .where('starts_at', '>', Timestamp.fromDate(now))
+    .where('starts_at', '<=', Timestamp.fromDate(cutoff))
+    .get()
+  const games = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))
+
+  // Occurrence dates are the group's calendar days; a day either side covers
+  // any rounding at the ends of the window
+  const from = parseDateKey(toDateKeyInZone(now, groupInfo.timeZone))
+  from.setDate(from.getDate() - 1)
+  const to = parseDateKey(toDateKeyInZone(cutoff, groupInfo.timeZone))
+  to.setDate(to.getDate() + 1)
+
+  const occurrences = expandRecurrence(groupInfo.recurrence, { from: toDateKey(from), to: toDateKey(to) }, groupInfo.time)
+    .map(({ dateKey, time }) => ({ id: getGameId(groupInfo.id, dateKey), group_id: groupInfo.id, date: dateKey, time }))
+  if (occurrences.length === 0) return games
+
+  const stored = await db.getAll(...occurrences.map(occurrence => db.doc(`games/${occurrence.id}`)))
+  occurrences.forEach((occurrence, index) => {
+    if (!stored[index].exists) {
+      games.push(occurrence)
+    } else if (!stored[index].get('starts_at')) {
+      games.push({ ...occurrence, ...stored[index].data() })
+    }
+  })
+
+  return games
+}
+
+/**
+ * Sends the reminders for one game
+ * @param {Object} services - Admin Firestore and Messaging instances
+ * @param {Object} game - Game data with id
+ * @param {Object} groupInfo - Normalized group info
+ * @param {string[]} memberIds - Group member user IDs
+ * @param {Object} options - { appUrl, now }
+ */
+const remindGame = async (services, game, groupInfo, memberIds, { appUrl, now }) => {
+  const responsesSnap = await services.db.collection('game_responses')
+    .where('group_id', '==', groupInfo.id)
+    .where('game_id', '==', game.id)
+    .get()
+  const responses = responsesSnap.docs.map(doc => doc.data())
+
+  const { unanswered, maybes, needed } = getReminderRecipients(memberIds, responses, game, groupInfo.maxTables)
+  const link = getGameLink(appUrl, groupInfo.id, game.id)
+  const message = { data: { groupId: groupInfo.id, gameId: game.id }, link }
+
+  await sendNotification(services, unanswered, {
+    type: PUSH_TYPES.RSVP_REMINDER,
+    ...buildPushMessage(PUSH_TYPES.RSVP_REMINDER, { game, groupInfo }),
+    ...message,
+    email: buildEmailMessage(PUSH_TYPES.RSVP_REMINDER, {
+      game, groupInfo, link, settingsUrl: `${appUrl}/settings/notifications`
+    })
+  }, { now })
+
+  if (needed > 0) {
+    await sendNotification(services, maybes, {
+      type: PUSH_TYPES.NEED_ONE_MORE,
+      ...buildPushMessage(PUSH_TYPES.NEED_ONE_MORE, { game, groupInfo, needed }),
+      ...message
+    }, { now })
+  }
+}
+
+/**
+ * Reminds members about every game starting within the lead time that
+ * hasn't been reminded about yet
+ * @param {Object} services - Admin Firestore and Messaging instances
+ * @param {Object} options - Run options
+ * @param {string} options.appUrl - Base URL of the app
+ * @param {number} options.leadHours - How long before a game to remind
+ * @param {Date} options.now - Current time
+ * @returns {Promise<number>} Games reminded about
+ */
+export const sendRsvpReminders = async (services, { appUrl, leadHours, now = new Date() }) => {
+  const { db } = services
+  const cutoff = new Date(now.getTime() + leadHours * 60 * 60 * 1000)
+  const groupsSnap = await db.collection('groups').get()
+  let reminded = 0
+
+  for (const groupDoc of groupsSnap.docs) {
+    const groupInfo = normalizeGroup({ id: groupDoc.id, ...groupDoc.data() })
+
+    const due = (await getGamesInRange(db, groupInfo, now, cutoff))
+      .map(game => ({ game, startsAt: getGameStart(game, groupInfo) }))
+      .filter(({ game, startsAt }) => (
+        !game.cancelled
+        && startsAt && startsAt > now && startsAt <= cutoff
+        && game.reminded_for_start?.toMillis?.() !== startsAt.getTime()
+      ))
+    if (due.length === 0) continue
+
+    const membersSnap = await db.collection('group_members').where('group_id', '==', groupInfo.id).get()
+    const memberIds = membersSnap.docs.map(doc => doc.get('user_id'))
+
+    for (const { game, startsAt } of due) {
+      await remindGame(services, game, groupInfo, memberIds, { appUrl, now })
+      await db.doc(`games/${game.id}`).set({
+        group_id: groupInfo.id,
+        date: game.date,
+        reminded_for_start: Timestamp.fromDate(startsAt)
+      }, { merge: true })
+      reminded += 1
+    }
+  }
+
+  return reminded
+}
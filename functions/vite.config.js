@@ -0,0 +1,22 @@
+import { fileURLToPath } from 'node:url'
+import { defineConfig } from 'vite'
+
+// Bundles the functions with the shared utilities from src/utils, which use
+// extensionless imports that Node can't load directly
+export default defineConfig({
+  root: fileURLToPath(new URL('.', import.meta.url)),
+  publicDir: false,
+  build: {
+    ssr: 'src/index.js',
+    outDir: 'lib',
+    emptyOutDir: true,
+    target: 'node20',
+    rollupOptions: {
+      external: [/^firebase-admin/, /^firebase-functions/, /^nodemailer/],
+      output: {
+        format: 'es',
+        entryFileNames: 'index.js'
+      }
+    }
+  }
+})
@@ -0,0 +1,96 @@
+/* global importScripts, firebase */
+
+/**
+ * Firebase Cloud Messaging service worker
+ * Shows pushes that arrive while the app is closed or in the background, and
+ * opens the game a notification is about when it's tapped.
+ *
+ * Registered by src/utils/notifications.js, which passes the Firebase config
+ * and SDK version in the script URL since service workers can't read the
+ * app's environment or bundle.
+ */
+
+const params = new URL(self.location.href).searchParams
+
+/**
+ * Version of the firebase package the app is built with, passed in by the app
+ */
+const FIREBASE_VERSION = params.get('firebaseVersion')
+
+/**
+ * Message posted to an open window so the app can route to the page itself
+ */
+const OPEN_MESSAGE_TYPE = 'notification-open'
+
+/**
+ * Works out which page a notification should open
+ * Prefers the link the server sent, kept on this origin so a notification
+ * sent by another deployment still opens this one.
+ * @param {Object} payload - FCM message payload
+ * @returns {string} Path with query string
+ */
+const getTargetPath = (payload = {}) => {
+  const link = payload.fcmOptions?.link || payload.data?.link
+  if (link) {
+    const url = new URL(link, self.location.origin)
+    return `${url.pathname}${url.search}`
+  }
+
+  const { groupId, gameId } = payload.data || {}
+  if (!groupId) return '/'
+  return gameId ? `/group/${groupId}?game=${encodeURIComponent(gameId)}` : `/group/${groupId}`
+}
+
+/**
+ * Focuses an open app window on a page, or opens a new one
+ * This worker doesn't control the app's pages, so an open window is asked to
+ * navigate rather than being navigated directly.
+ * @param {string} path - Page to show
+ */
+const openApp = async (path) => {
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true })
+  const existing = windows.find(client => new URL(client.url).origin === self.location.origin)
+
+  if (existing) {
+    await existing.focus()
+    existing.postMessage({ type: OPEN_MESSAGE_TYPE, path })
+    return
+  }
+
+  await self.clients.openWindow(path)
+}
+
+// Added before the SDK loads so it runs first and the SDK doesn't open a
+// second window for the same tap
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close()
+  event.stopImmediatePropagation()
+  event.waitUntil(openApp(getTargetPath(event.notification.data?.FCM_MSG)))
+})
+
+importScripts(
+  `https://www.gstatic.com/firebasejs/${FIREBASE_VERSION}/firebase-app-compat.js`,
+  `https://www.gstatic.com/firebasejs/${FIREBASE_VERSION}/firebase-messaging-compat.js`
+)
+
+firebase.initializeApp({
+  apiKey: params.get('apiKey'),
+  projectId: params.get('projectId'),
+  messagingSenderId: params.get('messagingSenderId'),
+  appId: params.get('appId')
+})
+
+// Messages with a notification part are shown by the SDK; data-only
+// messages are shown here so every push is visible
+firebase.messaging().onBackgroundMessage((payload) => {
+  if (payload.notification) return
+
+  const { title, body, gameId } = payload.data || {}
+  if (!title) return
+
+  self.registration.showNotification(title, {
+    body,
+    tag: gameId,
+    data: { FCM_MSG: payload }
+  })
+})
@@ -0,0 +1,126 @@
+/**
+ * App-shell service worker
+ * Caches the built app so it opens from the home screen without a
+ * connection. Game data isn't cached here: Firestore keeps its own offline
+ * copy (see src/firebase.js).
+ *
+ * Registered by src/utils/serviceWorker.js in production builds only.
+ */
+
+/**
+ * Bump to drop every cached file on the next visit
+ */
+const CACHE_NAME = 'app-shell-v1'
+
+/**
+ * Files the shell needs besides index.html and the built scripts and styles
+ * it loads
+ */
+const SHELL_FILES = [
+  '/manifest.webmanifest',
+  '/icon.svg',
+  '/icon-192.png',
+  '/icon-512.png',
+  '/apple-touch-icon.png'
+]
+
+/**
+ * Lists the built assets a page loads
+ * Vite names them by content hash, so they can be cached for good.
+ * @param {string} html - index.html contents
+ * @returns {string[]} Asset paths
+ */
+const getAssetPaths = (html) => [...html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g)].map(match => match[1])
+
+/**
+ * Caches the latest index.html and its assets, and drops assets from
+ * older builds
+ * @param {Response} response - Fresh index.html response
+ */
+const updateShell = async (response) => {
+  const cache = await caches.open(CACHE_NAME)
+  const html = await response.clone().text()
+  const assets = getAssetPaths(html)
+
+  await cache.put('/', response)
+  const cached = await Promise.all(assets.map(path => cache.match(path)))
+  await cache.addAll(assets.filter((path, index) => !cached[index]))
+
+  const current = new Set(assets)
+  const keys = await cache.keys()
+  await Promise.all(keys
+    .filter(request => {
+      const { pathname } = new URL(request.url)
+      return pathname.startsWith('/assets/') && !current.has(pathname)
+    })
+    .map(request => cache.delete(request)))
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE_NAME)
+    await cache.addAll(SHELL_FILES)
+    await updateShell(await fetch('/', { cache: 'no-cache' }))
+    await self.skipWaiting()
+  })())
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys()
+    await Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name)))
+    await self.clients.claim()
+  })())
+})
+
+/**
+ * Pages come from the network when possible so new builds show up right
+ * away, falling back to the cached shell (every route is the same page)
+ * @param {Request} request - Navigation request
+ * @returns {Promise<Response>} Page
+ */
+const handleNavigation = async (request) => {
+  try {
+    const response = await fetch(request)
+    if (response.ok) {
+      // Not awaited; the page shouldn't wait for the cache
+      updateShell(response.clone()).catch(() => {})
+    }
+    return response
+  } catch {
+    const cached = await caches.match('/')
+    return cached || Response.error()
+  }
+}
+
+/**
+ * Built assets and icons come from the cache first
+ * @param {Request} request - Asset request
+ * @returns {Promise<Response>} Asset
+ */
+const handleAsset = async (request) => {
+  const cached = await caches.match(request)
+  if (cached) return cached
+
+  const response = await fetch(request)
+  if (response.ok) {
+    const cache = await caches.open(CACHE_NAME)
+    await cache.put(request, response.clone())
+  }
+  return response
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  const url = new URL(request.url)
+
+  // Firebase and other services handle their own requests
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return
+  if (url.pathname.endsWith('-sw.js') || url.pathname === '/sw.js') return
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request))
+  } else if (url.pathname.startsWith('/assets/') || SHELL_FILES.includes(url.pathname)) {
+    event.respondWith(handleAsset(request))
+  }
+})
@@ -1,19 +1,30 @@
 import { useState, useEffect, useCallback, memo } from 'react'
 import { BrowserRouter, Routes, Route, Navigate, useNavigate } from 'react-router-dom'
 import { onAuthStateChanged } from 'firebase/auth'
-import { doc, getDoc, collection, query, where, getDocs } from 'firebase/firestore'
+import { doc, getDoc } from 'firebase/firestore'
 import { auth, db } from './firebase'
+import { refreshNotificationToken } from './utils/notifications'
+import { usePushMessages } from './hooks/usePushMessages'
+import { useConnectionStatus } from './hooks/useConnectionStatus'
 import { ToastProvider } from './components/common/Toast'
-import { LoadingState } from './components/common'
+import { LoadingState, OfflineBanner } from './components/common'
 import Login from './components/Login'
 import ProfileSetup from './components/ProfileSetup'
 import Welcome from './components/Welcome'
 import MyGroups from './components/MyGroups'
 import GroupPage from './components/GroupPage'
+import CreateGroup from './components/CreateGroup'
+import GroupSettings from './components/GroupSettings'
+import ScoreEntry from './components/ScoreEntry'
+import GroupStats from './components/GroupStats'
+import GroupDigest from './components/GroupDigest'
+import NotificationSettings from './components/NotificationSettings'
 
 /**
  * Protected route wrapper with smart routing based on user state
- * Handles auth state, profile check, and group-based routing
+ * Handles auth state and profile check; picking a page by how many groups
+ * the user has happens on sign-in (see Login), so pages opened on purpose
+ * aren't redirected away
  */
 const ProtectedRoute = memo(({ children }) => {
   const [loading, setLoading] = useState(true)
@@ -48,26 +59,8 @@ const ProtectedRoute = memo(({ children }) => {
           return
         }
 
-        // Count user's groups with proper error handling
-        const groupsQuery = query(
-          collection(db, 'group_members'),
-          where('user_id', '==', currentUser.uid)
-        )
-        const groupsSnapshot = await getDocs(groupsQuery)
-
-        if (!isMounted) return
-
-        const count = groupsSnapshot.size
-
-        // Route based on group count
-        if (count === 0) {
-          navigate('/welcome', { replace: true })
-        } else if (count === 1) {
-          const firstGroupId = groupsSnapshot.docs[0].data().group_id
-          navigate(`/group/${firstGroupId}`, { replace: true })
-        } else {
-          navigate('/my-groups', { replace: true })
-        }
+        // Keep this device's push token current; failures shouldn't block the page
+        refreshNotificationToken(currentUser.uid)
       } catch (err) {
         console.error('Error checking user status:', err)
         if (isMounted) {
@@ -133,13 +126,35 @@ const ComingSoon = memo(({ title }) => (
 
 ComingSoon.displayName = 'ComingSoon'
 
+/**
+ * PushMessages - Shows pushes that arrive while the app is open
+ */
+const PushMessages = memo(() => {
+  usePushMessages()
+  return null
+})
+
+PushMessages.displayName = 'PushMessages'
+
+/**
+ * ConnectionStatus - Banner shown while offline or sending offline changes
+ */
+const ConnectionStatus = memo(() => {
+  const { online, pendingCount } = useConnectionStatus()
+  return <OfflineBanner online={online} pendingCount={pendingCount} />
+})
+
+ConnectionStatus.displayName = 'ConnectionStatus'
+
 /**
  * Main App component with routing
  */
 function App() {
   return (
     <ToastProvider>
+      <ConnectionStatus />
       <BrowserRouter>
+        <PushMessages />
         <Routes>
           <Route path="/" element={<Login />} />
           <Route
@@ -166,6 +181,14 @@ function App() {
               </ProtectedRoute>
             }
           />
+          <Route
+            path="/settings/notifications"
+            element={
+              <ProtectedRoute>
+                <NotificationSettings />
+              </ProtectedRoute>
+            }
+          />
           <Route
             path="/group/:id"
             element={
@@ -174,6 +197,38 @@ function App() {
               </ProtectedRoute>
             }
           />
+          <Route
+            path="/group/:id/settings"
+            element={
+              <ProtectedRoute>
+                <GroupSettings />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/group/:id/stats"
+            element={
+              <ProtectedRoute>
+                <GroupStats />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/group/:id/digest"
+            element={
+              <ProtectedRoute>
+                <GroupDigest />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/group/:id/games/:gameId/scores"
+            element={
+              <ProtectedRoute>
+                <ScoreEntry />
+              </ProtectedRoute>
+            }
+          />
           <Route
             path="/join/:code"
             element={
@@ -186,7 +241,7 @@ function App() {
             path="/create-group"
             element={
               <ProtectedRoute>
-                <ComingSoon title="Create Group" />
+                <CreateGroup />
               </ProtectedRoute>
             }
           />
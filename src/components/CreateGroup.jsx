@@ -0,0 +1,317 @@
+import { useState, useCallback, memo } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { useUserGroups } from '../hooks/useGroups'
+import { useToast } from './common/Toast'
+import { DAY_INDEX } from '../utils/schedule'
+import { weeklyEntry } from '../utils/recurrence'
+import { formatTime } from '../utils/formatters'
+import { getViewerTimeZone, toDateKeyInZone } from '../utils/timezones'
+import { MAX_TABLES_LIMIT, DEFAULT_MAX_TABLES } from '../utils/groups'
+import { PageHeader, Card, ErrorMessage, Button } from './common'
+import { TimeZoneSelect } from './group'
+
+/**
+ * Wizard steps in order
+ */
+const STEPS = [
+  { key: 'name', title: 'Name Your Group', subtitle: 'What should members call it?' },
+  { key: 'schedule', title: 'When Do You Play?', subtitle: 'Pick your regular game night' },
+  { key: 'location', title: 'Where & How Many?', subtitle: 'Set a default venue and capacity' }
+]
+
+const DAYS = Object.keys(DAY_INDEX)
+
+const INPUT_CLASS = 'w-full px-4 py-3 border-2 border-gray-300 rounded-lg focus:border-pink-500 focus:outline-none transition-colors min-h-[44px]'
+
+/**
+ * StepIndicator - Shows progress through the wizard
+ */
+const StepIndicator = memo(({ current, total }) => (
+  <div className="flex items-center justify-center gap-2 mb-6" aria-label={`Step ${current + 1} of ${total}`}>
+    {Array.from({ length: total }, (_, index) => (
+      <span
+        key={index}
+        className={`h-2 rounded-full transition-all ${
+          index === current ? 'w-8 bg-pink-500' : index < current ? 'w-2 bg-pink-300' : 'w-2 bg-gray-200'
+        }`}
+      />
+    ))}
+  </div>
+))
+
+StepIndicator.displayName = 'StepIndicator'
+
+/**
+ * CreateGroup - Multi-step wizard for starting a new group
+ * Collects name, schedule, default location and table capacity
+ */
+const CreateGroup = () => {
+  const navigate = useNavigate()
+  const toast = useToast()
+  const { createGroup } = useUserGroups()
+
+  const [step, setStep] = useState(0)
+  const [name, setName] = useState('')
+  const [dayOfWeek, setDayOfWeek] = useState('Thursday')
+  const [time, setTime] = useState('19:00')
+  const [timeZone, setTimeZone] = useState(getViewerTimeZone)
+  const [location, setLocation] = useState('')
+  const [maxTables, setMaxTables] = useState(DEFAULT_MAX_TABLES)
+  const [error, setError] = useState('')
+  const [loading, setLoading] = useState(false)
+
+  const currentStep = STEPS[step]
+  const isLastStep = step === STEPS.length - 1
+
+  const handleNameChange = useCallback((e) => {
+    setName(e.target.value)
+    if (error) setError('')
+  }, [error])
+
+  const handleTimeChange = useCallback((e) => {
+    setTime(e.target.value)
+    if (error) setError('')
+  }, [error])
+
+  const handleLocationChange = useCallback((e) => {
+    setLocation(e.target.value)
+  }, [])
+
+  const handleDecreaseTables = useCallback(() => {
+    setMaxTables(prev => Math.max(1, prev - 1))
+  }, [])
+
+  const handleIncreaseTables = useCallback(() => {
+    setMaxTables(prev => Math.min(MAX_TABLES_LIMIT, prev + 1))
+  }, [])
+
+  /**
+   * Validates the current step
+   * @returns {string} Error message, or empty string if valid
+   */
+  const validateStep = useCallback(() => {
+    if (currentStep.key === 'name') {
+      const trimmedName = name.trim()
+      if (!trimmedName) return 'Group name is required'
+      if (trimmedName.length < 3) return 'Group name must be at least 3 characters'
+    }
+
+    if (currentStep.key === 'schedule') {
+      if (!DAYS.includes(dayOfWeek)) return 'Please choose a day of the week'
+      if (!/^\d{2}:\d{2}$/.test(time)) return 'Please choose a start time'
+    }
+
+    return ''
+  }, [currentStep.key, name, dayOfWeek, time])
+
+  const handleBack = useCallback(() => {
+    setError('')
+    if (step === 0) {
+      navigate(-1)
+    } else {
+      setStep(prev => prev - 1)
+    }
+  }, [step, navigate])
+
+  const handleSubmit = useCallback(async (e) => {
+    e.preventDefault()
+
+    const validationError = validateStep()
+    if (validationError) {
+      setError(validationError)
+      return
+    }
+
+    if (!isLastStep) {
+      setError('')
+      setStep(prev => prev + 1)
+      return
+    }
+
+    setLoading(true)
+    setError('')
+
+    const result = await createGroup({
+      name: name.trim(),
+      recurrence: [weeklyEntry(dayOfWeek, toDateKeyInZone(new Date(), timeZone))],
+      time,
+      timeZone,
+      location: location.trim(),
+      maxTables
+    })
+
+    if (result.success) {
+      toast.success('Group created! Share the invite link to get started.')
+      navigate(`/group/${result.groupId}`, { replace: true })
+    } else {
+      setError(result.error)
+      setLoading(false)
+    }
+  }, [validateStep, isLastStep, createGroup, name, dayOfWeek, time, timeZone, location, maxTables, toast, navigate])
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-pink-50 via-rose-50 to-pink-100 flex items-center justify-center px-4 py-8">
+      <div className="w-full max-w-md">
+        <Card>
+          <StepIndicator current={step} total={STEPS.length} />
+
+          <PageHeader
+            emoji="✨"
+            title={currentStep.title}
+            subtitle={currentStep.subtitle}
+          />
+
+          <form onSubmit={handleSubmit} className="space-y-6">
+            {error && (
+              <ErrorMessage message={error} onDismiss={() => setError('')} />
+            )}
+
+            {currentStep.key === 'name' && (
+              <div>
+                <label htmlFor="groupName" className="block text-sm font-semibold text-gray-700 mb-2">
+                  Group Name <span className="text-pink-500">*</span>
+                </label>
+                <input
+                  type="text"
+                  id="groupName"
+                  value={name}
+                  onChange={handleNameChange}
+                  className={INPUT_CLASS}
+                  placeholder="Thursday Night Mahjong"
+                  autoFocus
+                  autoComplete="off"
+                  maxLength={60}
+                />
+              </div>
+            )}
+
+            {currentStep.key === 'schedule' && (
+              <>
+                <div>
+                  <p className="block text-sm font-semibold text-gray-700 mb-2">Day of the Week</p>
+                  <div className="grid grid-cols-4 gap-2">
+                    {DAYS.map(day => (
+                      <button
+                        key={day}
+                        type="button"
+                        onClick={() => setDayOfWeek(day)}
+                        className={`py-2 rounded-lg font-semibold text-sm transition duration-200 min-h-[44px] ${
+                          dayOfWeek === day
+                            ? 'bg-pink-500 text-white'
+                            : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                        }`}
+                        aria-pressed={dayOfWeek === day}
+                      >
+                        {day.slice(0, 3)}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+
+                <div>
+                  <label htmlFor="startTime" className="block text-sm font-semibold text-gray-700 mb-2">
+                    Start Time
+                  </label>
+                  <input
+                    type="time"
+                    id="startTime"
+                    value={time}
+                    onChange={handleTimeChange}
+                    className={INPUT_CLASS}
+                  />
+                </div>
+
+                <div>
+                  <label htmlFor="timeZone" className="block text-sm font-semibold text-gray-700 mb-2">
+                    Time Zone
+                  </label>
+                  <TimeZoneSelect
+                    id="timeZone"
+                    value={timeZone}
+                    onChange={setTimeZone}
+                    className={INPUT_CLASS}
+                  />
+                </div>
+
+                <p className="text-sm text-gray-500">
+                  Play more than one night, every other week or monthly? Adjust the schedule in group settings.
+                </p>
+              </>
+            )}
+
+            {currentStep.key === 'location' && (
+              <>
+                <div>
+                  <label htmlFor="location" className="block text-sm font-semibold text-gray-700 mb-2">
+                    Default Location <span className="text-gray-400 font-normal">(optional)</span>
+                  </label>
+                  <input
+                    type="text"
+                    id="location"
+                    value={location}
+                    onChange={handleLocationChange}
+                    className={INPUT_CLASS}
+                    placeholder="Community center, or leave blank to rotate hosts"
+                    maxLength={200}
+                  />
+                </div>
+
+                <div>
+                  <p className="block text-sm font-semibold text-gray-700 mb-2">Max Tables</p>
+                  <div className="flex items-center gap-4">
+                    <Button
+                      type="button"
+                      variant="secondary"
+                      onClick={handleDecreaseTables}
+                      disabled={maxTables <= 1}
+                      aria-label="Fewer tables"
+                    >
+                      −
+                    </Button>
+                    <span className="text-2xl font-bold text-gray-800 w-8 text-center">{maxTables}</span>
+                    <Button
+                      type="button"
+                      variant="secondary"
+                      onClick={handleIncreaseTables}
+                      disabled={maxTables >= MAX_TABLES_LIMIT}
+                      aria-label="More tables"
+                    >
+                      +
+                    </Button>
+                    <span className="text-sm text-gray-600">Up to {maxTables * 4} players</span>
+                  </div>
+                </div>
+
+                <div className="bg-gray-50 rounded-lg p-3 text-sm text-gray-600">
+                  <p className="font-semibold text-gray-800">{name.trim()}</p>
+                  <p>{dayOfWeek}s at {formatTime(time)}</p>
+                </div>
+              </>
+            )}
+
+            <div className="flex gap-3">
+              <Button
+                type="button"
+                variant="secondary"
+                onClick={handleBack}
+                disabled={loading}
+                className="flex-1"
+              >
+                Back
+              </Button>
+              <Button
+                type="submit"
+                loading={loading}
+                className="flex-1"
+              >
+                {isLastStep ? (loading ? 'Creating...' : 'Create Group') : 'Next'}
+              </Button>
+            </div>
+          </form>
+        </Card>
+      </div>
+    </div>
+  )
+}
+
+export default memo(CreateGroup)
@@ -0,0 +1,146 @@
+import { useState, useMemo, useCallback, memo } from 'react'
+import { useNavigate, useParams } from 'react-router-dom'
+import { useGroup } from '../hooks/useGroups'
+import { useGroupHistory } from '../hooks/useHistory'
+import { useNotificationSettings } from '../hooks/useNotificationSettings'
+import { useToast } from './common/Toast'
+import { normalizeGroup } from '../utils/groups'
+import { getViewerTimeZone } from '../utils/timezones'
+import { buildGroupDigest, getDigestRange, getDigestSections } from '../utils/digest'
+import { isEventEnabled } from '../utils/notificationPreferences'
+import { Card, ErrorMessage, LoadingState, Spinner } from './common'
+
+/**
+ * DigestSection - One titled block of the digest
+ */
+const DigestSection = memo(({ title, lines }) => (
+  <Card className="!p-5">
+    <h2 className="text-sm font-bold text-pink-600 tracking-wider uppercase mb-2">{title}</h2>
+    <div className="space-y-1">
+      {lines.map((line, index) => (
+        <p key={index} className="text-gray-800">{line}</p>
+      ))}
+    </div>
+  </Card>
+))
+
+DigestSection.displayName = 'DigestSection'
+
+/**
+ * GroupDigest - Preview of the group's weekly digest, with the switch to get
+ * it every Monday
+ */
+const GroupDigest = () => {
+  const { id: groupId } = useParams()
+  const navigate = useNavigate()
+  const toast = useToast()
+  const { group, loading: groupLoading, error: groupError } = useGroup(groupId)
+  const groupInfo = useMemo(() => normalizeGroup(group), [group])
+  const { preferences, loading: preferencesLoading, savePreferences } = useNotificationSettings()
+  const [saving, setSaving] = useState(false)
+
+  // Built once per visit so the range doesn't move while the page is open
+  const now = useMemo(() => new Date(), [])
+  const range = useMemo(() => getDigestRange(
+    { timeZone: groupInfo?.timeZone || getViewerTimeZone() },
+    now
+  ), [groupInfo?.timeZone, now])
+
+  const { games, responses, loading: historyLoading, error: historyError } = useGroupHistory(group?.id, range)
+
+  const sections = useMemo(() => {
+    if (!groupInfo) return []
+    return getDigestSections(buildGroupDigest({ groupInfo, games, responses, now }))
+  }, [groupInfo, games, responses, now])
+
+  const subscribed = groupInfo ? isEventEnabled(preferences, groupInfo.id, 'digest') : false
+
+  const handleSubscribedChange = useCallback(async (enabled) => {
+    setSaving(true)
+    const result = await savePreferences({
+      ...preferences,
+      groups: { ...preferences.groups, [groupId]: { ...preferences.groups[groupId], digest: enabled } }
+    })
+    setSaving(false)
+
+    if (result.success) {
+      toast.success(enabled ? "You'll get this digest every Monday" : 'Weekly digest turned off')
+    } else {
+      toast.error(result.error)
+    }
+  }, [preferences, savePreferences, groupId, toast])
+
+  const handleBack = useCallback(() => {
+    navigate(`/group/${groupId}`)
+  }, [navigate, groupId])
+
+  if (groupLoading) {
+    return <LoadingState message="Loading digest..." />
+  }
+
+  if (groupError || !groupInfo) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-pink-50 via-rose-50 to-pink-100 flex items-center justify-center px-4">
+        <Card className="max-w-md w-full">
+          <ErrorMessage message={groupError || 'Group not found.'} />
+        </Card>
+      </div>
+    )
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-pink-50 via-rose-50 to-pink-100">
+      <div className="bg-white shadow-md sticky top-0 z-10">
+        <div className="max-w-2xl mx-auto px-4 py-4 flex items-center gap-2">
+          <button
+            onClick={handleBack}
+            className="text-gray-600 hover:text-gray-800 p-2 min-w-[44px] min-h-[44px] flex items-center justify-center"
+            aria-label="Back to group"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+            </svg>
+          </button>
+          <div className="min-w-0">
+            <h1 className="text-xl font-bold text-gray-800 truncate">Weekly Digest</h1>
+            <p className="text-sm text-gray-600 truncate">{groupInfo.name}</p>
+          </div>
+        </div>
+      </div>
+
+      <div className="max-w-2xl mx-auto px-4 py-6 space-y-4">
+        <Card className="!p-5">
+          <label className="flex items-start gap-3 cursor-pointer min-h-[44px]">
+            <input
+              type="checkbox"
+              checked={subscribed}
+              disabled={preferencesLoading || saving}
+              onChange={(e) => handleSubscribedChange(e.target.checked)}
+              className="w-5 h-5 mt-0.5 accent-pink-500 flex-shrink-0"
+            />
+            <span>
+              <span className="block text-sm font-semibold text-gray-700">Send me this every Monday</span>
+              <span className="block text-xs text-gray-500">
+                By push notification, or by email if push isn&apos;t turned on
+              </span>
+            </span>
+          </label>
+        </Card>
+
+        {historyError && <ErrorMessage message={historyError} />}
+
+        {historyLoading ? (
+          <div className="flex justify-center py-8">
+            <Spinner size="w-8 h-8" className="text-pink-500" />
+          </div>
+        ) : (
+          sections.map(section => (
+            <DigestSection key={section.key} title={section.title} lines={section.lines} />
+          ))
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default GroupDigest
@@ -1,77 +1,41 @@
-import { useState, useEffect, useMemo, useCallback, memo } from 'react'
-import { useParams } from 'react-router-dom'
+import { useState, useMemo, useCallback, useEffect, memo } from 'react'
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom'
 import { auth } from '../firebase'
-import { useGroup } from '../hooks/useGroups'
+import { useAuth } from '../hooks/useAuth'
+import { useGroup, useGroupMembership, useGroupSettings } from '../hooks/useGroups'
+import { useGroupGames } from '../hooks/useGames'
+import { useNotifications } from '../hooks/useNotifications'
 import { useToast } from './common/Toast'
 import { formatMonthYear } from '../utils/formatters'
-import { ErrorMessage, SkeletonGroupPage } from './common'
-import { GroupHeader, GameCard } from './game'
+import { normalizeGroup } from '../utils/groups'
+import { weeklyEntry } from '../utils/recurrence'
+import { getViewerTimeZone } from '../utils/timezones'
+import { resolveRole, canChangeGame, canEditSettings } from '../utils/permissions'
+import { ErrorMessage, Button, SkeletonGroupPage } from './common'
+import {
+  GroupHeader,
+  GameCard,
+  HostModal,
+  ProposeGameModal,
+  CancelGameModal,
+  RescheduleModal,
+  GameUpdates,
+  PastGames
+} from './game'
 
 /**
- * Generates upcoming games for the next N weeks
- * @param {Object} groupInfo - Group info with dayOfWeek
- * @param {number} weeksCount - Number of weeks to generate
- * @returns {Array} Array of game objects
- */
-const generateUpcomingGames = (groupInfo, weeksCount = 8) => {
-  const dayMap = {
-    Sunday: 0, Monday: 1, Tuesday: 2, Wednesday: 3,
-    Thursday: 4, Friday: 5, Saturday: 6
-  }
-
-  const dayOfWeek = groupInfo.dayOfWeek || groupInfo.day_of_week || 'Thursday'
-  const targetDay = dayMap[dayOfWeek] ?? 4
-
-  const today = new Date()
-  today.setHours(0, 0, 0, 0)
-
-  // Find next occurrence of target day
-  let currentDate = new Date(today)
-  while (currentDate.getDay() !== targetDay) {
-    currentDate.setDate(currentDate.getDate() + 1)
-  }
-
-  const games = []
-  for (let i = 0; i < weeksCount; i++) {
-    const gameDate = new Date(currentDate)
-
-    // Mock data - in production this would come from Firestore
-    const isFutureGame = i > 0
-    const host = isFutureGame ? null : {
-      id: 'user-2',
-      name: 'Alice Chen',
-      address: '2847 Oak Street, Apt 3B'
-    }
-
-    const responses = isFutureGame ? [] : [
-      { userId: 'user-2', userName: 'Alice Chen', status: 'going' },
-      { userId: 'user-1', userName: 'You', status: 'going' },
-      { userId: 'user-3', userName: 'Bob Wu', status: 'going' },
-      { userId: 'user-4', userName: 'Carol Lee', status: 'maybe' }
-    ]
-
-    games.push({
-      id: `game-${i}`,
-      date: gameDate,
-      host,
-      responses,
-      userResponse: isFutureGame ? null : 'going'
-    })
-
-    currentDate.setDate(currentDate.getDate() + 7)
-  }
-
-  return games
-}
-
-/**
- * Groups games by month for display
+ * Groups games by month for display, in start order so one-off games land
+ * among the regular ones
  * @param {Array} games - Array of game objects
  * @returns {Object} Games grouped by month-year key
  */
 const groupGamesByMonth = (games) => {
-  return games.reduce((acc, game) => {
-    const monthYear = formatMonthYear(game.date)
+  const sorted = [...games].sort((a, b) => (
+    a.dateKey.localeCompare(b.dateKey) || (a.startsAt?.getTime() || 0) - (b.startsAt?.getTime() || 0)
+  ))
+
+  return sorted.reduce((acc, game) => {
+    const monthYear = formatMonthYear(game.startsAt || game.date)
     if (!acc[monthYear]) {
       acc[monthYear] = []
     }
@@ -83,7 +47,21 @@ const groupGamesByMonth = (games) => {
 /**
  * MonthSection - Displays games for a specific month
  */
-const MonthSection = memo(({ month, games, groupInfo, currentUserId, onRespond, onVolunteerToHost }) => (
+const MonthSection = memo(({
+  month,
+  games,
+  groupInfo,
+  currentUserId,
+  role,
+  onRespond,
+  onVolunteerToHost,
+  onReleaseHost,
+  onToggleCancelled,
+  onReschedule,
+  onSaveSeating,
+  onOpenScores,
+  focusedGameId
+}) => (
   <div>
     {/* Month Header */}
     <div className="sticky top-32 bg-gradient-to-br from-pink-50 via-rose-50 to-pink-100 py-2 z-5">
@@ -102,6 +80,14 @@ const MonthSection = memo(({ month, games, groupInfo, currentUserId, onRespond,
           currentUserId={currentUserId}
           onRespond={onRespond}
           onVolunteerToHost={onVolunteerToHost}
+          onReleaseHost={onReleaseHost}
+          canCancel={canChangeGame(role, game, currentUserId)}
+          onToggleCancelled={onToggleCancelled}
+          onReschedule={onReschedule}
+          role={role}
+          onSaveSeating={onSaveSeating}
+          onOpenScores={onOpenScores}
+          highlighted={game.id === focusedGameId}
         />
       ))}
     </div>
@@ -110,27 +96,48 @@ const MonthSection = memo(({ month, games, groupInfo, currentUserId, onRespond,
 
 MonthSection.displayName = 'MonthSection'
 
+/**
+ * Tabs for switching between upcoming and past games
+ */
+const TABS = [
+  { id: 'upcoming', label: 'Upcoming' },
+  { id: 'past', label: 'Past games' }
+]
+
 /**
  * GroupPage - Main group view with upcoming games
  */
 const GroupPage = () => {
   const { id: groupId } = useParams()
+  const navigate = useNavigate()
+  const [searchParams, setSearchParams] = useSearchParams()
+  const activeTab = searchParams.get('tab') === 'past' ? 'past' : 'upcoming'
+  // Set by links in notifications and emails
+  const focusedGameId = searchParams.get('game')
   const toast = useToast()
   const { group: firestoreGroup, loading: groupLoading, error: groupError } = useGroup(groupId)
+  const { membership } = useGroupMembership(firestoreGroup?.id)
+  const { profile } = useAuth()
 
-  // Use current user ID or fallback for mock data
-  const currentUserId = auth.currentUser?.uid || 'user-1'
+  const currentUserId = auth.currentUser?.uid || null
+  const role = resolveRole(membership, firestoreGroup, currentUserId)
+
+  // Invite links only work once their code is registered, which groups
+  // created before codes had their own documents are missing until an
+  // admin visits
+  const { registerInviteCode } = useGroupSettings(firestoreGroup?.id)
+  const inviteCode = firestoreGroup?.invite_code
+  const canRegisterInviteCode = canEditSettings(role)
+  useEffect(() => {
+    if (inviteCode && canRegisterInviteCode) {
+      registerInviteCode(inviteCode)
+    }
+  }, [inviteCode, canRegisterInviteCode, registerInviteCode])
 
   // Combine Firestore group with mock fallback
   const groupInfo = useMemo(() => {
     if (firestoreGroup) {
-      return {
-        id: firestoreGroup.id,
-        name: firestoreGroup.name || firestoreGroup.group_name || 'Mahjong Group',
-        dayOfWeek: firestoreGroup.day_of_week || firestoreGroup.dayOfWeek || 'Thursday',
-        time: firestoreGroup.time || '19:00',
-        inviteCode: firestoreGroup.invite_code || firestoreGroup.inviteCode || groupId
-      }
+      return normalizeGroup(firestoreGroup)
     }
     // Fallback mock data
     return {
@@ -138,44 +145,54 @@ const GroupPage = () => {
       name: 'Thursday Night Mahjong',
       dayOfWeek: 'Thursday',
       time: '19:00',
+      recurrence: [weeklyEntry('Thursday')],
+      timeZone: getViewerTimeZone(),
       inviteCode: groupId
     }
   }, [firestoreGroup, groupId])
 
-  // Generate games based on group info
-  const [games, setGames] = useState([])
-
-  useEffect(() => {
-    if (groupInfo) {
-      setGames(generateUpcomingGames(groupInfo, 8))
-    }
-  }, [groupInfo])
+  const {
+    games,
+    loading: gamesLoading,
+    error: gamesError,
+    respond,
+    claimHost,
+    releaseHost,
+    proposeGame,
+    setGameCancelled,
+    rescheduleGame,
+    saveSeating
+  } = useGroupGames(firestoreGroup?.id, {
+    recurrence: groupInfo.recurrence,
+    maxTables: groupInfo.maxTables,
+    time: groupInfo.time,
+    timeZone: groupInfo.timeZone
+  })
 
   // Group games by month (memoized)
-  const gamesByMonth = useMemo(() => groupGamesByMonth(games), [games])
+  const gamesByMonth = useMemo(
+    () => groupGamesByMonth(games),
+    [games]
+  )
 
   // Handle user response to a game
-  const handleResponse = useCallback((gameId, status) => {
-    setGames(prevGames => prevGames.map(game => {
-      if (game.id === gameId) {
-        // Remove existing user response
-        const filteredResponses = game.responses.filter(r => r.userId !== currentUserId)
-
-        // Add new response
-        const newResponse = {
-          userId: currentUserId,
-          userName: 'You',
-          status
-        }
-
-        return {
-          ...game,
-          responses: [...filteredResponses, newResponse],
-          userResponse: status
-        }
-      }
-      return game
-    }))
+  const handleResponse = useCallback(async (gameId, status) => {
+    const result = await respond(gameId, status, profile?.name)
+
+    if (!result.success) {
+      toast.error(result.error)
+      return
+    }
+
+    if (result.queued) {
+      toast.info("You're offline - your RSVP will be sent when you reconnect")
+      return
+    }
+
+    if (result.waitlisted) {
+      toast.info("The game is full - you're on the waitlist")
+      return
+    }
 
     // Show feedback
     const messages = {
@@ -184,16 +201,214 @@ const GroupPage = () => {
       'not-going': "Marked as can't go"
     }
     toast.success(messages[status] || 'Response updated')
-  }, [currentUserId, toast])
+  }, [respond, profile?.name, toast])
+
+  // Host modal state
+  const [hostingGameId, setHostingGameId] = useState(null)
+  const [hostLoading, setHostLoading] = useState(false)
+  const [hostError, setHostError] = useState('')
+
+  const hostingGame = useMemo(
+    () => games.find(game => game.id === hostingGameId) || null,
+    [games, hostingGameId]
+  )
 
   // Handle volunteer to host
   const handleVolunteerToHost = useCallback((gameId) => {
-    toast.info('Host volunteering coming soon!')
-    // TODO: Implement host modal and Firestore update
-  }, [toast])
+    setHostError('')
+    setHostingGameId(gameId)
+  }, [])
+
+  const handleCloseHostModal = useCallback(() => {
+    setHostingGameId(null)
+    setHostError('')
+  }, [])
+
+  const handleConfirmHost = useCallback(async (address, tables) => {
+    setHostLoading(true)
+    setHostError('')
+
+    const result = await claimHost(hostingGameId, { name: profile?.name, address, tables })
+
+    setHostLoading(false)
+
+    if (!result.success) {
+      setHostError(result.error)
+      return
+    }
+
+    setHostingGameId(null)
+    toast.success("Thanks for hosting! You're marked as going.")
+  }, [claimHost, hostingGameId, profile?.name, toast])
+
+  // Handle host stepping down
+  const handleReleaseHost = useCallback(async (gameId) => {
+    const result = await releaseHost(gameId)
+
+    if (result.success) {
+      toast.info("You're no longer hosting this game")
+    } else {
+      toast.error(result.error)
+    }
+  }, [releaseHost, toast])
+
+  // One-off game modal state
+  const [proposing, setProposing] = useState(false)
+  const [proposeLoading, setProposeLoading] = useState(false)
+  const [proposeError, setProposeError] = useState('')
+
+  const handleOpenPropose = useCallback(() => {
+    setProposeError('')
+    setProposing(true)
+  }, [])
+
+  const handleClosePropose = useCallback(() => {
+    setProposing(false)
+    setProposeError('')
+  }, [])
+
+  const handleConfirmPropose = useCallback(async (details) => {
+    setProposeLoading(true)
+    setProposeError('')
+
+    const result = await proposeGame({ ...details, userName: profile?.name })
+
+    setProposeLoading(false)
+
+    if (!result.success) {
+      setProposeError(result.error)
+      return
+    }
+
+    setProposing(false)
+    toast.success("Game proposed! You're marked as going.")
+  }, [proposeGame, profile?.name, toast])
+
+  // Cancel and reschedule modal state ({ type: 'cancel' | 'reschedule', gameId })
+  const [changingGame, setChangingGame] = useState(null)
+  const [changeLoading, setChangeLoading] = useState(false)
+  const [changeError, setChangeError] = useState('')
+
+  const changedGame = useMemo(
+    () => games.find(game => game.id === changingGame?.gameId) || null,
+    [games, changingGame]
+  )
+
+  const handleCloseChangeModal = useCallback(() => {
+    setChangingGame(null)
+    setChangeError('')
+  }, [])
+
+  // Handle organizer cancelling or restoring a game
+  const handleToggleCancelled = useCallback(async (gameId, cancelled) => {
+    if (!canChangeGame(role, games.find(game => game.id === gameId), currentUserId)) {
+      toast.error('Only the group owner and admins can cancel games.')
+      return
+    }
+
+    // Cancelling asks for a reason first
+    if (cancelled) {
+      setChangeError('')
+      setChangingGame({ type: 'cancel', gameId })
+      return
+    }
+
+    const result = await setGameCancelled(gameId, false)
+
+    if (result.success) {
+      toast.info('Game restored')
+    } else {
+      toast.error(result.error)
+    }
+  }, [role, games, currentUserId, setGameCancelled, toast])
+
+  const handleReschedule = useCallback((gameId) => {
+    if (!canChangeGame(role, games.find(game => game.id === gameId), currentUserId)) {
+      toast.error('Only the group owner and admins can reschedule games.')
+      return
+    }
+
+    setChangeError('')
+    setChangingGame({ type: 'reschedule', gameId })
+  }, [role, games, currentUserId, toast])
+
+  const handleConfirmCancel = useCallback(async (reason) => {
+    setChangeLoading(true)
+    setChangeError('')
+
+    const result = await setGameCancelled(changingGame.gameId, true, reason)
+
+    setChangeLoading(false)
+
+    if (!result.success) {
+      setChangeError(result.error)
+      return
+    }
+
+    setChangingGame(null)
+    toast.info('Game cancelled')
+  }, [setGameCancelled, changingGame, toast])
+
+  const handleConfirmReschedule = useCallback(async (changes) => {
+    setChangeLoading(true)
+    setChangeError('')
+
+    const result = await rescheduleGame(changingGame.gameId, changes)
+
+    setChangeLoading(false)
+
+    if (!result.success) {
+      setChangeError(result.error)
+      return
+    }
+
+    setChangingGame(null)
+    toast.success('Game updated')
+  }, [rescheduleGame, changingGame, toast])
+
+  // Unread changes to games in this group
+  const { notifications, dismiss: dismissNotification } = useNotifications()
+  const groupNotifications = useMemo(
+    () => notifications.filter(n => n.groupId === groupInfo.id),
+    [notifications, groupInfo.id]
+  )
+
+  const handleDismissNotification = useCallback(async (notificationId) => {
+    const result = await dismissNotification(notificationId)
+
+    if (!result.success) {
+      toast.error(result.error)
+    }
+  }, [dismissNotification, toast])
+
+  const handleOpenScores = useCallback((gameId) => {
+    navigate(`/group/${groupInfo.id}/games/${gameId}/scores`)
+  }, [navigate, groupInfo.id])
+
+  const handleTabChange = useCallback((tab) => {
+    setSearchParams(tab === 'upcoming' ? {} : { tab }, { replace: true })
+  }, [setSearchParams])
+
+  const handleStatsClick = useCallback(() => {
+    navigate(`/group/${groupInfo.id}/stats`)
+  }, [navigate, groupInfo.id])
+
+  const handleDigestClick = useCallback(() => {
+    navigate(`/group/${groupInfo.id}/digest`)
+  }, [navigate, groupInfo.id])
+
+  const handleSettingsClick = useCallback(() => {
+    navigate(`/group/${groupInfo.id}/settings`)
+  }, [navigate, groupInfo.id])
+
+  // My Groups also holds the calendar link and notification settings, so
+  // members of a single group need a way there too
+  const handleMyGroupsClick = useCallback(() => {
+    navigate('/my-groups')
+  }, [navigate])
 
   // Show loading skeleton
-  if (groupLoading) {
+  if (groupLoading || (firestoreGroup && gamesLoading)) {
     return <SkeletonGroupPage />
   }
 
@@ -214,29 +429,138 @@ const GroupPage = () => {
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-pink-50 via-rose-50 to-pink-100">
-      <GroupHeader groupInfo={groupInfo} />
+      <GroupHeader
+        groupInfo={groupInfo}
+        role={role}
+        onSettingsClick={handleSettingsClick}
+        onStatsClick={handleStatsClick}
+        onDigestClick={handleDigestClick}
+        onMyGroupsClick={handleMyGroupsClick}
+      />
 
       {/* Games List */}
       <div className="max-w-2xl mx-auto px-4 py-6 space-y-6">
-        {Object.entries(gamesByMonth).map(([month, monthGames]) => (
-          <MonthSection
-            key={month}
-            month={month}
-            games={monthGames}
+        {groupInfo.archived && (
+          <p className="text-sm font-semibold text-amber-700 bg-amber-50 px-3 py-2 rounded-lg text-center">
+            This group is archived and not accepting new members
+          </p>
+        )}
+
+        <GameUpdates notifications={groupNotifications} onDismiss={handleDismissNotification} />
+
+        {/* Tabs */}
+        <div className="grid grid-cols-2 gap-2 bg-white rounded-xl shadow-md p-1" role="tablist">
+          {TABS.map(tab => (
+            <button
+              key={tab.id}
+              onClick={() => handleTabChange(tab.id)}
+              className={`py-2 rounded-lg font-semibold text-sm transition duration-200 min-h-[44px] ${
+                activeTab === tab.id
+                  ? 'bg-gradient-to-r from-pink-500 to-rose-500 text-white'
+                  : 'text-gray-600 hover:bg-gray-100'
+              }`}
+              role="tab"
+              aria-selected={activeTab === tab.id}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+
+        {activeTab === 'past' && firestoreGroup && (
+          <PastGames
             groupInfo={groupInfo}
             currentUserId={currentUserId}
-            onRespond={handleResponse}
-            onVolunteerToHost={handleVolunteerToHost}
+            role={role}
+            onOpenScores={handleOpenScores}
           />
-        ))}
+        )}
 
-        {games.length === 0 && !groupLoading && (
-          <div className="text-center py-12">
-            <div className="text-5xl mb-4">📅</div>
-            <p className="text-gray-600">No upcoming games scheduled</p>
-          </div>
+        {activeTab === 'upcoming' && (
+          <>
+            {gamesError && <ErrorMessage message={gamesError} />}
+
+            {firestoreGroup && role && (
+              <Button variant="outline" fullWidth onClick={handleOpenPropose}>
+                <span className="text-lg">✨</span>
+                Propose a one-off game
+              </Button>
+            )}
+
+            {Object.entries(gamesByMonth).map(([month, monthGames]) => (
+              <MonthSection
+                key={month}
+                month={month}
+                games={monthGames}
+                groupInfo={groupInfo}
+                currentUserId={currentUserId}
+                role={role}
+                onRespond={handleResponse}
+                onVolunteerToHost={handleVolunteerToHost}
+                onReleaseHost={handleReleaseHost}
+                onToggleCancelled={handleToggleCancelled}
+                onReschedule={handleReschedule}
+                onSaveSeating={saveSeating}
+                onOpenScores={handleOpenScores}
+                focusedGameId={focusedGameId}
+              />
+            ))}
+
+            {games.length === 0 && !gamesLoading && (
+              <div className="text-center py-12">
+                <div className="text-5xl mb-4">📅</div>
+                <p className="text-gray-600">No upcoming games scheduled</p>
+              </div>
+            )}
+          </>
         )}
       </div>
+
+      {hostingGame && (
+        <HostModal
+          game={hostingGame}
+          savedAddress={profile?.address || ''}
+          defaultTables={groupInfo.maxTables}
+          onConfirm={handleConfirmHost}
+          onClose={handleCloseHostModal}
+          loading={hostLoading}
+          error={hostError}
+        />
+      )}
+
+      {proposing && (
+        <ProposeGameModal
+          defaultTime={groupInfo.time}
+          timeZone={groupInfo.timeZone}
+          savedAddress={profile?.address || ''}
+          onConfirm={handleConfirmPropose}
+          onClose={handleClosePropose}
+          loading={proposeLoading}
+          error={proposeError}
+        />
+      )}
+
+      {changedGame && changingGame.type === 'cancel' && (
+        <CancelGameModal
+          game={changedGame}
+          onConfirm={handleConfirmCancel}
+          onClose={handleCloseChangeModal}
+          loading={changeLoading}
+          error={changeError}
+        />
+      )}
+
+      {changedGame && changingGame.type === 'reschedule' && (
+        <RescheduleModal
+          game={changedGame}
+          defaultTime={groupInfo.time}
+          timeZone={groupInfo.timeZone}
+          onConfirm={handleConfirmReschedule}
+          onClose={handleCloseChangeModal}
+          loading={changeLoading}
+          error={changeError}
+        />
+      )}
     </div>
   )
 }
@@ -0,0 +1,431 @@
+import { useState, useEffect, useMemo, useCallback, memo } from 'react'
+import { useNavigate, useParams } from 'react-router-dom'
+import { auth } from '../firebase'
+import {
+  useGroup,
+  useGroupMembership,
+  useGroupMembers,
+  useGroupSettings,
+  useUserGroups
+} from '../hooks/useGroups'
+import { useToast } from './common/Toast'
+import { MAX_TABLES_LIMIT, normalizeGroup } from '../utils/groups'
+import { getViewerTimeZone } from '../utils/timezones'
+import {
+  resolveRole,
+  canEditSettings,
+  canDeleteGroup,
+  canManageMembers
+} from '../utils/permissions'
+import { Card, ErrorMessage, Button, LoadingState } from './common'
+import { MemberRoster, RecurrenceEditor, TimeZoneSelect } from './group'
+
+const INPUT_CLASS = 'w-full px-4 py-3 border-2 border-gray-300 rounded-lg focus:border-pink-500 focus:outline-none transition-colors min-h-[44px]'
+
+/**
+ * Builds editable form values from normalized group info
+ * @param {Object} groupInfo - Normalized group info
+ * @returns {Object} Form values
+ */
+const toFormValues = (groupInfo) => ({
+  name: groupInfo?.name || '',
+  recurrence: groupInfo?.recurrence || [],
+  time: groupInfo?.time || '19:00',
+  timeZone: groupInfo?.timeZone || getViewerTimeZone(),
+  location: groupInfo?.location || '',
+  maxTables: groupInfo?.maxTables || 1
+})
+
+/**
+ * SettingsSection - Titled card section
+ */
+const SettingsSection = memo(({ title, description, children }) => (
+  <Card className="!p-6">
+    <h2 className="text-lg font-bold text-gray-800">{title}</h2>
+    {description && <p className="text-sm text-gray-600 mt-1">{description}</p>}
+    <div className="mt-4">{children}</div>
+  </Card>
+))
+
+SettingsSection.displayName = 'SettingsSection'
+
+/**
+ * GroupSettings - Owner/admin screen for editing a group
+ * Members without access see a read-only notice and can leave the group
+ */
+const GroupSettings = () => {
+  const { id: groupId } = useParams()
+  const navigate = useNavigate()
+  const toast = useToast()
+  const { group, loading: groupLoading, error: groupError } = useGroup(groupId)
+  const { membership, loading: membershipLoading } = useGroupMembership(group?.id)
+  const {
+    updateGroup,
+    regenerateInviteCode,
+    setArchived,
+    deleteGroup,
+    updateMemberRole,
+    removeMember
+  } = useGroupSettings(group?.id)
+  const { leaveGroup } = useUserGroups()
+
+  const groupInfo = useMemo(() => normalizeGroup(group), [group])
+  const currentUserId = auth.currentUser?.uid || null
+  const role = resolveRole(membership, group, currentUserId)
+  const canManage = canEditSettings(role)
+
+  const {
+    members,
+    loading: membersLoading,
+    error: membersError
+  } = useGroupMembers(canManageMembers(role) ? group?.id : null)
+
+  const [form, setForm] = useState(() => toFormValues(groupInfo))
+  const [dirty, setDirty] = useState(false)
+  const [error, setError] = useState('')
+  const [saving, setSaving] = useState(false)
+  const [busyAction, setBusyAction] = useState(null)
+  const [deleteConfirmation, setDeleteConfirmation] = useState('')
+
+  // Keep the form in sync with live changes until the user starts editing
+  useEffect(() => {
+    if (groupInfo && !dirty) {
+      setForm(toFormValues(groupInfo))
+    }
+  }, [groupInfo, dirty])
+
+  const handleFieldChange = useCallback((field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }))
+    setDirty(true)
+    setError('')
+  }, [])
+
+  const handleBack = useCallback(() => {
+    navigate(`/group/${groupId}`)
+  }, [navigate, groupId])
+
+  const handleSave = useCallback(async (e) => {
+    e.preventDefault()
+
+    const trimmedName = form.name.trim()
+    if (trimmedName.length < 3) {
+      setError('Group name must be at least 3 characters')
+      return
+    }
+
+    if (form.recurrence.length === 0) {
+      setError('Add at least one game night')
+      return
+    }
+
+    if (!/^\d{2}:\d{2}$/.test(form.time)) {
+      setError('Please choose a start time')
+      return
+    }
+
+    setSaving(true)
+    setError('')
+
+    const result = await updateGroup({
+      ...form,
+      name: trimmedName,
+      location: form.location.trim()
+    })
+
+    setSaving(false)
+
+    if (result.success) {
+      setDirty(false)
+      toast.success('Settings saved')
+    } else {
+      setError(result.error)
+    }
+  }, [form, updateGroup, toast])
+
+  const handleRegenerateInvite = useCallback(async () => {
+    if (!window.confirm('Create a new invite code? The current invite link will stop working.')) return
+
+    setBusyAction('invite')
+    const result = await regenerateInviteCode()
+    setBusyAction(null)
+
+    if (result.success) {
+      toast.success(`New invite code: ${result.inviteCode}`)
+    } else {
+      toast.error(result.error)
+    }
+  }, [regenerateInviteCode, toast])
+
+  const handleToggleArchive = useCallback(async () => {
+    const archiving = !groupInfo.archived
+    if (archiving && !window.confirm('Archive this group? Nobody will be able to join until it is restored.')) return
+
+    setBusyAction('archive')
+    const result = await setArchived(archiving)
+    setBusyAction(null)
+
+    if (result.success) {
+      toast.success(archiving ? 'Group archived' : 'Group restored')
+    } else {
+      toast.error(result.error)
+    }
+  }, [groupInfo, setArchived, toast])
+
+  const handleDelete = useCallback(async () => {
+    setBusyAction('delete')
+    const result = await deleteGroup()
+
+    if (result.success) {
+      toast.success('Group deleted')
+      navigate('/my-groups', { replace: true })
+    } else {
+      setBusyAction(null)
+      toast.error(result.error)
+    }
+  }, [deleteGroup, toast, navigate])
+
+  const handleLeave = useCallback(async () => {
+    if (!window.confirm(`Leave ${groupInfo.name}?`)) return
+
+    setBusyAction('leave')
+    const result = await leaveGroup(groupInfo.id)
+
+    if (result.success) {
+      toast.info(`You left ${groupInfo.name}`)
+      navigate('/my-groups', { replace: true })
+    } else {
+      setBusyAction(null)
+      toast.error(result.error)
+    }
+  }, [groupInfo, leaveGroup, toast, navigate])
+
+  if (groupLoading || (group && membershipLoading)) {
+    return <LoadingState message="Loading settings..." />
+  }
+
+  if (groupError || !groupInfo) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-pink-50 via-rose-50 to-pink-100 flex items-center justify-center px-4">
+        <Card className="max-w-md w-full">
+          <ErrorMessage message={groupError || 'Group not found.'} />
+        </Card>
+      </div>
+    )
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-pink-50 via-rose-50 to-pink-100">
+      <div className="bg-white shadow-md sticky top-0 z-10">
+        <div className="max-w-2xl mx-auto px-4 py-4 flex items-center gap-2">
+          <button
+            onClick={handleBack}
+            className="text-gray-600 hover:text-gray-800 p-2 min-w-[44px] min-h-[44px] flex items-center justify-center"
+            aria-label="Back to group"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+            </svg>
+          </button>
+          <h1 className="text-xl font-bold text-gray-800 truncate">Group Settings</h1>
+        </div>
+      </div>
+
+      <div className="max-w-2xl mx-auto px-4 py-6 space-y-6">
+        {!canManage && (
+          <SettingsSection
+            title={groupInfo.name}
+            description="Only the group's owner and admins can change these settings."
+          >
+            <Button
+              variant="danger"
+              onClick={handleLeave}
+              loading={busyAction === 'leave'}
+              fullWidth
+            >
+              Leave Group
+            </Button>
+          </SettingsSection>
+        )}
+
+        {canManage && (
+          <>
+            <SettingsSection title="Group Details">
+              <form onSubmit={handleSave} className="space-y-4">
+                {error && <ErrorMessage message={error} onDismiss={() => setError('')} />}
+
+                <div>
+                  <label htmlFor="settingsName" className="block text-sm font-semibold text-gray-700 mb-2">
+                    Group Name
+                  </label>
+                  <input
+                    type="text"
+                    id="settingsName"
+                    value={form.name}
+                    onChange={(e) => handleFieldChange('name', e.target.value)}
+                    className={INPUT_CLASS}
+                    maxLength={60}
+                  />
+                </div>
+
+                <div>
+                  <p className="block text-sm font-semibold text-gray-700 mb-2">Schedule</p>
+                  <RecurrenceEditor
+                    value={form.recurrence}
+                    onChange={(recurrence) => handleFieldChange('recurrence', recurrence)}
+                    defaultTime={form.time}
+                  />
+                </div>
+
+                <div>
+                  <label htmlFor="settingsTime" className="block text-sm font-semibold text-gray-700 mb-2">
+                    Default Start Time
+                  </label>
+                  <input
+                    type="time"
+                    id="settingsTime"
+                    value={form.time}
+                    onChange={(e) => handleFieldChange('time', e.target.value)}
+                    className={INPUT_CLASS}
+                  />
+                </div>
+
+                <div>
+                  <label htmlFor="settingsTimeZone" className="block text-sm font-semibold text-gray-700 mb-2">
+                    Time Zone
+                  </label>
+                  <TimeZoneSelect
+                    id="settingsTimeZone"
+                    value={form.timeZone}
+                    onChange={(timeZone) => handleFieldChange('timeZone', timeZone)}
+                    className={INPUT_CLASS}
+                  />
+                  <p className="text-xs text-gray-500 mt-1">
+                    Game times are in this zone; members elsewhere see them converted
+                  </p>
+                </div>
+
+                <div>
+                  <label htmlFor="settingsLocation" className="block text-sm font-semibold text-gray-700 mb-2">
+                    Default Venue <span className="text-gray-400 font-normal">(optional)</span>
+                  </label>
+                  <input
+                    type="text"
+                    id="settingsLocation"
+                    value={form.location}
+                    onChange={(e) => handleFieldChange('location', e.target.value)}
+                    className={INPUT_CLASS}
+                    maxLength={200}
+                  />
+                </div>
+
+                <div>
+                  <label htmlFor="settingsTables" className="block text-sm font-semibold text-gray-700 mb-2">
+                    Max Tables
+                  </label>
+                  <select
+                    id="settingsTables"
+                    value={form.maxTables}
+                    onChange={(e) => handleFieldChange('maxTables', parseInt(e.target.value, 10))}
+                    className={`${INPUT_CLASS} bg-white`}
+                  >
+                    {Array.from({ length: MAX_TABLES_LIMIT }, (_, index) => index + 1).map(count => (
+                      <option key={count} value={count}>
+                        {count} {count === 1 ? 'table' : 'tables'} (up to {count * 4} players)
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
+                <Button type="submit" loading={saving} disabled={!dirty} fullWidth>
+                  {saving ? 'Saving...' : 'Save Changes'}
+                </Button>
+              </form>
+            </SettingsSection>
+
+            <SettingsSection
+              title="Invite Code"
+              description="Generating a new code stops the old invite link from working."
+            >
+              <div className="flex items-center justify-between gap-4">
+                <span className="font-mono text-2xl font-bold tracking-widest text-gray-800">
+                  {groupInfo.inviteCode}
+                </span>
+                <Button
+                  variant="outline"
+                  onClick={handleRegenerateInvite}
+                  loading={busyAction === 'invite'}
+                >
+                  New Code
+                </Button>
+              </div>
+            </SettingsSection>
+
+            {canManageMembers(role) && (
+              <SettingsSection
+                title={`Members (${members.length})`}
+                description="Admins can remove members. Only the owner can promote or demote admins."
+              >
+                <MemberRoster
+                  members={members}
+                  loading={membersLoading}
+                  error={membersError}
+                  actorRole={role}
+                  currentUserId={currentUserId}
+                  onChangeRole={updateMemberRole}
+                  onRemove={removeMember}
+                />
+              </SettingsSection>
+            )}
+
+            <SettingsSection title="Danger Zone">
+              <div className="space-y-4">
+                <div>
+                  <p className="text-sm text-gray-600 mb-2">
+                    {groupInfo.archived
+                      ? 'This group is archived. Restore it to allow new members again.'
+                      : 'Archiving keeps your history but stops new members from joining.'}
+                  </p>
+                  <Button
+                    variant="warning"
+                    onClick={handleToggleArchive}
+                    loading={busyAction === 'archive'}
+                    fullWidth
+                  >
+                    {groupInfo.archived ? 'Restore Group' : 'Archive Group'}
+                  </Button>
+                </div>
+
+                {canDeleteGroup(role) && (
+                  <div className="border-t pt-4">
+                    <label htmlFor="deleteConfirmation" className="block text-sm text-gray-600 mb-2">
+                      Type <span className="font-semibold text-gray-800">{groupInfo.name}</span> to permanently delete this group and all of its games.
+                    </label>
+                    <input
+                      type="text"
+                      id="deleteConfirmation"
+                      value={deleteConfirmation}
+                      onChange={(e) => setDeleteConfirmation(e.target.value)}
+                      className={`${INPUT_CLASS} mb-3`}
+                      autoComplete="off"
+                    />
+                    <Button
+                      variant="danger"
+                      onClick={handleDelete}
+                      loading={busyAction === 'delete'}
+                      disabled={deleteConfirmation.trim() !== groupInfo.name}
+                      fullWidth
+                    >
+                      Delete Group
+                    </Button>
+                  </div>
+                )}
+              </div>
+            </SettingsSection>
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default memo(GroupSettings)
@@ -0,0 +1,218 @@
+import { useState, useMemo, useCallback, memo } from 'react'
+import { useNavigate, useParams } from 'react-router-dom'
+import { useGroup, useGroupMembers } from '../hooks/useGroups'
+import { useGroupHistory } from '../hooks/useHistory'
+import { normalizeGroup } from '../utils/groups'
+import { toDateKeyInZone, getViewerTimeZone } from '../utils/timezones'
+import { ALL_TIME_START, getRecentSeasons, computeGroupStats } from '../utils/stats'
+import { Card, ErrorMessage, LoadingState, Spinner } from './common'
+
+const INPUT_CLASS = 'w-full px-4 py-3 border-2 border-gray-300 rounded-lg focus:border-pink-500 focus:outline-none transition-colors min-h-[44px] bg-white'
+
+const ALL_TIME = 'all-time'
+const CUSTOM_RANGE = 'custom'
+
+/**
+ * StatTile - Single headline number
+ */
+const StatTile = memo(({ label, value }) => (
+  <div className="bg-white rounded-xl shadow-md p-4 text-center">
+    <p className="text-2xl font-bold text-gray-800">{value}</p>
+    <p className="text-xs font-semibold text-gray-500 tracking-wider">{label}</p>
+  </div>
+))
+
+StatTile.displayName = 'StatTile'
+
+/**
+ * PlayerStatsRow - One member's line on the leaderboard
+ */
+const PlayerStatsRow = memo(({ player, rank }) => (
+  <div className="py-3 border-t border-gray-100 first:border-t-0">
+    <div className="flex items-center justify-between">
+      <span className="font-semibold text-gray-800 truncate">
+        <span className="text-gray-400 mr-2">{rank}</span>
+        {rank === 1 && player.score > 0 && '🏆 '}{player.name}
+      </span>
+      <span
+        className={`font-bold ${
+          player.score > 0 ? 'text-green-700' : player.score < 0 ? 'text-red-600' : 'text-gray-600'
+        }`}
+      >
+        {player.score > 0 ? `+${player.score}` : player.score}
+      </span>
+    </div>
+    <div className="grid grid-cols-4 gap-2 mt-1 text-xs text-gray-600">
+      <span>
+        {player.attendanceRate === null ? '—' : `${Math.round(player.attendanceRate * 100)}%`} attended
+      </span>
+      <span>{player.gamesAttended} played</span>
+      <span>{player.gamesHosted} hosted</span>
+      <span>{player.wins} {player.wins === 1 ? 'win' : 'wins'}</span>
+    </div>
+  </div>
+))
+
+PlayerStatsRow.displayName = 'PlayerStatsRow'
+
+/**
+ * GroupStats - Season leaderboard with attendance, hosting and scoring stats
+ */
+const GroupStats = () => {
+  const { id: groupId } = useParams()
+  const navigate = useNavigate()
+  const { group, loading: groupLoading, error: groupError } = useGroup(groupId)
+  const groupInfo = useMemo(() => normalizeGroup(group), [group])
+
+  const today = toDateKeyInZone(new Date(), groupInfo?.timeZone || getViewerTimeZone())
+  const seasons = useMemo(() => getRecentSeasons(4), [])
+
+  const [period, setPeriod] = useState(seasons[0].id)
+  const [customFrom, setCustomFrom] = useState(seasons[0].from)
+  const [customTo, setCustomTo] = useState(today)
+
+  const range = useMemo(() => {
+    if (period === ALL_TIME) return { from: ALL_TIME_START, to: today }
+    if (period === CUSTOM_RANGE) return { from: customFrom, to: customTo }
+    const season = seasons.find(s => s.id === period)
+    return { from: season.from, to: season.to < today ? season.to : today }
+  }, [period, customFrom, customTo, seasons, today])
+
+  const { members, loading: membersLoading, error: membersError } = useGroupMembers(group?.id)
+  const { games, responses, loading: historyLoading, error: historyError } = useGroupHistory(group?.id, range)
+
+  const stats = useMemo(() => computeGroupStats({
+    games,
+    responses,
+    members,
+    maxTables: groupInfo?.maxTables,
+    today
+  }), [games, responses, members, groupInfo?.maxTables, today])
+
+  const handleBack = useCallback(() => {
+    navigate(`/group/${groupId}`)
+  }, [navigate, groupId])
+
+  if (groupLoading) {
+    return <LoadingState message="Loading stats..." />
+  }
+
+  if (groupError || !groupInfo) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-pink-50 via-rose-50 to-pink-100 flex items-center justify-center px-4">
+        <Card className="max-w-md w-full">
+          <ErrorMessage message={groupError || 'Group not found.'} />
+        </Card>
+      </div>
+    )
+  }
+
+  const loading = membersLoading || historyLoading
+  const error = membersError || historyError
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-pink-50 via-rose-50 to-pink-100">
+      <div className="bg-white shadow-md sticky top-0 z-10">
+        <div className="max-w-2xl mx-auto px-4 py-4 flex items-center gap-2">
+          <button
+            onClick={handleBack}
+            className="text-gray-600 hover:text-gray-800 p-2 min-w-[44px] min-h-[44px] flex items-center justify-center"
+            aria-label="Back to group"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+            </svg>
+          </button>
+          <div className="min-w-0">
+            <h1 className="text-xl font-bold text-gray-800 truncate">Leaderboard</h1>
+            <p className="text-sm text-gray-600 truncate">{groupInfo.name}</p>
+          </div>
+        </div>
+      </div>
+
+      <div className="max-w-2xl mx-auto px-4 py-6 space-y-6">
+        <Card className="!p-5 space-y-3">
+          <div>
+            <label htmlFor="statsPeriod" className="block text-sm font-semibold text-gray-700 mb-2">
+              Season
+            </label>
+            <select
+              id="statsPeriod"
+              value={period}
+              onChange={(e) => setPeriod(e.target.value)}
+              className={INPUT_CLASS}
+            >
+              {seasons.map(season => (
+                <option key={season.id} value={season.id}>{season.label}</option>
+              ))}
+              <option value={ALL_TIME}>All time</option>
+              <option value={CUSTOM_RANGE}>Custom dates</option>
+            </select>
+          </div>
+
+          {period === CUSTOM_RANGE && (
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label htmlFor="statsFrom" className="block text-sm font-semibold text-gray-700 mb-2">
+                  From
+                </label>
+                <input
+                  type="date"
+                  id="statsFrom"
+                  value={customFrom}
+                  max={customTo}
+                  onChange={(e) => e.target.value && setCustomFrom(e.target.value)}
+                  className={INPUT_CLASS}
+                />
+              </div>
+              <div>
+                <label htmlFor="statsTo" className="block text-sm font-semibold text-gray-700 mb-2">
+                  To
+                </label>
+                <input
+                  type="date"
+                  id="statsTo"
+                  value={customTo}
+                  min={customFrom}
+                  onChange={(e) => e.target.value && setCustomTo(e.target.value)}
+                  className={INPUT_CLASS}
+                />
+              </div>
+            </div>
+          )}
+        </Card>
+
+        {error && <ErrorMessage message={error} />}
+
+        {loading ? (
+          <div className="flex justify-center py-8">
+            <Spinner size="w-8 h-8" className="text-pink-500" />
+          </div>
+        ) : (
+          <>
+            <div className="grid grid-cols-2 gap-4">
+              <StatTile label="GAMES PLAYED" value={stats.gamesPlayed} />
+              <StatTile label="HANDS SCORED" value={stats.handsPlayed} />
+            </div>
+
+            <Card className="!p-5">
+              {stats.players.length === 0 ? (
+                <p className="text-gray-600 text-center">No games played in this period</p>
+              ) : (
+                stats.players.map((player, index) => (
+                  <PlayerStatsRow key={player.userId} player={player} rank={index + 1} />
+                ))
+              )}
+            </Card>
+
+            <p className="text-xs text-gray-500 text-center">
+              Attendance counts games played since each member joined. Scores add up every scored hand.
+            </p>
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default GroupStats
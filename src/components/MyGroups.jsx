@@ -1,31 +1,39 @@
-import { memo, useCallback, useMemo } from 'react'
+import { memo, useCallback, useMemo, useState } from 'react'
 import { useNavigate } from 'react-router-dom'
 import { useUserGroups } from '../hooks/useGroups'
-import { formatTime } from '../utils/formatters'
+import { useNotifications } from '../hooks/useNotifications'
+import { useCalendarFeed } from '../hooks/useCalendarFeed'
+import { useToast } from './common/Toast'
+import { formatSchedule } from '../utils/formatters'
+import { getGroupRecurrence } from '../utils/recurrence'
 import { PageHeader, Card, ErrorMessage, Button, SkeletonMyGroups } from './common'
 
 /**
  * GroupCard - Individual group list item
  */
-const GroupCard = memo(({ group, onViewGames }) => {
+const GroupCard = memo(({ group, updatesCount = 0, onViewGames }) => {
   const handleClick = useCallback(() => {
     onViewGames(group.id)
   }, [group.id, onViewGames])
 
   const displayName = group.name || group.group_name || 'Unnamed Group'
-  const displayTime = group.time ? formatTime(group.time) : ''
-  const displayDay = group.day_of_week || group.dayOfWeek || ''
+  const displaySchedule = formatSchedule(getGroupRecurrence(group), group.time, group.time_zone)
 
   return (
     <Card className="hover:shadow-xl transition-shadow">
       <div className="flex items-center justify-between gap-4">
         <div className="flex-1 min-w-0">
-          <h3 className="text-lg font-bold text-gray-800 mb-1 truncate">
-            {displayName}
+          <h3 className="text-lg font-bold text-gray-800 mb-1 flex items-center gap-2 min-w-0">
+            <span className="truncate">{displayName}</span>
+            {updatesCount > 0 && (
+              <span className="bg-amber-100 text-amber-700 text-xs font-bold px-2 py-0.5 rounded-full flex-shrink-0">
+                {updatesCount} {updatesCount === 1 ? 'update' : 'updates'}
+              </span>
+            )}
           </h3>
-          {displayDay && displayTime && (
+          {displaySchedule && (
             <p className="text-sm text-gray-600">
-              {displayDay}s at {displayTime}
+              {displaySchedule}
             </p>
           )}
         </div>
@@ -59,12 +67,97 @@ const EmptyState = memo(({ onJoinGroup }) => (
 
 EmptyState.displayName = 'EmptyState'
 
+/**
+ * CalendarFeedCard - Link for subscribing to every game the user is going to
+ * from Google, Apple or Outlook calendar
+ */
+const CalendarFeedCard = memo(() => {
+  const toast = useToast()
+  const { feedUrl, subscribeUrl, loading, error, createFeed, resetFeed } = useCalendarFeed()
+  const [saving, setSaving] = useState(false)
+
+  const handleCreate = useCallback(async () => {
+    setSaving(true)
+    const result = await (feedUrl ? resetFeed() : createFeed())
+    setSaving(false)
+
+    if (!result.success) {
+      toast.error(result.error)
+    } else if (feedUrl) {
+      toast.success('New link created. Re-subscribe with it in your calendar app.')
+    }
+  }, [feedUrl, createFeed, resetFeed, toast])
+
+  const handleCopy = useCallback(async () => {
+    try {
+      await navigator.clipboard.writeText(feedUrl)
+      toast.success('Calendar link copied to clipboard!')
+    } catch {
+      toast.error('Could not copy the link. Please copy it manually.')
+    }
+  }, [feedUrl, toast])
+
+  if (loading) return null
+
+  return (
+    <Card>
+      <h2 className="text-lg font-bold text-gray-800 mb-1 flex items-center gap-2">
+        <span>📅</span> Calendar Subscription
+      </h2>
+      <p className="text-sm text-gray-600 mb-4">
+        Games you're going to show up in your calendar app and stay up to date when they move.
+      </p>
+
+      {error && (
+        <div className="mb-4">
+          <ErrorMessage message={error} />
+        </div>
+      )}
+
+      {feedUrl ? (
+        <div className="space-y-3">
+          <input
+            type="text"
+            value={feedUrl}
+            readOnly
+            onFocus={(e) => e.target.select()}
+            className="w-full px-4 py-3 border-2 border-gray-200 rounded-lg bg-gray-50 text-sm text-gray-700 min-h-[44px]"
+            aria-label="Calendar subscription link"
+          />
+          <div className="flex gap-3">
+            <Button variant="secondary" onClick={handleCopy} className="flex-1">
+              Copy Link
+            </Button>
+            <Button onClick={() => { window.location.href = subscribeUrl }} className="flex-1">
+              Subscribe
+            </Button>
+          </div>
+          <button
+            onClick={handleCreate}
+            disabled={saving}
+            className="w-full text-sm text-gray-500 hover:text-gray-700 font-semibold py-2 min-h-[44px]"
+          >
+            {saving ? 'Creating...' : 'Reset link (stops the old one working)'}
+          </button>
+        </div>
+      ) : (
+        <Button variant="outline" fullWidth onClick={handleCreate} loading={saving}>
+          Get My Calendar Link
+        </Button>
+      )}
+    </Card>
+  )
+})
+
+CalendarFeedCard.displayName = 'CalendarFeedCard'
+
 /**
  * MyGroups - List of user's groups with navigation
  */
 const MyGroups = () => {
   const navigate = useNavigate()
   const { groups, loading, error } = useUserGroups()
+  const { notifications } = useNotifications()
 
   const handleViewGames = useCallback((groupId) => {
     navigate(`/group/${groupId}`)
@@ -74,6 +167,10 @@ const MyGroups = () => {
     navigate('/welcome')
   }, [navigate])
 
+  const handleOpenSettings = useCallback(() => {
+    navigate('/settings/notifications')
+  }, [navigate])
+
   // Sort groups alphabetically by name
   const sortedGroups = useMemo(() => {
     return [...groups].sort((a, b) => {
@@ -83,6 +180,14 @@ const MyGroups = () => {
     })
   }, [groups])
 
+  // Unread game changes per group
+  const updatesByGroup = useMemo(() => {
+    return notifications.reduce((acc, notification) => {
+      acc[notification.groupId] = (acc[notification.groupId] || 0) + 1
+      return acc
+    }, {})
+  }, [notifications])
+
   // Show skeleton while loading
   if (loading) {
     return <SkeletonMyGroups />
@@ -113,6 +218,7 @@ const MyGroups = () => {
               <GroupCard
                 key={group.id}
                 group={group}
+                updatesCount={updatesByGroup[group.id] || 0}
                 onViewGames={handleViewGames}
               />
             ))}
@@ -128,6 +234,13 @@ const MyGroups = () => {
                 Join Another Group
               </Button>
             </div>
+
+            <CalendarFeedCard />
+
+            <Button variant="ghost" fullWidth onClick={handleOpenSettings}>
+              <span className="text-lg">🔔</span>
+              Notification Settings
+            </Button>
           </div>
         )}
       </div>
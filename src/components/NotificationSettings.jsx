@@ -0,0 +1,305 @@
+import { useState, useEffect, useMemo, useCallback, memo } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { auth } from '../firebase'
+import { useUserGroups } from '../hooks/useGroups'
+import { useNotificationSettings } from '../hooks/useNotificationSettings'
+import { useToast } from './common/Toast'
+import { requestNotificationPermission, saveNotificationToken, getDeviceLabel } from '../utils/notifications'
+import { NOTIFICATION_EVENTS, isEventEnabled } from '../utils/notificationPreferences'
+import { getViewerTimeZone } from '../utils/timezones'
+import { Card, ErrorMessage, Button, LoadingState } from './common'
+
+const INPUT_CLASS = 'w-full px-4 py-3 border-2 border-gray-300 rounded-lg focus:border-pink-500 focus:outline-none transition-colors min-h-[44px]'
+
+/**
+ * @returns {string} Browser notification permission ("granted", "denied",
+ * "default"), or "unsupported"
+ */
+const getPermission = () => (typeof Notification === 'undefined' ? 'unsupported' : Notification.permission)
+
+/**
+ * SettingsSection - Titled card section
+ */
+const SettingsSection = memo(({ title, description, children }) => (
+  <Card className="!p-6">
+    <h2 className="text-lg font-bold text-gray-800">{title}</h2>
+    {description && <p className="text-sm text-gray-600 mt-1">{description}</p>}
+    <div className="mt-4">{children}</div>
+  </Card>
+))
+
+SettingsSection.displayName = 'SettingsSection'
+
+/**
+ * DevicePushStatus - Whether this browser gets push notifications, with a
+ * button to turn them on
+ */
+const DevicePushStatus = memo(() => {
+  const toast = useToast()
+  const [permission, setPermission] = useState(getPermission)
+  const [enabling, setEnabling] = useState(false)
+
+  const handleEnable = useCallback(async () => {
+    setEnabling(true)
+    const token = await requestNotificationPermission()
+    setPermission(getPermission())
+
+    if (token) {
+      try {
+        await saveNotificationToken(auth.currentUser.uid, token)
+        toast.success('Notifications are on for this device!')
+      } catch (err) {
+        console.error('Error saving notification token:', err)
+        toast.error('Failed to turn on notifications. Please try again.')
+      }
+    } else if (getPermission() === 'denied') {
+      toast.error('Notifications are blocked. Allow them in your browser settings.')
+    }
+    setEnabling(false)
+  }, [toast])
+
+  const device = getDeviceLabel(navigator.userAgent)
+
+  if (permission === 'unsupported') {
+    return <p className="text-sm text-gray-600">This browser doesn't support push notifications.</p>
+  }
+
+  if (permission === 'granted') {
+    return (
+      <p className="text-sm text-green-700 font-semibold">
+        ✓ On for this device ({device})
+      </p>
+    )
+  }
+
+  if (permission === 'denied') {
+    return (
+      <p className="text-sm text-gray-600">
+        Notifications are blocked on this device. Allow them in your browser's site settings, then reload.
+      </p>
+    )
+  }
+
+  return (
+    <Button onClick={handleEnable} loading={enabling} fullWidth>
+      🔔 Turn On for This Device
+    </Button>
+  )
+})
+
+DevicePushStatus.displayName = 'DevicePushStatus'
+
+/**
+ * GroupPreferences - Event switches for one group
+ */
+const GroupPreferences = memo(({ group, preferences, onToggle, onPreviewDigest }) => (
+  <SettingsSection title={group.name || group.group_name || 'Unnamed Group'}>
+    <div className="space-y-1">
+      {NOTIFICATION_EVENTS.map(event => (
+        <label key={event.key} className="flex items-start gap-3 cursor-pointer py-2 min-h-[44px]">
+          <input
+            type="checkbox"
+            checked={isEventEnabled(preferences, group.id, event.key)}
+            onChange={(e) => onToggle(group.id, event.key, e.target.checked)}
+            className="w-5 h-5 mt-0.5 accent-pink-500 flex-shrink-0"
+          />
+          <span>
+            <span className="block text-sm font-semibold text-gray-700">{event.label}</span>
+            <span className="block text-xs text-gray-500">{event.description}</span>
+          </span>
+        </label>
+      ))}
+    </div>
+    <button
+      onClick={() => onPreviewDigest(group.id)}
+      className="mt-2 text-sm font-semibold text-pink-600 hover:text-pink-700 min-h-[44px]"
+    >
+      Preview this week&apos;s digest →
+    </button>
+  </SettingsSection>
+))
+
+GroupPreferences.displayName = 'GroupPreferences'
+
+/**
+ * NotificationSettings - Choose which notifications to get for each group,
+ * and when not to be disturbed
+ */
+const NotificationSettings = () => {
+  const navigate = useNavigate()
+  const toast = useToast()
+  const { groups, loading: groupsLoading, error: groupsError } = useUserGroups()
+  const { preferences, loading, error: loadError, savePreferences } = useNotificationSettings()
+
+  const [form, setForm] = useState(preferences)
+  const [dirty, setDirty] = useState(false)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+
+  // Follow the stored preferences until the user starts editing
+  useEffect(() => {
+    if (!dirty) setForm(preferences)
+  }, [preferences, dirty])
+
+  const sortedGroups = useMemo(() => (
+    [...groups].sort((a, b) => (a.name || '').localeCompare(b.name || ''))
+  ), [groups])
+
+  const handleToggle = useCallback((groupId, eventKey, enabled) => {
+    setForm(prev => ({
+      ...prev,
+      groups: { ...prev.groups, [groupId]: { ...prev.groups[groupId], [eventKey]: enabled } }
+    }))
+    setDirty(true)
+  }, [])
+
+  const handleEmailFallbackChange = useCallback((enabled) => {
+    setForm(prev => ({ ...prev, emailFallback: enabled }))
+    setDirty(true)
+  }, [])
+
+  const handleQuietHoursChange = useCallback((field, value) => {
+    setForm(prev => ({ ...prev, quietHours: { ...prev.quietHours, [field]: value } }))
+    setDirty(true)
+  }, [])
+
+  const handleSave = useCallback(async () => {
+    setSaving(true)
+    setError('')
+
+    // Quiet hours follow the clock of the device they were set on
+    const result = await savePreferences({
+      ...form,
+      quietHours: { ...form.quietHours, timeZone: getViewerTimeZone() }
+    })
+    setSaving(false)
+
+    if (result.success) {
+      setDirty(false)
+      toast.success('Notification settings saved!')
+    } else {
+      setError(result.error)
+    }
+  }, [form, savePreferences, toast])
+
+  const handlePreviewDigest = useCallback((groupId) => {
+    navigate(`/group/${groupId}/digest`)
+  }, [navigate])
+
+  const handleBack = useCallback(() => {
+    navigate('/my-groups')
+  }, [navigate])
+
+  if (loading || groupsLoading) {
+    return <LoadingState message="Loading your notification settings..." />
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-pink-50 via-rose-50 to-pink-100">
+      <div className="bg-white shadow-md sticky top-0 z-10">
+        <div className="max-w-2xl mx-auto px-4 py-4 flex items-center gap-2">
+          <button
+            onClick={handleBack}
+            className="text-gray-600 hover:text-gray-800 p-2 min-w-[44px] min-h-[44px] flex items-center justify-center"
+            aria-label="Back to my groups"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+            </svg>
+          </button>
+          <h1 className="text-xl font-bold text-gray-800 truncate">Notification Settings</h1>
+        </div>
+      </div>
+
+      <div className="max-w-2xl mx-auto px-4 py-6 space-y-6">
+        {(loadError || groupsError || error) && (
+          <ErrorMessage message={error || loadError || groupsError} onDismiss={error ? () => setError('') : undefined} />
+        )}
+
+        <SettingsSection
+          title="Push Notifications"
+          description="Each phone or computer you use needs notifications turned on separately."
+        >
+          <DevicePushStatus />
+        </SettingsSection>
+
+        <SettingsSection
+          title="Email"
+          description="If push notifications aren't on for any of your devices, reminders and cancellations come by email instead."
+        >
+          <label className="flex items-center gap-3 cursor-pointer min-h-[44px]">
+            <input
+              type="checkbox"
+              checked={form.emailFallback}
+              onChange={(e) => handleEmailFallbackChange(e.target.checked)}
+              className="w-5 h-5 accent-pink-500"
+            />
+            <span className="text-sm font-semibold text-gray-700">
+              Email me at {auth.currentUser?.email || 'my sign-in address'}
+            </span>
+          </label>
+        </SettingsSection>
+
+        <SettingsSection
+          title="Quiet Hours"
+          description="No push notifications during these hours. Anything you miss shows in the app instead."
+        >
+          <label className="flex items-center gap-3 cursor-pointer min-h-[44px]">
+            <input
+              type="checkbox"
+              checked={form.quietHours.enabled}
+              onChange={(e) => handleQuietHoursChange('enabled', e.target.checked)}
+              className="w-5 h-5 accent-pink-500"
+            />
+            <span className="text-sm font-semibold text-gray-700">Pause notifications overnight</span>
+          </label>
+
+          {form.quietHours.enabled && (
+            <div className="grid grid-cols-2 gap-4 mt-3">
+              <div>
+                <label htmlFor="quietStart" className="block text-sm font-semibold text-gray-700 mb-2">
+                  From
+                </label>
+                <input
+                  type="time"
+                  id="quietStart"
+                  value={form.quietHours.start}
+                  onChange={(e) => handleQuietHoursChange('start', e.target.value)}
+                  className={INPUT_CLASS}
+                />
+              </div>
+              <div>
+                <label htmlFor="quietEnd" className="block text-sm font-semibold text-gray-700 mb-2">
+                  Until
+                </label>
+                <input
+                  type="time"
+                  id="quietEnd"
+                  value={form.quietHours.end}
+                  onChange={(e) => handleQuietHoursChange('end', e.target.value)}
+                  className={INPUT_CLASS}
+                />
+              </div>
+            </div>
+          )}
+        </SettingsSection>
+
+        {sortedGroups.map(group => (
+          <GroupPreferences
+            key={group.id}
+            group={group}
+            preferences={form}
+            onToggle={handleToggle}
+            onPreviewDigest={handlePreviewDigest}
+          />
+        ))}
+
+        <Button onClick={handleSave} loading={saving} disabled={!dirty} fullWidth size="lg">
+          Save Settings
+        </Button>
+      </div>
+    </div>
+  )
+}
+
+export default memo(NotificationSettings)
@@ -2,7 +2,7 @@ import { useState, useCallback, memo } from 'react'
 import { useNavigate } from 'react-router-dom'
 import { doc, setDoc } from 'firebase/firestore'
 import { auth, db } from '../firebase'
-import { requestNotificationPermission } from '../utils/notifications'
+import { requestNotificationPermission, saveNotificationToken } from '../utils/notifications'
 import { useToast } from './common/Toast'
 import { PageHeader, Card, ErrorMessage, Button } from './common'
 
@@ -60,11 +60,14 @@ const ProfileSetup = () => {
         email: user.email,
         name: trimmedName,
         address: address.trim() || null,
-        notification_token: notificationToken || null,
         created_at: new Date().toISOString(),
         updated_at: new Date().toISOString()
       })
 
+      if (notificationToken) {
+        await saveNotificationToken(user.uid, notificationToken)
+      }
+
       toast.success('Profile created successfully!')
 
       // Check for pending invite in localStorage
@@ -0,0 +1,196 @@
+import { useState, useMemo, useCallback } from 'react'
+import { useNavigate, useParams } from 'react-router-dom'
+import { auth } from '../firebase'
+import { useGroup, useGroupMembership } from '../hooks/useGroups'
+import { useGameScores } from '../hooks/useGames'
+import { useToast } from './common/Toast'
+import { formatDateFull } from '../utils/formatters'
+import { toDateKeyInZone } from '../utils/timezones'
+import { normalizeGroup } from '../utils/groups'
+import { planSeating } from '../utils/seating'
+import { getSeatedPlayerIds } from '../utils/waitlist'
+import { SCORING_MODES, SCORING_MODE_LABELS, countHands } from '../utils/scoring'
+import { resolveRole, canManageGame } from '../utils/permissions'
+import { Card, ErrorMessage, LoadingState } from './common'
+import { ScoreTable, ScoreResults } from './game'
+
+/**
+ * Builds an empty score sheet from the game's seating, or from the seated
+ * players when no seating was saved
+ * @param {Object} game - Game view object
+ * @returns {Object} Scores with mode, names and tables
+ */
+const createScoreSheet = (game) => {
+  const names = Object.fromEntries(game.responses.map(r => [r.userId, r.userName]))
+  const tables = game.seating?.tables.length
+    ? game.seating.tables
+    : planSeating(getSeatedPlayerIds(game.responses), { random: null }).tables
+
+  return {
+    mode: SCORING_MODES.NMJL,
+    names,
+    tables: tables.map(players => ({ players, hands: [] }))
+  }
+}
+
+/**
+ * ScoreEntry - Score sheet for a completed game
+ * The host and admins record hands per table; everyone else sees the totals
+ */
+const ScoreEntry = () => {
+  const { id: groupId, gameId } = useParams()
+  const navigate = useNavigate()
+  const toast = useToast()
+  const { group, loading: groupLoading, error: groupError } = useGroup(groupId)
+  const { membership } = useGroupMembership(group?.id)
+  const groupInfo = useMemo(() => normalizeGroup(group), [group])
+  const { game, loading: gameLoading, error: gameError, saveScores } = useGameScores(group?.id, gameId, {
+    time: groupInfo?.time,
+    timeZone: groupInfo?.timeZone,
+    recurrence: groupInfo?.recurrence
+  })
+
+  const [pendingMode, setPendingMode] = useState(null)
+  const [saving, setSaving] = useState(false)
+
+  const currentUserId = auth.currentUser?.uid || null
+  const role = resolveRole(membership, group, currentUserId)
+  const canEdit = !!game && canManageGame(role, game.host?.id === currentUserId)
+  const today = toDateKeyInZone(new Date(), groupInfo?.timeZone)
+  const isCompleted = !!game && game.dateKey <= today
+
+  // Saved scores win; until the first hand is saved, start from the seating
+  const sheet = useMemo(() => {
+    if (!game) return null
+    const base = game.scores || createScoreSheet(game)
+    return countHands(base) === 0 && pendingMode ? { ...base, mode: pendingMode } : base
+  }, [game, pendingMode])
+
+  // Past games live on the archive tab
+  const isPast = !!game && game.dateKey < today
+  const handleBack = useCallback(() => {
+    navigate(isPast ? `/group/${groupId}?tab=past` : `/group/${groupId}`)
+  }, [navigate, groupId, isPast])
+
+  const saveSheet = useCallback(async (nextSheet) => {
+    setSaving(true)
+    const result = await saveScores(nextSheet)
+    setSaving(false)
+
+    if (!result.success) {
+      toast.error(result.error)
+    }
+  }, [saveScores, toast])
+
+  const handleAddHand = useCallback((tableIndex, hand) => {
+    saveSheet({
+      ...sheet,
+      tables: sheet.tables.map((table, index) => (
+        index === tableIndex ? { ...table, hands: [...table.hands, hand] } : table
+      ))
+    })
+  }, [sheet, saveSheet])
+
+  const handleUndoHand = useCallback((tableIndex) => {
+    saveSheet({
+      ...sheet,
+      tables: sheet.tables.map((table, index) => (
+        index === tableIndex ? { ...table, hands: table.hands.slice(0, -1) } : table
+      ))
+    })
+  }, [sheet, saveSheet])
+
+  if (groupLoading || (group && gameLoading)) {
+    return <LoadingState message="Loading scores..." />
+  }
+
+  const loadError = groupError || gameError || (!game && 'This game has no players to score.')
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-pink-50 via-rose-50 to-pink-100">
+      <div className="bg-white shadow-md sticky top-0 z-10">
+        <div className="max-w-2xl mx-auto px-4 py-4 flex items-center gap-2">
+          <button
+            onClick={handleBack}
+            className="text-gray-600 hover:text-gray-800 p-2 min-w-[44px] min-h-[44px] flex items-center justify-center"
+            aria-label="Back to group"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+            </svg>
+          </button>
+          <div className="min-w-0">
+            <h1 className="text-xl font-bold text-gray-800 truncate">Scores</h1>
+            {game && <p className="text-sm text-gray-600 truncate">{formatDateFull(game.startsAt)}</p>}
+          </div>
+        </div>
+      </div>
+
+      <div className="max-w-2xl mx-auto px-4 py-6 space-y-6">
+        {loadError && (
+          <Card>
+            <ErrorMessage message={loadError} />
+          </Card>
+        )}
+
+        {game && !isCompleted && (
+          <Card>
+            <p className="text-gray-600 text-center">Scores open on game night.</p>
+          </Card>
+        )}
+
+        {game && isCompleted && sheet.tables.length === 0 && (
+          <Card>
+            <p className="text-gray-600 text-center">Nobody was seated for this game.</p>
+          </Card>
+        )}
+
+        {game && isCompleted && sheet.tables.length > 0 && (
+          <>
+            <Card className="!p-5">
+              <label htmlFor="scoringMode" className="block text-sm font-semibold text-gray-700 mb-2">
+                Scoring
+              </label>
+              {canEdit && countHands(sheet) === 0 ? (
+                <select
+                  id="scoringMode"
+                  value={sheet.mode}
+                  onChange={(e) => setPendingMode(e.target.value)}
+                  className="w-full px-4 py-3 border-2 border-gray-300 rounded-lg focus:border-pink-500 focus:outline-none transition-colors min-h-[44px] bg-white"
+                >
+                  {Object.values(SCORING_MODES).map(mode => (
+                    <option key={mode} value={mode}>{SCORING_MODE_LABELS[mode]}</option>
+                  ))}
+                </select>
+              ) : (
+                <p id="scoringMode" className="text-gray-800">{SCORING_MODE_LABELS[sheet.mode]}</p>
+              )}
+            </Card>
+
+            {sheet.tables.map((table, index) => (
+              <ScoreTable
+                key={index}
+                table={table}
+                index={index}
+                mode={sheet.mode}
+                names={sheet.names}
+                canEdit={canEdit}
+                onAddHand={handleAddHand}
+                onUndoHand={handleUndoHand}
+                saving={saving}
+              />
+            ))}
+
+            {countHands(sheet) > 0 && (
+              <Card className="!p-5">
+                <ScoreResults scores={sheet} />
+              </Card>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default ScoreEntry
@@ -2,6 +2,7 @@ import { useState, useCallback, memo } from 'react'
 import { useNavigate, useParams } from 'react-router-dom'
 import { useUserGroups } from '../hooks/useGroups'
 import { useToast } from './common/Toast'
+import { extractInviteCode } from '../utils/inviteCodes'
 import { PageHeader, Card, ErrorMessage, Button } from './common'
 
 /**
@@ -48,16 +49,7 @@ const Welcome = () => {
 
     try {
       // Extract invite code from URL or use as-is if it's just a code
-      let inviteCode = trimmedLink
-
-      // If it's a full URL, extract the code from the path
-      if (inviteCode.includes('/')) {
-        const parts = inviteCode.split('/')
-        inviteCode = parts[parts.length - 1]
-      }
-
-      // Remove any query parameters
-      inviteCode = inviteCode.split('?')[0]
+      const inviteCode = extractInviteCode(trimmedLink)
 
       if (!inviteCode || inviteCode.length < 4) {
         setError('Invalid invite code. Please check the link and try again.')
@@ -65,12 +57,16 @@ const Welcome = () => {
         return
       }
 
-      // Try to join the group
+      // Resolve the code to its group and join it
       const result = await joinGroup(inviteCode)
 
       if (result.success) {
-        toast.success('Successfully joined the group!')
-        navigate(`/group/${inviteCode}`, { replace: true })
+        if (result.alreadyMember) {
+          toast.info("You're already a member of this group")
+        } else {
+          toast.success('Successfully joined the group!')
+        }
+        navigate(`/group/${result.groupId}`, { replace: true })
       } else {
         setError(result.error || 'Failed to join group. Please check the invite link.')
       }
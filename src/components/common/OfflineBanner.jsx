@@ -0,0 +1,35 @@
+import { memo } from 'react'
+
+/**
+ * OfflineBanner - Tells the user they're offline, or that changes they made
+ * offline are still being sent
+ *
+ * @param {boolean} online - Whether the device is online
+ * @param {number} pendingCount - Changes made offline that haven't been sent yet
+ */
+const OfflineBanner = memo(({ online, pendingCount = 0 }) => {
+  if (online && pendingCount === 0) return null
+
+  let message
+  if (online) {
+    message = `Sending ${pendingCount === 1 ? 'your RSVP' : `${pendingCount} RSVPs`}...`
+  } else if (pendingCount > 0) {
+    message = `You're offline. ${pendingCount === 1 ? 'Your RSVP' : `${pendingCount} RSVPs`} will be sent when you reconnect.`
+  } else {
+    message = "You're offline. Showing the schedule saved on this device."
+  }
+
+  return (
+    <div
+      className={`${online ? 'bg-blue-500' : 'bg-amber-500'} text-white text-sm font-semibold text-center px-4 py-2`}
+      role="status"
+      aria-live="polite"
+    >
+      {message}
+    </div>
+  )
+})
+
+OfflineBanner.displayName = 'OfflineBanner'
+
+export default OfflineBanner
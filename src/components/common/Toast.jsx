@@ -49,6 +49,17 @@ const ToastItem = memo(({ toast, onDismiss }) => {
     >
       <span className="text-lg font-bold">{style.icon}</span>
       <p className="flex-1 text-sm font-medium">{toast.message}</p>
+      {toast.action && (
+        <button
+          onClick={() => {
+            toast.action.onClick()
+            onDismiss(toast.id)
+          }}
+          className="text-sm font-bold underline underline-offset-2 hover:text-white/80 transition px-1 min-h-[32px]"
+        >
+          {toast.action.label}
+        </button>
+      )}
       <button
         onClick={() => onDismiss(toast.id)}
         className="text-white/80 hover:text-white transition p-1"
@@ -93,9 +104,9 @@ ToastContainer.displayName = 'ToastContainer'
 export const ToastProvider = ({ children }) => {
   const [toasts, setToasts] = useState([])
 
-  const addToast = useCallback((message, type = 'info', duration = 3000) => {
+  const addToast = useCallback((message, type = 'info', duration = 3000, action = null) => {
     const id = Date.now() + Math.random()
-    setToasts(prev => [...prev, { id, message, type, duration }])
+    setToasts(prev => [...prev, { id, message, type, duration, action }])
     return id
   }, [])
 
@@ -104,11 +115,11 @@ export const ToastProvider = ({ children }) => {
   }, [])
 
   const toast = {
-    show: (message, type, duration) => addToast(message, type, duration),
-    success: (message, duration) => addToast(message, 'success', duration),
-    error: (message, duration) => addToast(message, 'error', duration || 5000),
-    warning: (message, duration) => addToast(message, 'warning', duration),
-    info: (message, duration) => addToast(message, 'info', duration),
+    show: (message, type, duration, action) => addToast(message, type, duration, action),
+    success: (message, duration, action) => addToast(message, 'success', duration, action),
+    error: (message, duration, action) => addToast(message, 'error', duration || 5000, action),
+    warning: (message, duration, action) => addToast(message, 'warning', duration, action),
+    info: (message, duration, action) => addToast(message, 'info', duration, action),
     dismiss: removeToast,
     dismissAll: () => setToasts([])
   }
@@ -123,6 +134,8 @@ export const ToastProvider = ({ children }) => {
 
 /**
  * Hook to use toast notifications
+ * Each method takes a message, an optional duration and an optional
+ * { label, onClick } action button.
  * @returns {Object} Toast methods (success, error, warning, info, dismiss)
  */
 export const useToast = () => {
@@ -4,6 +4,7 @@ export { default as PageHeader } from './PageHeader'
 export { default as ErrorMessage } from './ErrorMessage'
 export { default as LoadingState } from './LoadingState'
 export { default as NotificationPrompt } from './NotificationPrompt'
+export { default as OfflineBanner } from './OfflineBanner'
 export { default as Button } from './Button'
 export { ToastProvider, useToast } from './Toast'
 export {
@@ -0,0 +1,119 @@
+import { memo, useState, useCallback } from 'react'
+import { formatDateFull } from '../../utils/formatters'
+import { Card, ErrorMessage, Button } from '../common'
+
+/**
+ * Common reasons offered as one-tap choices
+ */
+const QUICK_REASONS = ['Holiday', 'Skipping this week', 'Not enough players', 'Host unavailable']
+
+/**
+ * CancelGameModal - Lets an organizer cancel or skip a single game with a reason
+ * Everyone going is notified with the reason
+ *
+ * @param {Object} game - Game being cancelled
+ * @param {Function} onConfirm - Callback with the reason
+ * @param {Function} onClose - Callback to close the modal
+ * @param {boolean} loading - Whether the update is in progress
+ * @param {string} error - Error message to display
+ */
+const CancelGameModal = memo(({ game, onConfirm, onClose, loading = false, error = '' }) => {
+  const [reason, setReason] = useState('')
+
+  const handleConfirm = useCallback(() => {
+    onConfirm(reason.trim())
+  }, [reason, onConfirm])
+
+  const goingCount = game.responses.filter(r => r.status === 'going').length
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50"
+      onClick={loading ? undefined : onClose}
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="cancel-modal-title"
+    >
+      <div onClick={(e) => e.stopPropagation()} className="w-full max-w-md">
+        <Card>
+          <h2 id="cancel-modal-title" className="text-xl font-bold text-gray-800 mb-1">
+            Cancel This Game
+          </h2>
+          <p className="text-sm text-gray-600 mb-4">
+            {formatDateFull(game.startsAt)}
+          </p>
+
+          {error && (
+            <div className="mb-4">
+              <ErrorMessage message={error} />
+            </div>
+          )}
+
+          <div className="space-y-3">
+            <div className="flex flex-wrap gap-2">
+              {QUICK_REASONS.map(option => (
+                <button
+                  key={option}
+                  type="button"
+                  onClick={() => setReason(option)}
+                  className={`px-3 py-2 rounded-full text-sm font-semibold transition duration-200 min-h-[44px] ${
+                    reason === option
+                      ? 'bg-pink-500 text-white'
+                      : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                  }`}
+                  aria-pressed={reason === option}
+                >
+                  {option}
+                </button>
+              ))}
+            </div>
+
+            <div>
+              <label htmlFor="cancelReason" className="block text-sm font-semibold text-gray-700 mb-2">
+                Reason <span className="text-gray-400 font-normal">(optional)</span>
+              </label>
+              <input
+                type="text"
+                id="cancelReason"
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                className="w-full px-4 py-3 border-2 border-gray-300 rounded-lg focus:border-pink-500 focus:outline-none transition-colors min-h-[44px]"
+                placeholder="Thanksgiving week"
+                maxLength={120}
+              />
+            </div>
+
+            {goingCount > 0 && (
+              <p className="text-xs text-gray-500">
+                {goingCount} {goingCount === 1 ? 'player who is' : 'players who are'} going will be notified
+              </p>
+            )}
+          </div>
+
+          <div className="flex gap-3 mt-6">
+            <Button
+              variant="secondary"
+              onClick={onClose}
+              disabled={loading}
+              className="flex-1"
+            >
+              Keep Game
+            </Button>
+            <Button
+              variant="danger"
+              onClick={handleConfirm}
+              loading={loading}
+              className="flex-1"
+            >
+              {loading ? 'Saving...' : 'Cancel Game'}
+            </Button>
+          </div>
+        </Card>
+      </div>
+    </div>
+  )
+})
+
+CancelGameModal.displayName = 'CancelGameModal'
+
+export default CancelGameModal
@@ -1,27 +1,55 @@
-import { memo, useState, useCallback } from 'react'
-import { formatDate, formatTime, isThisWeek, getPlayerCounts } from '../../utils/formatters'
+import { memo, useState, useCallback, useEffect, useRef } from 'react'
+import { formatDate, formatGameTime, isThisWeek, getPlayerCounts } from '../../utils/formatters'
 import HostInfo from './HostInfo'
 import ResponseButtons from './ResponseButtons'
 import PlayerList from './PlayerList'
+import SeatingPlan from './SeatingPlan'
+import ScoreResults from './ScoreResults'
+import { toDateKeyInZone } from '../../utils/timezones'
+import { toCalendarEvent, buildCalendar, downloadCalendar } from '../../utils/ics'
+import { canManageGame } from '../../utils/permissions'
 
 /**
  * GameCard - Displays a single game with host info, responses, and actions
  *
  * @param {Object} game - Game data object
- * @param {Object} groupInfo - Group info with time
+ * @param {Object} groupInfo - Group info with time zone
  * @param {string} currentUserId - Current user's ID
  * @param {Function} onRespond - Callback when user responds (gameId, status)
  * @param {Function} onVolunteerToHost - Callback when user volunteers to host
+ * @param {Function} onReleaseHost - Callback when the host steps down
+ * @param {boolean} canCancel - Whether the current user may cancel, restore or reschedule the game
+ * @param {Function} onToggleCancelled - Callback to cancel or restore (gameId, cancelled)
+ * @param {Function} onReschedule - Callback to move the game (gameId)
+ * @param {string|null} role - Current user's role in the group
+ * @param {Function} onSaveSeating - Callback to save seating (gameId, seating)
+ * @param {Function} onOpenScores - Callback to open the score sheet (gameId)
+ * @param {boolean} highlighted - Scroll to and outline the card (e.g., opened from a notification)
  */
 const GameCard = memo(({
   game,
   groupInfo,
   currentUserId,
   onRespond,
-  onVolunteerToHost
+  onVolunteerToHost,
+  onReleaseHost,
+  canCancel = false,
+  onToggleCancelled,
+  onReschedule,
+  role = null,
+  onSaveSeating,
+  onOpenScores,
+  highlighted = false
 }) => {
   const [expanded, setExpanded] = useState(false)
-  const playerCounts = getPlayerCounts(game.responses)
+  const cardRef = useRef(null)
+
+  useEffect(() => {
+    if (highlighted) {
+      cardRef.current?.scrollIntoView({ behavior: 'smooth', block: 'center' })
+    }
+  }, [highlighted])
+  const playerCounts = getPlayerCounts(game.responses, game.capacity)
 
   const toggleExpanded = useCallback(() => {
     setExpanded(prev => !prev)
@@ -35,23 +63,92 @@ const GameCard = memo(({
     onVolunteerToHost(game.id)
   }, [game.id, onVolunteerToHost])
 
+  const handleReleaseHost = useCallback(() => {
+    onReleaseHost?.(game.id)
+  }, [game.id, onReleaseHost])
+
+  const handleOpenScores = useCallback(() => {
+    onOpenScores?.(game.id)
+  }, [game.id, onOpenScores])
+
+  const handleToggleCancelled = useCallback(() => {
+    onToggleCancelled?.(game.id, !game.cancelled)
+  }, [game.id, game.cancelled, onToggleCancelled])
+
+  const handleReschedule = useCallback(() => {
+    onReschedule?.(game.id)
+  }, [game.id, onReschedule])
+
+  const handleAddToCalendar = useCallback(() => {
+    const groupUrl = `${window.location.origin}/group/${groupInfo.id}`
+    downloadCalendar(`mahjong-${game.dateKey}.ics`, buildCalendar([toCalendarEvent(game, groupInfo, groupUrl)]))
+  }, [game, groupInfo])
+
+  const isHost = !!game.host && game.host.id === currentUserId
+  const canEditSeating = !!onSaveSeating && canManageGame(role, isHost)
+  const isCompleted = game.dateKey <= toDateKeyInZone(new Date(), groupInfo.timeZone)
+
   return (
-    <div className="bg-white rounded-2xl shadow-md overflow-hidden">
+    <div
+      ref={cardRef}
+      className={`bg-white rounded-2xl shadow-md overflow-hidden ${game.cancelled ? 'opacity-75' : ''} ${
+        highlighted ? 'ring-4 ring-pink-300' : ''
+      }`}
+    >
       <div className="p-5">
         {/* Date and Time Header */}
         <div className="flex items-center justify-between mb-4">
-          <h3 className="text-lg font-bold text-gray-800">
-            {formatDate(game.date)} • {formatTime(groupInfo.time)}
+          <h3 className={`text-lg font-bold ${game.cancelled ? 'text-gray-500 line-through' : 'text-gray-800'}`}>
+            {formatDate(game.startsAt)} • {formatGameTime(game.startsAt, groupInfo.timeZone)}
           </h3>
-          {isThisWeek(game.date) && (
+          {game.cancelled ? (
+            <span className="bg-gray-100 text-gray-600 text-xs font-bold px-3 py-1 rounded-full">
+              Cancelled
+            </span>
+          ) : game.rescheduled ? (
+            <span className="bg-amber-100 text-amber-700 text-xs font-bold px-3 py-1 rounded-full">
+              Rescheduled
+            </span>
+          ) : game.adhoc ? (
+            <span className="bg-purple-100 text-purple-700 text-xs font-bold px-3 py-1 rounded-full">
+              One-off
+            </span>
+          ) : isThisWeek(game.startsAt) && (
             <span className="bg-pink-100 text-pink-700 text-xs font-bold px-3 py-1 rounded-full">
               This week
             </span>
           )}
         </div>
 
+        {/* One-off Proposer */}
+        {game.adhoc && (
+          <p className="text-sm text-gray-600 mb-3 flex items-center gap-2">
+            <span>✨</span>
+            {game.proposedBy.id === currentUserId ? 'You proposed this game' : `Proposed by ${game.proposedBy.name}`}
+          </p>
+        )}
+
+        {/* Cancelled State */}
+        {game.cancelled && (
+          <p className="text-gray-600 text-sm">
+            {game.cancelReason ? `Cancelled: ${game.cancelReason}` : 'No game this week.'}
+          </p>
+        )}
+
+        {/* Occurrence Changes */}
+        {!game.cancelled && (game.rescheduled || game.venue) && (
+          <div className="text-sm text-amber-700 bg-amber-50 px-3 py-2 rounded-lg mb-4 space-y-1">
+            {game.rescheduled && (
+              <p>
+                Moved from {formatDate(game.scheduledStartsAt)} • {formatGameTime(game.scheduledStartsAt, groupInfo.timeZone)}
+              </p>
+            )}
+            {game.venue && <p>📍 Playing at {game.venue}</p>}
+          </div>
+        )}
+
         {/* No Host State */}
-        {!game.host && (
+        {!game.cancelled && !game.host && (
           <div className="space-y-3">
             <p className="text-gray-600 flex items-center gap-2">
               <span className="text-xl">🏠</span>
@@ -67,9 +164,17 @@ const GameCard = memo(({
         )}
 
         {/* Has Host State */}
-        {game.host && (
+        {!game.cancelled && game.host && (
           <div className="space-y-4">
             <HostInfo host={game.host} />
+            {isHost && onReleaseHost && (
+              <button
+                onClick={handleReleaseHost}
+                className="w-full text-sm text-gray-500 hover:text-gray-700 font-semibold py-2 min-h-[44px]"
+              >
+                I can't host anymore
+              </button>
+            )}
 
             {/* Player Count */}
             <div>
@@ -91,10 +196,23 @@ const GameCard = memo(({
               )}
             </div>
 
+            {/* Results */}
+            {game.scores && <ScoreResults scores={game.scores} />}
+            {isCompleted && onOpenScores && (game.scores || canManageGame(role, isHost)) && (
+              <button
+                onClick={handleOpenScores}
+                className="w-full text-sm text-pink-600 hover:text-pink-700 font-semibold py-2 min-h-[44px]"
+              >
+                {canManageGame(role, isHost) ? 'Enter scores' : 'View score sheet'}
+              </button>
+            )}
+
             {/* Response Buttons */}
             <ResponseButtons
               currentResponse={game.userResponse}
               onRespond={handleRespond}
+              isFull={game.capacity !== null && playerCounts.going >= game.capacity}
+              waitlistPosition={game.userWaitlistPosition}
             />
 
             {/* View Details Toggle */}
@@ -114,14 +232,49 @@ const GameCard = memo(({
               </svg>
             </button>
 
-            {/* Expanded Player List */}
+            {/* Expanded Player List and Seating */}
             {expanded && (
-              <div className="border-t pt-4">
-                <PlayerList responses={game.responses} />
+              <div className="border-t pt-4 space-y-4">
+                <PlayerList responses={game.responses} capacity={game.capacity} />
+                <SeatingPlan
+                  game={game}
+                  canEdit={canEditSeating}
+                  onSave={onSaveSeating}
+                />
               </div>
             )}
           </div>
         )}
+
+        {/* Calendar Download */}
+        {!game.cancelled && (
+          <button
+            onClick={handleAddToCalendar}
+            className="w-full text-sm text-pink-600 hover:text-pink-700 font-semibold py-2 mt-2 flex items-center justify-center gap-1 min-h-[44px]"
+          >
+            <span>📅</span> Add to calendar
+          </button>
+        )}
+
+        {/* Organizer Actions */}
+        {canCancel && onToggleCancelled && (
+          <div className="flex gap-2 mt-2">
+            {!game.cancelled && onReschedule && (
+              <button
+                onClick={handleReschedule}
+                className="flex-1 text-sm text-gray-500 hover:text-gray-700 font-semibold py-2 min-h-[44px]"
+              >
+                Reschedule
+              </button>
+            )}
+            <button
+              onClick={handleToggleCancelled}
+              className="flex-1 text-sm text-gray-500 hover:text-gray-700 font-semibold py-2 min-h-[44px]"
+            >
+              {game.cancelled ? 'Restore this game' : 'Cancel or skip'}
+            </button>
+          </div>
+        )}
       </div>
     </div>
   )
@@ -0,0 +1,45 @@
+import { memo } from 'react'
+
+/**
+ * Icons for each kind of game change
+ */
+const TYPE_ICONS = {
+  game_cancelled: '🚫',
+  game_restored: '✅',
+  game_rescheduled: '📅'
+}
+
+/**
+ * GameUpdates - Unread changes to games the user is going to
+ *
+ * @param {Array} notifications - Unread notifications from useNotifications
+ * @param {Function} onDismiss - Callback to mark one as read (notificationId)
+ */
+const GameUpdates = memo(({ notifications, onDismiss }) => {
+  if (notifications.length === 0) return null
+
+  return (
+    <div className="bg-white rounded-2xl shadow-md p-4 space-y-2" aria-live="polite">
+      <h2 className="text-sm font-bold text-gray-500 tracking-wider">UPDATES</h2>
+      {notifications.map(notification => (
+        <div key={notification.id} className="flex items-start gap-3 bg-amber-50 rounded-lg px-3 py-2">
+          <span className="text-lg" aria-hidden="true">{TYPE_ICONS[notification.type] || '🔔'}</span>
+          <p className="flex-1 text-sm text-gray-800 py-1">{notification.message}</p>
+          <button
+            onClick={() => onDismiss(notification.id)}
+            className="text-gray-400 hover:text-gray-600 p-2 -m-1 min-w-[44px] min-h-[44px] flex items-center justify-center flex-shrink-0"
+            aria-label="Dismiss update"
+          >
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+      ))}
+    </div>
+  )
+})
+
+GameUpdates.displayName = 'GameUpdates'
+
+export default GameUpdates
@@ -1,14 +1,19 @@
 import { memo, useCallback, useState } from 'react'
-import { formatTime } from '../../utils/formatters'
+import { formatSchedule } from '../../utils/formatters'
+import { ROLE_LABELS, canEditSettings } from '../../utils/permissions'
 import { useToast } from '../common/Toast'
 
 /**
  * GroupHeader - Sticky header with group info and share button
  *
  * @param {Object} groupInfo - Group information object
+ * @param {string} role - Current user's role in the group
  * @param {Function} onSettingsClick - Callback for settings button
+ * @param {Function} onStatsClick - Callback for the leaderboard button
+ * @param {Function} onDigestClick - Callback for the weekly digest button
+ * @param {Function} onMyGroupsClick - Callback for the button back to all groups
  */
-const GroupHeader = memo(({ groupInfo, onSettingsClick }) => {
+const GroupHeader = memo(({ groupInfo, role, onSettingsClick, onStatsClick, onDigestClick, onMyGroupsClick }) => {
   const toast = useToast()
   const [sharing, setSharing] = useState(false)
 
@@ -60,25 +65,65 @@ const GroupHeader = memo(({ groupInfo, onSettingsClick }) => {
     <div className="bg-white shadow-md sticky top-0 z-10">
       <div className="max-w-2xl mx-auto px-4 py-4">
         <div className="flex items-center justify-between mb-2">
-          <div className="flex items-center gap-2">
+          <div className="flex items-center gap-2 min-w-0">
+            {onMyGroupsClick && (
+              <button
+                onClick={onMyGroupsClick}
+                className="text-gray-600 hover:text-gray-800 p-2 -ml-2 min-w-[44px] min-h-[44px] flex items-center justify-center flex-shrink-0"
+                aria-label="My groups"
+              >
+                <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+                </svg>
+              </button>
+            )}
             <span className="text-2xl">🀄</span>
             <h1 className="text-xl font-bold text-gray-800 truncate">
               {groupInfo.name || groupInfo.group_name}
             </h1>
+            {canEditSettings(role) && (
+              <span className="bg-pink-100 text-pink-700 text-xs font-bold px-2 py-0.5 rounded-full flex-shrink-0">
+                {ROLE_LABELS[role]}
+              </span>
+            )}
+          </div>
+          <div className="flex items-center flex-shrink-0">
+            {onDigestClick && (
+              <button
+                onClick={onDigestClick}
+                className="text-gray-600 hover:text-gray-800 p-2 min-w-[44px] min-h-[44px] flex items-center justify-center"
+                aria-label="Weekly digest"
+              >
+                <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 20H5a2 2 0 01-2-2V6a2 2 0 012-2h10a2 2 0 012 2v1m2 13a2 2 0 01-2-2V7m2 13a2 2 0 002-2V9a2 2 0 00-2-2h-2m-4-3H9M7 16h6M7 8h6v4H7V8z" />
+                </svg>
+              </button>
+            )}
+            {onStatsClick && (
+              <button
+                onClick={onStatsClick}
+                className="text-gray-600 hover:text-gray-800 p-2 min-w-[44px] min-h-[44px] flex items-center justify-center"
+                aria-label="Leaderboard and stats"
+              >
+                <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z" />
+                </svg>
+              </button>
+            )}
+            <button
+              onClick={handleSettingsClick}
+              className="text-gray-600 hover:text-gray-800 p-2 min-w-[44px] min-h-[44px] flex items-center justify-center"
+              aria-label={canEditSettings(role) ? 'Group settings' : 'Group info'}
+            >
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10.325 4.317c.426-1.756 2.924-1.756 3.35 0a1.724 1.724 0 002.573 1.066c1.543-.94 3.31.826 2.37 2.37a1.724 1.724 0 001.065 2.572c1.756.426 1.756 2.924 0 3.35a1.724 1.724 0 00-1.066 2.573c.94 1.543-.826 3.31-2.37 2.37a1.724 1.724 0 00-2.572 1.065c-.426 1.756-2.924 1.756-3.35 0a1.724 1.724 0 00-2.573-1.066c-1.543.94-3.31-.826-2.37-2.37a1.724 1.724 0 00-1.065-2.572c-1.756-.426-1.756-2.924 0-3.35a1.724 1.724 0 001.066-2.573c-.94-1.543.826-3.31 2.37-2.37.996.608 2.296.07 2.572-1.065z" />
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
+              </svg>
+            </button>
           </div>
-          <button
-            onClick={handleSettingsClick}
-            className="text-gray-600 hover:text-gray-800 p-2 min-w-[44px] min-h-[44px] flex items-center justify-center"
-            aria-label="Group settings"
-          >
-            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10.325 4.317c.426-1.756 2.924-1.756 3.35 0a1.724 1.724 0 002.573 1.066c1.543-.94 3.31.826 2.37 2.37a1.724 1.724 0 001.065 2.572c1.756.426 1.756 2.924 0 3.35a1.724 1.724 0 00-1.066 2.573c.94 1.543-.826 3.31-2.37 2.37a1.724 1.724 0 00-2.572 1.065c-.426 1.756-2.924 1.756-3.35 0a1.724 1.724 0 00-2.573-1.066c-1.543.94-3.31-.826-2.37-2.37a1.724 1.724 0 00-1.065-2.572c-1.756-.426-1.756-2.924 0-3.35a1.724 1.724 0 001.066-2.573c-.94-1.543.826-3.31 2.37-2.37.996.608 2.296.07 2.572-1.065z" />
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
-            </svg>
-          </button>
         </div>
         <p className="text-sm text-gray-600 mb-3">
-          {groupInfo.dayOfWeek || groupInfo.day_of_week}s at {formatTime(groupInfo.time)}
+          {formatSchedule(groupInfo.recurrence, groupInfo.time, groupInfo.timeZone)}
         </p>
         <button
           onClick={handleShareInvite}
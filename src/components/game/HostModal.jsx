@@ -0,0 +1,164 @@
+import { memo, useState, useCallback } from 'react'
+import { formatDateFull } from '../../utils/formatters'
+import { TABLE_SIZE } from '../../utils/seating'
+import { MAX_TABLES_LIMIT } from '../../utils/groups'
+import { Card, ErrorMessage, Button } from '../common'
+
+/**
+ * HostModal - Lets a member volunteer to host a game
+ * Offers the address saved on their profile or a one-off override, and asks
+ * how many tables they have room for (which caps attendance)
+ *
+ * @param {Object} game - Game being claimed
+ * @param {string} savedAddress - Address from the user's profile
+ * @param {number} defaultTables - Group's usual table count
+ * @param {Function} onConfirm - Callback with the chosen address and table count
+ * @param {Function} onClose - Callback to close the modal
+ * @param {boolean} loading - Whether the claim is in progress
+ * @param {string} error - Error message to display
+ */
+const HostModal = memo(({
+  game,
+  savedAddress,
+  defaultTables = 1,
+  onConfirm,
+  onClose,
+  loading = false,
+  error = ''
+}) => {
+  const [useSaved, setUseSaved] = useState(!!savedAddress)
+  const [tables, setTables] = useState(defaultTables)
+  const [customAddress, setCustomAddress] = useState('')
+  const [localError, setLocalError] = useState('')
+
+  const handleCustomAddressChange = useCallback((e) => {
+    setCustomAddress(e.target.value)
+    if (localError) setLocalError('')
+  }, [localError])
+
+  const handleConfirm = useCallback(() => {
+    const address = useSaved ? savedAddress : customAddress.trim()
+
+    if (!address) {
+      setLocalError('Please enter the address where you will host')
+      return
+    }
+
+    onConfirm(address, tables)
+  }, [useSaved, savedAddress, customAddress, tables, onConfirm])
+
+  const displayError = localError || error
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50"
+      onClick={loading ? undefined : onClose}
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="host-modal-title"
+    >
+      <div onClick={(e) => e.stopPropagation()} className="w-full max-w-md">
+        <Card>
+          <h2 id="host-modal-title" className="text-xl font-bold text-gray-800 mb-1">
+            Host This Game
+          </h2>
+          <p className="text-sm text-gray-600 mb-4">
+            {formatDateFull(game.startsAt)}
+          </p>
+
+          {displayError && (
+            <div className="mb-4">
+              <ErrorMessage message={displayError} />
+            </div>
+          )}
+
+          <div className="space-y-3">
+            {savedAddress && (
+              <label className="flex items-start gap-3 p-3 border-2 rounded-lg cursor-pointer transition-colors border-gray-300 has-[:checked]:border-pink-500">
+                <input
+                  type="radio"
+                  name="hostAddress"
+                  checked={useSaved}
+                  onChange={() => setUseSaved(true)}
+                  className="mt-1 accent-pink-500"
+                />
+                <span>
+                  <span className="block text-sm font-semibold text-gray-700">My saved address</span>
+                  <span className="block text-sm text-gray-600">{savedAddress}</span>
+                </span>
+              </label>
+            )}
+
+            <label className="flex items-start gap-3 p-3 border-2 rounded-lg cursor-pointer transition-colors border-gray-300 has-[:checked]:border-pink-500">
+              <input
+                type="radio"
+                name="hostAddress"
+                checked={!useSaved}
+                onChange={() => setUseSaved(false)}
+                className="mt-1 accent-pink-500"
+              />
+              <span className="flex-1">
+                <span className="block text-sm font-semibold text-gray-700 mb-2">
+                  {savedAddress ? 'A different address' : 'Address'}
+                </span>
+                <input
+                  type="text"
+                  value={customAddress}
+                  onChange={handleCustomAddressChange}
+                  onFocus={() => setUseSaved(false)}
+                  className="w-full px-4 py-3 border-2 border-gray-300 rounded-lg focus:border-pink-500 focus:outline-none transition-colors min-h-[44px]"
+                  placeholder="123 Main St, Apt 4B"
+                  autoComplete="street-address"
+                  maxLength={200}
+                />
+              </span>
+            </label>
+
+            <div>
+              <label htmlFor="hostTables" className="block text-sm font-semibold text-gray-700 mb-2">
+                Tables you have room for
+              </label>
+              <select
+                id="hostTables"
+                value={tables}
+                onChange={(e) => setTables(Number(e.target.value))}
+                className="w-full px-4 py-3 border-2 border-gray-300 rounded-lg focus:border-pink-500 focus:outline-none transition-colors min-h-[44px] bg-white"
+              >
+                {Array.from({ length: MAX_TABLES_LIMIT }, (_, i) => i + 1).map(count => (
+                  <option key={count} value={count}>
+                    {count} {count === 1 ? 'table' : 'tables'} ({count * TABLE_SIZE} players)
+                  </option>
+                ))}
+              </select>
+              <p className="text-xs text-gray-500 mt-1">
+                Anyone past the last seat joins the waitlist
+              </p>
+            </div>
+          </div>
+
+          <div className="flex gap-3 mt-6">
+            <Button
+              variant="secondary"
+              onClick={onClose}
+              disabled={loading}
+              className="flex-1"
+            >
+              Cancel
+            </Button>
+            <Button
+              onClick={handleConfirm}
+              loading={loading}
+              className="flex-1"
+            >
+              {loading ? 'Saving...' : "I'll Host"}
+            </Button>
+          </div>
+        </Card>
+      </div>
+    </div>
+  )
+})
+
+HostModal.displayName = 'HostModal'
+
+export default HostModal
@@ -0,0 +1,80 @@
+import { memo, useCallback } from 'react'
+import { formatDate, formatGameTime } from '../../utils/formatters'
+import { getSeatedPlayerIds } from '../../utils/waitlist'
+import { canManageGame } from '../../utils/permissions'
+import ScoreResults from './ScoreResults'
+
+/**
+ * PastGameCard - Read-only summary of a game that has already happened
+ *
+ * @param {Object} game - Game view object
+ * @param {Object} groupInfo - Group info with time zone
+ * @param {string} currentUserId - Current user's ID
+ * @param {string|null} role - Current user's role in the group
+ * @param {Function} onOpenScores - Callback to open the score sheet (gameId)
+ */
+const PastGameCard = memo(({ game, groupInfo, currentUserId, role = null, onOpenScores }) => {
+  const attendeeIds = getSeatedPlayerIds(game.responses)
+  const names = Object.fromEntries(game.responses.map(r => [r.userId, r.userName]))
+  const canScore = canManageGame(role, game.host?.id === currentUserId)
+
+  const handleOpenScores = useCallback(() => {
+    onOpenScores?.(game.id)
+  }, [game.id, onOpenScores])
+
+  return (
+    <div className={`bg-white rounded-2xl shadow-md p-5 ${game.cancelled ? 'opacity-75' : ''}`}>
+      <div className="flex items-center justify-between mb-3">
+        <h3 className={`text-lg font-bold ${game.cancelled ? 'text-gray-500 line-through' : 'text-gray-800'}`}>
+          {formatDate(game.startsAt)} • {formatGameTime(game.startsAt, groupInfo.timeZone)}
+        </h3>
+        {game.cancelled && (
+          <span className="bg-gray-100 text-gray-600 text-xs font-bold px-3 py-1 rounded-full">
+            Cancelled
+          </span>
+        )}
+      </div>
+
+      {game.cancelled && game.cancelReason && (
+        <p className="text-sm text-gray-600">{game.cancelReason}</p>
+      )}
+
+      {!game.cancelled && (
+        <div className="space-y-3">
+          <p className="text-sm text-gray-600 flex items-center gap-2">
+            <span>🏠</span>
+            {game.host ? `Hosted by ${game.host.name}` : 'No host'}
+          </p>
+
+          <p className="text-sm text-gray-600 flex items-start gap-2">
+            <span>👥</span>
+            <span>
+              {attendeeIds.length > 0
+                ? attendeeIds.map(id => names[id] || 'Player').join(', ')
+                : 'Nobody signed up'}
+            </span>
+          </p>
+
+          {game.scores && (
+            <div className="border-t pt-3">
+              <ScoreResults scores={game.scores} />
+            </div>
+          )}
+
+          {onOpenScores && (game.scores || (canScore && attendeeIds.length > 0)) && (
+            <button
+              onClick={handleOpenScores}
+              className="w-full text-sm text-pink-600 hover:text-pink-700 font-semibold py-2 min-h-[44px]"
+            >
+              {canScore ? (game.scores ? 'Edit scores' : 'Enter scores') : 'View score sheet'}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  )
+})
+
+PastGameCard.displayName = 'PastGameCard'
+
+export default PastGameCard
@@ -0,0 +1,86 @@
+import { memo, useEffect, useRef } from 'react'
+import { usePastGames } from '../../hooks/useHistory'
+import { ErrorMessage, Button, SkeletonGameCard, Spinner } from '../common'
+import PastGameCard from './PastGameCard'
+
+/**
+ * PastGames - Archive of a group's past games with infinite scroll
+ * Older pages load as the bottom of the list scrolls into view
+ *
+ * @param {Object} groupInfo - Normalized group info
+ * @param {string} currentUserId - Current user's ID
+ * @param {string|null} role - Current user's role in the group
+ * @param {Function} onOpenScores - Callback to open a game's score sheet
+ */
+const PastGames = memo(({ groupInfo, currentUserId, role, onOpenScores }) => {
+  const { games, loading, loadingMore, hasMore, error, loadMore } = usePastGames(groupInfo.id, {
+    maxTables: groupInfo.maxTables,
+    time: groupInfo.time,
+    timeZone: groupInfo.timeZone,
+    recurrence: groupInfo.recurrence
+  })
+  const sentinelRef = useRef(null)
+
+  useEffect(() => {
+    const sentinel = sentinelRef.current
+    if (!sentinel || !hasMore || typeof IntersectionObserver === 'undefined') return
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) {
+        loadMore()
+      }
+    }, { rootMargin: '200px' })
+
+    observer.observe(sentinel)
+    return () => observer.disconnect()
+  }, [hasMore, loadMore])
+
+  if (loading) {
+    return (
+      <div className="space-y-4">
+        <SkeletonGameCard />
+        <SkeletonGameCard />
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-4">
+      {error && <ErrorMessage message={error} />}
+
+      {games.map(game => (
+        <PastGameCard
+          key={game.id}
+          game={game}
+          groupInfo={groupInfo}
+          currentUserId={currentUserId}
+          role={role}
+          onOpenScores={onOpenScores}
+        />
+      ))}
+
+      {games.length === 0 && !error && (
+        <div className="text-center py-12">
+          <div className="text-5xl mb-4">🗂️</div>
+          <p className="text-gray-600">No past games yet</p>
+        </div>
+      )}
+
+      {hasMore && (
+        <div ref={sentinelRef} className="flex justify-center py-4">
+          {loadingMore ? (
+            <Spinner size="w-6 h-6" className="text-pink-500" />
+          ) : (
+            <Button variant="ghost" size="sm" onClick={loadMore}>
+              Load older games
+            </Button>
+          )}
+        </div>
+      )}
+    </div>
+  )
+})
+
+PastGames.displayName = 'PastGames'
+
+export default PastGames
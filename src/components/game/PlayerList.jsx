@@ -19,18 +19,30 @@ const STATUS_LABELS = {
  * PlayerList - Displays list of players with their response status
  *
  * @param {Array} responses - Array of response objects with userId, userName, status
+ * @param {number|null} capacity - Seats available, shown next to the player count
  */
-const PlayerList = memo(({ responses = [] }) => {
+const PlayerList = memo(({ responses = [], capacity = null }) => {
   // Sort by status: going first, then maybe, then not-going
   const sortedResponses = useMemo(() => {
     const order = { going: 0, maybe: 1, 'not-going': 2 }
-    return [...responses].sort((a, b) => {
-      const orderA = order[a.status] ?? 3
-      const orderB = order[b.status] ?? 3
-      return orderA - orderB
-    })
+    return responses
+      .filter(r => !r.waitlisted)
+      .sort((a, b) => {
+        const orderA = order[a.status] ?? 3
+        const orderB = order[b.status] ?? 3
+        return orderA - orderB
+      })
   }, [responses])
 
+  // Waitlisted players in the order they'll be promoted
+  const waitlist = useMemo(() => (
+    responses
+      .filter(r => r.waitlisted)
+      .sort((a, b) => a.waitlistPosition - b.waitlistPosition)
+  ), [responses])
+
+  const seatedCount = sortedResponses.filter(r => r.status === 'going').length
+
   if (responses.length === 0) {
     return (
       <p className="text-sm text-gray-500 text-center py-2">
@@ -42,7 +54,7 @@ const PlayerList = memo(({ responses = [] }) => {
   return (
     <div className="space-y-2">
       <p className="text-sm font-semibold text-gray-700 mb-3">
-        Players ({responses.length})
+        Players ({capacity !== null ? `${seatedCount}/${capacity} seats` : responses.length})
       </p>
       {sortedResponses.map((response) => (
         <div
@@ -61,6 +73,27 @@ const PlayerList = memo(({ responses = [] }) => {
           </span>
         </div>
       ))}
+
+      {waitlist.length > 0 && (
+        <div className="border-t pt-3 mt-3 space-y-2">
+          <p className="text-sm font-semibold text-gray-700">
+            Waitlist ({waitlist.length})
+          </p>
+          {waitlist.map((response) => (
+            <div
+              key={response.userId}
+              className="flex items-center justify-between py-1"
+            >
+              <span className="text-sm text-gray-800">
+                {response.userName}
+              </span>
+              <span className="text-xs font-semibold px-2 py-1 rounded bg-blue-100 text-blue-700">
+                #{response.waitlistPosition}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
     </div>
   )
 })
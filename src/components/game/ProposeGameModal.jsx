@@ -0,0 +1,190 @@
+import { memo, useState, useCallback } from 'react'
+import { toDateKeyInZone, differsFromViewer, getZoneAbbreviation } from '../../utils/timezones'
+import { TABLE_SIZE, SHORT_TABLE_SIZE } from '../../utils/seating'
+import { MAX_TABLES_LIMIT } from '../../utils/groups'
+import { Card, ErrorMessage, Button } from '../common'
+
+const INPUT_CLASS = 'w-full px-4 py-3 border-2 border-gray-300 rounded-lg focus:border-pink-500 focus:outline-none transition-colors min-h-[44px]'
+
+/**
+ * Seat counts offered for a one-off game
+ */
+const SEAT_OPTIONS = Array.from(
+  { length: MAX_TABLES_LIMIT * TABLE_SIZE - SHORT_TABLE_SIZE + 1 },
+  (_, i) => i + SHORT_TABLE_SIZE
+)
+
+/**
+ * ProposeGameModal - Lets a member propose a one-off game outside the
+ * group's regular schedule, optionally hosting it themselves
+ *
+ * @param {string} defaultTime - Group's regular start time
+ * @param {string} timeZone - Group's time zone, which the date and time are entered in
+ * @param {string} savedAddress - Address from the user's profile
+ * @param {Function} onConfirm - Callback with { date, time, seats, hostAddress }
+ * @param {Function} onClose - Callback to close the modal
+ * @param {boolean} loading - Whether the game is being created
+ * @param {string} error - Error message to display
+ */
+const ProposeGameModal = memo(({
+  defaultTime,
+  timeZone,
+  savedAddress,
+  onConfirm,
+  onClose,
+  loading = false,
+  error = ''
+}) => {
+  const [date, setDate] = useState('')
+  const [time, setTime] = useState(defaultTime || '19:00')
+  const [seats, setSeats] = useState(TABLE_SIZE)
+  const [hosting, setHosting] = useState(!!savedAddress)
+  const [address, setAddress] = useState(savedAddress || '')
+  const [localError, setLocalError] = useState('')
+
+  const today = toDateKeyInZone(new Date(), timeZone)
+  const now = new Date()
+  const zoneLabel = differsFromViewer(now, timeZone) ? ` (${getZoneAbbreviation(now, timeZone)})` : ''
+
+  const handleConfirm = useCallback(() => {
+    if (!date || date < today) {
+      setLocalError('Please choose a date from today onwards')
+      return
+    }
+
+    if (!/^\d{2}:\d{2}$/.test(time)) {
+      setLocalError('Please choose a start time')
+      return
+    }
+
+    if (hosting && !address.trim()) {
+      setLocalError('Please enter the address where you will host')
+      return
+    }
+
+    onConfirm({ date, time, seats, hostAddress: hosting ? address.trim() : null })
+  }, [date, time, seats, hosting, address, today, onConfirm])
+
+  const displayError = localError || error
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50"
+      onClick={loading ? undefined : onClose}
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="propose-modal-title"
+    >
+      <div onClick={(e) => e.stopPropagation()} className="w-full max-w-md">
+        <Card>
+          <h2 id="propose-modal-title" className="text-xl font-bold text-gray-800 mb-1">
+            Propose a Game
+          </h2>
+          <p className="text-sm text-gray-600 mb-4">
+            A one-off game outside the regular schedule
+          </p>
+
+          {displayError && (
+            <div className="mb-4">
+              <ErrorMessage message={displayError} />
+            </div>
+          )}
+
+          <div className="space-y-3">
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label htmlFor="proposeDate" className="block text-sm font-semibold text-gray-700 mb-2">
+                  Date
+                </label>
+                <input
+                  type="date"
+                  id="proposeDate"
+                  value={date}
+                  min={today}
+                  onChange={(e) => { setDate(e.target.value); setLocalError('') }}
+                  className={INPUT_CLASS}
+                />
+              </div>
+              <div>
+                <label htmlFor="proposeTime" className="block text-sm font-semibold text-gray-700 mb-2">
+                  Start Time{zoneLabel}
+                </label>
+                <input
+                  type="time"
+                  id="proposeTime"
+                  value={time}
+                  onChange={(e) => { setTime(e.target.value); setLocalError('') }}
+                  className={INPUT_CLASS}
+                />
+              </div>
+            </div>
+
+            <div>
+              <label htmlFor="proposeSeats" className="block text-sm font-semibold text-gray-700 mb-2">
+                Seats
+              </label>
+              <select
+                id="proposeSeats"
+                value={seats}
+                onChange={(e) => setSeats(Number(e.target.value))}
+                className={`${INPUT_CLASS} bg-white`}
+              >
+                {SEAT_OPTIONS.map(count => (
+                  <option key={count} value={count}>{count} players</option>
+                ))}
+              </select>
+              <p className="text-xs text-gray-500 mt-1">
+                Anyone past the last seat joins the waitlist
+              </p>
+            </div>
+
+            <label className="flex items-center gap-3 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={hosting}
+                onChange={(e) => { setHosting(e.target.checked); setLocalError('') }}
+                className="w-5 h-5 accent-pink-500"
+              />
+              <span className="text-sm font-semibold text-gray-700">I'll host</span>
+            </label>
+
+            {hosting && (
+              <input
+                type="text"
+                value={address}
+                onChange={(e) => { setAddress(e.target.value); setLocalError('') }}
+                className={INPUT_CLASS}
+                placeholder="123 Main St, Apt 4B"
+                autoComplete="street-address"
+                aria-label="Host address"
+                maxLength={200}
+              />
+            )}
+          </div>
+
+          <div className="flex gap-3 mt-6">
+            <Button
+              variant="secondary"
+              onClick={onClose}
+              disabled={loading}
+              className="flex-1"
+            >
+              Cancel
+            </Button>
+            <Button
+              onClick={handleConfirm}
+              loading={loading}
+              className="flex-1"
+            >
+              {loading ? 'Saving...' : 'Propose Game'}
+            </Button>
+          </div>
+        </Card>
+      </div>
+    </div>
+  )
+})
+
+ProposeGameModal.displayName = 'ProposeGameModal'
+
+export default ProposeGameModal
@@ -0,0 +1,165 @@
+import { memo, useState, useCallback } from 'react'
+import { formatDateFull, formatGameTime } from '../../utils/formatters'
+import { toDateKeyInZone, differsFromViewer, getZoneAbbreviation } from '../../utils/timezones'
+import { Card, ErrorMessage, Button } from '../common'
+
+const INPUT_CLASS = 'w-full px-4 py-3 border-2 border-gray-300 rounded-lg focus:border-pink-500 focus:outline-none transition-colors min-h-[44px]'
+
+/**
+ * RescheduleModal - Moves a single game to another date, time or venue
+ * Only the chosen occurrence changes; the group's schedule stays the same
+ *
+ * @param {Object} game - Game being moved
+ * @param {string} defaultTime - Group's regular start time
+ * @param {string} timeZone - Group's time zone, which the date and time are entered in
+ * @param {Function} onConfirm - Callback with { date, time, venue } (null for unchanged)
+ * @param {Function} onClose - Callback to close the modal
+ * @param {boolean} loading - Whether the update is in progress
+ * @param {string} error - Error message to display
+ */
+const RescheduleModal = memo(({ game, defaultTime, timeZone, onConfirm, onClose, loading = false, error = '' }) => {
+  const regularTime = game.scheduledTime || defaultTime
+  const [date, setDate] = useState(game.dateKey)
+  const [time, setTime] = useState(game.time || regularTime)
+  const [venue, setVenue] = useState(game.venue || '')
+  const [localError, setLocalError] = useState('')
+
+  const today = toDateKeyInZone(new Date(), timeZone)
+  const now = new Date()
+  const zoneLabel = differsFromViewer(now, timeZone) ? ` (${getZoneAbbreviation(now, timeZone)})` : ''
+
+  const handleConfirm = useCallback(() => {
+    if (!date || date < today) {
+      setLocalError('Please choose a date from today onwards')
+      return
+    }
+
+    if (!/^\d{2}:\d{2}$/.test(time)) {
+      setLocalError('Please choose a start time')
+      return
+    }
+
+    onConfirm({
+      date: date !== game.scheduledDateKey ? date : null,
+      time: time !== regularTime ? time : null,
+      venue: venue.trim() || null
+    })
+  }, [date, time, venue, today, game.scheduledDateKey, regularTime, onConfirm])
+
+  const handleReset = useCallback(() => {
+    onConfirm({ date: null, time: null, venue: null })
+  }, [onConfirm])
+
+  const displayError = localError || error
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50"
+      onClick={loading ? undefined : onClose}
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="reschedule-modal-title"
+    >
+      <div onClick={(e) => e.stopPropagation()} className="w-full max-w-md">
+        <Card>
+          <h2 id="reschedule-modal-title" className="text-xl font-bold text-gray-800 mb-1">
+            Reschedule This Game
+          </h2>
+          <p className="text-sm text-gray-600 mb-4">
+            Usually {formatDateFull(game.scheduledStartsAt)} at {formatGameTime(game.scheduledStartsAt, timeZone)}
+          </p>
+
+          {displayError && (
+            <div className="mb-4">
+              <ErrorMessage message={displayError} />
+            </div>
+          )}
+
+          <div className="space-y-3">
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label htmlFor="rescheduleDate" className="block text-sm font-semibold text-gray-700 mb-2">
+                  Date
+                </label>
+                <input
+                  type="date"
+                  id="rescheduleDate"
+                  value={date}
+                  min={today}
+                  onChange={(e) => { setDate(e.target.value); setLocalError('') }}
+                  className={INPUT_CLASS}
+                />
+              </div>
+              <div>
+                <label htmlFor="rescheduleTime" className="block text-sm font-semibold text-gray-700 mb-2">
+                  Start Time{zoneLabel}
+                </label>
+                <input
+                  type="time"
+                  id="rescheduleTime"
+                  value={time}
+                  onChange={(e) => { setTime(e.target.value); setLocalError('') }}
+                  className={INPUT_CLASS}
+                />
+              </div>
+            </div>
+
+            <div>
+              <label htmlFor="rescheduleVenue" className="block text-sm font-semibold text-gray-700 mb-2">
+                Venue <span className="text-gray-400 font-normal">(optional)</span>
+              </label>
+              <input
+                type="text"
+                id="rescheduleVenue"
+                value={venue}
+                onChange={(e) => setVenue(e.target.value)}
+                className={INPUT_CLASS}
+                placeholder="Leave blank to play at the host's"
+                maxLength={200}
+              />
+            </div>
+
+            <p className="text-xs text-gray-500">
+              Players who are going will be notified of the change
+            </p>
+          </div>
+
+          <div className="flex gap-3 mt-6">
+            <Button
+              variant="secondary"
+              onClick={onClose}
+              disabled={loading}
+              className="flex-1"
+            >
+              Cancel
+            </Button>
+            <Button
+              onClick={handleConfirm}
+              loading={loading}
+              className="flex-1"
+            >
+              {loading ? 'Saving...' : 'Save Changes'}
+            </Button>
+          </div>
+
+          {(game.rescheduled || game.venue) && (
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={handleReset}
+              disabled={loading}
+              fullWidth
+              className="mt-3"
+            >
+              Back to the usual time and place
+            </Button>
+          )}
+        </Card>
+      </div>
+    </div>
+  )
+})
+
+RescheduleModal.displayName = 'RescheduleModal'
+
+export default RescheduleModal
@@ -27,14 +27,27 @@ const RESPONSES = [
   }
 ]
 
+/**
+ * Active style for a "going" response that is waiting for a seat
+ */
+const WAITLIST_ACTIVE_CLASS = 'bg-blue-500 text-white'
+
 /**
  * ResponseButtons - Three-way toggle for game attendance
  *
  * @param {string} currentResponse - Current user's response status
  * @param {Function} onRespond - Callback when response changes
  * @param {boolean} disabled - Whether buttons are disabled
+ * @param {boolean} isFull - Whether every seat is taken
+ * @param {number|null} waitlistPosition - Current user's place on the waitlist
  */
-const ResponseButtons = memo(({ currentResponse, onRespond, disabled = false }) => {
+const ResponseButtons = memo(({
+  currentResponse,
+  onRespond,
+  disabled = false,
+  isFull = false,
+  waitlistPosition = null
+}) => {
   const handleClick = useCallback((status) => {
     if (!disabled) {
       onRespond(status)
@@ -45,6 +58,7 @@ const ResponseButtons = memo(({ currentResponse, onRespond, disabled = false })
     <div className="grid grid-cols-3 gap-2">
       {RESPONSES.map(({ status, label, activeLabel, activeClass, inactiveClass }) => {
         const isActive = currentResponse === status
+        const isWaitlist = status === 'going' && (isActive ? waitlistPosition !== null : isFull)
 
         return (
           <button
@@ -52,11 +66,13 @@ const ResponseButtons = memo(({ currentResponse, onRespond, disabled = false })
             onClick={() => handleClick(status)}
             disabled={disabled}
             className={`py-3 px-4 rounded-lg font-semibold transition duration-200 min-h-[44px] ${
-              isActive ? activeClass : inactiveClass
+              isActive ? (isWaitlist ? WAITLIST_ACTIVE_CLASS : activeClass) : inactiveClass
             } ${disabled ? 'opacity-50 cursor-not-allowed' : ''}`}
             aria-pressed={isActive}
           >
-            {isActive ? activeLabel : label}
+            {isWaitlist
+              ? (isActive ? `⏳ Waitlist #${waitlistPosition}` : 'Join waitlist')
+              : (isActive ? activeLabel : label)}
           </button>
         )
       })}
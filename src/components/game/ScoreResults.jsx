@@ -0,0 +1,46 @@
+import { memo, useMemo } from 'react'
+import { SCORING_MODE_LABELS, getPlayerTotals, countHands } from '../../utils/scoring'
+
+/**
+ * ScoreResults - Final standings for a scored game
+ *
+ * @param {Object} scores - Scores from fromScoresDoc
+ */
+const ScoreResults = memo(({ scores }) => {
+  const standings = useMemo(() => getPlayerTotals(scores), [scores])
+  const handCount = countHands(scores)
+
+  if (handCount === 0) return null
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between">
+        <p className="text-sm font-semibold text-gray-700">Results</p>
+        <span className="text-xs text-gray-500">
+          {SCORING_MODE_LABELS[scores.mode]} • {handCount} {handCount === 1 ? 'hand' : 'hands'}
+        </span>
+      </div>
+      {standings.map((player, index) => (
+        <div key={player.userId} className="flex items-center justify-between py-1">
+          <span className="text-sm text-gray-800">
+            {index === 0 && player.total > 0 && '🏆 '}{player.name}
+            <span className="text-xs text-gray-500 ml-2">
+              {player.handsWon} {player.handsWon === 1 ? 'win' : 'wins'}
+            </span>
+          </span>
+          <span
+            className={`text-sm font-bold ${
+              player.total > 0 ? 'text-green-700' : player.total < 0 ? 'text-red-600' : 'text-gray-600'
+            }`}
+          >
+            {player.total > 0 ? `+${player.total}` : player.total}
+          </span>
+        </div>
+      ))}
+    </div>
+  )
+})
+
+ScoreResults.displayName = 'ScoreResults'
+
+export default ScoreResults
@@ -0,0 +1,245 @@
+import { memo, useState, useMemo, useCallback } from 'react'
+import {
+  SCORING_MODES,
+  HK_MIN_FAAN,
+  getRunningTotals
+} from '../../utils/scoring'
+import { Card, Button } from '../common'
+
+const INPUT_CLASS = 'w-full px-3 py-2 border-2 border-gray-300 rounded-lg focus:border-pink-500 focus:outline-none transition-colors min-h-[44px] bg-white'
+
+/**
+ * Select values for "no winner" and "no discarder"
+ */
+const WALL_GAME = ''
+const SELF_DRAWN = ''
+
+/**
+ * Formats a point change with an explicit sign
+ * @param {number} points - Points
+ * @returns {string} Signed points (e.g., "+50")
+ */
+const formatPoints = (points) => (points > 0 ? `+${points}` : `${points}`)
+
+/**
+ * ScoreTable - Hand-by-hand score sheet for one table
+ * Shows running totals after every hand; the host and admins can record
+ * new hands and undo the latest one
+ *
+ * @param {Object} table - Table with players and hands
+ * @param {number} index - Table position (0-based)
+ * @param {string} mode - Scoring mode
+ * @param {Object} names - Map of player ID to display name
+ * @param {boolean} canEdit - Whether the current user can record hands
+ * @param {Function} onAddHand - Callback (tableIndex, hand)
+ * @param {Function} onUndoHand - Callback (tableIndex)
+ * @param {boolean} saving - Whether a change is being saved
+ */
+const ScoreTable = memo(({
+  table,
+  index,
+  mode,
+  names,
+  canEdit = false,
+  onAddHand,
+  onUndoHand,
+  saving = false
+}) => {
+  const [winner, setWinner] = useState(WALL_GAME)
+  const [discarder, setDiscarder] = useState(SELF_DRAWN)
+  const [value, setValue] = useState('')
+  const [jokerless, setJokerless] = useState(false)
+  const [error, setError] = useState('')
+
+  const isHK = mode === SCORING_MODES.HK
+  const runningTotals = useMemo(() => getRunningTotals(mode, table), [mode, table])
+  const finalTotals = runningTotals[runningTotals.length - 1]
+
+  const handleWinnerChange = useCallback((e) => {
+    setWinner(e.target.value)
+    setDiscarder(SELF_DRAWN)
+    setError('')
+  }, [])
+
+  const handleAdd = useCallback((e) => {
+    e.preventDefault()
+
+    const points = Number(value)
+    if (winner !== WALL_GAME) {
+      if (value === '' || !Number.isInteger(points) || points <= 0) {
+        setError(isHK ? 'Enter the faan for this hand' : 'Enter the hand value from the card')
+        return
+      }
+      if (isHK && points < HK_MIN_FAAN) {
+        setError(`Hong Kong hands need at least ${HK_MIN_FAAN} faan`)
+        return
+      }
+    }
+
+    onAddHand(index, {
+      winner: winner || null,
+      discarder: winner ? discarder || null : null,
+      value: winner ? points : 0,
+      jokerless: !isHK && !!winner && jokerless
+    })
+
+    setWinner(WALL_GAME)
+    setDiscarder(SELF_DRAWN)
+    setValue('')
+    setJokerless(false)
+    setError('')
+  }, [value, winner, discarder, jokerless, isHK, index, onAddHand])
+
+  const handleUndo = useCallback(() => {
+    if (window.confirm('Remove the last hand at this table?')) {
+      onUndoHand(index)
+    }
+  }, [index, onUndoHand])
+
+  const nameOf = (id) => names[id] || 'Player'
+
+  return (
+    <Card className="!p-5">
+      <h2 className="text-lg font-bold text-gray-800 mb-3">Table {index + 1}</h2>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500">
+              <th className="py-2 pr-2 font-semibold">#</th>
+              {table.players.map(id => (
+                <th key={id} className="py-2 px-2 font-semibold text-right truncate max-w-[6rem]">
+                  {nameOf(id)}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {table.hands.map((hand, handIndex) => (
+              <tr key={handIndex} className="border-t border-gray-100">
+                <td className="py-2 pr-2 text-gray-500">{handIndex + 1}</td>
+                {table.players.map(id => (
+                  <td
+                    key={id}
+                    className={`py-2 px-2 text-right ${
+                      hand.winner === id ? 'font-bold text-green-700' : 'text-gray-800'
+                    }`}
+                  >
+                    {runningTotals[handIndex][id]}
+                  </td>
+                ))}
+              </tr>
+            ))}
+            {table.hands.length === 0 && (
+              <tr>
+                <td colSpan={table.players.length + 1} className="py-3 text-center text-gray-500">
+                  No hands recorded yet
+                </td>
+              </tr>
+            )}
+          </tbody>
+          {finalTotals && (
+            <tfoot>
+              <tr className="border-t-2 border-gray-300">
+                <td className="py-2 pr-2 font-bold text-gray-700">Total</td>
+                {table.players.map(id => (
+                  <td key={id} className="py-2 px-2 text-right font-bold text-gray-800">
+                    {formatPoints(finalTotals[id])}
+                  </td>
+                ))}
+              </tr>
+            </tfoot>
+          )}
+        </table>
+      </div>
+
+      {canEdit && (
+        <form onSubmit={handleAdd} className="border-t mt-4 pt-4 space-y-3">
+          {error && <p className="text-sm text-red-600">{error}</p>}
+
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label htmlFor={`winner-${index}`} className="block text-sm font-semibold text-gray-700 mb-1">
+                Winner
+              </label>
+              <select id={`winner-${index}`} value={winner} onChange={handleWinnerChange} className={INPUT_CLASS}>
+                <option value={WALL_GAME}>Wall game</option>
+                {table.players.map(id => (
+                  <option key={id} value={id}>{nameOf(id)}</option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label htmlFor={`discarder-${index}`} className="block text-sm font-semibold text-gray-700 mb-1">
+                Won on
+              </label>
+              <select
+                id={`discarder-${index}`}
+                value={discarder}
+                onChange={(e) => setDiscarder(e.target.value)}
+                disabled={!winner}
+                className={INPUT_CLASS}
+              >
+                <option value={SELF_DRAWN}>Self-drawn</option>
+                {table.players.filter(id => id !== winner).map(id => (
+                  <option key={id} value={id}>{nameOf(id)}'s discard</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          {winner && (
+            <div className="flex items-end gap-3">
+              <div className="flex-1">
+                <label htmlFor={`value-${index}`} className="block text-sm font-semibold text-gray-700 mb-1">
+                  {isHK ? 'Faan' : 'Hand value'}
+                </label>
+                <input
+                  type="number"
+                  id={`value-${index}`}
+                  value={value}
+                  onChange={(e) => { setValue(e.target.value); setError('') }}
+                  min={isHK ? HK_MIN_FAAN : 0}
+                  inputMode="numeric"
+                  className={INPUT_CLASS}
+                  placeholder={isHK ? String(HK_MIN_FAAN) : '25'}
+                />
+              </div>
+              {!isHK && (
+                <label className="flex items-center gap-2 text-sm text-gray-700 min-h-[44px]">
+                  <input
+                    type="checkbox"
+                    checked={jokerless}
+                    onChange={(e) => setJokerless(e.target.checked)}
+                    className="accent-pink-500"
+                  />
+                  Jokerless (x2)
+                </label>
+              )}
+            </div>
+          )}
+
+          <div className="grid grid-cols-2 gap-3">
+            <Button
+              type="button"
+              variant="outline"
+              size="sm"
+              onClick={handleUndo}
+              disabled={saving || table.hands.length === 0}
+            >
+              Undo last hand
+            </Button>
+            <Button type="submit" size="sm" loading={saving}>
+              Add hand
+            </Button>
+          </div>
+        </form>
+      )}
+    </Card>
+  )
+})
+
+ScoreTable.displayName = 'ScoreTable'
+
+export default ScoreTable
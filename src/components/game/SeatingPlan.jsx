@@ -0,0 +1,215 @@
+import { memo, useState, useMemo, useCallback } from 'react'
+import { planSeating, toSeatingDoc } from '../../utils/seating'
+import { getSeatedPlayerIds } from '../../utils/waitlist'
+import { useToast } from '../common/Toast'
+import { Button } from '../common'
+
+/**
+ * TableList - Read-only rendering of a seating plan
+ */
+const TableList = memo(({ plan, names, pinnedIds, selectedIds, onPlayerClick }) => (
+  <div className="space-y-2">
+    {plan.tables.map((players, index) => (
+      <div key={index} className="bg-gray-50 rounded-lg p-3">
+        <p className="text-xs font-bold text-gray-500 tracking-wider mb-2">
+          TABLE {index + 1}{players.length < 4 ? ' (3-PLAYER)' : ''}
+        </p>
+        <div className="flex flex-wrap gap-2">
+          {players.map(id => {
+            const selected = selectedIds?.includes(id)
+            const Tag = onPlayerClick ? 'button' : 'span'
+            return (
+              <Tag
+                key={id}
+                onClick={onPlayerClick ? () => onPlayerClick(id) : undefined}
+                className={`text-sm px-2 py-1 rounded ${
+                  selected ? 'bg-pink-500 text-white' : 'bg-white text-gray-800 border border-gray-200'
+                }`}
+              >
+                {pinnedIds?.has(id) && '📌 '}{names[id] || 'Player'}
+              </Tag>
+            )
+          })}
+        </div>
+      </div>
+    ))}
+    {plan.sittingOut.length > 0 && (
+      <p className="text-sm text-gray-600">
+        Sitting out: {plan.sittingOut.map(id => names[id] || 'Player').join(', ')}
+      </p>
+    )}
+  </div>
+))
+
+TableList.displayName = 'TableList'
+
+/**
+ * SeatingPlan - Table assignments for a game's seated "going" players
+ * Members see the saved seating; the host and admins can reshuffle, pin
+ * players together, allow 3-player tables and save the result
+ *
+ * @param {Object} game - Game view object with responses and seating
+ * @param {boolean} canEdit - Whether the current user can change seating
+ * @param {Function} onSave - Callback (gameId, seatingDoc) returning a result
+ */
+const SeatingPlan = memo(({ game, canEdit = false, onSave }) => {
+  const toast = useToast()
+  const saved = game.seating
+
+  const [draft, setDraft] = useState(null)
+  const [pins, setPins] = useState(saved?.pins || [])
+  const [allowThreePlayer, setAllowThreePlayer] = useState(saved?.allowThreePlayer ?? true)
+  const [selectedIds, setSelectedIds] = useState([])
+  const [saving, setSaving] = useState(false)
+
+  const names = useMemo(() => Object.fromEntries(
+    game.responses.map(r => [r.userId, r.userName])
+  ), [game.responses])
+
+  const goingIds = useMemo(() => getSeatedPlayerIds(game.responses), [game.responses])
+  const hostId = game.host?.id || null
+
+  // A saved plan is stale once the set of "going" players changes
+  const isStale = useMemo(() => {
+    if (!saved) return false
+    const savedIds = [...saved.tables.flat(), ...saved.sittingOut].sort()
+    return savedIds.join(',') !== [...goingIds].sort().join(',')
+  }, [saved, goingIds])
+
+  const suggested = useMemo(
+    () => planSeating(goingIds, { allowThreePlayer, pins, hostId, random: null }),
+    [goingIds, allowThreePlayer, pins, hostId]
+  )
+
+  const plan = draft || (saved && !isStale ? saved : suggested)
+  const pinnedIds = useMemo(() => new Set(pins.flat()), [pins])
+
+  const handleReshuffle = useCallback(() => {
+    setDraft(planSeating(goingIds, { allowThreePlayer, pins, hostId }))
+  }, [goingIds, allowThreePlayer, pins, hostId])
+
+  const handleToggleThreePlayer = useCallback(() => {
+    const next = !allowThreePlayer
+    setAllowThreePlayer(next)
+    setDraft(planSeating(goingIds, { allowThreePlayer: next, pins, hostId, random: null }))
+  }, [allowThreePlayer, goingIds, pins, hostId])
+
+  const handlePlayerClick = useCallback((id) => {
+    setSelectedIds(prev => prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id])
+  }, [])
+
+  const handlePinSelected = useCallback(() => {
+    if (selectedIds.length < 2) return
+
+    // Merge into any pins the selected players already belong to
+    const merged = new Set(selectedIds)
+    const untouched = pins.filter(pin => {
+      if (pin.some(id => merged.has(id))) {
+        pin.forEach(id => merged.add(id))
+        return false
+      }
+      return true
+    })
+
+    const nextPins = [...untouched, [...merged]]
+    setPins(nextPins)
+    setSelectedIds([])
+    setDraft(planSeating(goingIds, { allowThreePlayer, pins: nextPins, hostId }))
+  }, [selectedIds, pins, goingIds, allowThreePlayer, hostId])
+
+  const handleClearPins = useCallback(() => {
+    setPins([])
+    setSelectedIds([])
+    setDraft(planSeating(goingIds, { allowThreePlayer, pins: [], hostId, random: null }))
+  }, [goingIds, allowThreePlayer, hostId])
+
+  const handleSave = useCallback(async () => {
+    setSaving(true)
+    const result = await onSave(game.id, toSeatingDoc(plan, { pins, allowThreePlayer }))
+    setSaving(false)
+
+    if (result.success) {
+      setDraft(null)
+      toast.success('Seating saved')
+    } else {
+      toast.error(result.error)
+    }
+  }, [onSave, game.id, plan, pins, allowThreePlayer, toast])
+
+  if (goingIds.length === 0 && !saved) return null
+
+  const isSavedPlan = plan === saved
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <p className="text-sm font-semibold text-gray-700">Seating</p>
+        <span className="text-xs text-gray-500">
+          {isSavedPlan ? 'Final' : draft ? 'Unsaved changes' : 'Suggested'}
+        </span>
+      </div>
+
+      {canEdit && isStale && !draft && (
+        <p className="text-xs text-amber-600 bg-amber-50 px-3 py-2 rounded-lg">
+          Attendance changed since seating was saved
+        </p>
+      )}
+
+      {plan.tables.length === 0 ? (
+        <p className="text-sm text-gray-500">Not enough players for a table yet</p>
+      ) : (
+        <TableList
+          plan={plan}
+          names={names}
+          pinnedIds={pinnedIds}
+          selectedIds={canEdit ? selectedIds : null}
+          onPlayerClick={canEdit ? handlePlayerClick : null}
+        />
+      )}
+
+      {canEdit && plan.tables.length > 0 && (
+        <div className="space-y-2">
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={allowThreePlayer}
+              onChange={handleToggleThreePlayer}
+              className="accent-pink-500"
+            />
+            Allow 3-player tables
+          </label>
+          <p className="text-xs text-gray-500">
+            Tap players, then pin them to keep them at the same table.
+          </p>
+          <div className="grid grid-cols-2 gap-2">
+            <Button size="sm" variant="outline" onClick={handleReshuffle}>
+              Reshuffle
+            </Button>
+            {selectedIds.length >= 2 ? (
+              <Button size="sm" variant="outline" onClick={handlePinSelected}>
+                📌 Pin together
+              </Button>
+            ) : (
+              <Button size="sm" variant="outline" onClick={handleClearPins} disabled={pins.length === 0}>
+                Clear pins
+              </Button>
+            )}
+          </div>
+          <Button
+            size="sm"
+            fullWidth
+            onClick={handleSave}
+            loading={saving}
+            disabled={isSavedPlan && !isStale}
+          >
+            Save Seating
+          </Button>
+        </div>
+      )}
+    </div>
+  )
+})
+
+SeatingPlan.displayName = 'SeatingPlan'
+
+export default SeatingPlan
@@ -4,3 +4,13 @@ export { default as GroupHeader } from './GroupHeader'
 export { default as HostInfo } from './HostInfo'
 export { default as ResponseButtons } from './ResponseButtons'
 export { default as PlayerList } from './PlayerList'
+export { default as HostModal } from './HostModal'
+export { default as ProposeGameModal } from './ProposeGameModal'
+export { default as SeatingPlan } from './SeatingPlan'
+export { default as ScoreTable } from './ScoreTable'
+export { default as ScoreResults } from './ScoreResults'
+export { default as PastGameCard } from './PastGameCard'
+export { default as PastGames } from './PastGames'
+export { default as CancelGameModal } from './CancelGameModal'
+export { default as RescheduleModal } from './RescheduleModal'
+export { default as GameUpdates } from './GameUpdates'
@@ -0,0 +1,158 @@
+import { memo, useMemo, useCallback, useState } from 'react'
+import { getInitials } from '../../utils/formatters'
+import {
+  ROLES,
+  ROLE_LABELS,
+  canChangeRole,
+  canRemoveMember
+} from '../../utils/permissions'
+import { useToast } from '../common/Toast'
+import { Button, ErrorMessage, Spinner } from '../common'
+
+/**
+ * Role badge styles
+ */
+const ROLE_STYLES = {
+  owner: 'bg-pink-100 text-pink-700',
+  admin: 'bg-purple-100 text-purple-700',
+  member: 'bg-gray-100 text-gray-600'
+}
+
+/**
+ * Sort order for roles in the roster
+ */
+const ROLE_ORDER = { owner: 0, admin: 1, member: 2 }
+
+/**
+ * MemberRow - Single roster entry with role actions
+ */
+const MemberRow = memo(({ member, actorRole, isSelf, busy, onChangeRole, onRemove }) => {
+  const role = member.role || ROLES.MEMBER
+  const showRoleAction = !isSelf && canChangeRole(actorRole, role)
+  const showRemove = !isSelf && canRemoveMember(actorRole, role)
+
+  return (
+    <div className="flex items-center gap-3 py-2">
+      <div className="w-10 h-10 rounded-full bg-gradient-to-r from-pink-500 to-rose-500 flex items-center justify-center text-white font-bold flex-shrink-0">
+        {getInitials(member.name)}
+      </div>
+      <div className="flex-1 min-w-0">
+        <p className="font-semibold text-gray-800 truncate">
+          {member.name}{isSelf && <span className="text-gray-500 font-normal"> (you)</span>}
+        </p>
+        <span className={`text-xs font-semibold px-2 py-0.5 rounded ${ROLE_STYLES[role] || ROLE_STYLES.member}`}>
+          {ROLE_LABELS[role] || role}
+        </span>
+      </div>
+      {busy ? (
+        <Spinner className="text-pink-500" />
+      ) : (
+        <div className="flex gap-2 flex-shrink-0">
+          {showRoleAction && (
+            <Button
+              size="sm"
+              variant="outline"
+              onClick={() => onChangeRole(member, role === ROLES.ADMIN ? ROLES.MEMBER : ROLES.ADMIN)}
+            >
+              {role === ROLES.ADMIN ? 'Demote' : 'Promote'}
+            </Button>
+          )}
+          {showRemove && (
+            <Button size="sm" variant="ghost" onClick={() => onRemove(member)}>
+              Remove
+            </Button>
+          )}
+        </div>
+      )}
+    </div>
+  )
+})
+
+MemberRow.displayName = 'MemberRow'
+
+/**
+ * MemberRoster - Admin-only list of group members with role management
+ *
+ * @param {Array} members - Members from useGroupMembers
+ * @param {boolean} loading - Whether members are loading
+ * @param {string} error - Error message to display
+ * @param {string} actorRole - Current user's role
+ * @param {string} currentUserId - Current user's ID
+ * @param {Function} onChangeRole - Callback (membershipId, role) returning a result
+ * @param {Function} onRemove - Callback (membershipId) returning a result
+ */
+const MemberRoster = memo(({
+  members = [],
+  loading = false,
+  error = '',
+  actorRole,
+  currentUserId,
+  onChangeRole,
+  onRemove
+}) => {
+  const toast = useToast()
+  const [busyId, setBusyId] = useState(null)
+
+  const sortedMembers = useMemo(() => {
+    return [...members].sort((a, b) => {
+      const orderA = ROLE_ORDER[a.role] ?? ROLE_ORDER.member
+      const orderB = ROLE_ORDER[b.role] ?? ROLE_ORDER.member
+      return orderA - orderB || a.name.localeCompare(b.name)
+    })
+  }, [members])
+
+  const handleChangeRole = useCallback(async (member, role) => {
+    setBusyId(member.id)
+    const result = await onChangeRole(member.id, role)
+    setBusyId(null)
+
+    if (result.success) {
+      toast.success(`${member.name} is now ${role === ROLES.ADMIN ? 'an admin' : 'a member'}`)
+    } else {
+      toast.error(result.error)
+    }
+  }, [onChangeRole, toast])
+
+  const handleRemove = useCallback(async (member) => {
+    if (!window.confirm(`Remove ${member.name} from the group?`)) return
+
+    setBusyId(member.id)
+    const result = await onRemove(member.id)
+    setBusyId(null)
+
+    if (result.success) {
+      toast.info(`${member.name} was removed`)
+    } else {
+      toast.error(result.error)
+    }
+  }, [onRemove, toast])
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-4">
+        <Spinner className="text-pink-500" />
+      </div>
+    )
+  }
+
+  return (
+    <div className="divide-y">
+      {error && <ErrorMessage message={error} />}
+      {sortedMembers.map(member => (
+        <MemberRow
+          key={member.id}
+          member={member}
+          actorRole={actorRole}
+          isSelf={member.user_id === currentUserId}
+          busy={busyId === member.id}
+          onChangeRole={handleChangeRole}
+          onRemove={handleRemove}
+        />
+      ))}
+    </div>
+  )
+})
+
+MemberRoster.displayName = 'MemberRoster'
+
+export default MemberRoster
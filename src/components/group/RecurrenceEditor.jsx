@@ -0,0 +1,255 @@
+import { memo, useState, useCallback } from 'react'
+import { DAY_INDEX, toDateKey, parseDateKey } from '../../utils/schedule'
+import { FREQUENCIES, ORDINAL_LABELS, formatRule, describeEntry } from '../../utils/recurrence'
+import { formatTime, formatDate } from '../../utils/formatters'
+import { Button, ErrorMessage } from '../common'
+
+const DAYS = Object.keys(DAY_INDEX)
+
+const INPUT_CLASS = 'w-full px-4 py-3 border-2 border-gray-300 rounded-lg focus:border-pink-500 focus:outline-none transition-colors min-h-[44px]'
+
+/**
+ * Repeat options offered in the editor, mapped to RRULE frequency and interval
+ */
+const REPEAT_OPTIONS = [
+  { key: 'weekly', label: 'Every week', freq: FREQUENCIES.WEEKLY, interval: 1 },
+  { key: 'biweekly', label: 'Every other week', freq: FREQUENCIES.WEEKLY, interval: 2 },
+  { key: 'monthly', label: 'Once a month', freq: FREQUENCIES.MONTHLY, interval: 1 }
+]
+
+const ORDINALS = [1, 2, 3, 4, 5, -1]
+
+/**
+ * Builds a blank draft for a new schedule entry
+ * @returns {Object} Draft values
+ */
+const createDraft = () => ({
+  repeat: 'weekly',
+  days: [DAY_INDEX.Thursday],
+  ordinal: 1,
+  weekday: DAY_INDEX.Thursday,
+  time: '',
+  start: toDateKey(new Date())
+})
+
+/**
+ * RecurrenceEditor - Lists a group's schedule entries and adds new ones
+ * Supports weekly, every-other-week and monthly (nth weekday) schedules,
+ * each with an optional start time that overrides the group's default
+ *
+ * @param {Array} value - Schedule entries ({ rrule, start, time })
+ * @param {Function} onChange - Called with the updated entries
+ * @param {string} defaultTime - Group's default start time
+ */
+const RecurrenceEditor = memo(({ value = [], onChange, defaultTime }) => {
+  const [draft, setDraft] = useState(createDraft)
+  const [adding, setAdding] = useState(false)
+  const [error, setError] = useState('')
+
+  const repeat = REPEAT_OPTIONS.find(option => option.key === draft.repeat)
+  const isMonthly = repeat.freq === FREQUENCIES.MONTHLY
+
+  const updateDraft = useCallback((field, fieldValue) => {
+    setDraft(prev => ({ ...prev, [field]: fieldValue }))
+    setError('')
+  }, [])
+
+  const toggleDay = useCallback((weekday) => {
+    setDraft(prev => ({
+      ...prev,
+      days: prev.days.includes(weekday)
+        ? prev.days.filter(day => day !== weekday)
+        : [...prev.days, weekday].sort((a, b) => a - b)
+    }))
+    setError('')
+  }, [])
+
+  const handleRemove = useCallback((index) => {
+    onChange(value.filter((_, entryIndex) => entryIndex !== index))
+  }, [value, onChange])
+
+  const handleCancel = useCallback(() => {
+    setAdding(false)
+    setDraft(createDraft())
+    setError('')
+  }, [])
+
+  const handleAdd = useCallback(() => {
+    if (!isMonthly && draft.days.length === 0) {
+      setError('Pick at least one day')
+      return
+    }
+
+    if (!parseDateKey(draft.start)) {
+      setError('Please choose a start date')
+      return
+    }
+
+    const byDay = isMonthly
+      ? [{ weekday: draft.weekday, n: draft.ordinal }]
+      : draft.days.map(weekday => ({ weekday, n: null }))
+
+    onChange([
+      ...value,
+      {
+        rrule: formatRule({ freq: repeat.freq, interval: repeat.interval, byDay }),
+        start: draft.start,
+        time: draft.time || null
+      }
+    ])
+    handleCancel()
+  }, [draft, isMonthly, repeat, value, onChange, handleCancel])
+
+  const today = toDateKey(new Date())
+
+  return (
+    <div className="space-y-3">
+      <ul className="space-y-2">
+        {value.map((entry, index) => (
+          <li key={`${entry.rrule}-${entry.start}-${index}`} className="flex items-center gap-3 bg-gray-50 rounded-lg px-4 py-2">
+            <div className="flex-1 min-w-0">
+              <p className="font-semibold text-gray-800">{describeEntry(entry)}</p>
+              <p className="text-sm text-gray-600">
+                {formatTime(entry.time || defaultTime)}
+                {entry.start > today && ` • starting ${formatDate(parseDateKey(entry.start))}`}
+              </p>
+            </div>
+            {value.length > 1 && (
+              <Button type="button" size="sm" variant="ghost" onClick={() => handleRemove(index)}>
+                Remove
+              </Button>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {!adding ? (
+        <Button type="button" variant="outline" size="sm" onClick={() => setAdding(true)}>
+          + Add game night
+        </Button>
+      ) : (
+        <div className="border-2 border-pink-200 rounded-lg p-4 space-y-3">
+          {error && <ErrorMessage message={error} />}
+
+          <div>
+            <label htmlFor="recurrenceRepeat" className="block text-sm font-semibold text-gray-700 mb-2">
+              Repeats
+            </label>
+            <select
+              id="recurrenceRepeat"
+              value={draft.repeat}
+              onChange={(e) => updateDraft('repeat', e.target.value)}
+              className={`${INPUT_CLASS} bg-white`}
+            >
+              {REPEAT_OPTIONS.map(option => (
+                <option key={option.key} value={option.key}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+
+          {isMonthly ? (
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label htmlFor="recurrenceOrdinal" className="block text-sm font-semibold text-gray-700 mb-2">
+                  Week
+                </label>
+                <select
+                  id="recurrenceOrdinal"
+                  value={draft.ordinal}
+                  onChange={(e) => updateDraft('ordinal', parseInt(e.target.value, 10))}
+                  className={`${INPUT_CLASS} bg-white`}
+                >
+                  {ORDINALS.map(ordinal => (
+                    <option key={ordinal} value={ordinal}>{ORDINAL_LABELS[ordinal]}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label htmlFor="recurrenceWeekday" className="block text-sm font-semibold text-gray-700 mb-2">
+                  Day
+                </label>
+                <select
+                  id="recurrenceWeekday"
+                  value={draft.weekday}
+                  onChange={(e) => updateDraft('weekday', parseInt(e.target.value, 10))}
+                  className={`${INPUT_CLASS} bg-white`}
+                >
+                  {DAYS.map(day => (
+                    <option key={day} value={DAY_INDEX[day]}>{day}</option>
+                  ))}
+                </select>
+              </div>
+              {draft.ordinal === 5 && (
+                <p className="col-span-2 text-sm text-gray-500">
+                  Months without a fifth {DAYS[draft.weekday]} are skipped.
+                </p>
+              )}
+            </div>
+          ) : (
+            <div>
+              <p className="block text-sm font-semibold text-gray-700 mb-2">Days</p>
+              <div className="grid grid-cols-4 gap-2">
+                {DAYS.map(day => {
+                  const selected = draft.days.includes(DAY_INDEX[day])
+                  return (
+                    <button
+                      key={day}
+                      type="button"
+                      onClick={() => toggleDay(DAY_INDEX[day])}
+                      className={`py-2 rounded-lg font-semibold text-sm transition duration-200 min-h-[44px] ${
+                        selected ? 'bg-pink-500 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                      }`}
+                      aria-pressed={selected}
+                    >
+                      {day.slice(0, 3)}
+                    </button>
+                  )
+                })}
+              </div>
+            </div>
+          )}
+
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label htmlFor="recurrenceTime" className="block text-sm font-semibold text-gray-700 mb-2">
+                Start Time <span className="text-gray-400 font-normal">(optional)</span>
+              </label>
+              <input
+                type="time"
+                id="recurrenceTime"
+                value={draft.time}
+                onChange={(e) => updateDraft('time', e.target.value)}
+                className={INPUT_CLASS}
+              />
+            </div>
+            <div>
+              <label htmlFor="recurrenceStart" className="block text-sm font-semibold text-gray-700 mb-2">
+                Starting
+              </label>
+              <input
+                type="date"
+                id="recurrenceStart"
+                value={draft.start}
+                onChange={(e) => updateDraft('start', e.target.value)}
+                className={INPUT_CLASS}
+              />
+            </div>
+          </div>
+
+          <div className="flex gap-2">
+            <Button type="button" variant="secondary" size="sm" onClick={handleCancel} className="flex-1">
+              Cancel
+            </Button>
+            <Button type="button" size="sm" onClick={handleAdd} className="flex-1">
+              Add
+            </Button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+})
+
+RecurrenceEditor.displayName = 'RecurrenceEditor'
+
+export default RecurrenceEditor
@@ -0,0 +1,46 @@
+import { memo, useMemo } from 'react'
+import { getTimeZoneOptions, getZoneAbbreviation } from '../../utils/timezones'
+
+/**
+ * Formats a zone for the dropdown (e.g., "America/New_York (EST)")
+ * @param {string} timeZone - IANA time zone
+ * @param {Date} now - Instant the abbreviation is taken at
+ * @returns {string} Option label
+ */
+const toOptionLabel = (timeZone, now) => {
+  const abbreviation = getZoneAbbreviation(now, timeZone)
+  const name = timeZone.replace(/_/g, ' ')
+  return abbreviation && abbreviation !== timeZone ? `${name} (${abbreviation})` : name
+}
+
+/**
+ * TimeZoneSelect - Picks the IANA time zone a group's game times are in
+ *
+ * @param {string} id - Input ID for the label
+ * @param {string} value - Selected time zone
+ * @param {Function} onChange - Callback with the new time zone
+ * @param {string} className - Classes for the select element
+ */
+const TimeZoneSelect = memo(({ id, value, onChange, className = '' }) => {
+  const options = useMemo(() => {
+    const now = new Date()
+    return getTimeZoneOptions().map(timeZone => ({ value: timeZone, label: toOptionLabel(timeZone, now) }))
+  }, [])
+
+  return (
+    <select
+      id={id}
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className={`${className} bg-white`}
+    >
+      {options.map(option => (
+        <option key={option.value} value={option.value}>{option.label}</option>
+      ))}
+    </select>
+  )
+})
+
+TimeZoneSelect.displayName = 'TimeZoneSelect'
+
+export default TimeZoneSelect
@@ -0,0 +1,4 @@
+// Group management components barrel export
+export { default as MemberRoster } from './MemberRoster'
+export { default as RecurrenceEditor } from './RecurrenceEditor'
+export { default as TimeZoneSelect } from './TimeZoneSelect'
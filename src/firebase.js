@@ -1,6 +1,6 @@
 import { initializeApp } from 'firebase/app'
 import { getAuth } from 'firebase/auth'
-import { getFirestore } from 'firebase/firestore'
+import { initializeFirestore, persistentLocalCache, persistentMultipleTabManager } from 'firebase/firestore'
 import { getMessaging, isSupported } from 'firebase/messaging'
 
 const firebaseConfig = {
@@ -14,16 +14,23 @@ const firebaseConfig = {
 
 const app = initializeApp(firebaseConfig)
 export const auth = getAuth(app)
-export const db = getFirestore(app)
+
+// Kept on the device so schedules open offline, and writes made offline are
+// sent once the connection is back (across reloads too)
+export const db = initializeFirestore(app, {
+  localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() })
+})
 
 // Initialize messaging only if supported
 let messaging = null
-isSupported().then(yes => {
+export const messagingReady = isSupported().then(yes => {
   if (yes) {
     messaging = getMessaging(app)
   }
+  return messaging
 }).catch(() => {
   // Messaging not supported
+  return null
 })
 
 export { messaging }
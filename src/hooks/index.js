@@ -1,4 +1,11 @@
 // Custom hooks barrel export
 export { useAuth } from './useAuth'
 export { useDocument, useCollection, useRealtimeDocument, useRealtimeCollection, where, orderBy, limit } from './useFirestore'
-export { useUserGroups, useGroup } from './useGroups'
+export { useUserGroups, useGroup, useGroupMembership, useGroupMembers, useGroupSettings } from './useGroups'
+export { useGroupGames, useGameScores } from './useGames'
+export { useGroupHistory, usePastGames } from './useHistory'
+export { useNotifications } from './useNotifications'
+export { useNotificationSettings } from './useNotificationSettings'
+export { usePushMessages } from './usePushMessages'
+export { useConnectionStatus } from './useConnectionStatus'
+export { useCalendarFeed } from './useCalendarFeed'
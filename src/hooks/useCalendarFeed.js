@@ -0,0 +1,94 @@
+import { useState, useEffect, useCallback } from 'react'
+import {
+  collection,
+  query,
+  where,
+  doc,
+  onSnapshot,
+  writeBatch,
+  serverTimestamp
+} from 'firebase/firestore'
+import { db, auth } from '../firebase'
+
+/**
+ * Address of the calendarFeed function, overridable for the emulator or a custom domain
+ */
+const FEED_BASE_URL = import.meta.env.VITE_CALENDAR_FEED_URL
+  || `https://us-central1-${db.app.options.projectId}.cloudfunctions.net/calendarFeed`
+
+/**
+ * Custom hook for the current user's calendar subscription link
+ * The link covers every game the user is going to, across all their groups.
+ *
+ * @returns {Object} Feed URLs, loading/error state, createFeed and resetFeed
+ */
+export const useCalendarFeed = () => {
+  const [feedIds, setFeedIds] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  const userId = auth.currentUser?.uid || null
+
+  useEffect(() => {
+    if (!userId) {
+      setFeedIds([])
+      setLoading(false)
+      return
+    }
+
+    setLoading(true)
+    setError(null)
+
+    const unsubscribe = onSnapshot(
+      query(collection(db, 'calendar_feeds'), where('user_id', '==', userId)),
+      (snapshot) => {
+        setFeedIds(snapshot.docs.map(doc => doc.id))
+        setLoading(false)
+      },
+      (err) => {
+        console.error('Error subscribing to calendar feed:', err)
+        setError('Failed to load your calendar link.')
+        setLoading(false)
+      }
+    )
+
+    return () => unsubscribe()
+  }, [userId])
+
+  /**
+   * Replaces any existing link with a new one, so old subscriptions stop working
+   */
+  const resetFeed = useCallback(async () => {
+    if (!userId) {
+      return { success: false, error: 'Please sign in to continue.' }
+    }
+
+    try {
+      const batch = writeBatch(db)
+      feedIds.forEach(feedId => batch.delete(doc(db, 'calendar_feeds', feedId)))
+      batch.set(doc(collection(db, 'calendar_feeds')), {
+        user_id: userId,
+        created_at: serverTimestamp()
+      })
+      await batch.commit()
+      return { success: true }
+    } catch (err) {
+      console.error('Error creating calendar feed:', err)
+      return { success: false, error: 'Failed to create your calendar link. Please try again.' }
+    }
+  }, [userId, feedIds])
+
+  const feedUrl = feedIds.length > 0 ? `${FEED_BASE_URL}?token=${feedIds[0]}` : null
+
+  return {
+    feedUrl,
+    // Calendar apps subscribe (rather than import once) through webcal links
+    subscribeUrl: feedUrl && feedUrl.replace(/^https?:/, 'webcal:'),
+    loading,
+    error,
+    createFeed: resetFeed,
+    resetFeed
+  }
+}
+
+export default useCalendarFeed
@@ -0,0 +1,53 @@
+import { useState, useEffect, useRef } from 'react'
+import { useToast } from '../components/common/Toast'
+import { getPendingWriteCount, subscribePendingWrites } from '../utils/pendingWrites'
+
+/**
+ * Custom hook for whether the device is online, and how many changes made
+ * offline are still waiting to be sent
+ * Toasts when a waiting change goes through or is turned down by the server.
+ * Must be used inside the ToastProvider.
+ *
+ * @returns {Object} { online, pendingCount }
+ */
+export const useConnectionStatus = () => {
+  const toast = useToast()
+  const [online, setOnline] = useState(() => navigator.onLine)
+  const [pendingCount, setPendingCount] = useState(getPendingWriteCount)
+
+  // The toast object changes on every toast, which shouldn't resubscribe
+  const toastRef = useRef(toast)
+  toastRef.current = toast
+  const syncedRef = useRef(0)
+
+  useEffect(() => {
+    const handleOnline = () => setOnline(true)
+    const handleOffline = () => setOnline(false)
+
+    window.addEventListener('online', handleOnline)
+    window.addEventListener('offline', handleOffline)
+    return () => {
+      window.removeEventListener('online', handleOnline)
+      window.removeEventListener('offline', handleOffline)
+    }
+  }, [])
+
+  useEffect(() => subscribePendingWrites(({ type, label, pendingCount: count }) => {
+    setPendingCount(count)
+
+    if (type === 'synced') {
+      syncedRef.current += 1
+      if (count > 0) return
+
+      const synced = syncedRef.current
+      syncedRef.current = 0
+      toastRef.current.success(synced === 1 ? `Back online - your ${label} was sent` : `Back online - your ${synced} ${label}s were sent`)
+    } else if (type === 'failed') {
+      toastRef.current.error(`Your ${label} from while you were offline couldn't be saved. Please try again.`)
+    }
+  }), [])
+
+  return { online, pendingCount }
+}
+
+export default useConnectionStatus
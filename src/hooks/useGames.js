@@ -0,0 +1,799 @@
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react'
+import {
+  collection,
+  query,
+  where,
+  orderBy,
+  doc,
+  onSnapshot,
+  updateDoc,
+  writeBatch,
+  runTransaction,
+  serverTimestamp,
+  increment,
+  Timestamp
+} from 'firebase/firestore'
+import { db, auth } from '../firebase'
+import {
+  toDateKey,
+  parseDateKey,
+  getGameId,
+  getAdhocGameId,
+  getResponseId
+} from '../utils/schedule'
+import { expandRecurrence, getOccurrenceTime } from '../utils/recurrence'
+import { zonedTimeToInstant, toDateKeyInZone, getViewerTimeZone } from '../utils/timezones'
+import { fromSeatingDoc } from '../utils/seating'
+import { getCapacity, applyWaitlist } from '../utils/waitlist'
+import { fromScoresDoc, toScoresDoc } from '../utils/scoring'
+import { formatDate, formatTime } from '../utils/formatters'
+import { trackPendingWrite } from '../utils/pendingWrites'
+
+/**
+ * Converts an instant into a Firestore timestamp field value
+ * @param {Date|null} instant - Absolute time
+ * @returns {Timestamp|null} Timestamp, or null if unknown
+ */
+const toTimestamp = (instant) => (instant ? Timestamp.fromDate(instant) : null)
+
+/**
+ * Converts a Firestore game and its responses into the shape used by GameCard
+ * @param {Object} game - Game document data (with id)
+ * @param {Array} responses - Response documents for the game
+ * @param {string} currentUserId - Current user's ID
+ * @param {Object} groupDefaults - Group settings games fall back on
+ * @param {number} groupDefaults.maxTables - Table count, used when the host didn't set one
+ * @param {string} groupDefaults.time - Default start time (HH:MM)
+ * @param {string} groupDefaults.timeZone - IANA time zone the group plays in
+ * @param {Object[]} groupDefaults.recurrence - Schedule, for start times of stored games
+ * @returns {Object} Game view object
+ */
+export const toGameView = (game, responses, currentUserId, {
+  maxTables = null,
+  time: defaultTime = null,
+  timeZone = getViewerTimeZone(),
+  recurrence = null
+} = {}) => {
+  const host = game.host_id
+    ? {
+        id: game.host_id,
+        name: game.host_name,
+        address: game.host_address,
+        tables: game.host_tables || maxTables || null
+      }
+    : null
+
+  // One-off games set their seats up front; otherwise capacity only applies
+  // once someone has offered their tables
+  const capacity = game.seats || (host ? getCapacity(host.tables) : null)
+
+  const views = applyWaitlist(responses.map(r => ({
+    userId: r.user_id,
+    userName: r.user_name || 'Unknown',
+    status: r.status,
+    respondedAt: r.responded_at?.toMillis?.() ?? null
+  })), capacity, game.host_id)
+
+  const userResponse = views.find(r => r.userId === currentUserId)
+
+  // Rescheduled games keep their ID and stored date; the override is what's shown
+  const dateKey = game.rescheduled_date || game.date
+  const scheduledTime = game.time || (recurrence ? getOccurrenceTime(recurrence, game.date) : null)
+  const time = game.rescheduled_time || scheduledTime
+
+  return {
+    id: game.id,
+    dateKey,
+    date: parseDateKey(dateKey),
+    time,
+    startsAt: zonedTimeToInstant(dateKey, time || defaultTime, timeZone),
+    scheduledDateKey: game.date,
+    scheduledDate: parseDateKey(game.date),
+    scheduledTime,
+    scheduledStartsAt: zonedTimeToInstant(game.date, scheduledTime || defaultTime, timeZone),
+    rescheduled: dateKey !== game.date || !!game.rescheduled_time,
+    venue: game.venue || null,
+    adhoc: !!game.adhoc,
+    proposedBy: game.adhoc ? { id: game.proposed_by, name: game.proposed_by_name || 'Someone' } : null,
+    host,
+    cancelled: !!game.cancelled,
+    cancelReason: game.cancel_reason || null,
+    // Bumped on every cancel or move, so calendar apps replace their copy
+    sequence: game.sequence || 0,
+    seating: fromSeatingDoc(game.seating),
+    scores: fromScoresDoc(game.scores),
+    capacity,
+    responses: views,
+    userResponse: userResponse?.status || null,
+    userWaitlistPosition: userResponse?.waitlistPosition ?? null
+  }
+}
+
+/**
+ * Adds an in-app notification for every player going to a game to a batch,
+ * skipping the member who made the change
+ * @param {Object} batch - Firestore write batch
+ * @param {Object} game - Game view object
+ * @param {Object} notification - Notification details
+ * @param {string} notification.groupId - Group document ID
+ * @param {string} notification.type - Change type (e.g., "game_cancelled")
+ * @param {string} notification.message - Text shown to the member
+ */
+const notifyGoingPlayers = (batch, game, { groupId, type, message }) => {
+  const actorId = auth.currentUser?.uid
+
+  game.responses
+    .filter(r => r.status === 'going' && r.userId !== actorId)
+    .forEach(r => {
+      batch.set(doc(collection(db, 'notifications')), {
+        user_id: r.userId,
+        group_id: groupId,
+        game_id: game.id,
+        type,
+        message,
+        created_by: actorId,
+        created_at: serverTimestamp(),
+        read: false
+      })
+    })
+}
+
+/**
+ * Custom hook for a group's upcoming games with realtime RSVPs
+ * Materializes the group's recurring occurrences and merges them with stored
+ * game documents, so games only need to be written once someone interacts with them
+ *
+ * @param {string} groupId - Group document ID
+ * @param {Object} options - Schedule options
+ * @param {Object[]} options.recurrence - Group's schedule entries (see utils/recurrence)
+ * @param {number} options.weeksCount - Number of weeks to show
+ * @param {number} options.maxTables - Group's table count, the fallback game capacity
+ * @param {string} options.time - Group's default start time (HH:MM)
+ * @param {string} options.timeZone - IANA time zone the group plays in
+ * @returns {Object} Games data and operations
+ */
+export const useGroupGames = (groupId, {
+  recurrence = [],
+  weeksCount = 8,
+  maxTables = null,
+  time: defaultTime = null,
+  timeZone = getViewerTimeZone()
+} = {}) => {
+  const [storedGames, setStoredGames] = useState([])
+  const [responsesByGame, setResponsesByGame] = useState({})
+  const [gamesLoading, setGamesLoading] = useState(true)
+  const [responsesLoading, setResponsesLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const gamesRef = useRef([])
+
+  const currentUserId = auth.currentUser?.uid || null
+
+  // Callers rebuild the schedule on every render, so key it by content
+  const recurrenceKey = JSON.stringify(recurrence)
+
+  // "Today" is the group's calendar day, so late-night viewers elsewhere see the same games
+  const fromKey = toDateKeyInZone(new Date(), timeZone)
+  const toKey = useMemo(() => {
+    const lastDate = parseDateKey(fromKey)
+    lastDate.setDate(lastDate.getDate() + weeksCount * 7 - 1)
+    return toDateKey(lastDate)
+  }, [fromKey, weeksCount])
+
+  const occurrences = useMemo(
+    () => expandRecurrence(JSON.parse(recurrenceKey), { from: fromKey, to: toKey }),
+    [recurrenceKey, fromKey, toKey]
+  )
+
+  // Subscribe to stored games within the visible window, which also picks up
+  // one-off games that don't fall on a regular occurrence. Games are matched
+  // both by the date they were scheduled for and by when they now start, so
+  // games moved into the window from outside it show up too
+  useEffect(() => {
+    if (!groupId) {
+      setStoredGames([])
+      setGamesLoading(false)
+      return
+    }
+
+    setGamesLoading(true)
+    setError(null)
+
+    const dayAfter = parseDateKey(toKey)
+    dayAfter.setDate(dayAfter.getDate() + 1)
+    const windowStart = zonedTimeToInstant(fromKey, '00:00', timeZone)
+    const windowEnd = zonedTimeToInstant(toDateKey(dayAfter), '00:00', timeZone)
+
+    const gameQueries = [
+      query(
+        collection(db, 'games'),
+        where('group_id', '==', groupId),
+        where('date', '>=', fromKey),
+        where('date', '<=', toKey),
+        orderBy('date', 'asc')
+      ),
+      query(
+        collection(db, 'games'),
+        where('group_id', '==', groupId),
+        where('starts_at', '>=', Timestamp.fromDate(windowStart)),
+        where('starts_at', '<', Timestamp.fromDate(windowEnd))
+      )
+    ]
+
+    const queryResults = gameQueries.map(() => null)
+
+    const unsubscribes = gameQueries.map((gamesQuery, index) => onSnapshot(
+      gamesQuery,
+      (snapshot) => {
+        queryResults[index] = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))
+
+        if (queryResults.every(Boolean)) {
+          const byId = new Map(queryResults.flat().map(game => [game.id, game]))
+          setStoredGames([...byId.values()])
+          setGamesLoading(false)
+        }
+      },
+      (err) => {
+        console.error('Error subscribing to games:', err)
+        setError('Failed to load games. Please try again.')
+        setGamesLoading(false)
+      }
+    ))
+
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe())
+  }, [groupId, fromKey, toKey, timeZone])
+
+  // Merge materialized occurrences with stored games, sorted by date
+  const mergedGames = useMemo(() => {
+    if (!groupId) return []
+
+    const byId = new Map()
+    occurrences.forEach(({ dateKey, time }) => {
+      const id = getGameId(groupId, dateKey)
+      byId.set(id, { id, group_id: groupId, date: dateKey, time })
+    })
+    storedGames.forEach(game => {
+      byId.set(game.id, { ...byId.get(game.id), ...game })
+    })
+
+    return [...byId.values()].sort((a, b) => a.date.localeCompare(b.date))
+  }, [groupId, occurrences, storedGames])
+
+  const gameIdsKey = mergedGames.map(g => g.id).join(',')
+
+  // Subscribe to responses for every visible game (max 10 IDs per 'in' query)
+  useEffect(() => {
+    const gameIds = gameIdsKey ? gameIdsKey.split(',') : []
+
+    if (gameIds.length === 0) {
+      setResponsesByGame({})
+      setResponsesLoading(false)
+      return
+    }
+
+    setResponsesLoading(true)
+
+    const batches = []
+    for (let i = 0; i < gameIds.length; i += 10) {
+      batches.push(gameIds.slice(i, i + 10))
+    }
+
+    const batchResults = batches.map(() => null)
+
+    const unsubscribes = batches.map((batch, index) => onSnapshot(
+      // group_id lets security rules verify membership for the whole query
+      query(
+        collection(db, 'game_responses'),
+        where('group_id', '==', groupId),
+        where('game_id', 'in', batch)
+      ),
+      (snapshot) => {
+        batchResults[index] = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))
+
+        if (batchResults.every(Boolean)) {
+          const grouped = {}
+          batchResults.flat().forEach(response => {
+            if (!grouped[response.game_id]) {
+              grouped[response.game_id] = []
+            }
+            grouped[response.game_id].push(response)
+          })
+          setResponsesByGame(grouped)
+          setResponsesLoading(false)
+        }
+      },
+      (err) => {
+        console.error('Error subscribing to game responses:', err)
+        setError('Failed to load responses. Please try again.')
+        setResponsesLoading(false)
+      }
+    ))
+
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe())
+  }, [groupId, gameIdsKey])
+
+  // Sorted again after views are built, since rescheduled games can change places
+  const games = useMemo(
+    () => mergedGames
+      .map(game => toGameView(game, responsesByGame[game.id] || [], currentUserId, {
+        maxTables,
+        time: defaultTime,
+        timeZone
+      }))
+      .sort((a, b) => a.dateKey.localeCompare(b.dateKey)),
+    [mergedGames, responsesByGame, currentUserId, maxTables, defaultTime, timeZone]
+  )
+
+  gamesRef.current = games
+
+  /**
+   * Records the current user's RSVP, creating the game document on first use
+   * @param {string} gameId - Game document ID
+   * @param {string} status - Response status ('going', 'maybe', 'not-going')
+   * @param {string} userName - Display name stored alongside the response
+   */
+  const respond = useCallback(async (gameId, status, userName) => {
+    const user = auth.currentUser
+    if (!user) {
+      return { success: false, error: 'Please sign in to respond.' }
+    }
+
+    const game = gamesRef.current.find(g => g.id === gameId)
+    if (!game) {
+      return { success: false, error: 'This game could not be found.' }
+    }
+
+    // Re-sending the same answer would reset responded_at and lose a seat
+    if (game.userResponse === status) {
+      return { success: true, waitlisted: game.userWaitlistPosition !== null }
+    }
+
+    const seatsTaken = game.responses.filter(r => r.status === 'going' && !r.waitlisted).length
+
+    try {
+      const batch = writeBatch(db)
+
+      // Merge so existing host details are never overwritten. The start time
+      // is left to admins and proposers; until one sets it, it follows the
+      // group's schedule
+      batch.set(doc(db, 'games', gameId), {
+        group_id: groupId,
+        date: game.scheduledDateKey
+      }, { merge: true })
+
+      batch.set(doc(db, 'game_responses', getResponseId(gameId, user.uid)), {
+        game_id: gameId,
+        group_id: groupId,
+        user_id: user.uid,
+        user_name: userName || user.displayName || 'Player',
+        status,
+        responded_at: serverTimestamp()
+      })
+
+      const commit = batch.commit()
+
+      // Firestore applies the change locally and sends it once back online,
+      // but the commit doesn't settle until then
+      if (!navigator.onLine) {
+        trackPendingWrite(commit, 'RSVP')
+        return { success: true, queued: true }
+      }
+
+      await commit
+      return {
+        success: true,
+        waitlisted: status === 'going' && game.capacity !== null && seatsTaken >= game.capacity
+      }
+    } catch (err) {
+      console.error('Error saving response:', err)
+      return { success: false, error: 'Failed to save your response. Please try again.' }
+    }
+  }, [groupId])
+
+  /**
+   * Claims hosting for a game inside a transaction so only one member can win
+   * The host is also marked as going
+   * @param {string} gameId - Game document ID
+   * @param {Object} hostDetails - Host display name, address and table count
+   */
+  const claimHost = useCallback(async (gameId, { name, address, tables }) => {
+    const user = auth.currentUser
+    if (!user) {
+      return { success: false, error: 'Please sign in to host.' }
+    }
+
+    const game = gamesRef.current.find(g => g.id === gameId)
+    if (!game) {
+      return { success: false, error: 'This game could not be found.' }
+    }
+
+    const hostName = name || user.displayName || 'Player'
+
+    try {
+      return await runTransaction(db, async (transaction) => {
+        const gameRef = doc(db, 'games', gameId)
+        const gameSnap = await transaction.get(gameRef)
+        const existingHostId = gameSnap.exists() ? gameSnap.data().host_id : null
+
+        if (existingHostId && existingHostId !== user.uid) {
+          return {
+            success: false,
+            error: `${gameSnap.data().host_name || 'Someone'} is already hosting this game.`
+          }
+        }
+
+        transaction.set(gameRef, {
+          group_id: groupId,
+          date: game.scheduledDateKey,
+          host_id: user.uid,
+          host_name: hostName,
+          host_address: address || null,
+          host_tables: tables || null,
+          host_claimed_at: serverTimestamp()
+        }, { merge: true })
+
+        transaction.set(doc(db, 'game_responses', getResponseId(gameId, user.uid)), {
+          game_id: gameId,
+          group_id: groupId,
+          user_id: user.uid,
+          user_name: hostName,
+          status: 'going',
+          responded_at: serverTimestamp()
+        })
+
+        return { success: true }
+      })
+    } catch (err) {
+      console.error('Error claiming host:', err)
+      return { success: false, error: 'Failed to volunteer as host. Please try again.' }
+    }
+  }, [groupId])
+
+  /**
+   * Releases hosting for a game the current user is hosting
+   * @param {string} gameId - Game document ID
+   */
+  const releaseHost = useCallback(async (gameId) => {
+    const user = auth.currentUser
+    if (!user) {
+      return { success: false, error: 'Please sign in to continue.' }
+    }
+
+    try {
+      return await runTransaction(db, async (transaction) => {
+        const gameRef = doc(db, 'games', gameId)
+        const gameSnap = await transaction.get(gameRef)
+
+        if (!gameSnap.exists() || gameSnap.data().host_id !== user.uid) {
+          return { success: false, error: "You're not hosting this game." }
+        }
+
+        transaction.update(gameRef, {
+          host_id: null,
+          host_name: null,
+          host_address: null,
+          host_tables: null,
+          host_claimed_at: null
+        })
+
+        return { success: true }
+      })
+    } catch (err) {
+      console.error('Error releasing host:', err)
+      return { success: false, error: 'Failed to update hosting. Please try again.' }
+    }
+  }, [])
+
+  /**
+   * Proposes a one-off game outside the regular schedule
+   * The proposer is marked as going, and hosts it if they offer an address
+   * @param {Object} details - One-off game details
+   * @param {string} details.date - Date key
+   * @param {string} details.time - Start time (HH:MM)
+   * @param {number} details.seats - Number of seats before the waitlist starts
+   * @param {string} details.userName - Proposer's display name
+   * @param {string|null} details.hostAddress - Address if the proposer is hosting
+   * @returns {Promise<Object>} Result with the new game's ID on success
+   */
+  const proposeGame = useCallback(async ({ date, time, seats, userName, hostAddress = null }) => {
+    const user = auth.currentUser
+    if (!user) {
+      return { success: false, error: 'Please sign in to propose a game.' }
+    }
+
+    if (!date || date < toDateKeyInZone(new Date(), timeZone)) {
+      return { success: false, error: 'Please choose a date from today onwards.' }
+    }
+
+    const name = userName || user.displayName || 'Player'
+    const gameId = getAdhocGameId(groupId, date, doc(collection(db, 'games')).id)
+    const hosting = !!hostAddress
+
+    try {
+      const batch = writeBatch(db)
+
+      batch.set(doc(db, 'games', gameId), {
+        group_id: groupId,
+        date,
+        time,
+        starts_at: toTimestamp(zonedTimeToInstant(date, time, timeZone)),
+        seats,
+        adhoc: true,
+        proposed_by: user.uid,
+        proposed_by_name: name,
+        created_at: serverTimestamp(),
+        host_id: hosting ? user.uid : null,
+        host_name: hosting ? name : null,
+        host_address: hostAddress || null,
+        host_claimed_at: hosting ? serverTimestamp() : null
+      })
+
+      batch.set(doc(db, 'game_responses', getResponseId(gameId, user.uid)), {
+        game_id: gameId,
+        group_id: groupId,
+        user_id: user.uid,
+        user_name: name,
+        status: 'going',
+        responded_at: serverTimestamp()
+      })
+
+      await batch.commit()
+      return { success: true, gameId }
+    } catch (err) {
+      console.error('Error proposing game:', err)
+      return { success: false, error: 'Failed to propose the game. Please try again.' }
+    }
+  }, [groupId, timeZone])
+
+  /**
+   * Cancels or restores a game and lets everyone going know
+   * (permission is checked by the caller)
+   * @param {string} gameId - Game document ID
+   * @param {boolean} cancelled - Whether the game is cancelled
+   * @param {string} reason - Optional reason shown on the card (e.g., "Holiday")
+   */
+  const setGameCancelled = useCallback(async (gameId, cancelled, reason = '') => {
+    const user = auth.currentUser
+    const game = gamesRef.current.find(g => g.id === gameId)
+    if (!user || !game) {
+      return { success: false, error: 'This game could not be found.' }
+    }
+
+    const cancelReason = cancelled ? reason.trim() || null : null
+    const when = formatDate(game.startsAt, timeZone)
+
+    try {
+      const batch = writeBatch(db)
+      batch.set(doc(db, 'games', gameId), {
+        group_id: groupId,
+        date: game.scheduledDateKey,
+        starts_at: toTimestamp(game.startsAt),
+        cancelled,
+        cancel_reason: cancelReason,
+        cancelled_by: cancelled ? user.uid : null,
+        cancelled_at: cancelled ? serverTimestamp() : null,
+        sequence: increment(1)
+      }, { merge: true })
+
+      notifyGoingPlayers(batch, game, {
+        groupId,
+        type: cancelled ? 'game_cancelled' : 'game_restored',
+        message: cancelled
+          ? `The ${when} game is cancelled${cancelReason ? `: ${cancelReason}` : ''}`
+          : `The ${when} game is back on`
+      })
+
+      await batch.commit()
+      return { success: true }
+    } catch (err) {
+      console.error('Error updating game:', err)
+      return { success: false, error: 'Failed to update the game. Please try again.' }
+    }
+  }, [groupId, timeZone])
+
+  /**
+   * Moves a single occurrence to another date, time or venue and lets everyone
+   * going know (permission is checked by the caller). Passing no changes puts
+   * the game back on its regular slot.
+   * @param {string} gameId - Game document ID
+   * @param {Object} changes - Overrides, each null to keep the regular value
+   * @param {string|null} changes.date - New date key
+   * @param {string|null} changes.time - New start time (HH:MM)
+   * @param {string|null} changes.venue - Venue for this game only
+   */
+  const rescheduleGame = useCallback(async (gameId, { date = null, time = null, venue = null }) => {
+    const user = auth.currentUser
+    const game = gamesRef.current.find(g => g.id === gameId)
+    if (!user || !game) {
+      return { success: false, error: 'This game could not be found.' }
+    }
+
+    const rescheduledDate = date && date !== game.scheduledDateKey ? date : null
+    const rescheduledVenue = venue?.trim() || null
+
+    if (rescheduledDate && rescheduledDate < toDateKeyInZone(new Date(), timeZone)) {
+      return { success: false, error: "Games can't be moved into the past." }
+    }
+
+    const startsAt = zonedTimeToInstant(
+      rescheduledDate || game.scheduledDateKey,
+      time || game.scheduledTime || defaultTime,
+      timeZone
+    )
+    const details = [
+      formatDate(startsAt, timeZone),
+      time && formatTime(time),
+      rescheduledVenue && `at ${rescheduledVenue}`
+    ].filter(Boolean).join(' ')
+    const scheduledWhen = formatDate(game.scheduledStartsAt, timeZone)
+
+    try {
+      const batch = writeBatch(db)
+      batch.set(doc(db, 'games', gameId), {
+        group_id: groupId,
+        date: game.scheduledDateKey,
+        rescheduled_date: rescheduledDate,
+        rescheduled_time: time || null,
+        starts_at: toTimestamp(startsAt),
+        venue: rescheduledVenue,
+        rescheduled_by: user.uid,
+        rescheduled_at: serverTimestamp(),
+        sequence: increment(1)
+      }, { merge: true })
+
+      notifyGoingPlayers(batch, game, {
+        groupId,
+        type: 'game_rescheduled',
+        message: rescheduledDate || time || rescheduledVenue
+          ? `The ${scheduledWhen} game has moved to ${details}`
+          : `The ${scheduledWhen} game is back to its usual time and place`
+      })
+
+      await batch.commit()
+      return { success: true }
+    } catch (err) {
+      console.error('Error rescheduling game:', err)
+      return { success: false, error: 'Failed to reschedule the game. Please try again.' }
+    }
+  }, [groupId, defaultTime, timeZone])
+
+  /**
+   * Saves the final table assignments on the game
+   * @param {string} gameId - Game document ID
+   * @param {Object} seating - Seating data from toSeatingDoc
+   */
+  const saveSeating = useCallback(async (gameId, seating) => {
+    const user = auth.currentUser
+    if (!user) {
+      return { success: false, error: 'Please sign in to continue.' }
+    }
+
+    try {
+      await updateDoc(doc(db, 'games', gameId), {
+        seating: {
+          ...seating,
+          updated_by: user.uid,
+          updated_at: serverTimestamp()
+        }
+      })
+      return { success: true }
+    } catch (err) {
+      console.error('Error saving seating:', err)
+      return { success: false, error: 'Failed to save seating. Please try again.' }
+    }
+  }, [])
+
+  return {
+    games,
+    loading: gamesLoading || responsesLoading,
+    error,
+    respond,
+    claimHost,
+    releaseHost,
+    proposeGame,
+    setGameCancelled,
+    rescheduleGame,
+    saveSeating
+  }
+}
+
+/**
+ * Custom hook for a single game's scores, with its players kept live
+ * @param {string} groupId - Group document ID
+ * @param {string} gameId - Game document ID
+ * @param {Object} groupDefaults - Group's start time, time zone and schedule (see toGameView)
+ * @returns {Object} Game view, loading/error state and saveScores
+ */
+export const useGameScores = (groupId, gameId, { time = null, timeZone, recurrence = null } = {}) => {
+  const [gameDoc, setGameDoc] = useState(null)
+  const [responses, setResponses] = useState([])
+  const [gameLoading, setGameLoading] = useState(true)
+  const [responsesLoading, setResponsesLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  const currentUserId = auth.currentUser?.uid || null
+
+  useEffect(() => {
+    if (!groupId || !gameId) {
+      setGameLoading(false)
+      setResponsesLoading(false)
+      return
+    }
+
+    setGameLoading(true)
+    setResponsesLoading(true)
+    setError(null)
+
+    const handleError = (err) => {
+      console.error('Error subscribing to game scores:', err)
+      setError('Failed to load this game. Please try again.')
+      setGameLoading(false)
+      setResponsesLoading(false)
+    }
+
+    const unsubscribeGame = onSnapshot(
+      doc(db, 'games', gameId),
+      (snapshot) => {
+        setGameDoc(snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null)
+        setGameLoading(false)
+      },
+      handleError
+    )
+
+    const unsubscribeResponses = onSnapshot(
+      query(
+        collection(db, 'game_responses'),
+        where('group_id', '==', groupId),
+        where('game_id', '==', gameId)
+      ),
+      (snapshot) => {
+        setResponses(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })))
+        setResponsesLoading(false)
+      },
+      handleError
+    )
+
+    return () => {
+      unsubscribeGame()
+      unsubscribeResponses()
+    }
+  }, [groupId, gameId])
+
+  const game = useMemo(
+    () => (gameDoc ? toGameView(gameDoc, responses, currentUserId, { time, timeZone, recurrence }) : null),
+    [gameDoc, responses, currentUserId, time, timeZone, recurrence]
+  )
+
+  /**
+   * Saves the full score sheet (permission is checked by the caller)
+   * @param {Object} scores - Mode, player names and tables
+   */
+  const saveScores = useCallback(async (scores) => {
+    const user = auth.currentUser
+    if (!user) {
+      return { success: false, error: 'Please sign in to continue.' }
+    }
+
+    try {
+      await updateDoc(doc(db, 'games', gameId), {
+        scores: {
+          ...toScoresDoc(scores),
+          updated_by: user.uid,
+          updated_at: serverTimestamp()
+        }
+      })
+      return { success: true }
+    } catch (err) {
+      console.error('Error saving scores:', err)
+      return { success: false, error: 'Failed to save scores. Please try again.' }
+    }
+  }, [gameId])
+
+  return {
+    game,
+    loading: gameLoading || responsesLoading,
+    error,
+    saveScores
+  }
+}
+
+export default useGroupGames
@@ -5,13 +5,82 @@ import {
   where,
   getDocs,
   doc,
+  getDoc,
   setDoc,
+  updateDoc,
   deleteDoc,
   onSnapshot,
   documentId,
-  serverTimestamp
+  writeBatch,
+  serverTimestamp,
+  increment,
+  Timestamp
 } from 'firebase/firestore'
 import { db, auth } from '../firebase'
+import { generateInviteCode } from '../utils/inviteCodes'
+import { getPrimaryDay, getOccurrenceTime } from '../utils/recurrence'
+import { zonedTimeToInstant, toDateKeyInZone } from '../utils/timezones'
+
+/**
+ * Firestore limit on writes per batch
+ */
+const BATCH_WRITE_LIMIT = 500
+
+/**
+ * Maximum attempts at generating an unused invite code
+ */
+const MAX_INVITE_CODE_ATTEMPTS = 5
+
+/**
+ * Generates an invite code that no existing group is using
+ * @returns {Promise<string>} Unused invite code
+ */
+const findAvailableInviteCode = async () => {
+  for (let attempt = 0; attempt < MAX_INVITE_CODE_ATTEMPTS; attempt++) {
+    const code = generateInviteCode()
+    const existing = await getDoc(doc(db, 'invite_codes', code))
+
+    if (!existing.exists()) {
+      return code
+    }
+  }
+
+  throw new Error('Could not generate a unique invite code')
+}
+
+/**
+ * Looks up the group an invite code belongs to
+ * Codes are generated in upper case, so a case-insensitive retry is made
+ * @param {string} inviteCode - Invite code to resolve
+ * @returns {Promise<Object|null>} { code, groupId }, or null if unknown
+ */
+const resolveInviteCode = async (inviteCode) => {
+  const candidates = [...new Set([inviteCode, inviteCode.toUpperCase()])]
+
+  for (const candidate of candidates) {
+    const codeSnap = await getDoc(doc(db, 'invite_codes', candidate))
+
+    if (codeSnap.exists()) {
+      return { code: candidate, groupId: codeSnap.data().group_id }
+    }
+  }
+
+  return null
+}
+
+/**
+ * Gets an invite code's document if it belongs to a group
+ * @param {string|undefined} inviteCode - Invite code
+ * @param {string} groupId - Group document ID
+ * @returns {Promise<Object|null>} Invite code document reference, or null
+ */
+const findGroupInviteCode = async (inviteCode, groupId) => {
+  if (!inviteCode) return null
+
+  const codeRef = doc(db, 'invite_codes', inviteCode)
+  const codeSnap = await getDoc(codeRef)
+  return codeSnap.exists() && codeSnap.data().group_id === groupId ? codeRef : null
+}
 
 /**
  * Custom hook for managing user's group memberships
@@ -54,43 +123,31 @@ export const useUserGroups = () => {
             return
           }
 
-          // Batch fetch group details (max 10 per query)
-          const allGroups = []
-          const batches = []
-          for (let i = 0; i < groupIds.length; i += 10) {
-            batches.push(groupIds.slice(i, i + 10))
-          }
-
-          for (const batch of batches) {
-            const groupsQuery = query(
-              collection(db, 'groups'),
-              where(documentId(), 'in', batch)
-            )
-            const groupsSnapshot = await getDocs(groupsQuery)
-            allGroups.push(
-              ...groupsSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))
-            )
-          }
+          // Groups are fetched one by one since the rules check membership
+          // per group; they can't be listed
+          const groupSnaps = await Promise.all(
+            groupIds.map(groupId => getDoc(doc(db, 'groups', groupId)))
+          )
+          const allGroups = groupSnaps
+            .filter(groupSnap => groupSnap.exists())
+            .map(groupSnap => ({ id: groupSnap.id, ...groupSnap.data() }))
 
           // Also try fetching by 'id' field for backwards compatibility
           const missingIds = groupIds.filter(
             id => !allGroups.find(g => g.id === id)
           )
 
-          if (missingIds.length > 0) {
-            for (const batch of [missingIds.slice(0, 10)]) {
-              const groupsQuery = query(
-                collection(db, 'groups'),
-                where('id', 'in', batch)
-              )
-              const groupsSnapshot = await getDocs(groupsQuery)
-              allGroups.push(
-                ...groupsSnapshot.docs.map(doc => ({
-                  id: doc.data().id || doc.id,
-                  ...doc.data()
-                }))
-              )
-            }
+          for (const missingId of missingIds.slice(0, 10)) {
+            const groupsSnapshot = await getDocs(query(
+              collection(db, 'groups'),
+              where('id', '==', missingId)
+            ))
+            allGroups.push(
+              ...groupsSnapshot.docs.map(doc => ({
+                id: doc.data().id || doc.id,
+                ...doc.data()
+              }))
+            )
           }
 
           setGroups(allGroups)
@@ -115,22 +172,51 @@ export const useUserGroups = () => {
     }
   }, [])
 
-  const joinGroup = useCallback(async (groupId) => {
+  /**
+   * Joins the group that owns an invite code
+   * @param {string} inviteCode - Invite code from the shared link
+   * @returns {Promise<Object>} Result with the group's document ID on success
+   */
+  const joinGroup = useCallback(async (inviteCode) => {
     const user = auth.currentUser
     if (!user) {
       return { success: false, error: 'Please sign in to join a group.' }
     }
 
     try {
-      const membershipId = `${user.uid}_${groupId}`
-      await setDoc(doc(db, 'group_members', membershipId), {
+      const invite = await resolveInviteCode(inviteCode)
+
+      if (!invite) {
+        return {
+          success: false,
+          error: 'That invite code is invalid or has been replaced. Ask your organizer for a new link.'
+        }
+      }
+
+      const membershipRef = doc(db, 'group_members', `${user.uid}_${invite.groupId}`)
+      const existingMembership = await getDoc(membershipRef)
+
+      if (existingMembership.exists()) {
+        return { success: true, groupId: invite.groupId, alreadyMember: true }
+      }
+
+      // The rules check the code against the group's current one
+      await setDoc(membershipRef, {
         user_id: user.uid,
-        group_id: groupId,
+        group_id: invite.groupId,
+        role: 'member',
+        invite_code: invite.code,
         joined_at: serverTimestamp()
       })
-      return { success: true }
+      return { success: true, groupId: invite.groupId, alreadyMember: false }
     } catch (err) {
       console.error('Error joining group:', err)
+
+      // Groups can't be read before joining, so an archived group (or a code
+      // replaced a moment ago) only shows up as a refused join
+      if (err.code === 'permission-denied') {
+        return { success: false, error: 'This group is no longer accepting new members with that code.' }
+      }
       return { success: false, error: 'Failed to join group. Please try again.' }
     }
   }, [])
@@ -151,20 +237,72 @@ export const useUserGroups = () => {
     }
   }, [])
 
+  /**
+   * Creates a group and makes the current user its owner
+   * @param {Object} details - Group name, schedule, location and capacity
+   * @returns {Promise<Object>} Result with the new group's ID on success
+   */
+  const createGroup = useCallback(async ({ name, recurrence, time, timeZone, location, maxTables }) => {
+    const user = auth.currentUser
+    if (!user) {
+      return { success: false, error: 'Please sign in to create a group.' }
+    }
+
+    try {
+      const inviteCode = await findAvailableInviteCode()
+      const groupRef = doc(collection(db, 'groups'))
+      const batch = writeBatch(db)
+
+      batch.set(groupRef, {
+        name,
+        recurrence,
+        // Kept for clients that only read a single weekly day
+        day_of_week: getPrimaryDay(recurrence),
+        time,
+        time_zone: timeZone,
+        location: location || null,
+        max_tables: maxTables,
+        invite_code: inviteCode,
+        created_by: user.uid,
+        created_at: serverTimestamp()
+      })
+
+      batch.set(doc(db, 'group_members', `${user.uid}_${groupRef.id}`), {
+        user_id: user.uid,
+        group_id: groupRef.id,
+        role: 'owner',
+        joined_at: serverTimestamp()
+      })
+
+      batch.set(doc(db, 'invite_codes', inviteCode), {
+        group_id: groupRef.id,
+        created_at: serverTimestamp()
+      })
+
+      await batch.commit()
+      return { success: true, groupId: groupRef.id }
+    } catch (err) {
+      console.error('Error creating group:', err)
+      return { success: false, error: 'Failed to create group. Please try again.' }
+    }
+  }, [])
+
   return {
     groups,
     loading,
     error,
     joinGroup,
     leaveGroup,
+    createGroup,
     groupCount: groups.length
   }
 }
 
 /**
- * Custom hook for fetching a single group by ID or invite code
+ * Custom hook for fetching a single group by ID
+ * Only members can read a group; invite codes are resolved by joinGroup
  *
- * @param {string} groupIdOrCode - Group ID or invite code
+ * @param {string} groupIdOrCode - Group document ID (or legacy 'id' field)
  * @returns {Object} Group data and state
  */
 export const useGroup = (groupIdOrCode) => {
@@ -193,7 +331,7 @@ export const useGroup = (groupIdOrCode) => {
           setGroup({ id: docSnap.id, ...docSnap.data() })
           setLoading(false)
         } else {
-          // Try to find by invite code or 'id' field
+          // Try to find by 'id' field for backwards compatibility
           try {
             const byIdQuery = query(
               collection(db, 'groups'),
@@ -205,20 +343,8 @@ export const useGroup = (groupIdOrCode) => {
               const doc = byIdSnapshot.docs[0]
               setGroup({ id: doc.id, ...doc.data() })
             } else {
-              // Try by invite code
-              const byCodeQuery = query(
-                collection(db, 'groups'),
-                where('invite_code', '==', groupIdOrCode)
-              )
-              const byCodeSnapshot = await getDocs(byCodeQuery)
-
-              if (!byCodeSnapshot.empty) {
-                const doc = byCodeSnapshot.docs[0]
-                setGroup({ id: doc.id, ...doc.data() })
-              } else {
-                setGroup(null)
-                setError('Group not found. Please check the invite link.')
-              }
+              setGroup(null)
+              setError('Group not found. Please check the invite link.')
             }
           } catch (err) {
             console.error('Error fetching group:', err)
@@ -244,4 +370,317 @@ export const useGroup = (groupIdOrCode) => {
   return { group, loading, error }
 }
 
+/**
+ * Custom hook for the current user's membership in a group
+ *
+ * @param {string} groupId - Group document ID
+ * @returns {Object} Membership data and state
+ */
+export const useGroupMembership = (groupId) => {
+  const [membership, setMembership] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    const user = auth.currentUser
+    if (!user || !groupId) {
+      setMembership(null)
+      setLoading(false)
+      return
+    }
+
+    setLoading(true)
+    setError(null)
+
+    const unsubscribe = onSnapshot(
+      doc(db, 'group_members', `${user.uid}_${groupId}`),
+      (docSnap) => {
+        setMembership(docSnap.exists() ? { id: docSnap.id, ...docSnap.data() } : null)
+        setLoading(false)
+      },
+      (err) => {
+        console.error('Error subscribing to membership:', err)
+        setError('Failed to load your membership. Please try again.')
+        setLoading(false)
+      }
+    )
+
+    return () => unsubscribe()
+  }, [groupId])
+
+  return { membership, loading, error }
+}
+
+/**
+ * Custom hook for a group's member roster with profile names
+ *
+ * @param {string} groupId - Group document ID
+ * @returns {Object} Members data and state
+ */
+export const useGroupMembers = (groupId) => {
+  const [members, setMembers] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    if (!groupId) {
+      setMembers([])
+      setLoading(false)
+      return
+    }
+
+    setLoading(true)
+    setError(null)
+
+    const membersQuery = query(
+      collection(db, 'group_members'),
+      where('group_id', '==', groupId)
+    )
+
+    const unsubscribe = onSnapshot(
+      membersQuery,
+      async (snapshot) => {
+        try {
+          const memberships = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))
+          const userIds = memberships.map(m => m.user_id)
+
+          // Batch fetch profiles (max 10 per query)
+          const profiles = {}
+          for (let i = 0; i < userIds.length; i += 10) {
+            const usersSnapshot = await getDocs(query(
+              collection(db, 'users'),
+              where(documentId(), 'in', userIds.slice(i, i + 10))
+            ))
+            usersSnapshot.docs.forEach(doc => {
+              profiles[doc.id] = doc.data()
+            })
+          }
+
+          setMembers(memberships.map(m => ({
+            ...m,
+            name: profiles[m.user_id]?.name || 'Unknown member',
+            email: profiles[m.user_id]?.email || ''
+          })))
+        } catch (err) {
+          console.error('Error fetching member profiles:', err)
+          setError('Failed to load members. Please try again.')
+        } finally {
+          setLoading(false)
+        }
+      },
+      (err) => {
+        console.error('Error subscribing to members:', err)
+        setError('Failed to load members. Please try again.')
+        setLoading(false)
+      }
+    )
+
+    return () => unsubscribe()
+  }, [groupId])
+
+  return { members, loading, error }
+}
+
+/**
+ * Deletes every document matching a query in write-limited batches
+ * @param {Object} q - Firestore query
+ * @param {string} keepId - ID of a matching document to leave in place
+ */
+const deleteQueryResults = async (q, keepId = null) => {
+  const snapshot = await getDocs(q)
+  const docs = snapshot.docs.filter(docSnap => docSnap.id !== keepId)
+
+  for (let i = 0; i < docs.length; i += BATCH_WRITE_LIMIT) {
+    const batch = writeBatch(db)
+    docs.slice(i, i + BATCH_WRITE_LIMIT).forEach(docSnap => batch.delete(docSnap.ref))
+    await batch.commit()
+  }
+}
+
+/**
+ * Recomputes the start instant of a group's upcoming stored games after its
+ * schedule, start time or time zone changes
+ * @param {string} groupId - Group document ID
+ * @param {Object} schedule - Group's new recurrence, default time and time zone
+ */
+const refreshGameStarts = async (groupId, { recurrence, time, timeZone }) => {
+  const snapshot = await getDocs(query(
+    collection(db, 'games'),
+    where('group_id', '==', groupId),
+    where('date', '>=', toDateKeyInZone(new Date(), timeZone))
+  ))
+
+  for (let i = 0; i < snapshot.docs.length; i += BATCH_WRITE_LIMIT) {
+    const batch = writeBatch(db)
+    snapshot.docs.slice(i, i + BATCH_WRITE_LIMIT).forEach(docSnap => {
+      const game = docSnap.data()
+      const startTime = game.rescheduled_time || game.time || getOccurrenceTime(recurrence, game.date, time)
+      const startsAt = zonedTimeToInstant(game.rescheduled_date || game.date, startTime, timeZone)
+      if (startsAt?.getTime() === game.starts_at?.toMillis()) return
+
+      batch.update(docSnap.ref, {
+        starts_at: startsAt ? Timestamp.fromDate(startsAt) : null,
+        sequence: increment(1)
+      })
+    })
+    await batch.commit()
+  }
+}
+
+/**
+ * Custom hook for owner/admin group management operations
+ *
+ * @param {string} groupId - Group document ID
+ * @returns {Object} Settings operations
+ */
+export const useGroupSettings = (groupId) => {
+  const updateGroup = useCallback(async ({ name, recurrence, time, timeZone, location, maxTables }) => {
+    try {
+      await updateDoc(doc(db, 'groups', groupId), {
+        name,
+        recurrence,
+        // Kept for clients that only read a single weekly day
+        day_of_week: getPrimaryDay(recurrence),
+        time,
+        time_zone: timeZone,
+        location: location || null,
+        max_tables: maxTables,
+        updated_at: serverTimestamp()
+      })
+      await refreshGameStarts(groupId, { recurrence, time, timeZone })
+      return { success: true }
+    } catch (err) {
+      console.error('Error updating group:', err)
+      return { success: false, error: 'Failed to save settings. Please try again.' }
+    }
+  }, [groupId])
+
+  /**
+   * Replaces the group's invite code, so links with the old one stop working
+   */
+  const regenerateInviteCode = useCallback(async () => {
+    try {
+      const inviteCode = await findAvailableInviteCode()
+      const groupSnap = await getDoc(doc(db, 'groups', groupId))
+      const oldCodeRef = await findGroupInviteCode(groupSnap.data()?.invite_code, groupId)
+      const batch = writeBatch(db)
+
+      batch.update(doc(db, 'groups', groupId), {
+        invite_code: inviteCode,
+        updated_at: serverTimestamp()
+      })
+      batch.set(doc(db, 'invite_codes', inviteCode), {
+        group_id: groupId,
+        created_at: serverTimestamp()
+      })
+      if (oldCodeRef) {
+        batch.delete(oldCodeRef)
+      }
+
+      await batch.commit()
+      return { success: true, inviteCode }
+    } catch (err) {
+      console.error('Error regenerating invite code:', err)
+      return { success: false, error: 'Failed to create a new invite code. Please try again.' }
+    }
+  }, [groupId])
+
+  /**
+   * Registers the group's invite code for joining if it isn't yet
+   * Groups created before invite codes had their own documents need this
+   * once before their links work
+   * @param {string} inviteCode - Group's current invite code
+   */
+  const registerInviteCode = useCallback(async (inviteCode) => {
+    try {
+      const codeSnap = await getDoc(doc(db, 'invite_codes', inviteCode))
+      if (!codeSnap.exists()) {
+        await setDoc(codeSnap.ref, {
+          group_id: groupId,
+          created_at: serverTimestamp()
+        })
+      }
+      return { success: true }
+    } catch (err) {
+      console.error('Error registering invite code:', err)
+      return { success: false, error: 'Failed to set up the invite link. Please try again.' }
+    }
+  }, [groupId])
+
+  const setArchived = useCallback(async (archived) => {
+    try {
+      await updateDoc(doc(db, 'groups', groupId), {
+        archived,
+        updated_at: serverTimestamp()
+      })
+      return { success: true }
+    } catch (err) {
+      console.error('Error archiving group:', err)
+      return { success: false, error: 'Failed to update the group. Please try again.' }
+    }
+  }, [groupId])
+
+  /**
+   * Deletes the group along with its invite code, games, responses,
+   * notifications and memberships
+   * The owner's own membership goes last, in the same batch as the group, so
+   * permission checks keep passing until the end
+   */
+  const deleteGroup = useCallback(async () => {
+    try {
+      const groupSnap = await getDoc(doc(db, 'groups', groupId))
+      const codeRef = await findGroupInviteCode(groupSnap.data()?.invite_code, groupId)
+      if (codeRef) {
+        await deleteDoc(codeRef)
+      }
+
+      await deleteQueryResults(query(collection(db, 'notifications'), where('group_id', '==', groupId)))
+      await deleteQueryResults(query(collection(db, 'game_responses'), where('group_id', '==', groupId)))
+      await deleteQueryResults(query(collection(db, 'games'), where('group_id', '==', groupId)))
+
+      const ownMembershipId = `${auth.currentUser.uid}_${groupId}`
+      await deleteQueryResults(query(collection(db, 'group_members'), where('group_id', '==', groupId)), ownMembershipId)
+
+      const batch = writeBatch(db)
+      batch.delete(doc(db, 'group_members', ownMembershipId))
+      batch.delete(doc(db, 'groups', groupId))
+      await batch.commit()
+      return { success: true }
+    } catch (err) {
+      console.error('Error deleting group:', err)
+      return { success: false, error: 'Failed to delete the group. Please try again.' }
+    }
+  }, [groupId])
+
+  const updateMemberRole = useCallback(async (membershipId, role) => {
+    try {
+      await updateDoc(doc(db, 'group_members', membershipId), { role })
+      return { success: true }
+    } catch (err) {
+      console.error('Error updating member role:', err)
+      return { success: false, error: 'Failed to update the member. Please try again.' }
+    }
+  }, [])
+
+  const removeMember = useCallback(async (membershipId) => {
+    try {
+      await deleteDoc(doc(db, 'group_members', membershipId))
+      return { success: true }
+    } catch (err) {
+      console.error('Error removing member:', err)
+      return { success: false, error: 'Failed to remove the member. Please try again.' }
+    }
+  }, [])
+
+  return {
+    updateGroup,
+    regenerateInviteCode,
+    registerInviteCode,
+    setArchived,
+    deleteGroup,
+    updateMemberRole,
+    removeMember
+  }
+}
+
 export default useUserGroups
@@ -0,0 +1,235 @@
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react'
+import {
+  collection,
+  query,
+  where,
+  orderBy,
+  limit,
+  startAfter,
+  getDocs
+} from 'firebase/firestore'
+import { db, auth } from '../firebase'
+import { toDateKeyInZone, getViewerTimeZone } from '../utils/timezones'
+import { toGameView } from './useGames'
+
+/**
+ * Fetches responses for a list of games ('in' queries accept at most 10 values)
+ * @param {string} groupId - Group document ID
+ * @param {string[]} gameIds - Game document IDs
+ * @returns {Promise<Object[]>} Response documents
+ */
+const fetchResponses = async (groupId, gameIds) => {
+  const batches = []
+  for (let i = 0; i < gameIds.length; i += 10) {
+    batches.push(gameIds.slice(i, i + 10))
+  }
+
+  const snapshots = await Promise.all(batches.map(batch => getDocs(query(
+    collection(db, 'game_responses'),
+    where('group_id', '==', groupId),
+    where('game_id', 'in', batch)
+  ))))
+
+  return snapshots.flatMap(snap => snap.docs.map(doc => ({ id: doc.id, ...doc.data() })))
+}
+
+/**
+ * Custom hook for a group's stored games and responses within a date range
+ * Results are fetched once per range rather than kept live, since history
+ * rarely changes while the stats page is open
+ *
+ * @param {string} groupId - Group document ID
+ * @param {Object} range - Date range
+ * @param {string} range.from - First date key (inclusive)
+ * @param {string} range.to - Last date key (inclusive)
+ * @returns {Object} Games, responses, loading and error state
+ */
+export const useGroupHistory = (groupId, { from, to }) => {
+  const [games, setGames] = useState([])
+  const [responses, setResponses] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    if (!groupId || !from || !to) {
+      setGames([])
+      setResponses([])
+      setLoading(false)
+      return
+    }
+
+    let isMounted = true
+
+    const fetchHistory = async () => {
+      setLoading(true)
+      setError(null)
+
+      try {
+        const gamesSnap = await getDocs(query(
+          collection(db, 'games'),
+          where('group_id', '==', groupId),
+          where('date', '>=', from),
+          where('date', '<=', to),
+          orderBy('date', 'asc')
+        ))
+        const fetchedGames = gamesSnap.docs.map(doc => ({ id: doc.id, ...doc.data() }))
+        const fetchedResponses = await fetchResponses(groupId, fetchedGames.map(game => game.id))
+
+        if (isMounted) {
+          setGames(fetchedGames)
+          setResponses(fetchedResponses)
+        }
+      } catch (err) {
+        console.error('Error fetching group history:', err)
+        if (isMounted) {
+          setError('Failed to load stats. Please try again.')
+        }
+      } finally {
+        if (isMounted) {
+          setLoading(false)
+        }
+      }
+    }
+
+    fetchHistory()
+
+    return () => {
+      isMounted = false
+    }
+  }, [groupId, from, to])
+
+  return { games, responses, loading, error }
+}
+
+/**
+ * Custom hook for a group's past games, newest first, a page at a time
+ * Pages are fetched with a date cursor so older games load on demand
+ *
+ * @param {string} groupId - Group document ID
+ * @param {Object} options - Paging options
+ * @param {number} options.pageSize - Games per page
+ * @param {number} options.maxTables - Group's table count, the fallback game capacity
+ * @param {string} options.time - Group's default start time (HH:MM)
+ * @param {string} options.timeZone - IANA time zone the group plays in
+ * @param {Object[]} options.recurrence - Group's schedule, for each game's start time
+ * @returns {Object} Game views, paging state and loadMore
+ */
+export const usePastGames = (groupId, {
+  pageSize = 10,
+  maxTables = null,
+  time = null,
+  timeZone = getViewerTimeZone(),
+  recurrence = null
+} = {}) => {
+  const [pages, setPages] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [loadingMore, setLoadingMore] = useState(false)
+  const [hasMore, setHasMore] = useState(true)
+  const [error, setError] = useState(null)
+  const cursorRef = useRef(null)
+  const requestRef = useRef(0)
+
+  const currentUserId = auth.currentUser?.uid || null
+
+  const fetchPage = useCallback(async (cursor) => {
+    const constraints = [
+      where('group_id', '==', groupId),
+      where('date', '<', toDateKeyInZone(new Date(), timeZone)),
+      orderBy('date', 'desc'),
+      limit(pageSize)
+    ]
+    if (cursor) constraints.push(startAfter(cursor))
+
+    const snapshot = await getDocs(query(collection(db, 'games'), ...constraints))
+    const games = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))
+    const responses = await fetchResponses(groupId, games.map(game => game.id))
+
+    return {
+      games,
+      responses,
+      cursor: snapshot.docs[snapshot.docs.length - 1] || cursor,
+      hasMore: snapshot.docs.length === pageSize
+    }
+  }, [groupId, pageSize, timeZone])
+
+  // Load the first page whenever the group changes
+  useEffect(() => {
+    const requestId = ++requestRef.current
+    cursorRef.current = null
+    setPages([])
+
+    if (!groupId) {
+      setLoading(false)
+      setHasMore(false)
+      return
+    }
+
+    setLoading(true)
+    setHasMore(true)
+    setError(null)
+
+    fetchPage(null)
+      .then(page => {
+        if (requestId !== requestRef.current) return
+        cursorRef.current = page.cursor
+        setPages([page])
+        setHasMore(page.hasMore)
+      })
+      .catch(err => {
+        console.error('Error fetching past games:', err)
+        if (requestId === requestRef.current) {
+          setError('Failed to load past games. Please try again.')
+        }
+      })
+      .finally(() => {
+        if (requestId === requestRef.current) {
+          setLoading(false)
+        }
+      })
+  }, [groupId, fetchPage])
+
+  /**
+   * Loads the next (older) page of games
+   */
+  const loadMore = useCallback(async () => {
+    if (loading || loadingMore || !hasMore) return
+
+    const requestId = requestRef.current
+    setLoadingMore(true)
+    setError(null)
+
+    try {
+      const page = await fetchPage(cursorRef.current)
+      if (requestId !== requestRef.current) return
+      cursorRef.current = page.cursor
+      setPages(prev => [...prev, page])
+      setHasMore(page.hasMore)
+    } catch (err) {
+      console.error('Error fetching past games:', err)
+      if (requestId === requestRef.current) {
+        setError('Failed to load more games. Please try again.')
+      }
+    } finally {
+      if (requestId === requestRef.current) {
+        setLoadingMore(false)
+      }
+    }
+  }, [loading, loadingMore, hasMore, fetchPage])
+
+  // Callers rebuild the schedule on every render, so key it by content
+  const recurrenceKey = JSON.stringify(recurrence)
+
+  const games = useMemo(() => {
+    const groupDefaults = { maxTables, time, timeZone, recurrence: JSON.parse(recurrenceKey) }
+    return pages.flatMap(page => page.games.map(game => toGameView(
+      game,
+      page.responses.filter(r => r.game_id === game.id),
+      currentUserId,
+      groupDefaults
+    )))
+  }, [pages, currentUserId, maxTables, time, timeZone, recurrenceKey])
+
+  return { games, loading, loadingMore, hasMore, error, loadMore }
+}
+
+export default useGroupHistory
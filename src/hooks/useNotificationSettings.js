@@ -0,0 +1,69 @@
+import { useState, useEffect, useCallback } from 'react'
+import { doc, onSnapshot, setDoc, serverTimestamp } from 'firebase/firestore'
+import { db, auth } from '../firebase'
+import { normalizePreferences, toPreferencesDoc } from '../utils/notificationPreferences'
+
+/**
+ * Custom hook for the current user's notification preferences
+ * Which events they want per group, and their quiet hours.
+ *
+ * @returns {Object} Preferences, loading/error state and savePreferences
+ */
+export const useNotificationSettings = () => {
+  const [preferences, setPreferences] = useState(() => normalizePreferences(null))
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  const userId = auth.currentUser?.uid || null
+
+  useEffect(() => {
+    if (!userId) {
+      setPreferences(normalizePreferences(null))
+      setLoading(false)
+      return
+    }
+
+    setLoading(true)
+    setError(null)
+
+    const unsubscribe = onSnapshot(
+      doc(db, 'users', userId, 'settings', 'notifications'),
+      (snapshot) => {
+        setPreferences(normalizePreferences(snapshot.exists() ? snapshot.data() : null))
+        setLoading(false)
+      },
+      (err) => {
+        console.error('Error subscribing to notification settings:', err)
+        setError('Failed to load your notification settings.')
+        setLoading(false)
+      }
+    )
+
+    return () => unsubscribe()
+  }, [userId])
+
+  /**
+   * Replaces the stored preferences
+   * @param {Object} updated - Preferences in the shape returned by normalizePreferences
+   */
+  const savePreferences = useCallback(async (updated) => {
+    if (!userId) {
+      return { success: false, error: 'Please sign in to continue.' }
+    }
+
+    try {
+      await setDoc(doc(db, 'users', userId, 'settings', 'notifications'), {
+        ...toPreferencesDoc(updated),
+        updated_at: serverTimestamp()
+      })
+      return { success: true }
+    } catch (err) {
+      console.error('Error saving notification settings:', err)
+      return { success: false, error: 'Failed to save your notification settings. Please try again.' }
+    }
+  }, [userId])
+
+  return { preferences, loading, error, savePreferences }
+}
+
+export default useNotificationSettings
@@ -0,0 +1,92 @@
+import { useState, useEffect, useCallback } from 'react'
+import {
+  collection,
+  query,
+  where,
+  doc,
+  onSnapshot,
+  updateDoc,
+  serverTimestamp
+} from 'firebase/firestore'
+import { db, auth } from '../firebase'
+
+/**
+ * Custom hook for the current user's unread in-app notifications
+ * (e.g., a game they're going to was cancelled or moved)
+ *
+ * @returns {Object} Notifications, loading/error state and dismiss
+ */
+export const useNotifications = () => {
+  const [notifications, setNotifications] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  const userId = auth.currentUser?.uid || null
+
+  useEffect(() => {
+    if (!userId) {
+      setNotifications([])
+      setLoading(false)
+      return
+    }
+
+    setLoading(true)
+    setError(null)
+
+    const notificationsQuery = query(
+      collection(db, 'notifications'),
+      where('user_id', '==', userId),
+      where('read', '==', false)
+    )
+
+    const unsubscribe = onSnapshot(
+      notificationsQuery,
+      (snapshot) => {
+        const unread = snapshot.docs.map(doc => {
+          const data = doc.data()
+          return {
+            id: doc.id,
+            groupId: data.group_id,
+            gameId: data.game_id,
+            type: data.type,
+            message: data.message,
+            createdAt: data.created_at?.toMillis?.() ?? null
+          }
+        })
+
+        // Newest first; pending server timestamps sort to the top
+        unread.sort((a, b) => (b.createdAt ?? Infinity) - (a.createdAt ?? Infinity))
+        setNotifications(unread)
+        setLoading(false)
+      },
+      (err) => {
+        console.error('Error subscribing to notifications:', err)
+        setError('Failed to load notifications.')
+        setLoading(false)
+      }
+    )
+
+    return () => unsubscribe()
+  }, [userId])
+
+  /**
+   * Marks a notification as read so it stops showing
+   * @param {string} notificationId - Notification document ID
+   */
+  const dismiss = useCallback(async (notificationId) => {
+    try {
+      await updateDoc(doc(db, 'notifications', notificationId), {
+        read: true,
+        read_at: serverTimestamp()
+      })
+      return { success: true }
+    } catch (err) {
+      console.error('Error dismissing notification:', err)
+      return { success: false, error: 'Failed to dismiss. Please try again.' }
+    }
+  }, [])
+
+  return { notifications, loading, error, dismiss }
+}
+
+export default useNotifications
@@ -0,0 +1,35 @@
+import { useEffect, useRef } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { useToast } from '../components/common/Toast'
+import { onForegroundMessage, onNotificationOpen, getMessagePath } from '../utils/notifications'
+
+/**
+ * Custom hook that surfaces push notifications while the app is open
+ * Pushes that arrive in the foreground show as toasts with a link to the
+ * game, and notifications tapped while a window is open navigate it there.
+ * Must be used inside both the router and the ToastProvider.
+ */
+export const usePushMessages = () => {
+  const navigate = useNavigate()
+  const toast = useToast()
+
+  // The toast object changes on every toast, which shouldn't resubscribe
+  const toastRef = useRef(toast)
+  toastRef.current = toast
+
+  useEffect(() => onForegroundMessage((payload) => {
+    const { title, body } = payload.notification || payload.data || {}
+    if (!title && !body) return
+
+    const path = getMessagePath(payload)
+    toastRef.current.info(
+      title && body ? `${title}: ${body}` : title || body,
+      8000,
+      path ? { label: 'View', onClick: () => navigate(path) } : null
+    )
+  }), [navigate])
+
+  useEffect(() => onNotificationOpen(path => navigate(path)), [navigate])
+}
+
+export default usePushMessages
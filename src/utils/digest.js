@@ -0,0 +1,212 @@
+import { expandRecurrence } from './recurrence'
+import { getGameId, parseDateKey, toDateKey } from './schedule'
+import { toDateKeyInZone, toTimeInZone } from './timezones'
+import { getGameStart } from './groups'
+import { getGameCapacity, toResponseViews } from './waitlist'
+import { fromScoresDoc, getPlayerTotals } from './scoring'
+import { formatGameWhen, getPlayerCounts } from './formatters'
+
+/**
+ * Weekly group digest, shared by the in-app preview and the Cloud Function
+ * that sends it, so both always say the same thing
+ */
+
+/**
+ * Days ahead covered by the digest's upcoming games
+ */
+export const DIGEST_UPCOMING_DAYS = 28
+
+/**
+ * Days back covered by the digest's results
+ */
+export const DIGEST_PAST_DAYS = 7
+
+/**
+ * When digests go out, in each group's own zone: Monday at 9 AM
+ */
+export const DIGEST_SEND_DAY = 1
+export const DIGEST_SEND_HOUR = 9
+
+/**
+ * Adds days to a date key
+ * @param {string} dateKey - Date key
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Date key
+ */
+const addDays = (dateKey, days) => {
+  const date = parseDateKey(dateKey)
+  date.setDate(date.getDate() + days)
+  return toDateKey(date)
+}
+
+/**
+ * Works out the dates a digest covers, in the group's zone
+ * @param {Object} groupInfo - Group info from normalizeGroup
+ * @param {Date} now - Current time
+ * @returns {Object} { today, from, to } date keys; from..to is the range of
+ * stored games to load
+ */
+export const getDigestRange = (groupInfo, now = new Date()) => {
+  const today = toDateKeyInZone(now, groupInfo.timeZone)
+  return {
+    today,
+    from: addDays(today, -DIGEST_PAST_DAYS),
+    to: addDays(today, DIGEST_UPCOMING_DAYS)
+  }
+}
+
+/**
+ * Checks whether a group's digest is due
+ * The sending job runs hourly, so this matches exactly one run a week.
+ * @param {Object} groupInfo - Group info from normalizeGroup
+ * @param {Date} now - Current time
+ * @returns {boolean} True during the send hour on the send day in the group's zone
+ */
+export const isDigestDue = (groupInfo, now = new Date()) => (
+  parseDateKey(toDateKeyInZone(now, groupInfo.timeZone)).getDay() === DIGEST_SEND_DAY
+  && Number(toTimeInZone(now, groupInfo.timeZone).slice(0, 2)) === DIGEST_SEND_HOUR
+)
+
+/**
+ * Builds a group's digest from its stored games and responses
+ * Regular occurrences nobody has responded to yet have no stored document, so
+ * they're filled in from the group's schedule.
+ *
+ * @param {Object} data - Source data
+ * @param {Object} data.groupInfo - Group info from normalizeGroup
+ * @param {Object[]} data.games - Game documents (with id) in the digest range
+ * @param {Object[]} data.responses - Response documents for those games
+ * @param {Date} data.now - Current time
+ * @returns {Object} { groupName, timeZone, nextGame, openHostSlots, lastWeek }
+ */
+export const buildGroupDigest = ({ groupInfo, games = [], responses = [], now = new Date() }) => {
+  const { today, from, to } = getDigestRange(groupInfo, now)
+
+  const byId = new Map()
+  expandRecurrence(groupInfo.recurrence, { from: today, to }, groupInfo.time).forEach(({ dateKey, time }) => {
+    const id = getGameId(groupInfo.id, dateKey)
+    byId.set(id, { id, group_id: groupInfo.id, date: dateKey, time })
+  })
+  games.forEach(game => byId.set(game.id, { ...byId.get(game.id), ...game }))
+
+  const responsesByGame = {}
+  responses.forEach(r => {
+    (responsesByGame[r.game_id] ??= []).push(r)
+  })
+
+  const scheduled = [...byId.values()]
+    .filter(game => !game.cancelled && game.date >= from)
+    .map(game => ({ game, startsAt: getGameStart(game, groupInfo) }))
+    .filter(({ startsAt }) => startsAt)
+    .sort((a, b) => a.startsAt - b.startsAt)
+
+  const upcoming = scheduled.filter(({ startsAt }) => startsAt >= now)
+  const next = upcoming[0]
+
+  let nextGame = null
+  if (next) {
+    const capacity = getGameCapacity(next.game, groupInfo.maxTables)
+    const counts = getPlayerCounts(
+      toResponseViews(responsesByGame[next.game.id] || [], capacity, next.game.host_id),
+      capacity
+    )
+    nextGame = {
+      id: next.game.id,
+      startsAt: next.startsAt,
+      hostName: next.game.host_id ? next.game.host_name || 'A member' : null,
+      going: counts.going,
+      maybe: counts.maybe,
+      message: counts.message,
+      alert: counts.alert
+    }
+  }
+
+  const lastWeek = scheduled
+    .filter(({ game, startsAt }) => startsAt < now && game.date < today)
+    .map(({ game, startsAt }) => {
+      const capacity = getGameCapacity(game, groupInfo.maxTables)
+      const { going } = getPlayerCounts(toResponseViews(responsesByGame[game.id] || [], capacity, game.host_id), capacity)
+      const scores = fromScoresDoc(game.scores)
+      return {
+        id: game.id,
+        startsAt,
+        played: going,
+        hostName: game.host_name || null,
+        standings: scores ? getPlayerTotals(scores) : []
+      }
+    })
+    .filter(game => game.played > 0)
+
+  return {
+    groupName: groupInfo.name,
+    timeZone: groupInfo.timeZone,
+    nextGame,
+    openHostSlots: upcoming
+      .filter(({ game }) => !game.host_id)
+      .map(({ game, startsAt }) => ({ id: game.id, startsAt })),
+    lastWeek
+  }
+}
+
+/**
+ * @param {number} total - Points
+ * @returns {string} Points with a sign (e.g., "+40")
+ */
+const formatPoints = (total) => (total > 0 ? `+${total}` : `${total}`)
+
+/**
+ * Lays a digest out as titled sections of text lines, used for the in-app
+ * preview, the email and the push summary alike
+ * @param {Object} digest - Digest from buildGroupDigest
+ * @returns {Object[]} Sections with key, title and lines
+ */
+export const getDigestSections = ({ timeZone, nextGame, openHostSlots, lastWeek }) => {
+  const when = (startsAt) => formatGameWhen(startsAt, timeZone)
+
+  return [
+    {
+      key: 'next',
+      title: 'Next game',
+      lines: nextGame
+        ? [
+            when(nextGame.startsAt),
+            nextGame.hostName ? `Hosted by ${nextGame.hostName}` : 'Still needs a host',
+            nextGame.message
+          ]
+        : ['Nothing on the calendar yet']
+    },
+    {
+      key: 'hosts',
+      title: 'Open host slots',
+      lines: openHostSlots.length > 0
+        ? openHostSlots.map(slot => when(slot.startsAt))
+        : ['Every game in the next four weeks has a host']
+    },
+    {
+      key: 'results',
+      title: "Last week's results",
+      lines: lastWeek.length > 0
+        ? lastWeek.flatMap(game => [
+            `${when(game.startsAt)}: ${game.played} played${game.hostName ? ` at ${game.hostName}'s` : ''}`,
+            ...(game.standings.length > 0
+              ? [game.standings.slice(0, 3).map(p => `${p.name} ${formatPoints(p.total)}`).join(', ')]
+              : [])
+          ])
+        : ['No games last week']
+    }
+  ]
+}
+
+/**
+ * Summarizes a digest in a sentence or two, for a push notification
+ * @param {Object} digest - Digest from buildGroupDigest
+ * @returns {string} Summary
+ */
+export const getDigestSummary = ({ timeZone, nextGame, openHostSlots }) => {
+  const next = nextGame
+    ? `Next game ${formatGameWhen(nextGame.startsAt, timeZone)}: ${nextGame.message}.`
+    : 'Nothing on the calendar yet.'
+
+  if (openHostSlots.length === 0) return next
+  return `${next} ${openHostSlots.length === 1 ? '1 game needs' : `${openHostSlots.length} games need`} a host.`
+}
@@ -1,5 +1,12 @@
+import { TABLE_SIZE } from './seating'
+import { describeEntry } from './recurrence'
+import { getViewerTimeZone, getZoneAbbreviation, differsFromViewer } from './timezones'
+
 /**
  * Formatting utilities for dates, times, and other display values
+ *
+ * Dates and instants render in the viewer's time zone unless a zone is passed;
+ * wall-clock strings like "19:00" are shown as-is.
  */
 
 /**
@@ -20,39 +27,95 @@ export const formatTime = (time24) => {
   return `${hour12}:${minutes} ${ampm}`
 }
 
+/**
+ * Formats a game's start for the viewer, adding the group's local time when
+ * the viewer is in a different zone
+ * @param {Date} startsAt - Game start instant
+ * @param {string} groupTimeZone - Group's IANA time zone
+ * @returns {string} Time (e.g., "4:00 PM" or "4:00 PM (7:00 PM EST)")
+ */
+export const formatGameTime = (startsAt, groupTimeZone = null) => {
+  if (!startsAt || !(startsAt instanceof Date)) return ''
+
+  const options = { hour: 'numeric', minute: '2-digit' }
+  const viewerTime = startsAt.toLocaleTimeString('en-US', options)
+
+  if (!groupTimeZone || !differsFromViewer(startsAt, groupTimeZone)) return viewerTime
+
+  const groupTime = startsAt.toLocaleTimeString('en-US', { ...options, timeZone: groupTimeZone })
+  return `${viewerTime} (${groupTime} ${getZoneAbbreviation(startsAt, groupTimeZone)})`
+}
+
+/**
+ * Describes a group's schedule with start times in the group's zone, labelled
+ * with the zone when the viewer is somewhere else
+ * @param {Object[]} recurrence - Schedule entries
+ * @param {string} defaultTime - Group's default start time (24-hour)
+ * @param {string} timeZone - Group's IANA time zone
+ * @returns {string} Schedule (e.g., "Every Thursday at 7:00 PM · First Saturday of the month at 1:00 PM")
+ */
+export const formatSchedule = (recurrence = [], defaultTime = null, timeZone = null) => {
+  const now = new Date()
+  const zone = timeZone && differsFromViewer(now, timeZone) ? ` ${getZoneAbbreviation(now, timeZone)}` : ''
+
+  return recurrence
+    .map(entry => {
+      const time = formatTime(entry.time || defaultTime)
+      return time ? `${describeEntry(entry)} at ${time}${zone}` : describeEntry(entry)
+    })
+    .join(' · ')
+}
+
 /**
  * Formats a date object to a short readable format
  * @param {Date} date - Date object to format
+ * @param {string} timeZone - Zone to show the date in (defaults to the viewer's)
  * @returns {string} Formatted date (e.g., "Thu, Jan 15")
  */
-export const formatDate = (date) => {
+export const formatDate = (date, timeZone = getViewerTimeZone()) => {
   if (!date || !(date instanceof Date)) return ''
 
-  const options = { weekday: 'short', month: 'short', day: 'numeric' }
+  const options = { weekday: 'short', month: 'short', day: 'numeric', timeZone }
   return date.toLocaleDateString('en-US', options)
 }
 
 /**
  * Formats a date to a full readable format
  * @param {Date} date - Date object to format
+ * @param {string} timeZone - Zone to show the date in (defaults to the viewer's)
  * @returns {string} Formatted date (e.g., "Thursday, January 15, 2025")
  */
-export const formatDateFull = (date) => {
+export const formatDateFull = (date, timeZone = getViewerTimeZone()) => {
   if (!date || !(date instanceof Date)) return ''
 
-  const options = { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' }
+  const options = { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric', timeZone }
   return date.toLocaleDateString('en-US', options)
 }
 
+/**
+ * Describes when a game starts in the group's zone, labelled with the zone,
+ * for messages that can't know where each reader is
+ * @param {Date} startsAt - Start instant
+ * @param {string} timeZone - Group's IANA time zone
+ * @returns {string} When (e.g., "Thu, Mar 13 at 7:00 PM EDT")
+ */
+export const formatGameWhen = (startsAt, timeZone) => {
+  if (!startsAt) return 'the next game'
+
+  const time = startsAt.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone })
+  return `${formatDate(startsAt, timeZone)} at ${time} ${getZoneAbbreviation(startsAt, timeZone)}`
+}
+
 /**
  * Gets month and year header string
  * @param {Date} date - Date object
+ * @param {string} timeZone - Zone to show the month in (defaults to the viewer's)
  * @returns {string} Month and year (e.g., "JANUARY 2025")
  */
-export const formatMonthYear = (date) => {
+export const formatMonthYear = (date, timeZone = getViewerTimeZone()) => {
   if (!date || !(date instanceof Date)) return ''
 
-  return date.toLocaleDateString('en-US', { month: 'long', year: 'numeric' }).toUpperCase()
+  return date.toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone }).toUpperCase()
 }
 
 /**
@@ -120,29 +183,39 @@ export const getInitials = (name) => {
 /**
  * Generates player count message for a game
  * @param {Array} responses - Array of player responses
+ * @param {number|null} capacity - Seats available, or null when unlimited
  * @returns {Object} Message and alert strings
  */
-export const getPlayerCounts = (responses = []) => {
-  const going = responses.filter(r => r.status === 'going').length
+export const getPlayerCounts = (responses = [], capacity = null) => {
+  const going = responses.filter(r => r.status === 'going' && !r.waitlisted).length
   const maybe = responses.filter(r => r.status === 'maybe').length
+  const waitlisted = responses.filter(r => r.waitlisted).length
 
   let message = `${going} going`
   if (maybe > 0) {
     message += ` / ${maybe} maybe`
   }
+  if (waitlisted > 0) {
+    message += ` / ${waitlisted} waitlisted`
+  }
+
+  const fullTables = Math.floor(going / TABLE_SIZE)
+  const openSeats = (TABLE_SIZE - (going % TABLE_SIZE)) % TABLE_SIZE
 
   let alert = null
-  if (going >= 4 && going < 5) {
+  if (capacity !== null && going >= capacity) {
+    alert = { type: 'success', text: 'Game full! New players join the waitlist' }
+  } else if (fullTables === 0) {
+    alert = { type: 'info', text: `Need ${TABLE_SIZE - going} more to play` }
+  } else if (openSeats > 0) {
+    alert = { type: 'warning', text: `Need ${openSeats} more for Table ${fullTables + 1}!` }
+  } else if (fullTables === 1) {
     alert = { type: 'success', text: 'Table 1 ready!' }
-  } else if (going >= 5 && going <= 7) {
-    const needed = 8 - going
-    alert = { type: 'warning', text: `Need ${needed} more for Table 2!` }
-  } else if (going >= 8) {
+  } else if (fullTables === 2) {
     alert = { type: 'success', text: 'Table 1 & 2 full!' }
-  } else if (going < 4) {
-    const needed = 4 - going
-    alert = { type: 'info', text: `Need ${needed} more to play` }
+  } else {
+    alert = { type: 'success', text: `All ${fullTables} tables full!` }
   }
 
-  return { message, alert, going, maybe }
+  return { message, alert, going, maybe, waitlisted, fullTables }
 }
@@ -0,0 +1,56 @@
+import { getGroupRecurrence, getOccurrenceTime } from './recurrence'
+import { DEFAULT_TIME_ZONE, isValidTimeZone, zonedTimeToInstant } from './timezones'
+
+/**
+ * Group utilities for normalizing stored group documents
+ */
+
+/**
+ * Most tables a group can be configured with
+ */
+export const MAX_TABLES_LIMIT = 6
+
+/**
+ * Tables assumed when a group has no capacity configured
+ */
+export const DEFAULT_MAX_TABLES = 2
+
+/**
+ * Normalizes a Firestore group into the display shape used by components
+ * Accepts both snake_case and legacy camelCase fields
+ * @param {Object} group - Group document data (with id)
+ * @returns {Object|null} Group info object
+ */
+export const normalizeGroup = (group) => {
+  if (!group) return null
+
+  return {
+    id: group.id,
+    name: group.name || group.group_name || 'Mahjong Group',
+    dayOfWeek: group.day_of_week || group.dayOfWeek || 'Thursday',
+    time: group.time || '19:00',
+    recurrence: getGroupRecurrence(group),
+    // Groups created before zones were stored get a fixed one rather than
+    // the viewer's, which on the server would be UTC
+    timeZone: isValidTimeZone(group.time_zone) ? group.time_zone : DEFAULT_TIME_ZONE,
+    location: group.location || '',
+    maxTables: group.max_tables || group.maxTables || DEFAULT_MAX_TABLES,
+    inviteCode: group.invite_code || group.inviteCode || group.id,
+    createdBy: group.created_by || null,
+    archived: !!group.archived
+  }
+}
+
+/**
+ * Gets a stored game's start instant, falling back to the group's schedule
+ * for games stored before start times were
+ * @param {Object} game - Game document data
+ * @param {Object} groupInfo - Group info from normalizeGroup
+ * @returns {Date|null} Start instant
+ */
+export const getGameStart = (game, groupInfo) => {
+  if (game.starts_at?.toDate) return game.starts_at.toDate()
+
+  const time = game.rescheduled_time || game.time || getOccurrenceTime(groupInfo.recurrence, game.date, groupInfo.time)
+  return zonedTimeToInstant(game.rescheduled_date || game.date, time, groupInfo.timeZone)
+}
@@ -0,0 +1,297 @@
+import { getOccurrenceTime } from './recurrence'
+import { zonedTimeToInstant, getZoneOffset, toDateKeyInZone, toTimeInZone } from './timezones'
+
+/**
+ * iCalendar (RFC 5545) utilities for game nights
+ *
+ * Used both for single-game downloads in the app and for the per-user
+ * subscription feed served by the calendarFeed function. Each game keeps the
+ * same UID for its whole life, so calendars update the existing event when a
+ * game is rescheduled or cancelled instead of adding a new one. Start times
+ * are written in the group's zone, along with a VTIMEZONE definition of that
+ * zone built from the runtime's time zone data.
+ */
+
+const PRODUCT_ID = '-//Mahjong Coordinator//Game Nights//EN'
+
+const UID_DOMAIN = 'mahjong-coordinator'
+
+/**
+ * How long a game night is assumed to last
+ */
+export const GAME_DURATION = 'PT3H'
+
+/**
+ * Lines longer than this many octets are folded (RFC 5545 §3.1)
+ */
+const MAX_LINE_OCTETS = 75
+
+const MINUTE = 60 * 1000
+
+const DAY = 24 * 60 * MINUTE
+
+const encoder = new TextEncoder()
+
+/**
+ * Escapes a value for a TEXT property
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+export const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n')
+
+/**
+ * Folds a content line so no physical line exceeds 75 octets
+ * Continuation lines start with a single space, which counts towards the limit.
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line joined with CRLF
+ */
+export const foldLine = (line) => {
+  const parts = []
+  let current = ''
+  let octets = 0
+
+  for (const char of line) {
+    const size = encoder.encode(char).length
+    if (octets + size > MAX_LINE_OCTETS) {
+      parts.push(current)
+      current = ' '
+      octets = 1
+    }
+    current += char
+    octets += size
+  }
+  parts.push(current)
+
+  return parts.join('\r\n')
+}
+
+/**
+ * Formats an instant as a UTC date-time (e.g., "20250313T230000Z")
+ * @param {Date} date - Instant
+ * @returns {string} UTC date-time
+ */
+export const toUtcStamp = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')
+
+/**
+ * Formats a wall-clock date and time as a local date-time (e.g., "20250313T190000")
+ * @param {string} dateKey - Date key
+ * @param {string} time - Time in 24-hour format
+ * @returns {string} Local date-time
+ */
+const toLocalStamp = (dateKey, time) => `${dateKey.replace(/-/g, '')}T${time.replace(':', '')}00`
+
+/**
+ * Formats the wall-clock date and time of an instant in a zone
+ * @param {Date} instant - Absolute time
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} Local date-time
+ */
+const toZonedStamp = (instant, timeZone) => toLocalStamp(toDateKeyInZone(instant, timeZone), toTimeInZone(instant, timeZone))
+
+/**
+ * Formats the wall-clock time of an instant at a fixed UTC offset
+ * @param {Date} instant - Absolute time
+ * @param {number} offset - Minutes ahead of UTC
+ * @returns {string} Local date-time
+ */
+const toOffsetStamp = (instant, offset) => toUtcStamp(new Date(instant.getTime() + offset * MINUTE)).slice(0, -1)
+
+/**
+ * Formats a UTC offset for TZOFFSETFROM and TZOFFSETTO
+ * @param {number} offset - Minutes ahead of UTC
+ * @returns {string} Offset (e.g., "-0500")
+ */
+const formatOffset = (offset) => {
+  const minutes = Math.abs(offset)
+  const hh = String(Math.floor(minutes / 60)).padStart(2, '0')
+  const mm = String(minutes % 60).padStart(2, '0')
+  return `${offset < 0 ? '-' : '+'}${hh}${mm}`
+}
+
+/**
+ * Finds every change in a zone's UTC offset between two instants
+ * Offsets are sampled daily, then each change is narrowed to the minute.
+ * @param {string} timeZone - IANA time zone
+ * @param {Date} from - Start of the range (on a whole minute)
+ * @param {Date} to - End of the range
+ * @returns {Object[]} { at, from, to } for each change, in order
+ */
+const findOffsetChanges = (timeZone, from, to) => {
+  const changes = []
+  let offset = getZoneOffset(from, timeZone)
+
+  for (let time = from.getTime() + DAY; time <= to.getTime(); time += DAY) {
+    const next = getZoneOffset(new Date(time), timeZone)
+    if (next === offset) continue
+
+    let before = time - DAY
+    let after = time
+    while (after - before > MINUTE) {
+      const middle = before + Math.floor((after - before) / 2 / MINUTE) * MINUTE
+      if (getZoneOffset(new Date(middle), timeZone) === offset) {
+        before = middle
+      } else {
+        after = middle
+      }
+    }
+    changes.push({ at: new Date(after), from: offset, to: next })
+    offset = next
+  }
+
+  return changes
+}
+
+/**
+ * Builds the VTIMEZONE lines defining a zone over a range of time
+ * Each offset change is listed as its own observance; offsets above the
+ * range's lowest are daylight time.
+ * @param {string} timeZone - IANA time zone
+ * @param {Date} from - Start of the range (on a whole minute)
+ * @param {Date} to - End of the range
+ * @returns {string[]} Unfolded content lines
+ */
+const buildTimeZoneLines = (timeZone, from, to) => {
+  const initial = getZoneOffset(from, timeZone)
+  const changes = findOffsetChanges(timeZone, from, to)
+  const standard = Math.min(initial, ...changes.map(change => change.to))
+
+  const observance = (at, offsetFrom, offsetTo) => {
+    const kind = offsetTo > standard ? 'DAYLIGHT' : 'STANDARD'
+    return [
+      `BEGIN:${kind}`,
+      `DTSTART:${toOffsetStamp(at, offsetFrom)}`,
+      `TZOFFSETFROM:${formatOffset(offsetFrom)}`,
+      `TZOFFSETTO:${formatOffset(offsetTo)}`,
+      `END:${kind}`
+    ]
+  }
+
+  return [
+    'BEGIN:VTIMEZONE',
+    `TZID:${timeZone}`,
+    ...observance(from, initial, initial),
+    ...changes.flatMap(change => observance(change.at, change.from, change.to)),
+    'END:VTIMEZONE'
+  ]
+}
+
+/**
+ * Builds a VTIMEZONE for each zone events start in, covering the whole UTC
+ * years their starts fall in
+ * @param {Object[]} events - Event fields from toCalendarEvent
+ * @returns {string[]} Unfolded content lines
+ */
+const buildTimeZones = (events) => {
+  const yearsByZone = new Map()
+  events.forEach(event => {
+    yearsByZone.set(event.timeZone, [...(yearsByZone.get(event.timeZone) || []), event.start.getUTCFullYear()])
+  })
+
+  return [...yearsByZone].flatMap(([timeZone, years]) => buildTimeZoneLines(
+    timeZone,
+    new Date(Date.UTC(Math.min(...years), 0, 1)),
+    new Date(Date.UTC(Math.max(...years) + 1, 0, 1))
+  ))
+}
+
+/**
+ * @param {string} gameId - Game document ID
+ * @returns {string} Event UID that stays the same when the game moves
+ */
+export const getEventUid = (gameId) => `${gameId}@${UID_DOMAIN}`
+
+/**
+ * Builds calendar event fields for a game
+ * @param {Object} game - Game view (see toGameView)
+ * @param {Object} groupInfo - Normalized group info
+ * @param {string} groupUrl - Link back to the group page
+ * @returns {Object} Event fields for buildCalendar
+ */
+export const toCalendarEvent = (game, groupInfo, groupUrl = null) => {
+  const time = game.time || getOccurrenceTime(groupInfo.recurrence || [], game.scheduledDateKey, groupInfo.time)
+  const location = game.venue || game.host?.address || groupInfo.location || null
+
+  const description = [
+    game.cancelled && (game.cancelReason ? `Cancelled: ${game.cancelReason}` : 'Cancelled'),
+    game.host ? `Hosted by ${game.host.name}` : 'Still needs a host',
+    groupUrl
+  ].filter(Boolean).join('\n')
+
+  return {
+    uid: getEventUid(game.id),
+    start: game.startsAt || zonedTimeToInstant(game.dateKey, time, groupInfo.timeZone),
+    timeZone: groupInfo.timeZone,
+    summary: `${game.cancelled ? 'Cancelled: ' : ''}${groupInfo.name}${game.adhoc ? ' (one-off)' : ''}`,
+    description,
+    location,
+    url: groupUrl,
+    cancelled: !!game.cancelled,
+    sequence: game.sequence || 0
+  }
+}
+
+/**
+ * Builds the VEVENT lines for one event
+ * @param {Object} event - Event fields from toCalendarEvent
+ * @param {Date} now - Time the calendar is generated
+ * @returns {string[]} Unfolded content lines
+ */
+const buildEventLines = (event, now) => [
+  'BEGIN:VEVENT',
+  `UID:${event.uid}`,
+  `DTSTAMP:${toUtcStamp(now)}`,
+  `DTSTART;TZID=${event.timeZone}:${toZonedStamp(event.start, event.timeZone)}`,
+  `DURATION:${GAME_DURATION}`,
+  `SEQUENCE:${event.sequence}`,
+  `STATUS:${event.cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+  `SUMMARY:${escapeText(event.summary)}`,
+  event.description && `DESCRIPTION:${escapeText(event.description)}`,
+  event.location && `LOCATION:${escapeText(event.location)}`,
+  event.url && `URL:${event.url}`,
+  'END:VEVENT'
+].filter(Boolean)
+
+/**
+ * Builds an iCalendar document
+ * @param {Object[]} events - Event fields from toCalendarEvent
+ * @param {Object} options - Calendar options
+ * @param {string} options.name - Calendar name shown by subscribing apps
+ * @param {Date} options.now - Time the calendar is generated
+ * @returns {string} iCalendar text with CRLF line endings
+ */
+export const buildCalendar = (events, { name = null, now = new Date() } = {}) => {
+  const timed = events.filter(event => event.start)
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    name && `X-WR-CALNAME:${escapeText(name)}`,
+    ...buildTimeZones(timed),
+    ...timed.flatMap(event => buildEventLines(event, now)),
+    'END:VCALENDAR'
+  ].filter(Boolean)
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`
+}
+
+/**
+ * Saves an iCalendar document as a file download in the browser
+ * @param {string} filename - File name (e.g., "mahjong-2025-03-13.ics")
+ * @param {string} calendar - iCalendar text
+ */
+export const downloadCalendar = (filename, calendar) => {
+  const url = URL.createObjectURL(new Blob([calendar], { type: 'text/calendar;charset=utf-8' }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  URL.revokeObjectURL(url)
+}
@@ -0,0 +1,40 @@
+/**
+ * Invite code utilities for sharing and joining groups
+ */
+
+/**
+ * Characters used in invite codes (no 0/O or 1/I/L to avoid confusion)
+ */
+const INVITE_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789'
+
+/**
+ * Default invite code length
+ */
+export const INVITE_CODE_LENGTH = 6
+
+/**
+ * Generates a random invite code
+ * @param {number} length - Number of characters
+ * @returns {string} Invite code (e.g., "K7MX2Q")
+ */
+export const generateInviteCode = (length = INVITE_CODE_LENGTH) => {
+  const values = new Uint32Array(length)
+  crypto.getRandomValues(values)
+
+  return Array.from(values, value =>
+    INVITE_CODE_ALPHABET[value % INVITE_CODE_ALPHABET.length]
+  ).join('')
+}
+
+/**
+ * Extracts an invite code from a pasted invite link or raw code
+ * @param {string} input - Invite link (e.g., "https://.../join/K7MX2Q") or code
+ * @returns {string} Invite code, or empty string if none found
+ */
+export const extractInviteCode = (input) => {
+  if (!input || typeof input !== 'string') return ''
+
+  // If it's a full URL, take the last path segment and drop any query string
+  const lastSegment = input.trim().split('?')[0].split('#')[0].split('/').filter(Boolean).pop()
+  return lastSegment || ''
+}
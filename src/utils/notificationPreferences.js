@@ -0,0 +1,152 @@
+import { isValidTimeZone, toTimeInZone } from './timezones'
+
+/**
+ * Notification preference utilities, shared by the settings screen and the
+ * Cloud Functions that decide who gets each notification
+ *
+ * Preferences are stored in `users/{uid}/settings/notifications` as:
+ *   groups: { [groupId]: { [eventKey]: boolean } } - only changes from each event's default are stored
+ *   quiet_hours: { enabled, start, end, time_zone }
+ *   email_fallback: whether to email when the member has no push devices
+ * so events keep their defaults in groups joined later.
+ */
+
+/**
+ * Events members can switch off, per group
+ */
+export const NOTIFICATION_EVENTS = [
+  {
+    key: 'new_game',
+    label: 'New games',
+    description: 'When someone proposes an extra game'
+  },
+  {
+    key: 'reminders',
+    label: 'RSVP reminders',
+    description: "Before a game you haven't answered yet"
+  },
+  {
+    key: 'player_needed',
+    label: '"One more needed" alerts',
+    description: 'When a table is a player short, or fills up'
+  },
+  {
+    key: 'host',
+    label: 'Host changes',
+    description: 'When someone offers to host'
+  },
+  {
+    key: 'cancellations',
+    label: 'Cancellations',
+    description: "When a game you're going to is called off"
+  },
+  {
+    key: 'digest',
+    label: 'Weekly digest',
+    description: "Monday summary of what's coming up and last week's results",
+    defaultEnabled: false
+  }
+]
+
+/**
+ * Whether each event is on before a member changes it
+ */
+const EVENT_DEFAULTS = Object.fromEntries(
+  NOTIFICATION_EVENTS.map(event => [event.key, event.defaultEnabled !== false])
+)
+
+/**
+ * Quiet hours used until a member sets their own (off by default)
+ */
+export const DEFAULT_QUIET_HOURS = {
+  enabled: false,
+  start: '22:00',
+  end: '08:00',
+  timeZone: null
+}
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/
+
+/**
+ * Normalizes a stored preferences document into the shape used by the app
+ * @param {Object|null} data - Preferences document data
+ * @returns {Object} { groups, emailFallback, quietHours }
+ */
+export const normalizePreferences = (data) => {
+  const quietHours = data?.quiet_hours || {}
+
+  return {
+    groups: data?.groups || {},
+    // Email reaches members who haven't turned push on anywhere
+    emailFallback: data?.email_fallback !== false,
+    quietHours: {
+      enabled: !!quietHours.enabled,
+      start: TIME_PATTERN.test(quietHours.start) ? quietHours.start : DEFAULT_QUIET_HOURS.start,
+      end: TIME_PATTERN.test(quietHours.end) ? quietHours.end : DEFAULT_QUIET_HOURS.end,
+      timeZone: isValidTimeZone(quietHours.time_zone) ? quietHours.time_zone : DEFAULT_QUIET_HOURS.timeZone
+    }
+  }
+}
+
+/**
+ * Converts preferences back into the stored document shape
+ * Events left at their default are dropped, so only changes are stored.
+ * @param {Object} preferences - Preferences from normalizePreferences
+ * @returns {Object} Document data
+ */
+export const toPreferencesDoc = ({ groups, emailFallback = true, quietHours }) => ({
+  groups: Object.fromEntries(
+    Object.entries(groups)
+      .map(([groupId, events]) => [
+        groupId,
+        Object.fromEntries(Object.entries(events).filter(([key, enabled]) => enabled !== (EVENT_DEFAULTS[key] ?? true)))
+      ])
+      .filter(([, events]) => Object.keys(events).length > 0)
+  ),
+  email_fallback: emailFallback,
+  quiet_hours: {
+    enabled: quietHours.enabled,
+    start: quietHours.start,
+    end: quietHours.end,
+    time_zone: quietHours.timeZone
+  }
+})
+
+/**
+ * @param {Object} preferences - Preferences from normalizePreferences
+ * @param {string} groupId - Group the notification is about
+ * @param {string} eventKey - Event key from NOTIFICATION_EVENTS
+ * @returns {boolean} The member's choice for the group, or the event's default
+ */
+export const isEventEnabled = (preferences, groupId, eventKey) => (
+  preferences.groups[groupId]?.[eventKey] ?? EVENT_DEFAULTS[eventKey] ?? true
+)
+
+/**
+ * Checks whether an instant falls within a member's quiet hours
+ * Windows may run past midnight (e.g., 22:00 to 08:00).
+ * @param {Object} quietHours - Quiet hours from normalizePreferences
+ * @param {Date} now - Instant to check
+ * @returns {boolean} True if notifications should be held back
+ */
+export const isQuietTime = (quietHours, now = new Date()) => {
+  if (!quietHours?.enabled || !quietHours.timeZone || quietHours.start === quietHours.end) return false
+
+  const time = toTimeInZone(now, quietHours.timeZone)
+  if (quietHours.start < quietHours.end) {
+    return time >= quietHours.start && time < quietHours.end
+  }
+  return time >= quietHours.start || time < quietHours.end
+}
+
+/**
+ * Decides whether a member should get a push notification right now
+ * @param {Object} preferences - Preferences from normalizePreferences
+ * @param {Object} notification - { groupId, eventKey }
+ * @param {Date} now - Current time
+ * @returns {boolean} True to send
+ */
+export const shouldNotify = (preferences, { groupId, eventKey }, now = new Date()) => {
+  if (groupId && eventKey && !isEventEnabled(preferences, groupId, eventKey)) return false
+  return !isQuietTime(preferences.quietHours, now)
+}
@@ -1,8 +1,71 @@
-import { getToken } from 'firebase/messaging'
-import { messaging } from '../firebase'
+import { SDK_VERSION } from 'firebase/app'
+import { getToken, onMessage } from 'firebase/messaging'
+import { doc, setDoc, serverTimestamp } from 'firebase/firestore'
+import { db, messagingReady } from '../firebase'
+
+/**
+ * Users this session has already refreshed a token for
+ */
+const refreshedUsers = new Set()
+
+/**
+ * Scope of the messaging service worker, kept off the app's own pages
+ */
+const MESSAGING_SW_SCOPE = '/firebase-cloud-messaging-push-scope'
+
+/**
+ * Message type public/firebase-messaging-sw.js posts when a notification is
+ * tapped while the app is open
+ */
+const OPEN_MESSAGE_TYPE = 'notification-open'
+
+let messagingWorker = null
+
+/**
+ * Registers public/firebase-messaging-sw.js, passing it the Firebase config
+ * it needs to receive pushes and the SDK version the app is built with
+ * @param {Object} messaging - Messaging instance
+ * @returns {Promise<ServiceWorkerRegistration|undefined>} Registration, or
+ * undefined to let the SDK use its default
+ */
+const registerMessagingWorker = (messaging) => {
+  if (!('serviceWorker' in navigator)) return Promise.resolve(undefined)
+
+  if (!messagingWorker) {
+    const { apiKey, projectId, messagingSenderId, appId } = messaging.app.options
+    const params = new URLSearchParams({ apiKey, projectId, messagingSenderId, appId, firebaseVersion: SDK_VERSION })
+    messagingWorker = navigator.serviceWorker
+      .register(`/firebase-messaging-sw.js?${params}`, { scope: MESSAGING_SW_SCOPE })
+      .catch(error => {
+        messagingWorker = null
+        throw error
+      })
+  }
+  return messagingWorker
+}
+
+/**
+ * Gets this browser's FCM token, assuming permission is already granted
+ * @returns {Promise<string|null>} Token, or null if messaging isn't available
+ */
+const getDeviceToken = async () => {
+  const messaging = await messagingReady
+  if (!messaging) return null
+
+  const vapidKey = import.meta.env.VITE_FIREBASE_VAPID_KEY
+  if (!vapidKey) {
+    console.warn('VAPID key not configured')
+    return null
+  }
+
+  return getToken(messaging, {
+    vapidKey,
+    serviceWorkerRegistration: await registerMessagingWorker(messaging)
+  })
+}
 
 export const requestNotificationPermission = async () => {
-  if (!messaging) {
+  if (!(await messagingReady)) {
     console.log('Messaging not supported')
     return null
   }
@@ -11,14 +74,7 @@ export const requestNotificationPermission = async () => {
     const permission = await Notification.requestPermission()
 
     if (permission === 'granted') {
-      const vapidKey = import.meta.env.VITE_FIREBASE_VAPID_KEY
-      if (!vapidKey) {
-        console.warn('VAPID key not configured')
-        return null
-      }
-
-      const token = await getToken(messaging, { vapidKey })
-      return token
+      return await getDeviceToken()
     }
 
     return null
@@ -27,3 +83,122 @@ export const requestNotificationPermission = async () => {
     return null
   }
 }
+
+/**
+ * Describes a device from its user agent, so members can tell their devices apart
+ * @param {string} userAgent - Browser user agent string
+ * @returns {string} Label (e.g., "Chrome on Android")
+ */
+export const getDeviceLabel = (userAgent = '') => {
+  const browser = [
+    [/Edg\//, 'Edge'],
+    [/OPR\/|Opera/, 'Opera'],
+    [/Firefox\/|FxiOS/, 'Firefox'],
+    [/Chrome\/|CriOS/, 'Chrome'],
+    [/Safari\//, 'Safari']
+  ].find(([pattern]) => pattern.test(userAgent))?.[1] || 'Browser'
+
+  const platform = [
+    [/iPhone|iPad|iPod/, 'iOS'],
+    [/Android/, 'Android'],
+    [/Windows/, 'Windows'],
+    [/Mac OS X|Macintosh/, 'Mac'],
+    [/CrOS/, 'ChromeOS'],
+    [/Linux/, 'Linux']
+  ].find(([pattern]) => pattern.test(userAgent))?.[1]
+
+  return platform ? `${browser} on ${platform}` : browser
+}
+
+/**
+ * Stores a device's token under the user, keyed by the token so each device
+ * has one entry however often it checks in
+ * @param {string} userId - User ID
+ * @param {string} token - FCM token
+ */
+export const saveNotificationToken = async (userId, token) => {
+  await setDoc(doc(db, 'users', userId, 'notification_tokens', token), {
+    token,
+    device: getDeviceLabel(navigator.userAgent),
+    last_seen_at: serverTimestamp()
+  }, { merge: true })
+}
+
+/**
+ * Re-reads this device's token and records it as seen, once per app load
+ * FCM rotates tokens from time to time, so the stored one can go stale.
+ * Does nothing until the user has granted notification permission.
+ * @param {string} userId - User ID
+ */
+export const refreshNotificationToken = async (userId) => {
+  if (refreshedUsers.has(userId)) return
+  if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return
+  refreshedUsers.add(userId)
+
+  try {
+    const token = await getDeviceToken()
+    if (token) {
+      await saveNotificationToken(userId, token)
+    }
+  } catch (error) {
+    refreshedUsers.delete(userId)
+    console.error('Error refreshing notification token:', error)
+  }
+}
+
+/**
+ * Listens for pushes that arrive while the app is open and focused, which
+ * the browser doesn't show on its own
+ * @param {Function} callback - Called with each FCM message payload
+ * @returns {Function} Unsubscribe function
+ */
+export const onForegroundMessage = (callback) => {
+  let unsubscribe = null
+  let stopped = false
+
+  messagingReady.then(messaging => {
+    if (messaging && !stopped) {
+      unsubscribe = onMessage(messaging, callback)
+    }
+  })
+
+  return () => {
+    stopped = true
+    unsubscribe?.()
+  }
+}
+
+/**
+ * Listens for notifications tapped while the app is already open, so the
+ * page can be shown without reloading
+ * @param {Function} callback - Called with the path to show
+ * @returns {Function} Unsubscribe function
+ */
+export const onNotificationOpen = (callback) => {
+  if (!('serviceWorker' in navigator)) return () => {}
+
+  const handleMessage = (event) => {
+    if (event.data?.type === OPEN_MESSAGE_TYPE && typeof event.data.path === 'string') {
+      callback(event.data.path)
+    }
+  }
+  navigator.serviceWorker.addEventListener('message', handleMessage)
+  return () => navigator.serviceWorker.removeEventListener('message', handleMessage)
+}
+
+/**
+ * Works out the in-app path a push message links to
+ * @param {Object} payload - FCM message payload
+ * @returns {string|null} Path with query string, or null if it links nowhere
+ */
+export const getMessagePath = (payload) => {
+  const link = payload?.fcmOptions?.link
+  if (link) {
+    const url = new URL(link, window.location.origin)
+    return `${url.pathname}${url.search}`
+  }
+
+  const { groupId, gameId } = payload?.data || {}
+  if (!groupId) return null
+  return gameId ? `/group/${groupId}?game=${encodeURIComponent(gameId)}` : `/group/${groupId}`
+}
@@ -0,0 +1,57 @@
+/**
+ * Tracks writes made while offline until they reach the server
+ * Firestore queues the writes itself; this only lets the app show how many
+ * are waiting and say when each one goes through or is rejected.
+ */
+
+const pending = new Set()
+const listeners = new Set()
+
+/**
+ * @param {Object} event - { type, label, error }
+ */
+const notify = (event) => {
+  listeners.forEach(listener => listener({ ...event, pendingCount: pending.size }))
+}
+
+/**
+ * Tracks a write until it settles
+ * @param {Promise} write - Promise from a Firestore write (e.g., batch.commit())
+ * @param {string} label - What the write is, for messages (e.g., "RSVP")
+ * @returns {Promise} The same write
+ */
+export const trackPendingWrite = (write, label) => {
+  const entry = { label }
+  pending.add(entry)
+  notify({ type: 'queued', label })
+
+  write.then(
+    () => {
+      pending.delete(entry)
+      notify({ type: 'synced', label })
+    },
+    (error) => {
+      pending.delete(entry)
+      notify({ type: 'failed', label, error })
+    }
+  )
+
+  return write
+}
+
+/**
+ * @returns {number} Writes still waiting to reach the server
+ */
+export const getPendingWriteCount = () => pending.size
+
+/**
+ * Listens for tracked writes being queued, synced or rejected
+ * @param {Function} listener - Called with { type, label, error, pendingCount }
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribePendingWrites = (listener) => {
+  listeners.add(listener)
+  return () => {
+    listeners.delete(listener)
+  }
+}
@@ -0,0 +1,121 @@
+/**
+ * Group roles and the permission checks built on them
+ */
+
+/**
+ * Roles a group member can hold
+ */
+export const ROLES = {
+  OWNER: 'owner',
+  ADMIN: 'admin',
+  MEMBER: 'member'
+}
+
+/**
+ * Display labels for each role
+ */
+export const ROLE_LABELS = {
+  owner: 'Owner',
+  admin: 'Admin',
+  member: 'Member'
+}
+
+/**
+ * Relative rank of each role (higher outranks lower)
+ */
+const ROLE_RANK = {
+  member: 0,
+  admin: 1,
+  owner: 2
+}
+
+/**
+ * Resolves a user's role in a group
+ * Membership rows written before roles existed fall back to the group creator
+ * being the owner and everyone else a member
+ * @param {Object|null} membership - group_members document
+ * @param {Object|null} group - Group document or normalized group info
+ * @param {string|null} userId - User ID
+ * @returns {string|null} Role, or null if the user is not a member
+ */
+export const resolveRole = (membership, group, userId) => {
+  if (!membership) return null
+  if (ROLE_RANK[membership.role] !== undefined) return membership.role
+
+  const creatorId = group?.created_by || group?.createdBy
+  return creatorId && creatorId === userId ? ROLES.OWNER : ROLES.MEMBER
+}
+
+/**
+ * Checks whether a role is at least as privileged as another
+ * @param {string|null} role - Role to check
+ * @param {string} minimumRole - Required role
+ * @returns {boolean} True if role meets the minimum
+ */
+export const hasRole = (role, minimumRole) => {
+  if (!role || ROLE_RANK[role] === undefined) return false
+  return ROLE_RANK[role] >= ROLE_RANK[minimumRole]
+}
+
+/**
+ * @param {string|null} role - Acting member's role
+ * @returns {boolean} True if the member can edit group settings and invites
+ */
+export const canEditSettings = (role) => hasRole(role, ROLES.ADMIN)
+
+/**
+ * @param {string|null} role - Acting member's role
+ * @returns {boolean} True if the member can permanently delete the group
+ */
+export const canDeleteGroup = (role) => role === ROLES.OWNER
+
+/**
+ * @param {string|null} role - Acting member's role
+ * @returns {boolean} True if the member can cancel or restore games
+ */
+export const canCancelGames = (role) => hasRole(role, ROLES.ADMIN)
+
+/**
+ * Admins can change any game; members can change one-off games they proposed
+ * @param {string|null} role - Acting member's role
+ * @param {Object} game - Game view object
+ * @param {string|null} userId - Acting member's user ID
+ * @returns {boolean} True if the member can cancel, restore or reschedule the game
+ */
+export const canChangeGame = (role, game, userId) => (
+  canCancelGames(role) || (!!game?.adhoc && !!userId && game.proposedBy?.id === userId)
+)
+
+/**
+ * @param {string|null} role - Acting member's role
+ * @returns {boolean} True if the member can view and manage the roster
+ */
+export const canManageMembers = (role) => hasRole(role, ROLES.ADMIN)
+
+/**
+ * Admins can remove members; only the owner can remove admins
+ * @param {string|null} actorRole - Acting member's role
+ * @param {string} targetRole - Role of the member being removed
+ * @returns {boolean} True if the removal is allowed
+ */
+export const canRemoveMember = (actorRole, targetRole) => (
+  canManageMembers(actorRole) && ROLE_RANK[actorRole] > (ROLE_RANK[targetRole] ?? 0)
+)
+
+/**
+ * Only the owner can promote or demote, and the owner's role is fixed
+ * @param {string|null} actorRole - Acting member's role
+ * @param {string} targetRole - Current role of the member being changed
+ * @returns {boolean} True if the role change is allowed
+ */
+export const canChangeRole = (actorRole, targetRole) => (
+  actorRole === ROLES.OWNER && targetRole !== ROLES.OWNER
+)
+
+/**
+ * The game's host and group admins run the night (e.g., seating)
+ * @param {string|null} role - Acting member's role
+ * @param {boolean} isHost - Whether the acting member hosts the game
+ * @returns {boolean} True if the member can manage the game
+ */
+export const canManageGame = (role, isHost) => isHost || hasRole(role, ROLES.ADMIN)
@@ -0,0 +1,355 @@
+import { DAY_INDEX } from './schedule'
+
+/**
+ * Recurrence utilities for RRULE-style game schedules
+ *
+ * A group's schedule is a list of entries, each an RRULE string with the date
+ * it starts from and an optional start time:
+ *   { rrule: 'FREQ=WEEKLY;INTERVAL=2;BYDAY=TU', start: '2025-01-07', time: '19:00' }
+ *   { rrule: 'FREQ=MONTHLY;BYDAY=1SA', start: '2025-01-01', time: '13:00' }
+ *
+ * Supported parts: FREQ (WEEKLY, MONTHLY), INTERVAL, BYDAY (with an ordinal
+ * such as 1SA or -1FR for monthly rules), BYMONTHDAY, COUNT and UNTIL.
+ */
+
+/**
+ * RRULE weekday codes in Date#getDay order
+ */
+export const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA']
+
+/**
+ * Supported frequencies
+ */
+export const FREQUENCIES = {
+  WEEKLY: 'WEEKLY',
+  MONTHLY: 'MONTHLY'
+}
+
+/**
+ * Start date used for schedules saved before recurrence existed
+ */
+const LEGACY_START = '2000-01-01'
+
+/**
+ * Furthest an open-ended expansion will look ahead, in days
+ */
+const MAX_LOOKAHEAD_DAYS = 3 * 366
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000
+
+const DAY_NAMES = Object.keys(DAY_INDEX)
+
+/**
+ * Labels for monthly ordinals (BYDAY=1SA is the first Saturday, -1FR the last Friday)
+ */
+export const ORDINAL_LABELS = { 1: 'First', 2: 'Second', 3: 'Third', 4: 'Fourth', 5: 'Fifth', '-1': 'Last' }
+
+// Dates are handled as whole UTC day numbers so DST never shifts a day
+
+/**
+ * @param {string} dateKey - Date key (e.g., "2025-01-16")
+ * @returns {number|null} Days since 1970-01-01, or null if invalid
+ */
+const toDayNumber = (dateKey) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateKey || '')
+  if (!match) return null
+  return Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])) / MS_PER_DAY
+}
+
+/**
+ * @param {number} dayNumber - Days since 1970-01-01
+ * @returns {string} Date key
+ */
+const fromDayNumber = (dayNumber) => new Date(dayNumber * MS_PER_DAY).toISOString().slice(0, 10)
+
+/**
+ * @param {number} dayNumber - Days since 1970-01-01
+ * @returns {Object} UTC year, month (0-based), day of month and weekday
+ */
+const dayParts = (dayNumber) => {
+  const date = new Date(dayNumber * MS_PER_DAY)
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth(),
+    day: date.getUTCDate(),
+    weekday: date.getUTCDay()
+  }
+}
+
+/**
+ * @param {number} year - Full year
+ * @param {number} month - Month (0-based)
+ * @returns {number} Days in the month
+ */
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate()
+
+/**
+ * @param {number} dayNumber - Days since 1970-01-01
+ * @returns {number} Day number of the Monday starting that week (RRULE WKST=MO)
+ */
+const weekStart = (dayNumber) => dayNumber - ((dayParts(dayNumber).weekday + 6) % 7)
+
+/**
+ * Parses an RRULE string
+ * @param {string} rrule - RRULE (with or without an "RRULE:" prefix)
+ * @returns {Object|null} Parsed rule, or null if it isn't supported
+ */
+export const parseRule = (rrule) => {
+  if (!rrule || typeof rrule !== 'string') return null
+
+  const parts = Object.fromEntries(
+    rrule.replace(/^RRULE:/i, '').split(';').filter(Boolean).map(part => {
+      const [key, value = ''] = part.split('=')
+      return [key.trim().toUpperCase(), value.trim().toUpperCase()]
+    })
+  )
+
+  if (!Object.values(FREQUENCIES).includes(parts.FREQ)) return null
+
+  const interval = parts.INTERVAL ? parseInt(parts.INTERVAL, 10) : 1
+  if (!Number.isInteger(interval) || interval < 1) return null
+
+  const byDay = []
+  for (const token of (parts.BYDAY ? parts.BYDAY.split(',') : [])) {
+    const match = /^([+-]?\d)?(SU|MO|TU|WE|TH|FR|SA)$/.exec(token)
+    if (!match) return null
+    const n = match[1] ? parseInt(match[1], 10) : null
+    // Ordinals only make sense within a month, and no month has a sixth weekday
+    if (n !== null && (parts.FREQ !== FREQUENCIES.MONTHLY || n === 0 || Math.abs(n) > 5)) return null
+    byDay.push({ weekday: WEEKDAY_CODES.indexOf(match[2]), n })
+  }
+
+  const byMonthDay = []
+  for (const token of (parts.BYMONTHDAY ? parts.BYMONTHDAY.split(',') : [])) {
+    const day = parseInt(token, 10)
+    if (!Number.isInteger(day) || day < 1 || day > 31) return null
+    byMonthDay.push(day)
+  }
+
+  let until = null
+  if (parts.UNTIL) {
+    const match = /^(\d{4})(\d{2})(\d{2})/.exec(parts.UNTIL)
+    if (!match) return null
+    until = `${match[1]}-${match[2]}-${match[3]}`
+  }
+
+  const count = parts.COUNT ? parseInt(parts.COUNT, 10) : null
+  if (count !== null && (!Number.isInteger(count) || count < 1)) return null
+
+  return { freq: parts.FREQ, interval, byDay, byMonthDay, until, count }
+}
+
+/**
+ * Builds an RRULE string from a parsed rule
+ * @param {Object} rule - Rule in the shape returned by parseRule
+ * @returns {string} RRULE string
+ */
+export const formatRule = ({ freq, interval = 1, byDay = [], byMonthDay = [], until = null, count = null }) => {
+  const parts = [`FREQ=${freq}`]
+  if (interval > 1) parts.push(`INTERVAL=${interval}`)
+  if (byDay.length > 0) {
+    parts.push(`BYDAY=${byDay.map(({ weekday, n }) => `${n ?? ''}${WEEKDAY_CODES[weekday]}`).join(',')}`)
+  }
+  if (byMonthDay.length > 0) parts.push(`BYMONTHDAY=${byMonthDay.join(',')}`)
+  if (until) parts.push(`UNTIL=${until.replace(/-/g, '')}`)
+  if (count) parts.push(`COUNT=${count}`)
+  return parts.join(';')
+}
+
+/**
+ * Checks whether a rule produces an occurrence on a day
+ * @param {Object} rule - Parsed rule
+ * @param {number} startDay - Day number the rule starts from
+ * @param {number} dayNumber - Day number to check
+ * @returns {boolean} True if the rule occurs on that day
+ */
+const occursOn = (rule, startDay, dayNumber) => {
+  const { year, month, day, weekday } = dayParts(dayNumber)
+  const start = dayParts(startDay)
+
+  if (rule.freq === FREQUENCIES.WEEKLY) {
+    const weekdays = rule.byDay.length > 0 ? rule.byDay.map(d => d.weekday) : [start.weekday]
+    if (!weekdays.includes(weekday)) return false
+
+    const weeksSinceStart = (weekStart(dayNumber) - weekStart(startDay)) / 7
+    return weeksSinceStart % rule.interval === 0
+  }
+
+  const monthsSinceStart = (year - start.year) * 12 + (month - start.month)
+  if (monthsSinceStart % rule.interval !== 0) return false
+
+  if (rule.byMonthDay.length > 0) {
+    return rule.byMonthDay.includes(day)
+  }
+
+  if (rule.byDay.length === 0) {
+    return day === start.day
+  }
+
+  const nthFromStart = Math.ceil(day / 7)
+  const nthFromEnd = -(Math.floor((daysInMonth(year, month) - day) / 7) + 1)
+
+  return rule.byDay.some(({ weekday: target, n }) => (
+    target === weekday && (n === null || n === nthFromStart || n === nthFromEnd)
+  ))
+}
+
+/**
+ * Lists a single schedule entry's occurrences within a range
+ * COUNT is measured from the entry's start date, not from the range.
+ *
+ * @param {Object} entry - Schedule entry with rrule and start
+ * @param {Object} range - Range to expand
+ * @param {string} range.from - First date key (inclusive)
+ * @param {string} range.to - Last date key (inclusive); optional when limit is set
+ * @param {number} range.limit - Maximum number of occurrences to return
+ * @returns {string[]} Date keys in ascending order
+ */
+export const expandRule = ({ rrule, start }, { from, to = null, limit = Infinity }) => {
+  const rule = parseRule(rrule)
+  const startDay = toDayNumber(start || LEGACY_START)
+  const fromDay = toDayNumber(from)
+  if (!rule || startDay === null || fromDay === null) return []
+
+  let lastDay = to ? toDayNumber(to) : fromDay + MAX_LOOKAHEAD_DAYS
+  if (rule.until) lastDay = Math.min(lastDay, toDayNumber(rule.until))
+
+  const dates = []
+  let seen = 0
+
+  // Walk from the rule's start when COUNT applies, otherwise from the range
+  const firstDay = rule.count ? startDay : Math.max(startDay, fromDay)
+
+  for (let dayNumber = firstDay; dayNumber <= lastDay && dates.length < limit; dayNumber++) {
+    if (!occursOn(rule, startDay, dayNumber)) continue
+
+    seen += 1
+    if (dayNumber >= fromDay) dates.push(fromDayNumber(dayNumber))
+    if (rule.count && seen >= rule.count) break
+  }
+
+  return dates
+}
+
+/**
+ * Lists every occurrence of a schedule within a range, merged across entries
+ * When two entries land on the same day, the first entry's time is used.
+ *
+ * @param {Object[]} recurrence - Schedule entries
+ * @param {Object} range - Range to expand (see expandRule)
+ * @param {string} defaultTime - Start time for entries without their own
+ * @returns {Object[]} Occurrences ({ dateKey, time }) in ascending order
+ */
+export const expandRecurrence = (recurrence = [], range, defaultTime = null) => {
+  const byDate = new Map()
+
+  recurrence.forEach(entry => {
+    expandRule(entry, range).forEach(dateKey => {
+      if (!byDate.has(dateKey)) {
+        byDate.set(dateKey, { dateKey, time: entry.time || defaultTime })
+      }
+    })
+  })
+
+  const occurrences = [...byDate.values()].sort((a, b) => a.dateKey.localeCompare(b.dateKey))
+  return range.limit ? occurrences.slice(0, range.limit) : occurrences
+}
+
+/**
+ * Finds the start time of a schedule's occurrence on a date
+ * @param {Object[]} recurrence - Schedule entries
+ * @param {string} dateKey - Date key of the occurrence
+ * @param {string} defaultTime - Start time for entries without their own
+ * @returns {string} Start time (HH:MM), or the default if no entry lands on the date
+ */
+export const getOccurrenceTime = (recurrence, dateKey, defaultTime = null) => (
+  expandRecurrence(recurrence, { from: dateKey, to: dateKey }, defaultTime)[0]?.time || defaultTime
+)
+
+/**
+ * Builds a plain weekly schedule entry
+ * @param {string} dayOfWeek - Day name (e.g., "Thursday")
+ * @param {string} start - Date key the schedule starts from
+ * @param {string|null} time - Start time (HH:MM)
+ * @returns {Object} Schedule entry
+ */
+export const weeklyEntry = (dayOfWeek, start = LEGACY_START, time = null) => ({
+  rrule: formatRule({
+    freq: FREQUENCIES.WEEKLY,
+    byDay: [{ weekday: DAY_INDEX[dayOfWeek] ?? DAY_INDEX.Thursday, n: null }]
+  }),
+  start,
+  time
+})
+
+/**
+ * Finds the first weekday a schedule plays on, for code that only knows one day
+ * @param {Object[]} recurrence - Schedule entries
+ * @returns {string|null} Day name (e.g., "Thursday"), or null if no entry names a day
+ */
+export const getPrimaryDay = (recurrence = []) => {
+  for (const entry of recurrence) {
+    const day = parseRule(entry.rrule)?.byDay[0]
+    if (day) return DAY_NAMES[day.weekday]
+  }
+  return null
+}
+
+/**
+ * Joins words as "A", "A & B" or "A, B & C"
+ * @param {string[]} items - Words
+ * @returns {string} Joined list
+ */
+const joinList = (items) => (
+  items.length <= 1 ? items.join('') : `${items.slice(0, -1).join(', ')} & ${items[items.length - 1]}`
+)
+
+/**
+ * Describes a schedule entry in plain English
+ * @param {Object} entry - Schedule entry with rrule
+ * @returns {string} Description (e.g., "Every other Tuesday")
+ */
+export const describeEntry = ({ rrule }) => {
+  const rule = parseRule(rrule)
+  if (!rule) return 'Custom schedule'
+
+  const plainDays = rule.byDay.filter(d => d.n === null).map(d => DAY_NAMES[d.weekday])
+
+  if (rule.freq === FREQUENCIES.WEEKLY) {
+    const days = plainDays.length > 1 ? joinList(plainDays.map(d => d.slice(0, 3))) : plainDays[0] || 'week'
+    if (rule.interval === 1) return `Every ${days}`
+    if (rule.interval === 2) return `Every other ${days}`
+    return `Every ${rule.interval} weeks on ${days}`
+  }
+
+  const months = rule.interval === 1
+    ? 'the month'
+    : rule.interval === 2 ? 'every other month' : `every ${rule.interval} months`
+
+  if (rule.byMonthDay.length > 0) {
+    return `Day ${joinList(rule.byMonthDay.map(String))} of ${months}`
+  }
+
+  const ordinalDays = rule.byDay
+    .filter(d => d.n !== null)
+    .map(d => `${ORDINAL_LABELS[d.n]?.toLowerCase() || `${d.n}th`} ${DAY_NAMES[d.weekday]}`)
+  const parts = [...ordinalDays, ...plainDays.map(d => `every ${d}`)]
+  const description = `${joinList(parts)} of ${months}`
+
+  return description.charAt(0).toUpperCase() + description.slice(1)
+}
+
+/**
+ * Reads a group's schedule, falling back to its legacy weekly day
+ * @param {Object} group - Group document data
+ * @returns {Object[]} Schedule entries
+ */
+export const getGroupRecurrence = (group) => {
+  const entries = Array.isArray(group?.recurrence)
+    ? group.recurrence.filter(entry => parseRule(entry?.rrule))
+    : []
+
+  return entries.length > 0
+    ? entries
+    : [weeklyEntry(group?.day_of_week || group?.dayOfWeek || 'Thursday')]
+}
@@ -0,0 +1,70 @@
+/**
+ * Scheduling utilities for materializing a group's recurring games
+ */
+
+/**
+ * Day names mapped to JavaScript day indexes (Date#getDay)
+ */
+export const DAY_INDEX = {
+  Sunday: 0,
+  Monday: 1,
+  Tuesday: 2,
+  Wednesday: 3,
+  Thursday: 4,
+  Friday: 5,
+  Saturday: 6
+}
+
+/**
+ * Formats a date as a sortable local date key
+ * @param {Date} date - Date object
+ * @returns {string} Date key (e.g., "2025-01-16")
+ */
+export const toDateKey = (date) => {
+  if (!date || !(date instanceof Date)) return ''
+
+  const year = date.getFullYear()
+  const month = String(date.getMonth() + 1).padStart(2, '0')
+  const day = String(date.getDate()).padStart(2, '0')
+  return `${year}-${month}-${day}`
+}
+
+/**
+ * Parses a date key back into a local midnight Date
+ * @param {string} dateKey - Date key (e.g., "2025-01-16")
+ * @returns {Date|null} Date object or null if invalid
+ */
+export const parseDateKey = (dateKey) => {
+  if (!dateKey || typeof dateKey !== 'string') return null
+
+  const [year, month, day] = dateKey.split('-').map(part => parseInt(part, 10))
+  if ([year, month, day].some(isNaN)) return null
+
+  return new Date(year, month - 1, day)
+}
+
+/**
+ * Builds the deterministic document ID for a group's game on a date
+ * @param {string} groupId - Group document ID
+ * @param {string} dateKey - Date key of the occurrence
+ * @returns {string} Game document ID
+ */
+export const getGameId = (groupId, dateKey) => `${groupId}_${dateKey}`
+
+/**
+ * Builds the document ID for a one-off game, which can share its date with
+ * a regular game or another one-off
+ * @param {string} groupId - Group document ID
+ * @param {string} dateKey - Date key of the game
+ * @param {string} key - Unique suffix (e.g., a Firestore auto ID)
+ * @returns {string} Game document ID
+ */
+export const getAdhocGameId = (groupId, dateKey, key) => `${groupId}_${dateKey}_${key}`
+
+/**
+ * Builds the deterministic document ID for a user's response to a game
+ * @param {string} gameId - Game document ID
+ * @param {string} userId - User ID
+ * @returns {string} Response document ID
+ */
+export const getResponseId = (gameId, userId) => `${gameId}_${userId}`
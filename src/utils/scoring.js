@@ -0,0 +1,165 @@
+/**
+ * Scoring utilities for American (NMJL) and Chinese/Hong Kong mahjong
+ */
+
+/**
+ * Supported scoring modes
+ */
+export const SCORING_MODES = {
+  NMJL: 'nmjl',
+  HK: 'hk'
+}
+
+/**
+ * Display labels for each scoring mode
+ */
+export const SCORING_MODE_LABELS = {
+  nmjl: 'American (NMJL)',
+  hk: 'Chinese / Hong Kong'
+}
+
+/**
+ * Fewest faan a Hong Kong hand needs to go out
+ */
+export const HK_MIN_FAAN = 3
+
+/**
+ * Faan beyond this are scored at the limit
+ */
+export const HK_MAX_FAAN = 10
+
+/**
+ * Base points for each faan count (half-spicy table)
+ */
+const HK_FAAN_POINTS = [1, 2, 4, 8, 16, 24, 32, 48, 64, 96, 128]
+
+/**
+ * Works out what a winning hand is worth before payments
+ * NMJL hands are entered at card value (doubled when jokerless); Hong Kong
+ * hands are entered in faan and converted with the faan table
+ * @param {string} mode - Scoring mode
+ * @param {Object} hand - Hand with value and jokerless flag
+ * @returns {number} Base points
+ */
+export const getHandValue = (mode, { value = 0, jokerless = false }) => {
+  if (mode === SCORING_MODES.HK) {
+    return HK_FAAN_POINTS[Math.min(Math.max(value, 0), HK_MAX_FAAN)]
+  }
+  return jokerless ? value * 2 : value
+}
+
+/**
+ * Works out the point change for every player at the table after one hand
+ * In both modes a discarder pays double and the other losers pay single;
+ * on a self-drawn win everyone pays double. A wall game (no winner) scores
+ * nothing.
+ *
+ * @param {string} mode - Scoring mode
+ * @param {Object} hand - Hand with winner, discarder (null when self-drawn) and value
+ * @param {string[]} players - Player IDs at the table
+ * @returns {Object} Map of player ID to point change
+ */
+export const getHandDeltas = (mode, hand, players) => {
+  const deltas = Object.fromEntries(players.map(id => [id, 0]))
+  if (!hand.winner) return deltas
+
+  const base = getHandValue(mode, hand)
+
+  players.forEach(id => {
+    if (id === hand.winner) return
+    const payment = !hand.discarder || id === hand.discarder ? base * 2 : base
+    deltas[id] -= payment
+    deltas[hand.winner] += payment
+  })
+
+  return deltas
+}
+
+/**
+ * Adds up a table's hands into running totals, one entry per hand
+ * @param {string} mode - Scoring mode
+ * @param {Object} table - Table with players and hands
+ * @returns {Object[]} Cumulative totals after each hand
+ */
+export const getRunningTotals = (mode, { players, hands }) => {
+  const totals = Object.fromEntries(players.map(id => [id, 0]))
+
+  return hands.map(hand => {
+    const deltas = getHandDeltas(mode, hand, players)
+    Object.entries(deltas).forEach(([id, delta]) => {
+      totals[id] += delta
+    })
+    return { ...totals }
+  })
+}
+
+/**
+ * Totals every player's points across all tables
+ * @param {Object} scores - Scores from fromScoresDoc
+ * @returns {Array} Players sorted by total, highest first, with hands won
+ */
+export const getPlayerTotals = (scores) => {
+  const totals = {}
+
+  scores.tables.forEach(table => {
+    table.players.forEach(id => {
+      totals[id] ??= { userId: id, name: scores.names[id] || 'Player', total: 0, handsWon: 0 }
+    })
+    table.hands.forEach(hand => {
+      const deltas = getHandDeltas(scores.mode, hand, table.players)
+      Object.entries(deltas).forEach(([id, delta]) => {
+        totals[id].total += delta
+      })
+      if (hand.winner) totals[hand.winner].handsWon += 1
+    })
+  })
+
+  return Object.values(totals).sort((a, b) => b.total - a.total)
+}
+
+/**
+ * Counts recorded hands across all tables
+ * @param {Object|null} scores - Scores from fromScoresDoc
+ * @returns {number} Hand count
+ */
+export const countHands = (scores) => (
+  scores ? scores.tables.reduce((sum, table) => sum + table.hands.length, 0) : 0
+)
+
+/**
+ * Converts scores into the Firestore shape
+ * @param {Object} scores - Mode, player names and tables
+ * @returns {Object} Firestore scores data
+ */
+export const toScoresDoc = ({ mode, names, tables }) => ({
+  mode,
+  names,
+  tables: tables.map(table => ({
+    players: table.players,
+    hands: table.hands.map(hand => ({
+      winner: hand.winner || null,
+      discarder: hand.discarder || null,
+      value: hand.value || 0,
+      jokerless: !!hand.jokerless
+    }))
+  }))
+})
+
+/**
+ * Converts Firestore scores data back into scores
+ * @param {Object|null} scores - Firestore scores data
+ * @returns {Object|null} Mode, names and tables
+ */
+export const fromScoresDoc = (scores) => {
+  if (!scores) return null
+
+  return {
+    mode: scores.mode === SCORING_MODES.HK ? SCORING_MODES.HK : SCORING_MODES.NMJL,
+    names: scores.names || {},
+    tables: (scores.tables || []).map(table => ({
+      players: table.players || [],
+      hands: table.hands || []
+    })),
+    updatedAt: scores.updated_at?.toMillis?.() ?? null
+  }
+}
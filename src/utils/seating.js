@@ -0,0 +1,162 @@
+/**
+ * Seating utilities for splitting attendees into mahjong tables
+ */
+
+/**
+ * Players at a full table
+ */
+export const TABLE_SIZE = 4
+
+/**
+ * Players at a short-handed fallback table
+ */
+export const SHORT_TABLE_SIZE = 3
+
+/**
+ * Works out table sizes for a number of players
+ * Prefers full tables; when allowed, breaks up full tables into 3-player
+ * tables so fewer people sit out
+ * @param {number} playerCount - Number of players to seat
+ * @param {boolean} allowThreePlayer - Whether 3-player tables are allowed
+ * @returns {number[]} Table sizes, largest first
+ */
+export const getTableSizes = (playerCount, allowThreePlayer = true) => {
+  if (playerCount < SHORT_TABLE_SIZE) return []
+
+  let fullTables = Math.floor(playerCount / TABLE_SIZE)
+  let shortTables = 0
+
+  if (allowThreePlayer) {
+    const remainder = playerCount % TABLE_SIZE
+    // Each full table given up absorbs one leftover player (4 + 2 = 3 + 3, 4 + 4 + 1 = 3 + 3 + 3)
+    const tablesToBreak = SHORT_TABLE_SIZE - remainder
+    if (remainder > 0 && fullTables >= tablesToBreak) {
+      fullTables -= tablesToBreak
+      shortTables = TABLE_SIZE - remainder
+    }
+  }
+
+  return [
+    ...Array(fullTables).fill(TABLE_SIZE),
+    ...Array(shortTables).fill(SHORT_TABLE_SIZE)
+  ]
+}
+
+/**
+ * Returns a shuffled copy of an array (Fisher-Yates)
+ * @param {Array} items - Items to shuffle
+ * @param {Function} random - Random number source returning [0, 1)
+ * @returns {Array} Shuffled copy
+ */
+export const shuffle = (items, random = Math.random) => {
+  const result = [...items]
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1))
+    ;[result[i], result[j]] = [result[j], result[i]]
+  }
+  return result
+}
+
+/**
+ * Builds seating units: pinned players stay together, everyone else alone
+ * @param {string[]} playerIds - Players to seat
+ * @param {string[][]} pins - Groups of player IDs that should share a table
+ * @returns {string[][]} Units of player IDs
+ */
+const buildUnits = (playerIds, pins) => {
+  const remaining = new Set(playerIds)
+  const units = []
+
+  pins.forEach(pin => {
+    const unit = pin.filter(id => remaining.has(id))
+    if (unit.length === 0) return
+    unit.forEach(id => remaining.delete(id))
+    // A pin bigger than a table can't be honored as one unit
+    for (let i = 0; i < unit.length; i += TABLE_SIZE) {
+      units.push(unit.slice(i, i + TABLE_SIZE))
+    }
+  })
+
+  remaining.forEach(id => units.push([id]))
+  return units
+}
+
+/**
+ * Splits players into tables
+ * Player order decides who sits out when seats run short, so pass players in
+ * priority order (e.g., by response time). The host never sits out.
+ *
+ * @param {string[]} playerIds - Player IDs in priority order
+ * @param {Object} options - Seating options
+ * @param {boolean} options.allowThreePlayer - Whether 3-player tables are allowed
+ * @param {string[][]} options.pins - Groups of players to seat together
+ * @param {string|null} options.hostId - Host's user ID
+ * @param {Function} options.random - Random source for shuffling (null keeps order)
+ * @returns {Object} Tables (arrays of player IDs) and players sitting out
+ */
+export const planSeating = (playerIds = [], { allowThreePlayer = true, pins = [], hostId = null, random = Math.random } = {}) => {
+  const sizes = getTableSizes(playerIds.length, allowThreePlayer)
+  const seatCount = sizes.reduce((sum, size) => sum + size, 0)
+
+  // Latest responders sit out when seats run short
+  const priority = hostId && playerIds.includes(hostId)
+    ? [hostId, ...playerIds.filter(id => id !== hostId)]
+    : playerIds
+  const seated = priority.slice(0, seatCount)
+  const sittingOut = priority.slice(seatCount)
+
+  const units = buildUnits(seated, pins)
+  const ordered = random ? shuffle(units, random) : units
+
+  // Place larger units first so pinned groups find room
+  ordered.sort((a, b) => b.length - a.length)
+
+  const tables = sizes.map(() => [])
+  const leftovers = []
+
+  ordered.forEach(unit => {
+    const table = tables.find((seats, index) => seats.length + unit.length <= sizes[index])
+    if (table) {
+      table.push(...unit)
+    } else {
+      leftovers.push(...unit)
+    }
+  })
+
+  // Split any unit that didn't fit across the remaining open seats
+  leftovers.forEach(id => {
+    const table = tables.find((seats, index) => seats.length < sizes[index])
+    table.push(id)
+  })
+
+  return { tables, sittingOut }
+}
+
+/**
+ * Converts a plan into the Firestore shape (no nested arrays allowed)
+ * @param {Object} plan - Plan from planSeating
+ * @param {Object} options - Pins and 3-player setting used for the plan
+ * @returns {Object} Firestore seating data
+ */
+export const toSeatingDoc = ({ tables, sittingOut }, { pins = [], allowThreePlayer = true } = {}) => ({
+  tables: tables.map(players => ({ players })),
+  sitting_out: sittingOut,
+  pins: pins.map(players => ({ players })),
+  allow_three_player: allowThreePlayer
+})
+
+/**
+ * Converts Firestore seating data back into a plan
+ * @param {Object|null} seating - Firestore seating data
+ * @returns {Object|null} Tables, sittingOut, pins and allowThreePlayer
+ */
+export const fromSeatingDoc = (seating) => {
+  if (!seating) return null
+
+  return {
+    tables: (seating.tables || []).map(table => table.players || []),
+    sittingOut: seating.sitting_out || [],
+    pins: (seating.pins || []).map(pin => pin.players || []),
+    allowThreePlayer: seating.allow_three_player !== false
+  }
+}
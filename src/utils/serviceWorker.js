@@ -0,0 +1,14 @@
+/**
+ * Registers the app-shell service worker (public/sw.js) so the app opens
+ * offline and can be installed to the home screen
+ * Skipped in development, where cached files would hide code changes.
+ */
+export const registerAppShell = () => {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch(error => {
+      console.error('Error registering service worker:', error)
+    })
+  })
+}
@@ -0,0 +1,165 @@
+import { toDateKey } from './schedule'
+import { getGameCapacity, applyWaitlist } from './waitlist'
+import { fromScoresDoc, getPlayerTotals, countHands } from './scoring'
+
+/**
+ * Statistics utilities for season leaderboards
+ */
+
+/**
+ * Meteorological seasons by starting month (0-based)
+ */
+const SEASONS = [
+  { name: 'Winter', startMonth: 11 },
+  { name: 'Spring', startMonth: 2 },
+  { name: 'Summer', startMonth: 5 },
+  { name: 'Fall', startMonth: 8 }
+]
+
+/**
+ * Earliest date key, used for "all time" ranges
+ */
+export const ALL_TIME_START = '2000-01-01'
+
+/**
+ * Works out the season a date falls in
+ * Winter runs December to February and is labelled with both years
+ * @param {Date} date - Any date in the season
+ * @returns {Object} Season with id, label and from/to date keys
+ */
+export const getSeason = (date) => {
+  const month = date.getMonth()
+  const index = Math.floor(((month + 1) % 12) / 3)
+  const { name, startMonth } = SEASONS[index]
+  const startYear = month < startMonth ? date.getFullYear() - 1 : date.getFullYear()
+
+  const start = new Date(startYear, startMonth, 1)
+  const end = new Date(startYear, startMonth + 3, 0)
+
+  return {
+    id: `${startYear}-${name.toLowerCase()}`,
+    label: name === 'Winter' ? `Winter ${startYear}–${String(startYear + 1).slice(2)}` : `${name} ${startYear}`,
+    from: toDateKey(start),
+    to: toDateKey(end)
+  }
+}
+
+/**
+ * Lists the current season and the ones before it, newest first
+ * @param {number} count - Number of seasons
+ * @param {Date} now - Reference date
+ * @returns {Object[]} Seasons from getSeason
+ */
+export const getRecentSeasons = (count = 4, now = new Date()) => (
+  Array.from({ length: count }, (_, i) => (
+    getSeason(new Date(now.getFullYear(), now.getMonth() - i * 3, 1))
+  ))
+)
+
+/**
+ * Builds per-member statistics from stored games and responses
+ * A game counts as played when it wasn't cancelled, is not in the future and
+ * had at least one seated player. Attendance only counts games played after
+ * the member joined.
+ *
+ * @param {Object} data - Source data
+ * @param {Object[]} data.games - Game documents (with id) in the range
+ * @param {Object[]} data.responses - Response documents for those games
+ * @param {Object[]} data.members - Roster from useGroupMembers
+ * @param {number} data.maxTables - Group's table count, the fallback capacity
+ * @param {string} data.today - Today's date key
+ * @returns {Object} Games played, hands scored and player rows sorted by score
+ */
+export const computeGroupStats = ({ games, responses, members, maxTables = null, today = toDateKey(new Date()) }) => {
+  const responsesByGame = {}
+  responses.forEach(r => {
+    (responsesByGame[r.game_id] ??= []).push({
+      userId: r.user_id,
+      userName: r.user_name,
+      status: r.status,
+      respondedAt: r.responded_at?.toMillis?.() ?? null
+    })
+  })
+
+  const players = {}
+  const playerFor = (userId, name) => (
+    players[userId] ??= {
+      userId,
+      name: name || 'Former member',
+      joinedKey: null,
+      isMember: false,
+      gamesEligible: 0,
+      gamesAttended: 0,
+      gamesHosted: 0,
+      wins: 0,
+      handsWon: 0,
+      score: 0
+    }
+  )
+
+  members.forEach(m => {
+    const player = playerFor(m.user_id, m.name)
+    player.isMember = true
+    player.joinedKey = m.joined_at?.toDate ? toDateKey(m.joined_at.toDate()) : null
+  })
+
+  let gamesPlayed = 0
+  let handsPlayed = 0
+
+  games
+    .filter(game => !game.cancelled && game.date <= today)
+    .forEach(game => {
+      const capacity = getGameCapacity(game, maxTables)
+      const seated = applyWaitlist(responsesByGame[game.id] || [], capacity, game.host_id)
+        .filter(r => r.status === 'going' && !r.waitlisted)
+
+      if (seated.length === 0) return
+      gamesPlayed += 1
+
+      const eligible = new Set()
+      Object.values(players).forEach(player => {
+        if (player.isMember && (!player.joinedKey || player.joinedKey <= game.date)) {
+          player.gamesEligible += 1
+          eligible.add(player.userId)
+        }
+      })
+
+      // Former members and early guests still count for the games they played
+      seated.forEach(r => {
+        const player = playerFor(r.userId, r.userName)
+        player.gamesAttended += 1
+        if (!eligible.has(r.userId)) player.gamesEligible += 1
+      })
+
+      if (game.host_id) {
+        playerFor(game.host_id, game.host_name).gamesHosted += 1
+      }
+
+      const scores = fromScoresDoc(game.scores)
+      if (!scores) return
+
+      handsPlayed += countHands(scores)
+
+      const totals = getPlayerTotals(scores)
+      totals.forEach(total => {
+        const player = playerFor(total.userId, total.name)
+        player.score += total.total
+        player.handsWon += total.handsWon
+      })
+
+      // The night goes to the top scorer, if anyone finished ahead
+      if (totals.length > 0 && totals[0].total > 0) {
+        players[totals[0].userId].wins += 1
+      }
+    })
+
+  const rows = Object.values(players)
+    .filter(player => player.isMember || player.gamesAttended > 0)
+    .map(player => ({
+      ...player,
+      attendanceRate: player.gamesEligible > 0 ? player.gamesAttended / player.gamesEligible : null
+    }))
+    .sort((a, b) => b.score - a.score || b.wins - a.wins || b.gamesAttended - a.gamesAttended)
+
+  return { gamesPlayed, handsPlayed, players: rows }
+}
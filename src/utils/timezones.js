@@ -0,0 +1,187 @@
+/**
+ * Time zone utilities for turning a group's wall-clock game times into
+ * absolute instants, and back into dates in any zone
+ *
+ * Groups store an IANA zone (e.g., "America/New_York"); a game at "19:00" on
+ * "2025-03-13" means 7 PM in that zone, whatever zone the viewer is in.
+ */
+
+/**
+ * Zone assumed for groups created before zones were stored, so the app and
+ * the functions (which run in UTC) agree on when their games start
+ */
+export const DEFAULT_TIME_ZONE = 'America/New_York'
+
+const formatterCache = new Map()
+
+/**
+ * @param {string} timeZone - IANA time zone
+ * @returns {Intl.DateTimeFormat} Cached formatter producing numeric parts
+ */
+const getPartsFormatter = (timeZone) => {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }))
+  }
+  return formatterCache.get(timeZone)
+}
+
+/**
+ * Reads the wall-clock fields of an instant in a zone
+ * @param {Date} instant - Absolute time
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} Year, month (1-based), day, hour, minute and second
+ */
+const getZonedParts = (instant, timeZone) => {
+  const parts = Object.fromEntries(
+    getPartsFormatter(timeZone).formatToParts(instant).map(part => [part.type, part.value])
+  )
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour) % 24,
+    minute: Number(parts.minute),
+    second: Number(parts.second)
+  }
+}
+
+/**
+ * Gets the viewer's IANA time zone from the browser
+ * @returns {string} Time zone (falls back to "UTC")
+ */
+export const getViewerTimeZone = () => {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC'
+  } catch {
+    return 'UTC'
+  }
+}
+
+/**
+ * @param {string} timeZone - Candidate IANA time zone
+ * @returns {boolean} True if the runtime recognizes the zone
+ */
+export const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false
+
+  try {
+    getPartsFormatter(timeZone)
+    return true
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Lists selectable time zones, with the viewer's own always included
+ * @returns {string[]} IANA time zones in alphabetical order
+ */
+export const getTimeZoneOptions = () => {
+  const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : []
+  return [...new Set([...zones, 'UTC', getViewerTimeZone()])].sort()
+}
+
+/**
+ * Gets a zone's offset from UTC at an instant (DST-aware)
+ * @param {Date} instant - Absolute time
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Minutes ahead of UTC (e.g., -300 for New York in winter)
+ */
+export const getZoneOffset = (instant, timeZone) => {
+  const { year, month, day, hour, minute, second } = getZonedParts(instant, timeZone)
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute, second)
+  const wholeSeconds = Math.floor(instant.getTime() / 1000) * 1000
+  return Math.round((wallClockAsUtc - wholeSeconds) / 60000)
+}
+
+/**
+ * Converts a wall-clock date and time in a zone into an absolute instant
+ * Times skipped by a DST jump resolve to the hour after.
+ * @param {string} dateKey - Date key (e.g., "2025-03-13")
+ * @param {string} time - Time in 24-hour format (e.g., "19:00")
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date|null} Instant, or null if the date or time is invalid
+ */
+export const zonedTimeToInstant = (dateKey, time, timeZone) => {
+  const dateMatch = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateKey || '')
+  const timeMatch = /^(\d{1,2}):(\d{2})$/.exec(time || '')
+  if (!dateMatch || !timeMatch || !isValidTimeZone(timeZone)) return null
+
+  const wallClock = Date.UTC(
+    Number(dateMatch[1]), Number(dateMatch[2]) - 1, Number(dateMatch[3]),
+    Number(timeMatch[1]), Number(timeMatch[2])
+  )
+
+  // Guess with the offset at the wall-clock time, then correct once in case
+  // the guess landed on the other side of a DST change
+  const guessOffset = getZoneOffset(new Date(wallClock), timeZone)
+  const guess = wallClock - guessOffset * 60000
+  const correctedOffset = getZoneOffset(new Date(guess), timeZone)
+  if (correctedOffset === guessOffset) return new Date(guess)
+
+  const corrected = wallClock - correctedOffset * 60000
+  if (getZoneOffset(new Date(corrected), timeZone) === correctedOffset) return new Date(corrected)
+
+  // Neither offset fits, so the time falls in a DST gap
+  return new Date(Math.max(guess, corrected))
+}
+
+/**
+ * Formats the calendar date of an instant in a zone as a date key
+ * @param {Date} instant - Absolute time
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} Date key (e.g., "2025-01-16")
+ */
+export const toDateKeyInZone = (instant, timeZone) => {
+  if (!(instant instanceof Date) || !isValidTimeZone(timeZone)) return ''
+
+  const { year, month, day } = getZonedParts(instant, timeZone)
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`
+}
+
+/**
+ * Formats the wall-clock time of an instant in a zone
+ * @param {Date} instant - Absolute time
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} Time in 24-hour format (e.g., "19:00")
+ */
+export const toTimeInZone = (instant, timeZone) => {
+  if (!(instant instanceof Date) || !isValidTimeZone(timeZone)) return ''
+
+  const { hour, minute } = getZonedParts(instant, timeZone)
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`
+}
+
+/**
+ * Gets a short label for a zone at an instant
+ * @param {Date} instant - Absolute time (abbreviations change with DST)
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} Label (e.g., "EST", "GMT+1")
+ */
+export const getZoneAbbreviation = (instant, timeZone) => {
+  if (!isValidTimeZone(timeZone)) return ''
+
+  const part = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' })
+    .formatToParts(instant)
+    .find(p => p.type === 'timeZoneName')
+  return part?.value || timeZone
+}
+
+/**
+ * @param {Date} instant - Absolute time
+ * @param {string} timeZone - IANA time zone
+ * @returns {boolean} True if the zone's clock differs from the viewer's at that instant
+ */
+export const differsFromViewer = (instant, timeZone) => (
+  isValidTimeZone(timeZone) && getZoneOffset(instant, timeZone) !== getZoneOffset(instant, getViewerTimeZone())
+)
@@ -0,0 +1,84 @@
+import { TABLE_SIZE } from './seating'
+
+/**
+ * Waitlist utilities for games that have more players than seats
+ */
+
+/**
+ * Works out how many players a game can seat
+ * @param {number|null} tables - Tables the host has room for
+ * @returns {number|null} Seat count, or null when there's no limit yet
+ */
+export const getCapacity = (tables) => (
+  tables > 0 ? tables * TABLE_SIZE : null
+)
+
+/**
+ * Marks overflow "going" responses as waitlisted
+ * Seats go to the host first, then in order of response time; responses
+ * still waiting on a server timestamp count as the newest. Nothing is stored,
+ * so when a seated player drops out the next in line is promoted on the
+ * following render.
+ *
+ * @param {Array} responses - Response view objects with status and respondedAt
+ * @param {number|null} capacity - Seat count from getCapacity
+ * @param {string|null} hostId - Host's user ID
+ * @returns {Array} Responses with waitlisted and waitlistPosition set
+ */
+export const applyWaitlist = (responses, capacity, hostId = null) => {
+  const going = responses
+    .filter(r => r.status === 'going')
+    .sort((a, b) => {
+      if (a.userId === hostId) return -1
+      if (b.userId === hostId) return 1
+      // Pending server timestamps (offline RSVPs) sort last; ties go by user
+      // ID so every device agrees on the order
+      const aTime = a.respondedAt ?? Infinity
+      const bTime = b.respondedAt ?? Infinity
+      return aTime !== bTime ? aTime - bTime : a.userId.localeCompare(b.userId)
+    })
+
+  const positions = new Map()
+  if (capacity !== null) {
+    going.slice(capacity).forEach((r, index) => positions.set(r.userId, index + 1))
+  }
+
+  return responses.map(r => ({
+    ...r,
+    waitlisted: positions.has(r.userId),
+    waitlistPosition: positions.get(r.userId) ?? null
+  }))
+}
+
+/**
+ * Lists seated "going" player IDs in response order (earliest first)
+ * @param {Array} responses - Responses from applyWaitlist
+ * @returns {string[]} Player IDs
+ */
+export const getSeatedPlayerIds = (responses) => responses
+  .filter(r => r.status === 'going' && !r.waitlisted)
+  .sort((a, b) => (a.respondedAt ?? Infinity) - (b.respondedAt ?? Infinity))
+  .map(r => r.userId)
+
+/**
+ * Works out a stored game's seat limit the same way the schedule does
+ * @param {Object} game - Game document data
+ * @param {number} maxTables - Group's table count
+ * @returns {number|null} Seats, or null when there's no limit yet
+ */
+export const getGameCapacity = (game, maxTables) => (
+  game.seats || (game.host_id ? getCapacity(game.host_tables || maxTables) : null)
+)
+
+/**
+ * Builds waitlisted response views from stored response documents
+ * @param {Object[]} responses - Response documents
+ * @param {number|null} capacity - Seat limit
+ * @param {string|null} hostId - Host, who always gets a seat
+ * @returns {Object[]} Views with userId, status, respondedAt and waitlisted
+ */
+export const toResponseViews = (responses, capacity, hostId = null) => applyWaitlist(responses.map(r => ({
+  userId: r.user_id,
+  status: r.status,
+  respondedAt: r.responded_at?.toMillis?.() ?? null
+})), capacity, hostId)
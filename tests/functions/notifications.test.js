@@ -0,0 +1,323 @@
+/**
+ * Emulator tests for the push notification functions in functions/src
+ * Run with `npm run test:functions`, which builds the functions and starts the
+ * Firestore and Functions emulators. Pushes land in push_log instead of FCM,
+ * and emails in the SMTP stand-in started here.
+ */
+import { readFileSync } from 'node:fs'
+import { afterAll, beforeAll, beforeEach, describe, expect, it } from 'vitest'
+import { initializeTestEnvironment } from '@firebase/rules-unit-testing'
+import { doc, setDoc, updateDoc, deleteDoc, collection, query, where, getDocs, Timestamp } from 'firebase/firestore'
+import { startSmtpStandIn } from '../../functions/scripts/smtp-stand-in'
+import { toDateKey } from '../../src/utils/schedule'
+
+const PROJECT_ID = 'demo-mahjong-coordinator'
+const GROUP_ID = 'group1'
+const PLAYERS = ['owner', 'alice', 'bob', 'carol', 'dave']
+
+let testEnv
+let mailbox
+
+/**
+ * Runs a callback against Firestore with rules disabled, like the functions do
+ * @param {Function} callback - Receives the Firestore instance
+ */
+const asAdmin = (callback) => testEnv.withSecurityRulesDisabled(context => callback(context.firestore()))
+
+/**
+ * Builds a game ID a week from now, unique per test so late triggers from
+ * earlier tests can't be mistaken for this one's
+ * @param {number} offset - Days past a week from now
+ */
+const futureGameId = (offset) => {
+  const date = new Date()
+  date.setDate(date.getDate() + 7 + offset)
+  return `${GROUP_ID}_${toDateKey(date)}`
+}
+
+/**
+ * @param {string} gameId - Game document ID
+ * @param {string} user - User ID
+ * @param {string} status - RSVP status
+ */
+const respond = (gameId, user, status) => asAdmin(db => setDoc(doc(db, `game_responses/${gameId}_${user}`), {
+  game_id: gameId,
+  group_id: GROUP_ID,
+  user_id: user,
+  user_name: user,
+  status,
+  responded_at: new Date()
+}))
+
+/**
+ * Runs the RSVP reminder job through its emulator-only endpoint
+ */
+const runReminders = async () => {
+  const res = await fetch(`http://127.0.0.1:5001/${PROJECT_ID}/us-central1/runRsvpReminders`)
+  expect(res.ok).toBe(true)
+}
+
+/**
+ * Waits for the functions to log a push
+ * @param {string} type - Push type
+ * @param {string} gameId - Game document ID
+ * @returns {Promise<Object>} The push_log entry
+ */
+const waitForPush = async (type, gameId) => {
+  for (let attempt = 0; attempt < 40; attempt++) {
+    const entries = await asAdmin(async db => (await getDocs(query(
+      collection(db, 'push_log'),
+      where('type', '==', type),
+      where('data.gameId', '==', gameId)
+    ))).docs.map(d => d.data()))
+    if (entries.length > 0) return entries[0]
+    await new Promise(resolve => setTimeout(resolve, 250))
+  }
+  throw new Error(`No ${type} push for ${gameId}`)
+}
+
+/**
+ * Waits for the stand-in to receive an email
+ * @param {string} to - Recipient address
+ * @param {string} subject - Text the subject contains
+ * @returns {Promise<Object>} The parsed email
+ */
+const waitForEmail = async (to, subject) => {
+  for (let attempt = 0; attempt < 40; attempt++) {
+    const email = mailbox.messages.find(m => m.to === to && m.subject.includes(subject))
+    if (email) return email
+    await new Promise(resolve => setTimeout(resolve, 250))
+  }
+  throw new Error(`No email to ${to} about ${subject}`)
+}
+
+beforeAll(async () => {
+  mailbox = await startSmtpStandIn()
+  testEnv = await initializeTestEnvironment({
+    projectId: PROJECT_ID,
+    firestore: { rules: readFileSync('firestore.rules', 'utf8') }
+  })
+})
+
+afterAll(async () => {
+  await mailbox?.close()
+  await testEnv?.cleanup()
+})
+
+beforeEach(async () => {
+  await asAdmin(async db => {
+    await setDoc(doc(db, `groups/${GROUP_ID}`), {
+      name: 'Thursday Night', time: '19:00', time_zone: 'America/New_York', max_tables: 2
+    })
+    for (const user of PLAYERS) {
+      await setDoc(doc(db, `users/${user}`), { name: user, email: `${user}@example.com` })
+      await setDoc(doc(db, `users/${user}/notification_tokens/token-${user}`), {
+        token: `token-${user}`, device: 'Chrome on Mac'
+      })
+      await setDoc(doc(db, `group_members/${user}_${GROUP_ID}`), {
+        user_id: user, group_id: GROUP_ID, role: user === 'owner' ? 'owner' : 'member'
+      })
+    }
+    // A second device, and a profile from before devices were tracked
+    await setDoc(doc(db, 'users/alice/notification_tokens/token-alice-phone'), {
+      token: 'token-alice-phone', device: 'Safari on iOS'
+    })
+    await setDoc(doc(db, 'users/owner'), { name: 'owner', notification_token: 'token-owner-legacy' })
+  })
+})
+
+describe('push notifications', () => {
+  it('tells members when someone claims hosting', async () => {
+    const gameId = futureGameId(0)
+    await respond(gameId, 'dave', 'not-going')
+    await asAdmin(db => setDoc(doc(db, `games/${gameId}`), {
+      group_id: GROUP_ID, date: gameId.split('_')[1], host_id: 'alice', host_name: 'Alice'
+    }))
+
+    const push = await waitForPush('host_claimed', gameId)
+    expect(push.body).toContain('Alice is hosting')
+    expect([...push.user_ids].sort()).toEqual(['bob', 'carol', 'owner'])
+  })
+
+  it('tells the table when the fourth player joins, and when one drops', async () => {
+    const gameId = futureGameId(1)
+    await asAdmin(db => setDoc(doc(db, `games/${gameId}`), { group_id: GROUP_ID, date: gameId.split('_')[1] }))
+    for (const user of ['alice', 'bob', 'carol']) {
+      await respond(gameId, user, 'going')
+    }
+    await respond(gameId, 'dave', 'going')
+
+    const ready = await waitForPush('table_ready', gameId)
+    expect([...ready.user_ids].sort()).toEqual(['alice', 'bob', 'carol'])
+
+    await respond(gameId, 'bob', 'not-going')
+    const short = await waitForPush('one_short', gameId)
+    expect(short.body).toContain('bob dropped out')
+    expect([...short.user_ids].sort()).toEqual(['alice', 'carol', 'dave'])
+  })
+
+  it('tells everyone going when a game is cancelled', async () => {
+    const gameId = futureGameId(2)
+    await asAdmin(db => setDoc(doc(db, `games/${gameId}`), { group_id: GROUP_ID, date: gameId.split('_')[1] }))
+    await respond(gameId, 'alice', 'going')
+    await respond(gameId, 'owner', 'going')
+    await asAdmin(db => updateDoc(doc(db, `games/${gameId}`), {
+      cancelled: true, cancel_reason: 'Snow day', cancelled_by: 'owner'
+    }))
+
+    const push = await waitForPush('game_cancelled', gameId)
+    expect(push.body).toContain('Snow day')
+    expect(push.user_ids).toEqual(['alice'])
+  })
+
+  it('emails members who have no push devices instead', async () => {
+    const gameId = futureGameId(4)
+    await asAdmin(db => deleteDoc(doc(db, 'users/dave/notification_tokens/token-dave')))
+    await asAdmin(db => setDoc(doc(db, `games/${gameId}`), { group_id: GROUP_ID, date: gameId.split('_')[1] }))
+    await respond(gameId, 'alice', 'going')
+    await respond(gameId, 'dave', 'going')
+    await asAdmin(db => updateDoc(doc(db, `games/${gameId}`), {
+      cancelled: true, cancel_reason: 'Host is sick', cancelled_by: 'owner'
+    }))
+
+    const push = await waitForPush('game_cancelled', gameId)
+    expect(push.user_ids).toEqual(['alice'])
+    const email = await waitForEmail('dave@example.com', 'cancelled')
+    expect(email.text).toContain('Reason: Host is sick')
+    expect(email.html).toContain('Game cancelled')
+  })
+
+  it('announces proposed games, skipping members who switched that off', async () => {
+    const gameId = `${futureGameId(3)}_extra`
+    await asAdmin(db => setDoc(doc(db, 'users/bob/settings/notifications'), {
+      groups: { [GROUP_ID]: { new_game: false } }
+    }))
+    await asAdmin(db => setDoc(doc(db, `games/${gameId}`), {
+      group_id: GROUP_ID, date: gameId.split('_')[1], adhoc: true, proposed_by: 'alice', proposed_by_name: 'Alice'
+    }))
+
+    const push = await waitForPush('game_scheduled', gameId)
+    expect(push.body).toContain('Alice proposed an extra game')
+    expect([...push.user_ids].sort()).toEqual(['carol', 'dave', 'owner'])
+  })
+
+  it('holds pushes during quiet hours and leaves an in-app notice instead', async () => {
+    const gameId = futureGameId(4)
+    const hourFrom = (offset) => new Date(Date.now() + offset * 60 * 60 * 1000).toISOString().slice(11, 16)
+    await asAdmin(db => setDoc(doc(db, 'users/carol/settings/notifications'), {
+      quiet_hours: { enabled: true, start: hourFrom(-1), end: hourFrom(1), time_zone: 'UTC' }
+    }))
+    await asAdmin(db => setDoc(doc(db, `games/${gameId}`), {
+      group_id: GROUP_ID, date: gameId.split('_')[1], host_id: 'bob', host_name: 'Bob'
+    }))
+
+    const push = await waitForPush('host_claimed', gameId)
+    expect(push.user_ids).not.toContain('carol')
+    const notices = await asAdmin(async db => (await getDocs(query(
+      collection(db, 'notifications'),
+      where('user_id', '==', 'carol'),
+      where('game_id', '==', gameId)
+    ))).docs.map(d => d.data()))
+    expect(notices).toHaveLength(1)
+    expect(notices[0]).toMatchObject({ type: 'host_claimed', group_id: GROUP_ID, read: false })
+    expect(notices[0].message).toContain('Bob is hosting')
+
+    await asAdmin(db => deleteDoc(doc(db, 'users/carol/settings/notifications')))
+  })
+})
+
+describe('RSVP reminders', () => {
+  it('nudges members who have not answered and asks maybes to fill the table, once', async () => {
+    const startsAt = new Date(Date.now() + 3 * 60 * 60 * 1000)
+    const gameId = `${GROUP_ID}_${toDateKey(startsAt)}_soon`
+    await asAdmin(db => setDoc(doc(db, `games/${gameId}`), {
+      group_id: GROUP_ID, date: toDateKey(startsAt), starts_at: Timestamp.fromDate(startsAt)
+    }))
+    await respond(gameId, 'alice', 'going')
+    await respond(gameId, 'bob', 'going')
+    await respond(gameId, 'carol', 'maybe')
+
+    await runReminders()
+    const reminder = await waitForPush('rsvp_reminder', gameId)
+    expect([...reminder.user_ids].sort()).toEqual(['dave', 'owner'])
+    const blast = await waitForPush('need_one_more', gameId)
+    expect(blast.body).toContain('Need 2 more')
+    expect(blast.user_ids).toEqual(['carol'])
+
+    await runReminders()
+    const reminders = await asAdmin(async db => (await getDocs(query(
+      collection(db, 'push_log'),
+      where('type', '==', 'rsvp_reminder'),
+      where('data.gameId', '==', gameId)
+    ))).size)
+    expect(reminders).toBe(1)
+  })
+
+  it('finds a game moved several days earlier by its new start', async () => {
+    const startsAt = new Date(Date.now() + 2 * 60 * 60 * 1000)
+    const scheduled = new Date(startsAt)
+    scheduled.setDate(scheduled.getDate() + 5)
+    const gameId = `${GROUP_ID}_${toDateKey(scheduled)}`
+    await asAdmin(db => setDoc(doc(db, `games/${gameId}`), {
+      group_id: GROUP_ID,
+      date: toDateKey(scheduled),
+      rescheduled_date: toDateKey(startsAt),
+      starts_at: Timestamp.fromDate(startsAt)
+    }))
+
+    await runReminders()
+    const reminder = await waitForPush('rsvp_reminder', gameId)
+    expect([...reminder.user_ids].sort()).toEqual([...PLAYERS].sort())
+  })
+})
+
+describe('weekly digest', () => {
+  it('goes only to members who turned it on, by push or email', async () => {
+    for (const user of ['carol', 'dave']) {
+      await asAdmin(db => setDoc(doc(db, `users/${user}/settings/notifications`), {
+        groups: { [GROUP_ID]: { digest: true } }
+      }))
+    }
+    await asAdmin(db => deleteDoc(doc(db, 'users/dave/notification_tokens/token-dave')))
+
+    const res = await fetch(`http://127.0.0.1:5001/${PROJECT_ID}/us-central1/runWeeklyDigest`)
+    expect(res.ok).toBe(true)
+
+    const pushes = await asAdmin(async db => (await getDocs(query(
+      collection(db, 'push_log'),
+      where('type', '==', 'weekly_digest'),
+      where('data.groupId', '==', GROUP_ID)
+    ))).docs.map(d => d.data()))
+    expect(pushes).toHaveLength(1)
+    expect(pushes[0].user_ids).toEqual(['carol'])
+    expect(pushes[0].body).toContain('Next game')
+
+    const email = await waitForEmail('dave@example.com', 'your week in mahjong')
+    expect(email.text).toContain('OPEN HOST SLOTS')
+  })
+})
+
+describe('calendar feed', () => {
+  it("lists games the user has a seat at in the group's zone, leaving out ones they are waitlisted for", async () => {
+    const seated = futureGameId(20)
+    const full = futureGameId(21)
+    await asAdmin(async db => {
+      await setDoc(doc(db, 'calendar_feeds/FeedToken0123456789ab'), { user_id: 'carol' })
+      await setDoc(doc(db, `games/${seated}`), { group_id: GROUP_ID, date: seated.split('_')[1], time: '19:00' })
+      await setDoc(doc(db, `games/${full}`), {
+        group_id: GROUP_ID, date: full.split('_')[1], time: '19:00', adhoc: true, seats: 1
+      })
+    })
+    await respond(seated, 'carol', 'going')
+    await respond(full, 'bob', 'going')
+    await respond(full, 'carol', 'going')
+
+    const res = await fetch(`http://127.0.0.1:5001/${PROJECT_ID}/us-central1/calendarFeed?token=FeedToken0123456789ab`)
+    expect(res.ok).toBe(true)
+    const calendar = await res.text()
+    expect(calendar).toContain(`UID:${seated}@mahjong-coordinator`)
+    expect(calendar).not.toContain(`UID:${full}@mahjong-coordinator`)
+    expect(calendar).toMatch(/^DTSTART;TZID=America\/New_York:\d{8}T\d{6}\r$/m)
+    expect(calendar).toContain('TZID:America/New_York')
+  })
+})
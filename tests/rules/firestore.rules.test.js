@@ -0,0 +1,471 @@
+/**
+ * Security rules tests for firestore.rules
+ * Run against the local emulator with `npm run test:rules`
+ */
+import { readFileSync } from 'node:fs'
+import { afterAll, beforeAll, beforeEach, describe, it } from 'vitest'
+import {
+  initializeTestEnvironment,
+  assertFails,
+  assertSucceeds
+} from '@firebase/rules-unit-testing'
+import {
+  doc,
+  getDoc,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  collection,
+  query,
+  where,
+  getDocs,
+  writeBatch,
+  serverTimestamp,
+  Timestamp
+} from 'firebase/firestore'
+
+const PROJECT_ID = 'demo-mahjong-coordinator'
+const GROUP_ID = 'group1'
+const GAME_ID = `${GROUP_ID}_2025-01-16`
+
+let testEnv
+
+/**
+ * Firestore instance for a signed-in user (or signed out when uid is null)
+ * @param {string|null} uid - User ID
+ */
+const dbFor = (uid) => (
+  uid ? testEnv.authenticatedContext(uid).firestore() : testEnv.unauthenticatedContext().firestore()
+)
+
+/**
+ * Writes fixture data with rules disabled
+ * @param {Object} docs - Map of document path to data
+ */
+const seed = async (docs) => {
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    const db = context.firestore()
+    for (const [path, data] of Object.entries(docs)) {
+      await setDoc(doc(db, path), data)
+    }
+  })
+}
+
+beforeAll(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: PROJECT_ID,
+    firestore: {
+      rules: readFileSync('firestore.rules', 'utf8')
+    }
+  })
+})
+
+afterAll(async () => {
+  await testEnv?.cleanup()
+})
+
+beforeEach(async () => {
+  await testEnv.clearFirestore()
+  await seed({
+    [`groups/${GROUP_ID}`]: { name: 'Thursday Night', invite_code: 'ABC234', created_by: 'owner' },
+    'invite_codes/ABC234': { group_id: GROUP_ID },
+    [`group_members/owner_${GROUP_ID}`]: { user_id: 'owner', group_id: GROUP_ID, role: 'owner' },
+    [`group_members/admin_${GROUP_ID}`]: { user_id: 'admin', group_id: GROUP_ID, role: 'admin' },
+    [`group_members/alice_${GROUP_ID}`]: { user_id: 'alice', group_id: GROUP_ID, role: 'member' },
+    [`group_members/bob_${GROUP_ID}`]: { user_id: 'bob', group_id: GROUP_ID, role: 'member' },
+    [`games/${GAME_ID}`]: { group_id: GROUP_ID, date: '2025-01-16', host_id: null },
+    [`game_responses/${GAME_ID}_bob`]: { game_id: GAME_ID, group_id: GROUP_ID, user_id: 'bob', status: 'going' }
+  })
+})
+
+describe('users', () => {
+  it('lets users write their own profile', async () => {
+    await assertSucceeds(setDoc(doc(dbFor('alice'), 'users/alice'), { name: 'Alice' }))
+  })
+
+  it("blocks writing someone else's profile", async () => {
+    await assertFails(setDoc(doc(dbFor('alice'), 'users/bob'), { name: 'Not Bob' }))
+  })
+
+  it('blocks signed-out reads', async () => {
+    await assertFails(getDoc(doc(dbFor(null), 'users/alice')))
+  })
+})
+
+describe('notification_tokens', () => {
+  it('lets users register and remove their own devices', async () => {
+    const path = 'users/alice/notification_tokens/token-a'
+    await assertSucceeds(setDoc(doc(dbFor('alice'), path), { token: 'token-a', device: 'Chrome on Mac' }))
+    await assertSucceeds(getDoc(doc(dbFor('alice'), path)))
+    await assertSucceeds(deleteDoc(doc(dbFor('alice'), path)))
+  })
+
+  it("keeps other users' tokens private", async () => {
+    await seed({ 'users/alice/notification_tokens/token-a': { token: 'token-a' } })
+    await assertFails(getDoc(doc(dbFor('bob'), 'users/alice/notification_tokens/token-a')))
+    await assertFails(setDoc(doc(dbFor('bob'), 'users/alice/notification_tokens/token-b'), { token: 'token-b' }))
+    await assertFails(deleteDoc(doc(dbFor('bob'), 'users/alice/notification_tokens/token-a')))
+  })
+
+  it('requires the document ID to match the token', async () => {
+    await assertFails(setDoc(doc(dbFor('alice'), 'users/alice/notification_tokens/token-a'), { token: 'token-b' }))
+  })
+})
+
+describe('settings', () => {
+  it('keeps notification preferences private to their owner', async () => {
+    const path = 'users/alice/settings/notifications'
+    await assertSucceeds(setDoc(doc(dbFor('alice'), path), { groups: { group1: { host: false } } }))
+    await assertSucceeds(getDoc(doc(dbFor('alice'), path)))
+    await assertFails(getDoc(doc(dbFor('bob'), path)))
+    await assertFails(setDoc(doc(dbFor('bob'), path), { groups: {} }))
+  })
+})
+
+describe('groups', () => {
+  it('lets members read the group but not outsiders', async () => {
+    await assertSucceeds(getDoc(doc(dbFor('alice'), `groups/${GROUP_ID}`)))
+    await assertFails(getDoc(doc(dbFor('stranger'), `groups/${GROUP_ID}`)))
+  })
+
+  it('blocks outsiders from listing groups or searching by invite code', async () => {
+    await assertFails(getDocs(collection(dbFor('stranger'), 'groups')))
+    await assertFails(getDocs(query(collection(dbFor('stranger'), 'groups'), where('invite_code', '==', 'ABC234'))))
+  })
+
+  it('lets admins edit settings but not members', async () => {
+    await assertSucceeds(updateDoc(doc(dbFor('admin'), `groups/${GROUP_ID}`), { name: 'Renamed' }))
+    await assertFails(updateDoc(doc(dbFor('alice'), `groups/${GROUP_ID}`), { name: 'Hijacked' }))
+  })
+
+  it('only lets the owner delete the group', async () => {
+    await assertFails(deleteDoc(doc(dbFor('admin'), `groups/${GROUP_ID}`)))
+    await assertSucceeds(deleteDoc(doc(dbFor('owner'), `groups/${GROUP_ID}`)))
+  })
+
+  it('lets the owner delete everything in the group, memberships last', async () => {
+    await seed({
+      'notifications/n1': {
+        user_id: 'bob', group_id: GROUP_ID, game_id: GAME_ID, type: 'game_cancelled', created_by: 'admin', read: false
+      }
+    })
+    const db = dbFor('owner')
+    const deleteAll = async (q) => {
+      const snapshot = await assertSucceeds(getDocs(q))
+      for (const docSnap of snapshot.docs) {
+        await assertSucceeds(deleteDoc(docSnap.ref))
+      }
+    }
+
+    await assertSucceeds(deleteDoc(doc(db, 'invite_codes/ABC234')))
+    await deleteAll(query(collection(db, 'notifications'), where('group_id', '==', GROUP_ID)))
+    await deleteAll(query(collection(db, 'game_responses'), where('group_id', '==', GROUP_ID)))
+    await deleteAll(query(collection(db, 'games'), where('group_id', '==', GROUP_ID)))
+
+    const members = await assertSucceeds(getDocs(query(collection(db, 'group_members'), where('group_id', '==', GROUP_ID))))
+    for (const docSnap of members.docs.filter(docSnap => docSnap.id !== `owner_${GROUP_ID}`)) {
+      await assertSucceeds(deleteDoc(docSnap.ref))
+    }
+
+    const batch = writeBatch(db)
+    batch.delete(doc(db, `group_members/owner_${GROUP_ID}`))
+    batch.delete(doc(db, `groups/${GROUP_ID}`))
+    await assertSucceeds(batch.commit())
+  })
+
+  it('treats the creator as owner on a membership row without a role', async () => {
+    await seed({
+      [`group_members/owner_${GROUP_ID}`]: { user_id: 'owner', group_id: GROUP_ID },
+      [`group_members/alice_${GROUP_ID}`]: { user_id: 'alice', group_id: GROUP_ID }
+    })
+    await assertFails(updateDoc(doc(dbFor('alice'), `groups/${GROUP_ID}`), { name: 'Hijacked' }))
+    await assertSucceeds(updateDoc(doc(dbFor('owner'), `groups/${GROUP_ID}`), { name: 'Renamed' }))
+  })
+
+  it('keeps role checks working after the group document is gone', async () => {
+    await assertSucceeds(deleteDoc(doc(dbFor('owner'), `groups/${GROUP_ID}`)))
+    await assertSucceeds(deleteDoc(doc(dbFor('owner'), `group_members/alice_${GROUP_ID}`)))
+    await assertSucceeds(deleteDoc(doc(dbFor('admin'), `group_members/bob_${GROUP_ID}`)))
+  })
+
+  it('creates a group, its invite code and owner membership together', async () => {
+    const db = dbFor('carol')
+    const batch = writeBatch(db)
+    batch.set(doc(db, 'groups/group2'), { name: 'New', invite_code: 'XYZ789', created_by: 'carol' })
+    batch.set(doc(db, 'group_members/carol_group2'), { user_id: 'carol', group_id: 'group2', role: 'owner' })
+    batch.set(doc(db, 'invite_codes/XYZ789'), { group_id: 'group2' })
+    await assertSucceeds(batch.commit())
+  })
+})
+
+describe('invite_codes', () => {
+  it('lets signed-in users look up a code but not list them', async () => {
+    await assertSucceeds(getDoc(doc(dbFor('stranger'), 'invite_codes/ABC234')))
+    await assertFails(getDoc(doc(dbFor(null), 'invite_codes/ABC234')))
+    await assertFails(getDocs(collection(dbFor('stranger'), 'invite_codes')))
+  })
+
+  it('lets admins replace the code but not members', async () => {
+    const replace = (uid) => {
+      const db = dbFor(uid)
+      const batch = writeBatch(db)
+      batch.update(doc(db, `groups/${GROUP_ID}`), { invite_code: 'NEW567' })
+      batch.set(doc(db, 'invite_codes/NEW567'), { group_id: GROUP_ID })
+      batch.delete(doc(db, 'invite_codes/ABC234'))
+      return batch.commit()
+    }
+    await assertFails(replace('alice'))
+    await assertSucceeds(replace('admin'))
+  })
+
+  it("blocks registering a code that isn't the group's or is taken", async () => {
+    await assertFails(setDoc(doc(dbFor('admin'), 'invite_codes/ZZZ999'), { group_id: GROUP_ID }))
+    await seed({
+      'groups/group2': { name: 'Other', invite_code: 'ABC234', created_by: 'stranger' },
+      'group_members/stranger_group2': { user_id: 'stranger', group_id: 'group2', role: 'owner' }
+    })
+    await assertFails(setDoc(doc(dbFor('stranger'), 'invite_codes/ABC234'), { group_id: 'group2' }))
+  })
+})
+
+describe('group_members', () => {
+  it("lets a user join as a member with the group's invite code", async () => {
+    await assertSucceeds(setDoc(doc(dbFor('carol'), `group_members/carol_${GROUP_ID}`), {
+      user_id: 'carol', group_id: GROUP_ID, role: 'member', invite_code: 'ABC234'
+    }))
+  })
+
+  it('blocks joining without the current invite code', async () => {
+    await assertFails(setDoc(doc(dbFor('carol'), `group_members/carol_${GROUP_ID}`), {
+      user_id: 'carol', group_id: GROUP_ID, role: 'member'
+    }))
+    await assertFails(setDoc(doc(dbFor('carol'), `group_members/carol_${GROUP_ID}`), {
+      user_id: 'carol', group_id: GROUP_ID, role: 'member', invite_code: 'WRONG1'
+    }))
+    await seed({ [`groups/${GROUP_ID}`]: { name: 'Thursday Night', invite_code: 'NEW567', created_by: 'owner' } })
+    await assertFails(setDoc(doc(dbFor('carol'), `group_members/carol_${GROUP_ID}`), {
+      user_id: 'carol', group_id: GROUP_ID, role: 'member', invite_code: 'ABC234'
+    }))
+  })
+
+  it('lets users check for their own membership before joining', async () => {
+    await assertSucceeds(getDoc(doc(dbFor('carol'), `group_members/carol_${GROUP_ID}`)))
+    await assertFails(getDoc(doc(dbFor('carol'), `group_members/dave_${GROUP_ID}`)))
+  })
+
+  it('blocks joining as owner or admin', async () => {
+    await assertFails(setDoc(doc(dbFor('carol'), `group_members/carol_${GROUP_ID}`), {
+      user_id: 'carol', group_id: GROUP_ID, role: 'admin', invite_code: 'ABC234'
+    }))
+  })
+
+  it('blocks joining an archived group', async () => {
+    await seed({ 'groups/archived': { name: 'Old', invite_code: 'OLD234', created_by: 'owner', archived: true } })
+    await assertFails(setDoc(doc(dbFor('carol'), 'group_members/carol_archived'), {
+      user_id: 'carol', group_id: 'archived', role: 'member', invite_code: 'OLD234'
+    }))
+  })
+
+  it('lets members read the roster but not outsiders', async () => {
+    const roster = (uid) => getDocs(query(collection(dbFor(uid), 'group_members'), where('group_id', '==', GROUP_ID)))
+    await assertSucceeds(roster('alice'))
+    await assertFails(roster('stranger'))
+  })
+
+  it('only lets the owner change roles', async () => {
+    await assertFails(updateDoc(doc(dbFor('admin'), `group_members/alice_${GROUP_ID}`), { role: 'admin' }))
+    await assertSucceeds(updateDoc(doc(dbFor('owner'), `group_members/alice_${GROUP_ID}`), { role: 'admin' }))
+  })
+
+  it('lets admins remove members but not other admins', async () => {
+    await assertSucceeds(deleteDoc(doc(dbFor('admin'), `group_members/alice_${GROUP_ID}`)))
+    await seed({ [`group_members/admin2_${GROUP_ID}`]: { user_id: 'admin2', group_id: GROUP_ID, role: 'admin' } })
+    await assertFails(deleteDoc(doc(dbFor('admin'), `group_members/admin2_${GROUP_ID}`)))
+  })
+})
+
+describe('games', () => {
+  it('lets members read games but not outsiders', async () => {
+    await assertSucceeds(getDoc(doc(dbFor('alice'), `games/${GAME_ID}`)))
+    await assertFails(getDoc(doc(dbFor('stranger'), `games/${GAME_ID}`)))
+  })
+
+  it('lets members read a game that has not been created yet', async () => {
+    await assertSucceeds(getDoc(doc(dbFor('alice'), `games/${GROUP_ID}_2025-01-23`)))
+  })
+
+  it('lets a member claim an open game but not steal a claimed one', async () => {
+    await assertSucceeds(updateDoc(doc(dbFor('alice'), `games/${GAME_ID}`), { host_id: 'alice', host_name: 'Alice' }))
+    await assertFails(updateDoc(doc(dbFor('bob'), `games/${GAME_ID}`), { host_id: 'bob', host_name: 'Bob' }))
+  })
+
+  it('only lets admins cancel games', async () => {
+    await assertFails(updateDoc(doc(dbFor('alice'), `games/${GAME_ID}`), { cancelled: true }))
+    await assertSucceeds(updateDoc(doc(dbFor('admin'), `games/${GAME_ID}`), { cancelled: true }))
+  })
+
+  it('leaves reminder bookkeeping to the functions', async () => {
+    await assertFails(updateDoc(doc(dbFor('admin'), `games/${GAME_ID}`), { reminded_for_start: new Date() }))
+    await assertFails(setDoc(doc(dbFor('alice'), `games/${GROUP_ID}_2025-01-23`), {
+      group_id: GROUP_ID, date: '2025-01-23', reminded_for_start: new Date()
+    }))
+  })
+
+  it('only lets admins reschedule a single game', async () => {
+    const changes = { rescheduled_date: '2025-01-17', rescheduled_time: '18:00', venue: 'Community hall' }
+    await assertFails(updateDoc(doc(dbFor('alice'), `games/${GAME_ID}`), changes))
+    await assertSucceeds(updateDoc(doc(dbFor('admin'), `games/${GAME_ID}`), changes))
+  })
+
+  it('only lets admins set the start of a regular game', async () => {
+    const startsAt = Timestamp.fromDate(new Date('2025-01-16T12:00:00Z'))
+    await assertFails(updateDoc(doc(dbFor('alice'), `games/${GAME_ID}`), { starts_at: startsAt }))
+    await assertSucceeds(updateDoc(doc(dbFor('admin'), `games/${GAME_ID}`), { starts_at: startsAt }))
+    await assertFails(setDoc(doc(dbFor('alice'), `games/${GROUP_ID}_2025-01-23`), {
+      group_id: GROUP_ID, date: '2025-01-23', starts_at: startsAt
+    }))
+    await assertSucceeds(setDoc(doc(dbFor('alice'), `games/${GROUP_ID}_2025-01-23`), {
+      group_id: GROUP_ID, date: '2025-01-23'
+    }))
+  })
+
+  it('blocks members from creating a game that is already moved', async () => {
+    await assertFails(setDoc(doc(dbFor('alice'), `games/${GROUP_ID}_2025-01-23`), {
+      group_id: GROUP_ID, date: '2025-01-23', rescheduled_date: '2025-01-24'
+    }))
+  })
+
+  it('lets members propose a one-off game in their own name', async () => {
+    const adhocId = `${GROUP_ID}_2025-01-19_abc123`
+    const game = {
+      group_id: GROUP_ID,
+      date: '2025-01-19',
+      time: '14:00',
+      starts_at: Timestamp.fromDate(new Date('2025-01-19T19:00:00Z')),
+      seats: 4,
+      adhoc: true
+    }
+    await assertSucceeds(setDoc(doc(dbFor('alice'), `games/${adhocId}`), { ...game, proposed_by: 'alice' }))
+    await assertFails(setDoc(doc(dbFor('alice'), `games/${GROUP_ID}_2025-01-19_def456`), { ...game, proposed_by: 'bob' }))
+    await assertFails(setDoc(doc(dbFor('stranger'), `games/${GROUP_ID}_2025-01-19_ghi789`), { ...game, proposed_by: 'stranger' }))
+  })
+
+  it('lets the proposer cancel their one-off game but not other members', async () => {
+    const adhocId = `${GROUP_ID}_2025-01-19_abc123`
+    await seed({
+      [`games/${adhocId}`]: { group_id: GROUP_ID, date: '2025-01-19', time: '14:00', seats: 4, adhoc: true, proposed_by: 'alice' }
+    })
+    await assertFails(updateDoc(doc(dbFor('bob'), `games/${adhocId}`), { cancelled: true }))
+    await assertSucceeds(updateDoc(doc(dbFor('alice'), `games/${adhocId}`), { cancelled: true, cancel_reason: 'Rain' }))
+  })
+
+  it('only lets the host or admins save seating', async () => {
+    const seating = { tables: [{ players: ['alice', 'bob', 'admin'] }], sitting_out: [] }
+    await seed({ [`games/${GAME_ID}`]: { group_id: GROUP_ID, date: '2025-01-16', host_id: 'alice' } })
+    await assertFails(updateDoc(doc(dbFor('bob'), `games/${GAME_ID}`), { seating }))
+    await assertSucceeds(updateDoc(doc(dbFor('alice'), `games/${GAME_ID}`), { seating }))
+    await assertSucceeds(updateDoc(doc(dbFor('admin'), `games/${GAME_ID}`), { seating }))
+  })
+
+  it('only lets the host or admins record scores', async () => {
+    const scores = { mode: 'nmjl', names: {}, tables: [{ players: ['alice', 'bob', 'admin'], hands: [] }] }
+    await seed({ [`games/${GAME_ID}`]: { group_id: GROUP_ID, date: '2025-01-16', host_id: 'alice' } })
+    await assertFails(updateDoc(doc(dbFor('bob'), `games/${GAME_ID}`), { scores }))
+    await assertSucceeds(updateDoc(doc(dbFor('alice'), `games/${GAME_ID}`), { scores }))
+  })
+})
+
+describe('notifications', () => {
+  const notice = (userId, createdBy) => ({
+    user_id: userId,
+    group_id: GROUP_ID,
+    game_id: GAME_ID,
+    type: 'game_cancelled',
+    message: 'The Thu, Jan 16 game is cancelled',
+    created_by: createdBy,
+    read: false
+  })
+
+  it('lets admins notify members but not members or outsiders', async () => {
+    await assertSucceeds(setDoc(doc(dbFor('admin'), 'notifications/n1'), notice('bob', 'admin')))
+    await assertFails(setDoc(doc(dbFor('alice'), 'notifications/n2'), notice('bob', 'alice')))
+    await assertFails(setDoc(doc(dbFor('admin'), 'notifications/n3'), notice('stranger', 'admin')))
+  })
+
+  it('lets members read and dismiss only their own notifications', async () => {
+    await seed({ 'notifications/n1': notice('bob', 'admin') })
+    await assertSucceeds(getDoc(doc(dbFor('bob'), 'notifications/n1')))
+    await assertFails(getDoc(doc(dbFor('alice'), 'notifications/n1')))
+    await assertFails(updateDoc(doc(dbFor('bob'), 'notifications/n1'), { message: 'Edited' }))
+    await assertSucceeds(updateDoc(doc(dbFor('bob'), 'notifications/n1'), { read: true }))
+  })
+
+  it("lets the owner clear the group's notifications but not admins", async () => {
+    await seed({ 'notifications/n1': notice('bob', 'admin') })
+    const groupNotices = (uid) => getDocs(query(collection(dbFor(uid), 'notifications'), where('group_id', '==', GROUP_ID)))
+    await assertFails(groupNotices('admin'))
+    await assertFails(deleteDoc(doc(dbFor('admin'), 'notifications/n1')))
+    await assertSucceeds(groupNotices('owner'))
+    await assertSucceeds(deleteDoc(doc(dbFor('owner'), 'notifications/n1')))
+  })
+})
+
+describe('game_responses', () => {
+  it('lets members write their own RSVP', async () => {
+    await assertSucceeds(setDoc(doc(dbFor('alice'), `game_responses/${GAME_ID}_alice`), {
+      game_id: GAME_ID, group_id: GROUP_ID, user_id: 'alice', status: 'maybe', responded_at: serverTimestamp()
+    }))
+  })
+
+  it("blocks writing someone else's RSVP", async () => {
+    await assertFails(setDoc(doc(dbFor('alice'), `game_responses/${GAME_ID}_bob`), {
+      game_id: GAME_ID, group_id: GROUP_ID, user_id: 'bob', status: 'not-going', responded_at: serverTimestamp()
+    }))
+  })
+
+  it('blocks RSVPs from outsiders', async () => {
+    await assertFails(setDoc(doc(dbFor('stranger'), `game_responses/${GAME_ID}_stranger`), {
+      game_id: GAME_ID, group_id: GROUP_ID, user_id: 'stranger', status: 'going', responded_at: serverTimestamp()
+    }))
+  })
+
+  it('blocks backdating responded_at to jump the waitlist', async () => {
+    const backdated = Timestamp.fromDate(new Date('2025-01-01T00:00:00Z'))
+    await assertFails(setDoc(doc(dbFor('alice'), `game_responses/${GAME_ID}_alice`), {
+      game_id: GAME_ID, group_id: GROUP_ID, user_id: 'alice', status: 'going', responded_at: backdated
+    }))
+    await assertFails(setDoc(doc(dbFor('bob'), `game_responses/${GAME_ID}_bob`), {
+      game_id: GAME_ID, group_id: GROUP_ID, user_id: 'bob', status: 'maybe', responded_at: backdated
+    }))
+    await assertFails(updateDoc(doc(dbFor('bob'), `game_responses/${GAME_ID}_bob`), { responded_at: backdated }))
+    await assertSucceeds(updateDoc(doc(dbFor('bob'), `game_responses/${GAME_ID}_bob`), {
+      status: 'maybe', responded_at: serverTimestamp()
+    }))
+  })
+
+  it('lets members list responses for their group only', async () => {
+    const responses = (uid) => getDocs(query(
+      collection(dbFor(uid), 'game_responses'),
+      where('group_id', '==', GROUP_ID),
+      where('game_id', 'in', [GAME_ID])
+    ))
+    await assertSucceeds(responses('alice'))
+    await assertFails(responses('stranger'))
+  })
+})
+
+describe('calendar_feeds', () => {
+  it('lets users create and find only their own feed', async () => {
+    await assertSucceeds(setDoc(doc(dbFor('alice'), 'calendar_feeds/feed1'), { user_id: 'alice' }))
+    await assertFails(setDoc(doc(dbFor('alice'), 'calendar_feeds/feed2'), { user_id: 'bob' }))
+    await assertSucceeds(getDocs(query(collection(dbFor('alice'), 'calendar_feeds'), where('user_id', '==', 'alice'))))
+    await assertFails(getDoc(doc(dbFor('bob'), 'calendar_feeds/feed1')))
+  })
+
+  it('only lets the owner revoke a feed', async () => {
+    await seed({ 'calendar_feeds/feed1': { user_id: 'alice' } })
+    await assertFails(deleteDoc(doc(dbFor('bob'), 'calendar_feeds/feed1')))
+    await assertFails(updateDoc(doc(dbFor('alice'), 'calendar_feeds/feed1'), { user_id: 'bob' }))
+    await assertSucceeds(deleteDoc(doc(dbFor('alice'), 'calendar_feeds/feed1')))
+  })
+})
@@ -0,0 +1,118 @@
+/**
+ * Tests for the weekly digest in src/utils/digest.js and its email
+ * Run with `npm test`
+ */
+import { describe, expect, it } from 'vitest'
+import { buildGroupDigest, getDigestRange, getDigestSections, getDigestSummary, isDigestDue } from '../../src/utils/digest'
+import { buildDigestEmail } from '../../functions/src/emailTemplates'
+import { weeklyEntry } from '../../src/utils/recurrence'
+
+const groupInfo = {
+  id: 'group1',
+  name: 'Tiles & Tea',
+  time: '19:00',
+  timeZone: 'America/New_York',
+  recurrence: [weeklyEntry('Thursday', '2025-01-01')],
+  maxTables: 2
+}
+
+// Monday, January 20, 9:00 AM in New York
+const now = new Date('2025-01-20T14:00:00Z')
+
+const going = (gameId, userId) => ({ game_id: gameId, user_id: userId, status: 'going' })
+
+const games = [
+  {
+    id: 'group1_2025-01-16',
+    group_id: 'group1',
+    date: '2025-01-16',
+    host_id: 'alice',
+    host_name: 'Alice',
+    scores: {
+      mode: 'nmjl',
+      names: { alice: 'Alice', bob: 'Bob', carol: 'Carol', dave: 'Dave' },
+      tables: [{
+        players: ['alice', 'bob', 'carol', 'dave'],
+        hands: [{ winner: 'alice', discarder: 'bob', value: 25 }]
+      }]
+    }
+  },
+  { id: 'group1_2025-01-23', group_id: 'group1', date: '2025-01-23', host_id: 'bob', host_name: 'Bob' },
+  { id: 'group1_2025-01-30', group_id: 'group1', date: '2025-01-30', cancelled: true }
+]
+
+const responses = [
+  ...['alice', 'bob', 'carol', 'dave'].map(userId => going('group1_2025-01-16', userId)),
+  going('group1_2025-01-23', 'bob'),
+  going('group1_2025-01-23', 'alice'),
+  { game_id: 'group1_2025-01-23', user_id: 'carol', status: 'maybe' }
+]
+
+describe('getDigestRange', () => {
+  it('covers last week and the next four weeks in the group\'s zone', () => {
+    expect(getDigestRange(groupInfo, now)).toEqual({ today: '2025-01-20', from: '2025-01-13', to: '2025-02-17' })
+  })
+})
+
+describe('isDigestDue', () => {
+  it("is due during 9 AM on Monday in the group's zone only", () => {
+    expect(isDigestDue(groupInfo, now)).toBe(true)
+    expect(isDigestDue(groupInfo, new Date('2025-01-20T14:59:00Z'))).toBe(true)
+    expect(isDigestDue(groupInfo, new Date('2025-01-20T15:00:00Z'))).toBe(false)
+    expect(isDigestDue(groupInfo, new Date('2025-01-20T09:00:00Z'))).toBe(false)
+  })
+
+  it('follows the group across the date line', () => {
+    const tokyo = { ...groupInfo, timeZone: 'Asia/Tokyo' }
+    expect(isDigestDue(tokyo, new Date('2025-01-20T00:00:00Z'))).toBe(true)
+    expect(isDigestDue(tokyo, now)).toBe(false)
+  })
+})
+
+describe('buildGroupDigest', () => {
+  const digest = buildGroupDigest({ groupInfo, games, responses, now })
+
+  it('describes the next game with its host and RSVP counts', () => {
+    expect(digest.nextGame).toMatchObject({ id: 'group1_2025-01-23', hostName: 'Bob', going: 2, maybe: 1 })
+  })
+
+  it('lists unhosted games from the schedule, skipping cancelled ones', () => {
+    expect(digest.openHostSlots.map(slot => slot.id)).toEqual(['group1_2025-02-06', 'group1_2025-02-13'])
+  })
+
+  it('includes last week\'s games with their standings', () => {
+    expect(digest.lastWeek).toHaveLength(1)
+    expect(digest.lastWeek[0]).toMatchObject({ played: 4, hostName: 'Alice' })
+    expect(digest.lastWeek[0].standings[0]).toMatchObject({ name: 'Alice', total: 100 })
+  })
+
+  it('lays out the same content for the app, push and email', () => {
+    const sections = getDigestSections(digest)
+    expect(sections.map(section => section.key)).toEqual(['next', 'hosts', 'results'])
+    expect(sections[0].lines).toEqual(['Thu, Jan 23 at 7:00 PM EST', 'Hosted by Bob', '2 going / 1 maybe'])
+    expect(sections[2].lines).toEqual([
+      "Thu, Jan 16 at 7:00 PM EST: 4 played at Alice's",
+      'Alice +100, Carol -25, Dave -25'
+    ])
+
+    expect(getDigestSummary(digest)).toBe('Next game Thu, Jan 23 at 7:00 PM EST: 2 going / 1 maybe. 2 games need a host.')
+
+    const email = buildDigestEmail(digest, {
+      link: 'https://example.com/group/group1/digest',
+      settingsUrl: 'https://example.com/settings/notifications'
+    })
+    expect(email.subject).toBe('Tiles & Tea: your week in mahjong')
+    expect(email.text).toContain('OPEN HOST SLOTS\nThu, Feb 6 at 7:00 PM EST\nThu, Feb 13 at 7:00 PM EST')
+    expect(email.html).toContain('Alice +100, Carol -25, Dave -25')
+  })
+
+  it('handles a quiet week', () => {
+    const quiet = buildGroupDigest({ groupInfo: { ...groupInfo, recurrence: [] }, games: [], responses: [], now })
+    expect(quiet.nextGame).toBeNull()
+    expect(getDigestSections(quiet).map(section => section.lines)).toEqual([
+      ['Nothing on the calendar yet'],
+      ['Every game in the next four weeks has a host'],
+      ['No games last week']
+    ])
+  })
+})
@@ -0,0 +1,55 @@
+/**
+ * Tests for the email templates in functions/src/emailTemplates.js
+ * Run with `npm test`
+ */
+import { describe, expect, it } from 'vitest'
+import { PUSH_TYPES } from '../../functions/src/gameEvents'
+import { escapeHtml, buildEmailMessage } from '../../functions/src/emailTemplates'
+import { weeklyEntry } from '../../src/utils/recurrence'
+
+const groupInfo = {
+  id: 'group1',
+  name: 'Tiles & Tea',
+  time: '19:00',
+  timeZone: 'America/New_York',
+  recurrence: [weeklyEntry('Thursday', '2025-01-01')],
+  location: 'Rec center'
+}
+
+const links = {
+  link: 'https://example.com/group/group1',
+  settingsUrl: 'https://example.com/settings/notifications'
+}
+
+describe('escapeHtml', () => {
+  it('escapes markup characters', () => {
+    expect(escapeHtml('<b>"Tom" & Jerry\'s</b>')).toBe('&lt;b&gt;&quot;Tom&quot; &amp; Jerry&#39;s&lt;/b&gt;')
+  })
+})
+
+describe('buildEmailMessage', () => {
+  it('renders a reminder as matching HTML and plain text', () => {
+    const game = { group_id: 'group1', date: '2025-01-16', host_name: 'Alice', host_address: '12 Oak St' }
+    const email = buildEmailMessage(PUSH_TYPES.RSVP_REMINDER, { game, groupInfo, ...links })
+
+    expect(email.subject).toBe('Tiles & Tea: are you in for Thu, Jan 16 at 7:00 PM EST?')
+    expect(email.text).toContain('When: Thu, Jan 16 at 7:00 PM EST')
+    expect(email.text).toContain('Where: 12 Oak St')
+    expect(email.text).toContain('RSVP Now: https://example.com/group/group1')
+    expect(email.html).toContain('Tiles &amp; Tea')
+    expect(email.html).toContain('href="https://example.com/group/group1"')
+    expect(email.html).toContain(links.settingsUrl)
+  })
+
+  it('includes the reason for a cancellation and leaves out empty rows', () => {
+    const game = { group_id: 'group1', date: '2025-01-16', cancel_reason: 'Snow day' }
+    expect(buildEmailMessage(PUSH_TYPES.GAME_CANCELLED, { game, groupInfo, ...links }).text).toContain('Reason: Snow day')
+    expect(buildEmailMessage(PUSH_TYPES.GAME_CANCELLED, { game: { ...game, cancel_reason: null }, groupInfo, ...links }).text)
+      .not.toContain('Reason')
+  })
+
+  it('has no email for push-only events', () => {
+    const game = { group_id: 'group1', date: '2025-01-16' }
+    expect(buildEmailMessage(PUSH_TYPES.TABLE_READY, { game, groupInfo, ...links })).toBeNull()
+  })
+})
@@ -0,0 +1,114 @@
+/**
+ * Tests for the push notification rules in functions/src/gameEvents.js
+ * Run with `npm test`
+ */
+import { describe, expect, it } from 'vitest'
+import {
+  PUSH_TYPES,
+  getGameEvents,
+  getRosterEvent,
+  getReminderRecipients,
+  buildPushMessage
+} from '../../functions/src/gameEvents'
+import { getGameCapacity } from '../../src/utils/waitlist'
+import { weeklyEntry } from '../../src/utils/recurrence'
+
+const groupInfo = {
+  id: 'group1',
+  name: 'Thursday Night',
+  time: '19:00',
+  timeZone: 'America/New_York',
+  recurrence: [weeklyEntry('Thursday', '2025-01-01')],
+  maxTables: 2
+}
+
+describe('getGameEvents', () => {
+  it('announces a newly claimed host', () => {
+    expect(getGameEvents({ host_id: null }, { host_id: 'alice' })).toEqual([PUSH_TYPES.HOST_CLAIMED])
+    expect(getGameEvents(null, { host_id: 'alice' })).toEqual([PUSH_TYPES.HOST_CLAIMED])
+    expect(getGameEvents({ host_id: 'alice' }, { host_id: 'alice', host_tables: 2 })).toEqual([])
+  })
+
+  it('announces a newly proposed one-off game once, even if the proposer hosts', () => {
+    expect(getGameEvents(null, { adhoc: true, proposed_by: 'alice' })).toEqual([PUSH_TYPES.GAME_SCHEDULED])
+    expect(getGameEvents(null, { adhoc: true, host_id: 'alice' })).toEqual([PUSH_TYPES.GAME_SCHEDULED])
+    expect(getGameEvents({ adhoc: true }, { adhoc: true, venue: 'Cafe' })).toEqual([])
+  })
+
+  it('announces cancellations but not restores or deletes', () => {
+    expect(getGameEvents({ cancelled: false }, { cancelled: true })).toEqual([PUSH_TYPES.GAME_CANCELLED])
+    expect(getGameEvents({ cancelled: true }, { cancelled: false })).toEqual([])
+    expect(getGameEvents({ cancelled: false }, null)).toEqual([])
+  })
+})
+
+describe('getReminderRecipients', () => {
+  const members = ['owner', 'alice', 'bob', 'carol', 'dave']
+  const respond = (user_id, status) => ({ user_id, status })
+
+  it('reminds members without a response and tells maybes how many are needed', () => {
+    const responses = [respond('alice', 'going'), respond('bob', 'going'), respond('carol', 'going'), respond('dave', 'maybe')]
+    expect(getReminderRecipients(members, responses, {}, 2)).toEqual({
+      unanswered: ['owner'],
+      maybes: ['dave'],
+      needed: 1
+    })
+  })
+
+  it('needs nobody once the game is full, and never nags the host', () => {
+    const responses = ['alice', 'bob', 'carol', 'dave'].map(user => respond(user, 'going'))
+    const game = { host_id: 'owner', host_tables: 1 }
+    expect(getReminderRecipients(members, responses, game, 2)).toEqual({ unanswered: [], maybes: [], needed: 0 })
+  })
+})
+
+describe('getGameCapacity', () => {
+  it('matches the app: seats first, then the host tables once there is a host', () => {
+    expect(getGameCapacity({ seats: 6 }, 2)).toBe(6)
+    expect(getGameCapacity({ host_id: 'alice', host_tables: 1 }, 2)).toBe(4)
+    expect(getGameCapacity({ host_id: 'alice' }, 2)).toBe(8)
+    expect(getGameCapacity({}, 2)).toBeNull()
+  })
+})
+
+describe('getRosterEvent', () => {
+  it('announces a table when the fourth player says yes', () => {
+    expect(getRosterEvent('maybe', 'going', 4, null)).toEqual({ type: PUSH_TYPES.TABLE_READY, seated: 4 })
+    expect(getRosterEvent(null, 'going', 8, null)).toEqual({ type: PUSH_TYPES.TABLE_READY, seated: 8 })
+    expect(getRosterEvent(null, 'going', 3, null)).toBeNull()
+  })
+
+  it('warns the table when a dropout leaves it one short', () => {
+    expect(getRosterEvent('going', 'not-going', 3, null)).toEqual({ type: PUSH_TYPES.ONE_SHORT, seated: 3 })
+    expect(getRosterEvent('going', null, 7, null)).toEqual({ type: PUSH_TYPES.ONE_SHORT, seated: 7 })
+    expect(getRosterEvent('going', 'maybe', 2, null)).toBeNull()
+  })
+
+  it('ignores changes that only touch the waitlist', () => {
+    expect(getRosterEvent(null, 'going', 5, 4)).toBeNull()
+    // Someone on the waitlist is promoted into the dropout's seat
+    expect(getRosterEvent('going', 'not-going', 4, 4)).toBeNull()
+  })
+})
+
+describe('buildPushMessage', () => {
+  it('describes the game in the group time zone', () => {
+    const game = { group_id: 'group1', date: '2025-03-13', host_name: 'Alice' }
+    expect(buildPushMessage(PUSH_TYPES.HOST_CLAIMED, { game, groupInfo })).toEqual({
+      title: 'Thursday Night',
+      body: 'Alice is hosting on Thu, Mar 13 at 7:00 PM EDT. Are you in?'
+    })
+  })
+
+  it('includes the reason for a cancellation', () => {
+    const game = { group_id: 'group1', date: '2025-01-16', cancel_reason: 'Snow day' }
+    expect(buildPushMessage(PUSH_TYPES.GAME_CANCELLED, { game, groupInfo }).body)
+      .toBe('The game on Thu, Jan 16 at 7:00 PM EST is cancelled: Snow day')
+  })
+
+  it('says how many players a reminder blast needs', () => {
+    const game = { group_id: 'group1', date: '2025-01-16' }
+    expect(buildPushMessage(PUSH_TYPES.NEED_ONE_MORE, { game, groupInfo, needed: 1 }).body)
+      .toBe('Need 1 more for the game on Thu, Jan 16 at 7:00 PM EST! You said maybe. Can you make it?')
+  })
+})
@@ -0,0 +1,135 @@
+/**
+ * Tests for the iCalendar builders in src/utils/ics.js
+ * Run with `npm test`
+ */
+import { describe, expect, it } from 'vitest'
+import { escapeText, foldLine, toCalendarEvent, buildCalendar } from '../../src/utils/ics'
+import { weeklyEntry } from '../../src/utils/recurrence'
+
+const NOW = new Date('2025-03-01T12:00:00Z')
+
+const groupInfo = {
+  id: 'group1',
+  name: 'Thursday Night',
+  time: '19:00',
+  timeZone: 'America/New_York',
+  location: 'Community Center',
+  recurrence: [weeklyEntry('Thursday', '2025-01-01')]
+}
+
+const game = {
+  id: 'group1_2025-03-13',
+  dateKey: '2025-03-13',
+  time: null,
+  scheduledDateKey: '2025-03-13',
+  venue: null,
+  adhoc: false,
+  host: { name: 'Alice', address: '12 Oak St, Apt 3' },
+  cancelled: false,
+  cancelReason: null,
+  sequence: 0
+}
+
+/**
+ * Unfolds and splits a calendar into content lines
+ * @param {string} calendar - iCalendar text
+ */
+const linesOf = (calendar) => calendar.replace(/\r\n /g, '').split('\r\n')
+
+describe('escapeText', () => {
+  it('escapes separators and newlines', () => {
+    expect(escapeText('Oak St, Apt 3; back door\nRing twice \\o/')).toBe('Oak St\\, Apt 3\\; back door\\nRing twice \\\\o/')
+  })
+})
+
+describe('foldLine', () => {
+  it('keeps every physical line within 75 octets, counting multi-byte characters', () => {
+    const folded = foldLine(`SUMMARY:${'🀄'.repeat(40)}`)
+    const encoder = new TextEncoder()
+    folded.split('\r\n').forEach(line => expect(encoder.encode(line).length).toBeLessThanOrEqual(75))
+    expect(folded.replace(/\r\n /g, '')).toBe(`SUMMARY:${'🀄'.repeat(40)}`)
+  })
+})
+
+describe('buildCalendar', () => {
+  it('starts events in the group time zone with a stable UID and the host address', () => {
+    const lines = linesOf(buildCalendar([toCalendarEvent(game, groupInfo)], { now: NOW }))
+    expect(lines).toContain('UID:group1_2025-03-13@mahjong-coordinator')
+    expect(lines).toContain('DTSTART;TZID=America/New_York:20250313T190000')
+    expect(lines).toContain('DTSTAMP:20250301T120000Z')
+    expect(lines).toContain('LOCATION:12 Oak St\\, Apt 3')
+    expect(lines).toContain('STATUS:CONFIRMED')
+  })
+
+  it('keeps the UID and bumps the sequence when a game is moved', () => {
+    const moved = { ...game, dateKey: '2025-03-14', time: '18:30', venue: 'The Library', sequence: 2 }
+    const lines = linesOf(buildCalendar([toCalendarEvent(moved, groupInfo)], { now: NOW }))
+    expect(lines).toContain('UID:group1_2025-03-13@mahjong-coordinator')
+    expect(lines).toContain('DTSTART;TZID=America/New_York:20250314T183000')
+    expect(lines).toContain('SEQUENCE:2')
+    expect(lines).toContain('LOCATION:The Library')
+  })
+
+  it("prefers the game's stored start", () => {
+    const stored = { ...game, startsAt: new Date('2025-03-13T22:00:00Z') }
+    const lines = linesOf(buildCalendar([toCalendarEvent(stored, groupInfo)], { now: NOW }))
+    expect(lines).toContain('DTSTART;TZID=America/New_York:20250313T180000')
+  })
+
+  it('defines the group time zone, with its daylight saving changes', () => {
+    const calendar = linesOf(buildCalendar([toCalendarEvent(game, groupInfo)], { now: NOW })).join('\n')
+    expect(calendar).toContain([
+      'BEGIN:VTIMEZONE',
+      'TZID:America/New_York',
+      'BEGIN:STANDARD',
+      'DTSTART:20241231T190000',
+      'TZOFFSETFROM:-0500',
+      'TZOFFSETTO:-0500',
+      'END:STANDARD',
+      'BEGIN:DAYLIGHT',
+      'DTSTART:20250309T020000',
+      'TZOFFSETFROM:-0500',
+      'TZOFFSETTO:-0400',
+      'END:DAYLIGHT',
+      'BEGIN:STANDARD',
+      'DTSTART:20251102T020000',
+      'TZOFFSETFROM:-0400',
+      'TZOFFSETTO:-0500',
+      'END:STANDARD',
+      'END:VTIMEZONE'
+    ].join('\n'))
+    expect(calendar.indexOf('END:VTIMEZONE')).toBeLessThan(calendar.indexOf('BEGIN:VEVENT'))
+  })
+
+  it('defines a zone without daylight saving once per calendar', () => {
+    const tokyo = { ...groupInfo, timeZone: 'Asia/Tokyo' }
+    const other = { ...game, id: 'group1_2025-03-20', dateKey: '2025-03-20', scheduledDateKey: '2025-03-20' }
+    const lines = linesOf(buildCalendar([toCalendarEvent(game, tokyo), toCalendarEvent(other, tokyo)], { now: NOW }))
+    expect(lines.filter(line => line === 'BEGIN:VTIMEZONE')).toHaveLength(1)
+    expect(lines).toContain('TZOFFSETTO:+0900')
+    expect(lines).not.toContain('BEGIN:DAYLIGHT')
+    expect(lines).toContain('DTSTART;TZID=Asia/Tokyo:20250313T190000')
+  })
+
+  it('marks cancelled games so calendars show them as cancelled', () => {
+    const cancelled = { ...game, cancelled: true, cancelReason: 'Holiday', sequence: 1 }
+    const lines = linesOf(buildCalendar([toCalendarEvent(cancelled, groupInfo)], { now: NOW }))
+    expect(lines).toContain('STATUS:CANCELLED')
+    expect(lines).toContain('SUMMARY:Cancelled: Thursday Night')
+    expect(lines.find(line => line.startsWith('DESCRIPTION:'))).toContain('Cancelled: Holiday')
+  })
+
+  it('uses CRLF line endings throughout', () => {
+    const calendar = buildCalendar([], { name: 'Mahjong games', now: NOW })
+    expect(calendar).toBe([
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Mahjong Coordinator//Game Nights//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      'X-WR-CALNAME:Mahjong games',
+      'END:VCALENDAR',
+      ''
+    ].join('\r\n'))
+  })
+})
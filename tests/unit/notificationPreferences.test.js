@@ -0,0 +1,76 @@
+/**
+ * Tests for the notification preference helpers in src/utils/notificationPreferences.js
+ * Run with `npm test`
+ */
+import { describe, expect, it } from 'vitest'
+import {
+  normalizePreferences,
+  toPreferencesDoc,
+  isEventEnabled,
+  isQuietTime,
+  shouldNotify
+} from '../../src/utils/notificationPreferences'
+
+const quietHours = { enabled: true, start: '22:00', end: '08:00', timeZone: 'America/New_York' }
+
+describe('normalizePreferences', () => {
+  it('turns everything on with quiet hours off when nothing is stored', () => {
+    const preferences = normalizePreferences(null)
+    expect(isEventEnabled(preferences, 'group1', 'host')).toBe(true)
+    expect(preferences.quietHours.enabled).toBe(false)
+    expect(preferences.emailFallback).toBe(true)
+  })
+
+  it('round-trips through the stored shape, keeping only switched-off events', () => {
+    const preferences = {
+      groups: { group1: { host: false, reminders: true }, group2: { reminders: true } },
+      quietHours
+    }
+    const stored = toPreferencesDoc(preferences)
+    expect(stored.groups).toEqual({ group1: { host: false } })
+    expect(normalizePreferences(stored)).toEqual({ groups: { group1: { host: false } }, emailFallback: true, quietHours })
+  })
+
+  it('keeps opt-in events off until a member turns them on', () => {
+    expect(isEventEnabled(normalizePreferences(null), 'group1', 'digest')).toBe(false)
+
+    const stored = toPreferencesDoc({
+      groups: { group1: { digest: true }, group2: { digest: false } },
+      quietHours
+    })
+    expect(stored.groups).toEqual({ group1: { digest: true } })
+    expect(isEventEnabled(normalizePreferences(stored), 'group1', 'digest')).toBe(true)
+  })
+})
+
+describe('isQuietTime', () => {
+  it('handles windows that run past midnight, in the member\'s zone', () => {
+    // 23:30 and 07:59 in New York (EST)
+    expect(isQuietTime(quietHours, new Date('2025-01-16T04:30:00Z'))).toBe(true)
+    expect(isQuietTime(quietHours, new Date('2025-01-16T12:59:00Z'))).toBe(true)
+    // 08:00 and 21:59
+    expect(isQuietTime(quietHours, new Date('2025-01-16T13:00:00Z'))).toBe(false)
+    expect(isQuietTime(quietHours, new Date('2025-01-17T02:59:00Z'))).toBe(false)
+  })
+
+  it('handles daytime windows and ignores disabled ones', () => {
+    const afternoon = { ...quietHours, start: '13:00', end: '15:00' }
+    expect(isQuietTime(afternoon, new Date('2025-01-16T19:00:00Z'))).toBe(true)
+    expect(isQuietTime(afternoon, new Date('2025-01-16T21:00:00Z'))).toBe(false)
+    expect(isQuietTime({ ...quietHours, enabled: false }, new Date('2025-01-16T04:30:00Z'))).toBe(false)
+  })
+})
+
+describe('shouldNotify', () => {
+  it('honors both the per-group switch and quiet hours', () => {
+    const preferences = normalizePreferences({
+      groups: { group1: { host: false } },
+      quiet_hours: { enabled: true, start: '22:00', end: '08:00', time_zone: 'America/New_York' }
+    })
+    const midday = new Date('2025-01-16T17:00:00Z')
+
+    expect(shouldNotify(preferences, { groupId: 'group1', eventKey: 'host' }, midday)).toBe(false)
+    expect(shouldNotify(preferences, { groupId: 'group2', eventKey: 'host' }, midday)).toBe(true)
+    expect(shouldNotify(preferences, { groupId: 'group2', eventKey: 'host' }, new Date('2025-01-16T04:30:00Z'))).toBe(false)
+  })
+})
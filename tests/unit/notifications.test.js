@@ -0,0 +1,37 @@
+// @vitest-environment jsdom
+/**
+ * Tests for turning push messages into app routes in src/utils/notifications.js
+ * Run with `npm test`
+ */
+import { describe, expect, it, vi } from 'vitest'
+import { getMessagePath } from '../../src/utils/notifications'
+
+vi.mock('../../src/firebase', () => ({ db: {}, messagingReady: Promise.resolve(null) }))
+
+describe('getMessagePath', () => {
+  it('routes a link on the app origin to its path and query', () => {
+    const link = `${window.location.origin}/group/group1?game=group1_2025-01-16`
+    expect(getMessagePath({ fcmOptions: { link } })).toBe('/group/group1?game=group1_2025-01-16')
+  })
+
+  it('keeps a link from another deployment on this one', () => {
+    const link = 'https://mahjong.example/group/group1/digest'
+    expect(getMessagePath({ fcmOptions: { link } })).toBe('/group/group1/digest')
+  })
+
+  it('accepts a relative link', () => {
+    expect(getMessagePath({ fcmOptions: { link: '/settings/notifications' } })).toBe('/settings/notifications')
+  })
+
+  it('falls back to the group and game in the data', () => {
+    expect(getMessagePath({ data: { groupId: 'group1', gameId: 'group1_2025-01-16_a b' } }))
+      .toBe('/group/group1?game=group1_2025-01-16_a%20b')
+    expect(getMessagePath({ data: { groupId: 'group1' } })).toBe('/group/group1')
+  })
+
+  it('links nowhere without a link or group', () => {
+    expect(getMessagePath({ data: { gameId: 'group1_2025-01-16' } })).toBeNull()
+    expect(getMessagePath({ notification: { title: 'Hi' } })).toBeNull()
+    expect(getMessagePath(undefined)).toBeNull()
+  })
+})
@@ -0,0 +1,28 @@
+/**
+ * Tests for the offline write tracker in src/utils/pendingWrites.js
+ * Run with `npm test`
+ */
+import { describe, expect, it } from 'vitest'
+import { trackPendingWrite, getPendingWriteCount, subscribePendingWrites } from '../../src/utils/pendingWrites'
+
+describe('trackPendingWrite', () => {
+  it('counts writes until they settle, and reports each outcome', async () => {
+    const events = []
+    const unsubscribe = subscribePendingWrites(event => events.push([event.type, event.pendingCount]))
+
+    let succeed
+    let fail
+    const sent = trackPendingWrite(new Promise(resolve => { succeed = resolve }), 'RSVP')
+    const rejected = trackPendingWrite(new Promise((resolve, reject) => { fail = reject }), 'RSVP')
+    expect(getPendingWriteCount()).toBe(2)
+
+    succeed()
+    await sent
+    fail(new Error('permission-denied'))
+    await expect(rejected).rejects.toThrow('permission-denied')
+
+    expect(getPendingWriteCount()).toBe(0)
+    expect(events).toEqual([['queued', 1], ['queued', 2], ['synced', 1], ['failed', 0]])
+    unsubscribe()
+  })
+})
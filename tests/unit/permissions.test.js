@@ -0,0 +1,79 @@
+/**
+ * Tests for the group role checks in src/utils/permissions.js
+ * Run with `npm test`
+ */
+import { describe, expect, it } from 'vitest'
+import {
+  resolveRole,
+  hasRole,
+  canEditSettings,
+  canDeleteGroup,
+  canChangeGame,
+  canRemoveMember,
+  canChangeRole,
+  canManageGame
+} from '../../src/utils/permissions'
+
+const group = { id: 'group1', created_by: 'creator' }
+
+describe('resolveRole', () => {
+  it('uses the role stored on the membership', () => {
+    expect(resolveRole({ role: 'owner' }, group, 'someone')).toBe('owner')
+    expect(resolveRole({ role: 'admin' }, group, 'someone')).toBe('admin')
+    expect(resolveRole({ role: 'member' }, group, 'creator')).toBe('member')
+  })
+
+  it('treats the creator as owner on memberships without a role', () => {
+    expect(resolveRole({ user_id: 'creator' }, group, 'creator')).toBe('owner')
+    expect(resolveRole({ user_id: 'creator' }, { createdBy: 'creator' }, 'creator')).toBe('owner')
+    expect(resolveRole({ user_id: 'alice' }, group, 'alice')).toBe('member')
+    expect(resolveRole({ user_id: 'alice', role: 'superuser' }, group, 'alice')).toBe('member')
+  })
+
+  it('returns null for non-members', () => {
+    expect(resolveRole(null, group, 'creator')).toBeNull()
+  })
+})
+
+describe('role checks', () => {
+  it('ranks owner above admin above member', () => {
+    expect(hasRole('owner', 'admin')).toBe(true)
+    expect(hasRole('admin', 'admin')).toBe(true)
+    expect(hasRole('member', 'admin')).toBe(false)
+    expect(hasRole(null, 'member')).toBe(false)
+  })
+
+  it('lets owners and admins edit settings, but only the owner delete', () => {
+    expect(['owner', 'admin', 'member', null].map(canEditSettings)).toEqual([true, true, false, false])
+    expect(['owner', 'admin', 'member', null].map(canDeleteGroup)).toEqual([true, false, false, false])
+  })
+
+  it('lets members change only one-off games they proposed', () => {
+    const adhoc = { adhoc: true, proposedBy: { id: 'alice' } }
+    expect(canChangeGame('member', adhoc, 'alice')).toBe(true)
+    expect(canChangeGame('member', adhoc, 'bob')).toBe(false)
+    expect(canChangeGame('member', { adhoc: false, proposedBy: { id: 'alice' } }, 'alice')).toBe(false)
+    expect(canChangeGame('admin', { adhoc: false }, 'bob')).toBe(true)
+  })
+
+  it('lets admins remove members but only the owner remove admins', () => {
+    expect(canRemoveMember('admin', 'member')).toBe(true)
+    expect(canRemoveMember('admin', 'admin')).toBe(false)
+    expect(canRemoveMember('owner', 'admin')).toBe(true)
+    expect(canRemoveMember('owner', 'owner')).toBe(false)
+    expect(canRemoveMember('member', 'member')).toBe(false)
+  })
+
+  it("lets only the owner change roles, and never the owner's", () => {
+    expect(canChangeRole('owner', 'member')).toBe(true)
+    expect(canChangeRole('owner', 'admin')).toBe(true)
+    expect(canChangeRole('owner', 'owner')).toBe(false)
+    expect(canChangeRole('admin', 'member')).toBe(false)
+  })
+
+  it('lets the host or an admin run the night', () => {
+    expect(canManageGame('member', true)).toBe(true)
+    expect(canManageGame('member', false)).toBe(false)
+    expect(canManageGame('admin', false)).toBe(true)
+  })
+})
@@ -0,0 +1,252 @@
+/**
+ * Tests for the recurrence engine in src/utils/recurrence.js
+ * Run with `npm test`
+ */
+import { describe, expect, it } from 'vitest'
+import {
+  parseRule,
+  formatRule,
+  expandRule,
+  expandRecurrence,
+  describeEntry,
+  getGroupRecurrence,
+  getPrimaryDay,
+  weeklyEntry
+} from '../../src/utils/recurrence'
+
+describe('parseRule', () => {
+  it('parses weekly rules with an interval and several days', () => {
+    expect(parseRule('RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE')).toEqual({
+      freq: 'WEEKLY',
+      interval: 2,
+      byDay: [{ weekday: 1, n: null }, { weekday: 3, n: null }],
+      byMonthDay: [],
+      until: null,
+      count: null
+    })
+  })
+
+  it('parses monthly ordinals, including negative ones', () => {
+    expect(parseRule('FREQ=MONTHLY;BYDAY=1SA,-1FR').byDay).toEqual([
+      { weekday: 6, n: 1 },
+      { weekday: 5, n: -1 }
+    ])
+  })
+
+  it('rejects unsupported or malformed rules', () => {
+    expect(parseRule('FREQ=DAILY')).toBeNull()
+    expect(parseRule('FREQ=WEEKLY;INTERVAL=0')).toBeNull()
+    expect(parseRule('FREQ=WEEKLY;BYDAY=1TU')).toBeNull()
+    expect(parseRule('FREQ=MONTHLY;BYDAY=6TU')).toBeNull()
+    expect(parseRule('FREQ=MONTHLY;BYDAY=XX')).toBeNull()
+    expect(parseRule('')).toBeNull()
+  })
+
+  it('round-trips through formatRule', () => {
+    const rrule = 'FREQ=MONTHLY;INTERVAL=3;BYDAY=2TU,-1FR;UNTIL=20251231;COUNT=4'
+    expect(formatRule(parseRule(rrule))).toBe(rrule)
+  })
+})
+
+describe('expandRule', () => {
+  it('expands a plain weekly rule', () => {
+    const dates = expandRule(
+      { rrule: 'FREQ=WEEKLY;BYDAY=TH', start: '2025-01-01' },
+      { from: '2025-01-01', to: '2025-01-31' }
+    )
+    expect(dates).toEqual(['2025-01-02', '2025-01-09', '2025-01-16', '2025-01-23', '2025-01-30'])
+  })
+
+  it('keeps every-other-week rules anchored to the start week', () => {
+    const entry = { rrule: 'FREQ=WEEKLY;INTERVAL=2;BYDAY=TU', start: '2025-01-07' }
+
+    expect(expandRule(entry, { from: '2025-01-01', to: '2025-02-28' })).toEqual([
+      '2025-01-07', '2025-01-21', '2025-02-04', '2025-02-18'
+    ])
+
+    // Starting the range on an "off" week doesn't shift the cadence
+    expect(expandRule(entry, { from: '2025-01-14', to: '2025-01-31' })).toEqual(['2025-01-21'])
+  })
+
+  it('counts biweekly weeks from Monday, so a mid-week start still anchors its own week', () => {
+    const entry = { rrule: 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,FR', start: '2025-01-08' }
+    expect(expandRule(entry, { from: '2025-01-01', to: '2025-01-31' })).toEqual([
+      '2025-01-10', '2025-01-20', '2025-01-24'
+    ])
+  })
+
+  it('supports several days per week', () => {
+    const dates = expandRule(
+      { rrule: 'FREQ=WEEKLY;BYDAY=MO,WE', start: '2025-03-01' },
+      { from: '2025-03-01', to: '2025-03-12' }
+    )
+    expect(dates).toEqual(['2025-03-03', '2025-03-05', '2025-03-10', '2025-03-12'])
+  })
+
+  it('expands the first Saturday of each month', () => {
+    const dates = expandRule(
+      { rrule: 'FREQ=MONTHLY;BYDAY=1SA', start: '2025-01-01' },
+      { from: '2025-01-01', to: '2025-04-30' }
+    )
+    expect(dates).toEqual(['2025-01-04', '2025-02-01', '2025-03-01', '2025-04-05'])
+  })
+
+  it('skips months without a fifth weekday', () => {
+    // 2025 has a fifth Thursday only in January, May, July and October
+    const dates = expandRule(
+      { rrule: 'FREQ=MONTHLY;BYDAY=5TH', start: '2025-01-01' },
+      { from: '2025-01-01', to: '2025-12-31' }
+    )
+    expect(dates).toEqual(['2025-01-30', '2025-05-29', '2025-07-31', '2025-10-30'])
+  })
+
+  it('finds the last weekday of the month, including in leap years', () => {
+    const dates = expandRule(
+      { rrule: 'FREQ=MONTHLY;BYDAY=-1TH', start: '2024-01-01' },
+      { from: '2024-02-01', to: '2024-03-31' }
+    )
+    // February 2024 has 29 days and ends on a Thursday
+    expect(dates).toEqual(['2024-02-29', '2024-03-28'])
+  })
+
+  it('skips month days that a month does not have', () => {
+    const dates = expandRule(
+      { rrule: 'FREQ=MONTHLY;BYMONTHDAY=31', start: '2025-01-01' },
+      { from: '2025-01-01', to: '2025-05-31' }
+    )
+    expect(dates).toEqual(['2025-01-31', '2025-03-31', '2025-05-31'])
+  })
+
+  it('honours monthly intervals from the start month', () => {
+    const dates = expandRule(
+      { rrule: 'FREQ=MONTHLY;INTERVAL=2;BYDAY=2WE', start: '2025-02-01' },
+      { from: '2025-01-01', to: '2025-07-31' }
+    )
+    expect(dates).toEqual(['2025-02-12', '2025-04-09', '2025-06-11'])
+  })
+
+  it('never returns dates before the start', () => {
+    const dates = expandRule(
+      { rrule: 'FREQ=WEEKLY;BYDAY=TH', start: '2025-01-10' },
+      { from: '2025-01-01', to: '2025-01-20' }
+    )
+    expect(dates).toEqual(['2025-01-16'])
+  })
+
+  it('stops at UNTIL', () => {
+    const dates = expandRule(
+      { rrule: 'FREQ=WEEKLY;BYDAY=TH;UNTIL=20250116', start: '2025-01-01' },
+      { from: '2025-01-01', to: '2025-12-31' }
+    )
+    expect(dates).toEqual(['2025-01-02', '2025-01-09', '2025-01-16'])
+  })
+
+  it('counts COUNT from the start, not from the range', () => {
+    const dates = expandRule(
+      { rrule: 'FREQ=WEEKLY;BYDAY=TH;COUNT=3', start: '2025-01-01' },
+      { from: '2025-01-08', to: '2025-12-31' }
+    )
+    expect(dates).toEqual(['2025-01-09', '2025-01-16'])
+  })
+
+  it('returns the next occurrences when only a limit is given', () => {
+    const dates = expandRule(
+      { rrule: 'FREQ=MONTHLY;BYDAY=1SA', start: '2025-01-01' },
+      { from: '2025-11-02', limit: 3 }
+    )
+    expect(dates).toEqual(['2025-12-06', '2026-01-03', '2026-02-07'])
+  })
+
+  it('is unaffected by daylight saving changes', () => {
+    // US clocks change on 2025-03-09 and 2025-11-02
+    const dates = expandRule(
+      { rrule: 'FREQ=WEEKLY;BYDAY=SU', start: '2025-03-01' },
+      { from: '2025-03-01', to: '2025-03-16' }
+    )
+    expect(dates).toEqual(['2025-03-02', '2025-03-09', '2025-03-16'])
+  })
+
+  it('returns nothing for an invalid entry', () => {
+    expect(expandRule({ rrule: 'FREQ=YEARLY', start: '2025-01-01' }, { from: '2025-01-01', to: '2025-12-31' })).toEqual([])
+    expect(expandRule({ rrule: 'FREQ=WEEKLY', start: 'soon' }, { from: '2025-01-01', to: '2025-12-31' })).toEqual([])
+  })
+})
+
+describe('expandRecurrence', () => {
+  const schedule = [
+    { rrule: 'FREQ=WEEKLY;INTERVAL=2;BYDAY=TU', start: '2025-01-07', time: '19:00' },
+    { rrule: 'FREQ=MONTHLY;BYDAY=1SA', start: '2025-01-01', time: '13:00' }
+  ]
+
+  it('merges several entries in date order with their own times', () => {
+    expect(expandRecurrence(schedule, { from: '2025-01-01', to: '2025-02-08' })).toEqual([
+      { dateKey: '2025-01-04', time: '13:00' },
+      { dateKey: '2025-01-07', time: '19:00' },
+      { dateKey: '2025-01-21', time: '19:00' },
+      { dateKey: '2025-02-01', time: '13:00' },
+      { dateKey: '2025-02-04', time: '19:00' }
+    ])
+  })
+
+  it('keeps the first entry when two land on the same day', () => {
+    const overlapping = [
+      { rrule: 'FREQ=WEEKLY;BYDAY=SA', start: '2025-01-01', time: '19:00' },
+      { rrule: 'FREQ=MONTHLY;BYDAY=1SA', start: '2025-01-01', time: '13:00' }
+    ]
+    expect(expandRecurrence(overlapping, { from: '2025-01-04', to: '2025-01-04' })).toEqual([
+      { dateKey: '2025-01-04', time: '19:00' }
+    ])
+  })
+
+  it('falls back to the default time', () => {
+    const dates = expandRecurrence([weeklyEntry('Friday')], { from: '2025-01-01', limit: 1 }, '18:30')
+    expect(dates).toEqual([{ dateKey: '2025-01-03', time: '18:30' }])
+  })
+
+  it('applies the limit across all entries', () => {
+    expect(expandRecurrence(schedule, { from: '2025-01-01', limit: 2 }).map(o => o.dateKey)).toEqual([
+      '2025-01-04', '2025-01-07'
+    ])
+  })
+})
+
+describe('describeEntry', () => {
+  it.each([
+    ['FREQ=WEEKLY;BYDAY=TH', 'Every Thursday'],
+    ['FREQ=WEEKLY;INTERVAL=2;BYDAY=TU', 'Every other Tuesday'],
+    ['FREQ=WEEKLY;INTERVAL=3;BYDAY=FR', 'Every 3 weeks on Friday'],
+    ['FREQ=WEEKLY;BYDAY=MO,WE,FR', 'Every Mon, Wed & Fri'],
+    ['FREQ=MONTHLY;BYDAY=1SA', 'First Saturday of the month'],
+    ['FREQ=MONTHLY;BYDAY=-1FR', 'Last Friday of the month'],
+    ['FREQ=MONTHLY;INTERVAL=2;BYDAY=2TU,4TU', 'Second Tuesday & fourth Tuesday of every other month'],
+    ['FREQ=MONTHLY;BYMONTHDAY=15', 'Day 15 of the month']
+  ])('describes %s', (rrule, description) => {
+    expect(describeEntry({ rrule })).toBe(description)
+  })
+})
+
+describe('getGroupRecurrence', () => {
+  it('falls back to the legacy weekly day', () => {
+    expect(getGroupRecurrence({ day_of_week: 'Tuesday' })).toEqual([
+      { rrule: 'FREQ=WEEKLY;BYDAY=TU', start: '2000-01-01', time: null }
+    ])
+  })
+
+  it('drops entries it cannot read', () => {
+    const recurrence = [
+      { rrule: 'FREQ=YEARLY', start: '2025-01-01' },
+      { rrule: 'FREQ=MONTHLY;BYDAY=1SA', start: '2025-01-01' }
+    ]
+    expect(getGroupRecurrence({ recurrence })).toEqual([recurrence[1]])
+  })
+})
+
+describe('getPrimaryDay', () => {
+  it('returns the first day any entry plays on', () => {
+    expect(getPrimaryDay([
+      { rrule: 'FREQ=MONTHLY;BYMONTHDAY=15' },
+      { rrule: 'FREQ=MONTHLY;BYDAY=1SA' }
+    ])).toBe('Saturday')
+    expect(getPrimaryDay([{ rrule: 'FREQ=MONTHLY;BYMONTHDAY=15' }])).toBeNull()
+  })
+})
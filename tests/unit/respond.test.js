@@ -0,0 +1,150 @@
+// @vitest-environment jsdom
+/**
+ * Tests for RSVPs through useGroupGames' respond in src/hooks/useGames.js,
+ * online and offline
+ * Run with `npm test`. Firestore is replaced with an in-memory stand-in, so
+ * only what respond writes and how it reports the outcome are checked.
+ */
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { act, renderHook, waitFor } from '@testing-library/react'
+import { useGroupGames } from '../../src/hooks/useGames'
+import { getPendingWriteCount, subscribePendingWrites } from '../../src/utils/pendingWrites'
+import { weeklyEntry } from '../../src/utils/recurrence'
+
+const firestore = vi.hoisted(() => ({ batches: [], commit: null }))
+
+vi.mock('../../src/firebase', () => ({
+  db: {},
+  auth: { currentUser: { uid: 'alice', displayName: 'Alice' } }
+}))
+
+vi.mock('firebase/firestore', () => ({
+  collection: (db, name) => ({ name }),
+  query: (...parts) => parts,
+  where: (...clause) => clause,
+  orderBy: (...clause) => clause,
+  doc: (db, name, id) => ({ path: `${name}/${id}` }),
+  // Nothing stored yet: every game is a regular occurrence
+  onSnapshot: (q, onNext) => {
+    onNext({ docs: [] })
+    return () => {}
+  },
+  writeBatch: () => {
+    const batch = { writes: [], set: (ref, data) => batch.writes.push({ path: ref.path, data }), commit: () => firestore.commit }
+    firestore.batches.push(batch)
+    return batch
+  },
+  serverTimestamp: () => 'server-timestamp',
+  increment: (n) => ({ increment: n }),
+  updateDoc: vi.fn(),
+  runTransaction: vi.fn(),
+  Timestamp: { fromDate: (date) => ({ toDate: () => date }) }
+}))
+
+const options = {
+  recurrence: [weeklyEntry('Thursday', '2025-01-01')],
+  maxTables: 1,
+  time: '19:00',
+  timeZone: 'America/New_York'
+}
+
+/**
+ * @param {boolean} online - Value for navigator.onLine
+ */
+const setOnline = (online) => {
+  Object.defineProperty(window.navigator, 'onLine', { value: online, configurable: true })
+}
+
+/**
+ * Renders the hook and waits for the first occurrence
+ * @returns {Promise<Object>} { result, gameId }
+ */
+const renderGames = async () => {
+  const { result } = renderHook(() => useGroupGames('group1', options))
+  await waitFor(() => expect(result.current.games.length).toBeGreaterThan(0))
+  return { result, gameId: result.current.games[0].id }
+}
+
+beforeEach(() => {
+  firestore.batches = []
+})
+
+afterEach(() => {
+  setOnline(true)
+})
+
+describe('respond', () => {
+  it('writes the game and response together and waits for the server when online', async () => {
+    setOnline(true)
+    firestore.commit = Promise.resolve()
+    const { result, gameId } = await renderGames()
+
+    let outcome
+    await act(async () => {
+      outcome = await result.current.respond(gameId, 'going')
+    })
+
+    expect(outcome).toEqual({ success: true, waitlisted: false })
+    expect(firestore.batches[0].writes).toEqual([
+      { path: `games/${gameId}`, data: { group_id: 'group1', date: gameId.split('_')[1] } },
+      {
+        path: `game_responses/${gameId}_alice`,
+        data: {
+          game_id: gameId,
+          group_id: 'group1',
+          user_id: 'alice',
+          user_name: 'Alice',
+          status: 'going',
+          responded_at: 'server-timestamp'
+        }
+      }
+    ])
+    expect(getPendingWriteCount()).toBe(0)
+  })
+
+  it('queues the RSVP while offline and reports when it reaches the server', async () => {
+    setOnline(false)
+    let reconnect
+    firestore.commit = new Promise(resolve => { reconnect = resolve })
+    const events = []
+    const unsubscribe = subscribePendingWrites(event => events.push([event.type, event.label]))
+    const { result, gameId } = await renderGames()
+
+    let outcome
+    await act(async () => {
+      outcome = await result.current.respond(gameId, 'maybe')
+    })
+
+    expect(outcome).toEqual({ success: true, queued: true })
+    expect(getPendingWriteCount()).toBe(1)
+
+    await act(async () => {
+      reconnect()
+      await firestore.commit
+    })
+
+    expect(getPendingWriteCount()).toBe(0)
+    expect(events).toEqual([['queued', 'RSVP'], ['synced', 'RSVP']])
+    unsubscribe()
+  })
+
+  it('reports an offline RSVP the server later rejects', async () => {
+    setOnline(false)
+    let reject
+    firestore.commit = new Promise((resolve, fail) => { reject = fail })
+    firestore.commit.catch(() => {})
+    const events = []
+    const unsubscribe = subscribePendingWrites(event => events.push(event.type))
+    const { result, gameId } = await renderGames()
+
+    await act(async () => {
+      await result.current.respond(gameId, 'going')
+      reject(new Error('permission-denied'))
+      await firestore.commit.catch(() => {})
+    })
+
+    expect(events).toEqual(['queued', 'failed'])
+    expect(getPendingWriteCount()).toBe(0)
+    unsubscribe()
+  })
+})
@@ -0,0 +1,102 @@
+/**
+ * Tests for hand payouts in src/utils/scoring.js
+ * Run with `npm test`
+ */
+import { describe, expect, it } from 'vitest'
+import { getHandValue, getHandDeltas, getRunningTotals, getPlayerTotals } from '../../src/utils/scoring'
+
+const players = ['east', 'south', 'west', 'north']
+
+/**
+ * @param {Object} deltas - Point change by player
+ * @returns {number} Sum of every change
+ */
+const sum = (deltas) => Object.values(deltas).reduce((total, delta) => total + delta, 0)
+
+describe('getHandValue', () => {
+  it('doubles jokerless NMJL hands', () => {
+    expect(getHandValue('nmjl', { value: 25 })).toBe(25)
+    expect(getHandValue('nmjl', { value: 25, jokerless: true })).toBe(50)
+  })
+
+  it('converts Hong Kong faan, capped at the limit', () => {
+    expect(getHandValue('hk', { value: 3 })).toBe(8)
+    expect(getHandValue('hk', { value: 10 })).toBe(128)
+    expect(getHandValue('hk', { value: 13 })).toBe(128)
+    expect(getHandValue('hk', { value: -1 })).toBe(1)
+  })
+
+  it('ignores the jokerless flag in Hong Kong mode', () => {
+    expect(getHandValue('hk', { value: 4, jokerless: true })).toBe(16)
+  })
+})
+
+describe('getHandDeltas', () => {
+  it('has the discarder pay double and the others single', () => {
+    const deltas = getHandDeltas('nmjl', { winner: 'east', discarder: 'west', value: 25 }, players)
+    expect(deltas).toEqual({ east: 100, south: -25, west: -50, north: -25 })
+    expect(sum(deltas)).toBe(0)
+  })
+
+  it('scores exposed and concealed hands at the card value entered', () => {
+    const exposed = getHandDeltas('nmjl', { winner: 'south', discarder: 'north', value: 30 }, players)
+    const concealed = getHandDeltas('nmjl', { winner: 'south', discarder: 'north', value: 35 }, players)
+    expect(exposed.south).toBe(120)
+    expect(concealed.south).toBe(140)
+    expect(sum(exposed)).toBe(0)
+    expect(sum(concealed)).toBe(0)
+  })
+
+  it('has everyone pay double on a self-drawn win', () => {
+    const deltas = getHandDeltas('nmjl', { winner: 'north', discarder: null, value: 30 }, players)
+    expect(deltas).toEqual({ east: -60, south: -60, west: -60, north: 180 })
+    expect(sum(deltas)).toBe(0)
+  })
+
+  it('doubles a jokerless hand before payments', () => {
+    const deltas = getHandDeltas('nmjl', { winner: 'east', discarder: null, value: 25, jokerless: true }, players)
+    expect(deltas.east).toBe(300)
+    expect(deltas.south).toBe(-100)
+    expect(sum(deltas)).toBe(0)
+  })
+
+  it('pays Hong Kong hands from the faan table', () => {
+    const deltas = getHandDeltas('hk', { winner: 'west', discarder: 'east', value: 5 }, players)
+    expect(deltas).toEqual({ east: -48, south: -24, west: 96, north: -24 })
+    expect(sum(deltas)).toBe(0)
+  })
+
+  it('works at a 3-player table', () => {
+    const deltas = getHandDeltas('nmjl', { winner: 'east', discarder: 'south', value: 25 }, ['east', 'south', 'west'])
+    expect(deltas).toEqual({ east: 75, south: -50, west: -25 })
+  })
+
+  it('scores nothing for a wall game', () => {
+    expect(getHandDeltas('nmjl', { winner: null, value: 25 }, players)).toEqual({ east: 0, south: 0, west: 0, north: 0 })
+  })
+})
+
+describe('totals', () => {
+  const table = {
+    players,
+    hands: [
+      { winner: 'east', discarder: 'west', value: 25 },
+      { winner: 'north', discarder: null, value: 30 },
+      { winner: null }
+    ]
+  }
+
+  it('keeps running totals after each hand', () => {
+    const totals = getRunningTotals('nmjl', table)
+    expect(totals).toHaveLength(3)
+    expect(totals[1]).toEqual({ east: 40, south: -85, west: -110, north: 155 })
+    expect(totals[2]).toEqual(totals[1])
+  })
+
+  it('ranks players across tables with hands won', () => {
+    const totals = getPlayerTotals({ mode: 'nmjl', names: { north: 'Nora' }, tables: [table] })
+    expect(totals[0]).toEqual({ userId: 'north', name: 'Nora', total: 155, handsWon: 1 })
+    expect(totals.map(player => player.userId)).toEqual(['north', 'east', 'south', 'west'])
+    expect(totals.reduce((total, player) => total + player.total, 0)).toBe(0)
+  })
+})
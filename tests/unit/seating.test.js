@@ -0,0 +1,74 @@
+/**
+ * Tests for table planning in src/utils/seating.js
+ * Run with `npm test`
+ */
+import { describe, expect, it } from 'vitest'
+import { getTableSizes, planSeating, toSeatingDoc, fromSeatingDoc } from '../../src/utils/seating'
+
+const players = (count) => Array.from({ length: count }, (_, index) => `p${index + 1}`)
+
+describe('getTableSizes', () => {
+  it('fills 4-player tables', () => {
+    expect(getTableSizes(4)).toEqual([4])
+    expect(getTableSizes(8)).toEqual([4, 4])
+    expect(getTableSizes(7)).toEqual([4, 3])
+  })
+
+  it('breaks up full tables so leftover players get a seat', () => {
+    expect(getTableSizes(6)).toEqual([3, 3])
+    expect(getTableSizes(9)).toEqual([3, 3, 3])
+    expect(getTableSizes(10)).toEqual([4, 3, 3])
+  })
+
+  it('leaves one player out of 5, since no split seats everyone', () => {
+    expect(getTableSizes(5)).toEqual([4])
+  })
+
+  it('only makes full tables when 3-player tables are off', () => {
+    expect(getTableSizes(6, false)).toEqual([4])
+    expect(getTableSizes(9, false)).toEqual([4, 4])
+  })
+
+  it('makes no tables for fewer than 3 players', () => {
+    expect(getTableSizes(2)).toEqual([])
+    expect(getTableSizes(3, false)).toEqual([])
+  })
+})
+
+describe('planSeating', () => {
+  it('seats everyone when the players fit', () => {
+    const { tables, sittingOut } = planSeating(players(6), { random: null })
+    expect(tables.map(table => table.length)).toEqual([3, 3])
+    expect(tables.flat().sort()).toEqual(players(6).sort())
+    expect(sittingOut).toEqual([])
+  })
+
+  it('sits out the latest responders when there are more players than seats', () => {
+    const { tables, sittingOut } = planSeating(players(10), { allowThreePlayer: false, random: null })
+    expect(tables.map(table => table.length)).toEqual([4, 4])
+    expect(sittingOut).toEqual(['p9', 'p10'])
+
+    expect(planSeating(players(5), { random: null }).sittingOut).toEqual(['p5'])
+  })
+
+  it('never sits out the host', () => {
+    const { tables, sittingOut } = planSeating(players(5), { hostId: 'p5', random: null })
+    expect(tables.flat()).toContain('p5')
+    expect(sittingOut).toEqual(['p4'])
+  })
+
+  it('seats pinned players together', () => {
+    for (let run = 0; run < 20; run++) {
+      const { tables } = planSeating(players(8), { pins: [['p1', 'p8']] })
+      expect(tables.find(table => table.includes('p1'))).toContain('p8')
+    }
+  })
+})
+
+describe('seating documents', () => {
+  it('round-trips a plan through the Firestore shape', () => {
+    const plan = planSeating(players(7), { random: null })
+    const options = { pins: [['p1', 'p2']], allowThreePlayer: false }
+    expect(fromSeatingDoc(toSeatingDoc(plan, options))).toEqual({ ...plan, ...options })
+  })
+})
@@ -0,0 +1,113 @@
+/**
+ * Tests for seasons and leaderboards in src/utils/stats.js
+ * Run with `npm test`
+ */
+import { describe, expect, it } from 'vitest'
+import { getSeason, getRecentSeasons, computeGroupStats } from '../../src/utils/stats'
+
+const at = (millis) => ({ toMillis: () => millis })
+
+/**
+ * @param {string} gameId - Game document ID
+ * @param {string} userId - Responder
+ * @param {number} respondedAt - Response time in milliseconds
+ * @param {string} status - Response status
+ */
+const response = (gameId, userId, respondedAt, status = 'going') => ({
+  game_id: gameId,
+  user_id: userId,
+  user_name: userId,
+  status,
+  responded_at: at(respondedAt)
+})
+
+const members = ['alice', 'bob', 'carol'].map(id => ({ user_id: id, name: id }))
+
+describe('getSeason', () => {
+  it('runs winter across the new year, through a leap day', () => {
+    expect(getSeason(new Date(2024, 0, 15))).toEqual({
+      id: '2023-winter',
+      label: 'Winter 2023–24',
+      from: '2023-12-01',
+      to: '2024-02-29'
+    })
+    expect(getSeason(new Date(2024, 11, 1)).id).toBe('2024-winter')
+  })
+
+  it('covers the other seasons by calendar month', () => {
+    expect(getSeason(new Date(2025, 2, 1))).toMatchObject({ label: 'Spring 2025', from: '2025-03-01', to: '2025-05-31' })
+    expect(getSeason(new Date(2025, 7, 31))).toMatchObject({ label: 'Summer 2025', from: '2025-06-01', to: '2025-08-31' })
+    expect(getSeason(new Date(2025, 10, 30))).toMatchObject({ label: 'Fall 2025', from: '2025-09-01', to: '2025-11-30' })
+  })
+
+  it('lists recent seasons newest first', () => {
+    expect(getRecentSeasons(3, new Date(2025, 3, 10)).map(season => season.id))
+      .toEqual(['2025-spring', '2024-winter', '2024-fall'])
+  })
+})
+
+describe('computeGroupStats', () => {
+  it('skips cancelled, future and empty games', () => {
+    const games = [
+      { id: 'g1', date: '2025-01-09', host_id: null },
+      { id: 'g2', date: '2025-01-16', cancelled: true },
+      { id: 'g3', date: '2025-01-30' },
+      { id: 'g4', date: '2025-01-23' }
+    ]
+    const responses = ['g1', 'g2', 'g3'].map(gameId => response(gameId, 'alice', 1))
+    const stats = computeGroupStats({ games, responses, members, today: '2025-01-24' })
+
+    expect(stats.gamesPlayed).toBe(1)
+    expect(stats.players.find(p => p.userId === 'alice')).toMatchObject({ gamesAttended: 1, gamesEligible: 1 })
+  })
+
+  it("counts waitlisted players as absent, using a one-off game's seats", () => {
+    const games = [{ id: 'g1', date: '2025-01-09', seats: 2, host_id: 'alice', host_tables: 1 }]
+    const responses = [response('g1', 'alice', 3), response('g1', 'bob', 1), response('g1', 'carol', 2)]
+    const { players } = computeGroupStats({ games, responses, members, maxTables: 2, today: '2025-01-24' })
+    const byId = Object.fromEntries(players.map(p => [p.userId, p]))
+
+    expect(byId.alice).toMatchObject({ gamesAttended: 1, gamesHosted: 1 })
+    expect(byId.bob.gamesAttended).toBe(1)
+    expect(byId.carol).toMatchObject({ gamesAttended: 0, attendanceRate: 0 })
+  })
+
+  it('only counts attendance from when a member joined', () => {
+    const joined = (date) => ({ toDate: () => date })
+    const games = [
+      { id: 'g1', date: '2025-01-09' },
+      { id: 'g2', date: '2025-01-16' }
+    ]
+    const responses = [response('g1', 'alice', 1), response('g2', 'alice', 1), response('g2', 'bob', 2)]
+    const roster = [
+      { user_id: 'alice', name: 'alice' },
+      { user_id: 'bob', name: 'bob', joined_at: joined(new Date(2025, 0, 12)) }
+    ]
+    const { players } = computeGroupStats({ games, responses, members: roster, today: '2025-01-24' })
+    const byId = Object.fromEntries(players.map(p => [p.userId, p]))
+
+    expect(byId.alice.attendanceRate).toBe(1)
+    expect(byId.bob).toMatchObject({ gamesEligible: 1, attendanceRate: 1 })
+  })
+
+  it('adds up scores and gives the night to the top scorer', () => {
+    const scores = {
+      mode: 'nmjl',
+      names: {},
+      tables: [{
+        players: ['alice', 'bob', 'carol'],
+        hands: [
+          { winner: 'bob', discarder: 'alice', value: 25 },
+          { winner: 'bob', discarder: null, value: 25 }
+        ]
+      }]
+    }
+    const games = [{ id: 'g1', date: '2025-01-09', scores }]
+    const responses = ['alice', 'bob', 'carol'].map((id, index) => response('g1', id, index))
+    const stats = computeGroupStats({ games, responses, members, today: '2025-01-24' })
+
+    expect(stats.handsPlayed).toBe(2)
+    expect(stats.players[0]).toMatchObject({ userId: 'bob', score: 175, wins: 1, handsWon: 2 })
+    expect(stats.players.reduce((sum, p) => sum + p.score, 0)).toBe(0)
+  })
+})
@@ -0,0 +1,194 @@
+/**
+ * Tests for the app-shell service worker in public/sw.js
+ * Run with `npm test`. The worker runs against in-memory stand-ins for the
+ * network and Cache Storage.
+ */
+import { readFileSync } from 'node:fs'
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+
+const ORIGIN = 'https://mahjong.example'
+
+const source = readFileSync('public/sw.js', 'utf8')
+
+/**
+ * @param {string[]} assets - Built asset paths the page loads
+ * @returns {string} index.html contents
+ */
+const indexHtml = (assets) => assets.map(path => `<script type="module" src="${path}"></script>`).join('')
+
+/**
+ * @param {string|Object} request - Path, URL or request
+ * @returns {string} Path the request is for
+ */
+const pathOf = (request) => new URL(typeof request === 'string' ? request : request.url, ORIGIN).pathname
+
+let network
+let worker
+
+/**
+ * Fetches from the stand-in network, failing like a browser when offline
+ * Every page is served index.html, like the hosting rewrites do.
+ * @param {string|Object} request - Path, URL or request
+ */
+const fetchFake = async (request) => {
+  if (!network.online) throw new TypeError('Failed to fetch')
+  const body = network.files[request.mode === 'navigate' ? '/' : pathOf(request)]
+  return body === undefined ? new Response('Not found', { status: 404 }) : new Response(body)
+}
+
+/**
+ * In-memory Cache Storage, keyed by path
+ */
+const createCaches = () => {
+  const stores = new Map()
+
+  const createCache = () => {
+    const entries = new Map()
+    return {
+      entries,
+      match: async (request) => entries.get(pathOf(request))?.clone(),
+      put: async (request, response) => { entries.set(pathOf(request), response) },
+      addAll: async (paths) => {
+        for (const path of paths) entries.set(pathOf(path), await fetchFake(path))
+      },
+      keys: async () => [...entries.keys()].map(path => ({ url: `${ORIGIN}${path}` })),
+      delete: async (request) => entries.delete(pathOf(request))
+    }
+  }
+
+  return {
+    stores,
+    open: async (name) => {
+      if (!stores.has(name)) stores.set(name, createCache())
+      return stores.get(name)
+    },
+    match: async (request) => {
+      for (const cache of stores.values()) {
+        const response = await cache.match(request)
+        if (response) return response
+      }
+      return undefined
+    },
+    keys: async () => [...stores.keys()],
+    delete: async (name) => stores.delete(name)
+  }
+}
+
+/**
+ * Runs public/sw.js in a stand-in service worker scope
+ * @returns {Object} { listeners, caches }
+ */
+const loadWorker = () => {
+  const listeners = {}
+  const caches = createCaches()
+  const self = {
+    location: new URL(`${ORIGIN}/sw.js`),
+    addEventListener: (type, listener) => { listeners[type] = listener },
+    skipWaiting: async () => {},
+    clients: { claim: async () => {} }
+  }
+  new Function('self', 'caches', 'fetch', source)(self, caches, fetchFake)
+  return { listeners, caches }
+}
+
+/**
+ * Dispatches a lifecycle event and waits for the work it extends
+ * @param {string} type - "install" or "activate"
+ */
+const runLifecycle = async (type) => {
+  let work
+  worker.listeners[type]({ waitUntil: (promise) => { work = promise } })
+  await work
+}
+
+/**
+ * Dispatches a fetch event
+ * @param {string} path - Requested path or URL
+ * @param {Object} options - { mode, method }
+ * @returns {Promise<Response>|undefined} The worker's response, or undefined
+ * if it left the request to the browser
+ */
+const dispatchFetch = (path, { mode = 'no-cors', method = 'GET' } = {}) => {
+  let response
+  worker.listeners.fetch({
+    request: { url: new URL(path, ORIGIN).href, mode, method },
+    respondWith: (promise) => { response = promise }
+  })
+  return response
+}
+
+/**
+ * @returns {Object} The worker's only cache
+ */
+const shellCache = () => [...worker.caches.stores.values()][0]
+
+beforeEach(async () => {
+  network = {
+    online: true,
+    files: {
+      '/': indexHtml(['/assets/index-v1.js']),
+      '/assets/index-v1.js': 'v1',
+      '/manifest.webmanifest': '{}',
+      '/icon.svg': '<svg/>',
+      '/icon-192.png': 'png',
+      '/icon-512.png': 'png',
+      '/apple-touch-icon.png': 'png'
+    }
+  }
+  worker = loadWorker()
+  await runLifecycle('install')
+})
+
+describe('app-shell service worker', () => {
+  it('caches the page, its built assets and the icons on install', () => {
+    expect([...shellCache().entries.keys()].sort()).toEqual([
+      '/',
+      '/apple-touch-icon.png',
+      '/assets/index-v1.js',
+      '/icon-192.png',
+      '/icon-512.png',
+      '/icon.svg',
+      '/manifest.webmanifest'
+    ])
+  })
+
+  it('serves the cached page for any route while offline', async () => {
+    network.online = false
+    const response = await dispatchFetch('/group/group1?game=group1_2025-01-16', { mode: 'navigate' })
+    expect(await response.text()).toBe(indexHtml(['/assets/index-v1.js']))
+  })
+
+  it('loads pages from the network when online and swaps in the new build', async () => {
+    network.files['/'] = indexHtml(['/assets/index-v2.js'])
+    network.files['/assets/index-v2.js'] = 'v2'
+
+    const response = await dispatchFetch('/my-groups', { mode: 'navigate' })
+    expect(await response.text()).toBe(indexHtml(['/assets/index-v2.js']))
+
+    await vi.waitFor(() => expect(shellCache().entries.has('/assets/index-v2.js')).toBe(true))
+    await vi.waitFor(() => expect(shellCache().entries.has('/assets/index-v1.js')).toBe(false))
+  })
+
+  it('serves assets from the cache first, caching new ones as they load', async () => {
+    network.files['/assets/index-v1.js'] = 'changed'
+    expect(await (await dispatchFetch('/assets/index-v1.js')).text()).toBe('v1')
+
+    network.files['/assets/chunk.js'] = 'chunk'
+    expect(await (await dispatchFetch('/assets/chunk.js')).text()).toBe('chunk')
+    network.online = false
+    expect(await (await dispatchFetch('/assets/chunk.js')).text()).toBe('chunk')
+  })
+
+  it('leaves other origins, writes and service worker scripts to the browser', () => {
+    expect(dispatchFetch('https://firestore.googleapis.com/v1/documents')).toBeUndefined()
+    expect(dispatchFetch('/assets/index-v1.js', { method: 'POST' })).toBeUndefined()
+    expect(dispatchFetch('/firebase-messaging-sw.js')).toBeUndefined()
+    expect(dispatchFetch('/api/other')).toBeUndefined()
+  })
+
+  it('drops caches from older versions on activate', async () => {
+    await worker.caches.open('app-shell-v0')
+    await runLifecycle('activate')
+    expect(await worker.caches.keys()).toHaveLength(1)
+  })
+})
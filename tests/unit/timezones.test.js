@@ -0,0 +1,103 @@
+/**
+ * Tests for the time zone helpers in src/utils/timezones.js
+ * Run with `npm test`
+ */
+import { describe, expect, it } from 'vitest'
+import {
+  isValidTimeZone,
+  getZoneOffset,
+  zonedTimeToInstant,
+  toDateKeyInZone,
+  getZoneAbbreviation
+} from '../../src/utils/timezones'
+import { getOccurrenceTime, weeklyEntry } from '../../src/utils/recurrence'
+import { normalizeGroup } from '../../src/utils/groups'
+
+describe('isValidTimeZone', () => {
+  it('accepts IANA zones and rejects anything else', () => {
+    expect(isValidTimeZone('America/New_York')).toBe(true)
+    expect(isValidTimeZone('UTC')).toBe(true)
+    expect(isValidTimeZone('Mars/Olympus_Mons')).toBe(false)
+    expect(isValidTimeZone('')).toBe(false)
+    expect(isValidTimeZone(null)).toBe(false)
+  })
+})
+
+describe('getZoneOffset', () => {
+  it('follows daylight saving time', () => {
+    expect(getZoneOffset(new Date('2025-01-15T12:00:00Z'), 'America/New_York')).toBe(-300)
+    expect(getZoneOffset(new Date('2025-07-15T12:00:00Z'), 'America/New_York')).toBe(-240)
+    expect(getZoneOffset(new Date('2025-07-15T12:00:00Z'), 'Asia/Kolkata')).toBe(330)
+  })
+})
+
+describe('zonedTimeToInstant', () => {
+  it('converts wall-clock times on either side of a DST change', () => {
+    // New York springs forward on 2025-03-09 and falls back on 2025-11-02
+    expect(zonedTimeToInstant('2025-03-08', '19:00', 'America/New_York').toISOString())
+      .toBe('2025-03-09T00:00:00.000Z')
+    expect(zonedTimeToInstant('2025-03-09', '19:00', 'America/New_York').toISOString())
+      .toBe('2025-03-09T23:00:00.000Z')
+    expect(zonedTimeToInstant('2025-11-01', '19:00', 'America/New_York').toISOString())
+      .toBe('2025-11-01T23:00:00.000Z')
+    expect(zonedTimeToInstant('2025-11-02', '19:00', 'America/New_York').toISOString())
+      .toBe('2025-11-03T00:00:00.000Z')
+  })
+
+  it('handles times on the day of the change itself', () => {
+    // 1:30 AM happens twice on fall-back day; the first (daylight) one is used
+    expect(zonedTimeToInstant('2025-11-02', '01:30', 'America/New_York').toISOString())
+      .toBe('2025-11-02T05:30:00.000Z')
+    // 2:30 AM never happens on spring-forward day and resolves to 3:30 AM
+    expect(zonedTimeToInstant('2025-03-09', '02:30', 'America/New_York').toISOString())
+      .toBe('2025-03-09T07:30:00.000Z')
+  })
+
+  it('returns null for invalid input', () => {
+    expect(zonedTimeToInstant('2025-03-09', '', 'America/New_York')).toBeNull()
+    expect(zonedTimeToInstant('March 9', '19:00', 'America/New_York')).toBeNull()
+    expect(zonedTimeToInstant('2025-03-09', '19:00', 'Nowhere/Special')).toBeNull()
+  })
+})
+
+describe('toDateKeyInZone', () => {
+  it('gives the calendar day in the zone, not the runtime', () => {
+    const instant = new Date('2025-01-16T03:00:00Z')
+    expect(toDateKeyInZone(instant, 'America/Los_Angeles')).toBe('2025-01-15')
+    expect(toDateKeyInZone(instant, 'Asia/Tokyo')).toBe('2025-01-16')
+  })
+
+  it('round-trips with zonedTimeToInstant', () => {
+    const instant = zonedTimeToInstant('2025-06-12', '23:30', 'Australia/Sydney')
+    expect(toDateKeyInZone(instant, 'Australia/Sydney')).toBe('2025-06-12')
+    expect(toDateKeyInZone(instant, 'Europe/London')).toBe('2025-06-12')
+    expect(toDateKeyInZone(instant, 'America/Chicago')).toBe('2025-06-12')
+  })
+})
+
+describe('getZoneAbbreviation', () => {
+  it('switches with daylight saving time', () => {
+    expect(getZoneAbbreviation(new Date('2025-01-15T12:00:00Z'), 'America/New_York')).toBe('EST')
+    expect(getZoneAbbreviation(new Date('2025-07-15T12:00:00Z'), 'America/New_York')).toBe('EDT')
+  })
+})
+
+describe('getOccurrenceTime', () => {
+  it('uses the time of the schedule entry landing on the date', () => {
+    const recurrence = [
+      weeklyEntry('Thursday', '2025-01-01'),
+      { ...weeklyEntry('Saturday', '2025-01-01'), time: '13:00' }
+    ]
+    expect(getOccurrenceTime(recurrence, '2025-01-18', '19:00')).toBe('13:00')
+    expect(getOccurrenceTime(recurrence, '2025-01-16', '19:00')).toBe('19:00')
+    expect(getOccurrenceTime(recurrence, '2025-01-17', '19:00')).toBe('19:00')
+  })
+})
+
+describe('normalizeGroup', () => {
+  it('keeps the stored zone, and gives groups without one a fixed default', () => {
+    expect(normalizeGroup({ id: 'g', time_zone: 'Europe/London' }).timeZone).toBe('Europe/London')
+    expect(normalizeGroup({ id: 'g' }).timeZone).toBe('America/New_York')
+    expect(normalizeGroup({ id: 'g', time_zone: 'Not/AZone' }).timeZone).toBe('America/New_York')
+  })
+})
@@ -0,0 +1,102 @@
+/**
+ * Tests for seat limits and the waitlist in src/utils/waitlist.js
+ * Run with `npm test`
+ */
+import { describe, expect, it } from 'vitest'
+import {
+  getCapacity,
+  applyWaitlist,
+  getSeatedPlayerIds,
+  getGameCapacity,
+  toResponseViews
+} from '../../src/utils/waitlist'
+
+const going = (userId, respondedAt) => ({ userId, status: 'going', respondedAt })
+
+/**
+ * @param {Array} responses - Views from applyWaitlist
+ * @returns {Object} Waitlist position by user ID (null when seated)
+ */
+const positions = (responses) => Object.fromEntries(responses.map(r => [r.userId, r.waitlistPosition]))
+
+describe('getCapacity', () => {
+  it('seats four per table', () => {
+    expect(getCapacity(1)).toBe(4)
+    expect(getCapacity(3)).toBe(12)
+  })
+
+  it('has no limit without tables', () => {
+    expect(getCapacity(0)).toBeNull()
+    expect(getCapacity(null)).toBeNull()
+  })
+})
+
+describe('getGameCapacity', () => {
+  it("uses the host's tables, falling back to the group's", () => {
+    expect(getGameCapacity({ host_id: 'alice', host_tables: 1 }, 2)).toBe(4)
+    expect(getGameCapacity({ host_id: 'alice' }, 2)).toBe(8)
+  })
+
+  it('has no limit until someone hosts', () => {
+    expect(getGameCapacity({ host_id: null }, 2)).toBeNull()
+  })
+
+  it('lets a one-off game set its own seats', () => {
+    expect(getGameCapacity({ seats: 6, host_id: 'alice', host_tables: 1 }, 2)).toBe(6)
+    expect(getGameCapacity({ seats: 3, host_id: null }, 2)).toBe(3)
+  })
+})
+
+describe('applyWaitlist', () => {
+  it('seats players in response order and waitlists the rest', () => {
+    const responses = [going('c', 300), going('a', 100), going('e', 500), going('b', 200), going('d', 400)]
+    expect(positions(applyWaitlist(responses, 3))).toEqual({ a: null, b: null, c: null, d: 1, e: 2 })
+  })
+
+  it('breaks ties by user ID and puts pending ones last', () => {
+    const responses = [going('pending', null), going('second', 100), going('first', 100)]
+    expect(positions(applyWaitlist(responses, 1))).toEqual({ first: null, second: 1, pending: 2 })
+  })
+
+  it('orders two pending responses the same whatever order they arrive in', () => {
+    const responses = [going('zoe', null), going('amy', null), going('early', 100)]
+    const expected = { early: null, amy: null, zoe: 1 }
+    expect(positions(applyWaitlist(responses, 2))).toEqual(expected)
+    expect(positions(applyWaitlist([...responses].reverse(), 2))).toEqual(expected)
+  })
+
+  it('always seats the host', () => {
+    const responses = [going('a', 100), going('b', 200), going('host', 900)]
+    expect(positions(applyWaitlist(responses, 2, 'host'))).toEqual({ a: null, b: 1, host: null })
+  })
+
+  it('waitlists nobody when there is no capacity yet', () => {
+    const responses = [going('a', 100), going('b', 200), going('c', 300)]
+    expect(applyWaitlist(responses, null).every(r => !r.waitlisted)).toBe(true)
+  })
+
+  it('ignores maybes and no-shows', () => {
+    const responses = [{ userId: 'm', status: 'maybe', respondedAt: 1 }, going('a', 100), going('b', 200)]
+    expect(positions(applyWaitlist(responses, 1))).toEqual({ m: null, a: null, b: 1 })
+  })
+})
+
+describe('getSeatedPlayerIds', () => {
+  it('lists seated players earliest first', () => {
+    const responses = applyWaitlist([going('b', 200), going('c', 300), going('a', 100)], 2)
+    expect(getSeatedPlayerIds(responses)).toEqual(['a', 'b'])
+  })
+})
+
+describe('toResponseViews', () => {
+  it('reads stored responses, using seats over tables', () => {
+    const at = (millis) => ({ toMillis: () => millis })
+    const stored = [
+      { user_id: 'a', status: 'going', responded_at: at(100) },
+      { user_id: 'b', status: 'going', responded_at: at(200) },
+      { user_id: 'c', status: 'going', responded_at: null }
+    ]
+    const capacity = getGameCapacity({ seats: 2, host_id: 'a', host_tables: 1 }, 2)
+    expect(positions(toResponseViews(stored, capacity, 'a'))).toEqual({ a: null, b: null, c: 1 })
+  })
+})